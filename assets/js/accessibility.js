@@ -18,6 +18,7 @@ class AccessibilityManager {
             '[role="menuitem"]:not([aria-disabled="true"])',
             '[role="tab"]:not([aria-disabled="true"])'
         ].join(', ');
+        this.highContrastKey = 'crypto-guide-high-contrast';
         
         this.init();
     }
@@ -67,8 +68,8 @@ class AccessibilityManager {
      * Handle keyboard shortcuts
      */
     handleKeyboardShortcuts(e) {
-        // Ctrl/Cmd + K for search
-        if ((e.ctrlKey || e.metaKey) && e.key === 'k') {
+        // Ctrl/Cmd + K for search, unless the page has the command palette
+        if ((e.ctrlKey || e.metaKey) && e.key === 'k' && !window.commandPalette) {
             e.preventDefault();
             const searchInput = document.querySelector('.search-input, .sidebar-search-input');
             if (searchInput) {
@@ -533,18 +534,38 @@ class AccessibilityManager {
     setupHighContrast() {
         const prefersHighContrast = window.matchMedia('(prefers-contrast: high)');
         
+        // A choice made with toggleHighContrast wins over the system setting
         const handleHighContrast = (mediaQuery) => {
-            if (mediaQuery.matches) {
-                document.body.classList.add('high-contrast');
-            } else {
-                document.body.classList.remove('high-contrast');
-            }
+            const saved = localStorage.getItem(this.highContrastKey);
+            this.applyHighContrast(saved ? saved === 'on' : mediaQuery.matches);
         };
         
         handleHighContrast(prefersHighContrast);
         prefersHighContrast.addEventListener('change', handleHighContrast);
     }
 
+    /**
+     * Switch high contrast on or off and remember the choice
+     */
+    toggleHighContrast(enabled = !document.body.classList.contains('high-contrast')) {
+        this.applyHighContrast(enabled);
+        localStorage.setItem(this.highContrastKey, enabled ? 'on' : 'off');
+        this.announceToScreenReader(`High contrast ${enabled ? 'on' : 'off'}`);
+        return enabled;
+    }
+
+    /**
+     * High contrast is a body class and the high-contrast theme (themes.css)
+     */
+    applyHighContrast(enabled) {
+        document.body.classList.toggle('high-contrast', enabled);
+        if (enabled) {
+            document.documentElement.dataset.theme = 'high-contrast';
+        } else if (document.documentElement.dataset.theme === 'high-contrast') {
+            delete document.documentElement.dataset.theme;
+        }
+    }
+
     /**
      * Setup touch accessibility
      */
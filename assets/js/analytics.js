@@ -3,11 +3,23 @@
  * Tracks user behavior while respecting privacy
  */
 
+// Search totals per query, kept in localStorage only
+const SEARCH_STATS_KEY = 'searchAnalytics';
+
+// Queries typed as one search (search-as-you-type) count once they rest this long
+const SEARCH_SETTLE_DELAY = 2000;
+
+// Queries kept in the search totals; the least recently searched go first
+const MAX_SEARCH_QUERIES = 500;
+
 class Analytics {
   constructor() {
     this.events = [];
     this.sessionId = this.generateSessionId();
     this.pageViews = 0;
+    this.pendingSearch = null;
+    this.lastSearch = null;
+    this.searchTimer = null;
     this.init();
   }
 
@@ -131,31 +143,199 @@ class Analytics {
   }
 
   /**
-   * Track search usage
+   * Track search usage. SearchEngine fires searchquery after every search
+   * and searchresultclick when a result is opened; queries are recorded once
+   * the user stops typing, and clicks with their rank and time to click.
    */
   trackSearchUsage() {
-    // Track search queries
-    document.addEventListener('submit', (event) => {
-      if (event.target.id === 'search-form') {
-        const query = event.target.querySelector('input[type="search"]').value;
-        this.trackEvent('search_query', {
-          query: query,
-          url: window.location.href
-        });
+    document.addEventListener('searchquery', (event) => {
+      this.handleSearchQuery(event.detail);
+    });
+
+    document.addEventListener('searchresultclick', (event) => {
+      this.handleSearchResultClick(event.detail);
+    });
+
+    // A query still being typed counts when the page closes
+    window.addEventListener('pagehide', () => this.flushSearchQuery());
+  }
+
+  /**
+   * Hold a search back until the query rests (or a result is clicked)
+   */
+  handleSearchQuery({ query, resultCount, language }) {
+    clearTimeout(this.searchTimer);
+    this.pendingSearch = {
+      query: this.normalizeQuery(query),
+      resultCount,
+      language,
+      time: Date.now()
+    };
+    this.searchTimer = setTimeout(() => this.flushSearchQuery(), SEARCH_SETTLE_DELAY);
+  }
+
+  /**
+   * Record the search waiting for its query to rest
+   */
+  flushSearchQuery() {
+    clearTimeout(this.searchTimer);
+    const search = this.pendingSearch;
+    if (!search || !search.query) {
+      this.pendingSearch = null;
+      return;
+    }
+
+    this.pendingSearch = null;
+    this.lastSearch = search;
+    this.trackEvent('search_query', {
+      query: search.query,
+      resultCount: search.resultCount,
+      language: search.language,
+      url: window.location.href
+    });
+
+    this.updateSearchStats(search.query, stats => {
+      stats.searches++;
+      stats.resultCount = search.resultCount;
+      if (search.resultCount === 0) {
+        stats.zeroResults++;
       }
     });
-    
-    // Track search result clicks
-    document.addEventListener('click', (event) => {
-      if (event.target.closest('.search-result')) {
-        this.trackEvent('search_result_click', {
-          result: event.target.textContent.trim(),
-          url: window.location.href
-        });
+  }
+
+  /**
+   * Record a click on a result (rank counts from 1) of the last search
+   */
+  handleSearchResultClick({ query, rank, url }) {
+    const normalizedQuery = this.normalizeQuery(query);
+    if (this.pendingSearch && this.pendingSearch.query === normalizedQuery) {
+      this.flushSearchQuery();
+    }
+
+    const search = this.lastSearch && this.lastSearch.query === normalizedQuery ? this.lastSearch : null;
+    const timeToClick = search ? Date.now() - search.time : null;
+
+    this.trackEvent('search_result_click', {
+      query: normalizedQuery,
+      rank,
+      timeToClick,
+      result: url,
+      url: window.location.href
+    });
+
+    this.updateSearchStats(normalizedQuery, stats => {
+      stats.clicks++;
+      stats.rankTotal += rank;
+      if (timeToClick !== null) {
+        stats.timedClicks++;
+        stats.timeToClickTotal += timeToClick;
       }
     });
   }
 
+  /**
+   * Apply a change to one query's totals and store them
+   */
+  updateSearchStats(query, update) {
+    const searchStats = this.getSearchStats();
+    const stats = searchStats[query] || {
+      searches: 0,
+      zeroResults: 0,
+      resultCount: 0,
+      clicks: 0,
+      rankTotal: 0,
+      timedClicks: 0,
+      timeToClickTotal: 0
+    };
+
+    update(stats);
+    stats.lastSearched = new Date().toISOString();
+    searchStats[query] = stats;
+
+    const queries = Object.keys(searchStats);
+    if (queries.length > MAX_SEARCH_QUERIES) {
+      queries
+        .sort((a, b) => searchStats[a].lastSearched.localeCompare(searchStats[b].lastSearched))
+        .slice(0, queries.length - MAX_SEARCH_QUERIES)
+        .forEach(oldQuery => delete searchStats[oldQuery]);
+    }
+
+    try {
+      localStorage.setItem(SEARCH_STATS_KEY, JSON.stringify(searchStats));
+    } catch (e) {
+      // Ignore storage errors
+    }
+  }
+
+  /**
+   * Search totals per query, as stored (other tabs may have added to them)
+   */
+  getSearchStats() {
+    try {
+      return JSON.parse(localStorage.getItem(SEARCH_STATS_KEY)) || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  /**
+   * Report for the monitoring dashboard: the most searched queries, the
+   * queries nothing was found for (missing guides) and how far down the
+   * results people click
+   */
+  getSearchReport(limit = 10) {
+    const searchStats = this.getSearchStats();
+    const queries = Object.keys(searchStats).map(query => ({ query, ...searchStats[query] }));
+    const sum = field => queries.reduce((total, stats) => total + stats[field], 0);
+    const bySearches = (a, b) => b.searches - a.searches || a.query.localeCompare(b.query);
+
+    const searches = sum('searches');
+    const clicks = sum('clicks');
+    const timedClicks = sum('timedClicks');
+
+    return {
+      searches,
+      clicks,
+      zeroResultSearches: sum('zeroResults'),
+      clickThroughRate: searches > 0 ? clicks / searches : null,
+      averageClickRank: clicks > 0 ? sum('rankTotal') / clicks : null,
+      averageTimeToClick: timedClicks > 0 ? sum('timeToClickTotal') / timedClicks : null,
+      topQueries: queries
+        .filter(stats => stats.searches > 0)
+        .sort(bySearches)
+        .slice(0, limit)
+        .map(stats => ({
+          query: stats.query,
+          searches: stats.searches,
+          resultCount: stats.resultCount,
+          averageClickRank: stats.clicks > 0 ? stats.rankTotal / stats.clicks : null
+        })),
+      zeroResultQueries: queries
+        .filter(stats => stats.zeroResults > 0)
+        .sort((a, b) => b.zeroResults - a.zeroResults || a.query.localeCompare(b.query))
+        .slice(0, limit)
+        .map(stats => ({ query: stats.query, searches: stats.zeroResults }))
+    };
+  }
+
+  /**
+   * Count "Firewall  setup" and "firewall setup" as one query
+   */
+  normalizeQuery(query) {
+    return String(query || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  }
+
+  /**
+   * Clear the search totals
+   */
+  clearSearchStats() {
+    try {
+      localStorage.removeItem(SEARCH_STATS_KEY);
+    } catch (e) {
+      // Ignore
+    }
+  }
+
   /**
    * Track language switching
    */
@@ -7,6 +7,7 @@ class BookmarkManager {
   constructor() {
     this.storageKey = 'crypto-guide-bookmarks';
     this.bookmarks = this.loadBookmarks();
+    this.navigationModel = window.NavigationModel ? window.NavigationModel.get() : null;
     this.currentPage = this.getCurrentPageInfo();
     
     this.init();
@@ -18,6 +19,18 @@ class BookmarkManager {
   init() {
     this.setupEventListeners();
     this.updateBookmarkButtons();
+
+    // Section, phase and subsection of the page come from the navigation model
+    if (window.NavigationModel && !this.navigationModel) {
+      window.NavigationModel.load()
+        .then(model => {
+          this.navigationModel = model;
+          this.currentPage = this.getCurrentPageInfo();
+          this.updateBookmarkButtons();
+        })
+        .catch(error => console.error('Error loading navigation model:', error));
+    }
+
     console.log('Bookmark manager initialized');
   }
 
@@ -55,68 +68,20 @@ class BookmarkManager {
     const path = window.location.pathname;
     const title = document.title;
     
-    // Parse URL to determine section, phase, and subsection
-    let section = null;
-    let phase = null;
-    let subsection = null;
-    let pageType = 'page';
-
-    if (path.includes('/development-roadmap/')) {
-      section = 'development-roadmap';
-      pageType = 'guide';
-      
-      if (path.includes('/phase-1/')) {
-        phase = 'phase-1';
-        subsection = this.extractSubsection(path, ['database-schemas', 'payment-gateways', 'self-hosted-nodes']);
-      } else if (path.includes('/phase-2/')) {
-        phase = 'phase-2';
-        subsection = this.extractSubsection(path, ['api-development', 'security-implementation']);
-      } else if (path.includes('/phase-3/')) {
-        phase = 'phase-3';
-        subsection = this.extractSubsection(path, ['react-development', 'web3-integration']);
-      }
-    } else if (path.includes('/node-guides/')) {
-      section = 'node-guides';
-      pageType = 'guide';
-      
-      if (path.includes('/procurement-provisioning/')) {
-        phase = 'procurement-provisioning';
-        subsection = this.extractSubsection(path, ['vps-selection', 'hardware-requirements', 'cost-estimation']);
-      } else if (path.includes('/server-security/')) {
-        phase = 'server-security';
-        subsection = this.extractSubsection(path, ['secure-connections', 'firewall-config', 'system-hardening']);
-      } else if (path.includes('/installation/')) {
-        phase = 'installation';
-        subsection = this.extractSubsection(path, ['download-verification', 'configuration', 'setup-wizard']);
-      } else if (path.includes('/synchronization/')) {
-        phase = 'synchronization';
-        subsection = this.extractSubsection(path, ['monitoring', 'testing', 'maintenance']);
-      }
-    }
+    const page = this.navigationModel && this.navigationModel.findPage(path);
+    const inGuides = Boolean(page && page.section);
 
     return {
       url: path,
       title: title,
-      section: section,
-      phase: phase,
-      subsection: subsection,
-      pageType: pageType,
+      section: inGuides ? page.section : null,
+      phase: inGuides ? page.phase : null,
+      subsection: inGuides ? page.subsection : null,
+      pageType: inGuides ? 'guide' : 'page',
       hostname: window.location.hostname
     };
   }
 
-  /**
-   * Extract subsection from path
-   */
-  extractSubsection(path, possibleSubsections) {
-    for (const subsection of possibleSubsections) {
-      if (path.includes(`/${subsection}.html`) || path.includes(`/${subsection}/`)) {
-        return subsection;
-      }
-    }
-    return null;
-  }
-
   /**
    * Setup event listeners
    */
@@ -197,7 +162,8 @@ class BookmarkManager {
     const index = this.bookmarks.findIndex(b => b.id === bookmarkId);
     
     if (index >= 0) {
-      this.bookmarks.splice(index, 1);
+      const removed = this.bookmarks.splice(index, 1);
+      this.recordRemovedBookmarks(removed);
       this.saveBookmarks();
       this.updateBookmarkButtons();
       this.showNotification('Bookmark removed', 'info');
@@ -210,6 +176,16 @@ class BookmarkManager {
     return false;
   }
 
+  /**
+   * Keep removals for progress merges, so bookmarks removed here do not
+   * come back from another device (progress-document.js)
+   */
+  recordRemovedBookmarks(bookmarks) {
+    if (window.ProgressDocument) {
+      window.ProgressDocument.recordRemovedBookmarks(bookmarks);
+    }
+  }
+
   /**
    * Find existing bookmark for page
    */
@@ -388,29 +364,49 @@ class BookmarkManager {
       return;
     }
     
-    const bookmarksHTML = this.bookmarks.map(bookmark => `
-      <div class="bookmark-item" data-bookmark-id="${bookmark.id}">
+    bookmarkList.innerHTML = this.renderBookmarks(this.bookmarks);
+  }
+
+  /**
+   * Bookmark list items. Bookmarks can come from imported files and other
+   * devices, so everything in them is escaped.
+   */
+  renderBookmarks(bookmarks) {
+    const escape = value => this.escapeHtml(value);
+
+    return bookmarks.map(bookmark => `
+      <div class="bookmark-item" data-bookmark-id="${escape(bookmark.id)}">
         <div class="bookmark-content">
           <h3 class="bookmark-title">
-            <a href="${bookmark.url}">${bookmark.title}</a>
+            <a href="${escape(bookmark.url)}">${escape(bookmark.title || bookmark.url)}</a>
           </h3>
-          <p class="bookmark-description">${bookmark.description}</p>
+          <p class="bookmark-description">${escape(bookmark.description)}</p>
           <div class="bookmark-meta">
             <span class="bookmark-date">${this.formatDate(bookmark.addedAt)}</span>
             <div class="bookmark-tags">
-              ${bookmark.tags.map(tag => `<span class="bookmark-tag">${tag}</span>`).join('')}
+              ${(bookmark.tags || []).map(tag => `<span class="bookmark-tag">${escape(tag)}</span>`).join('')}
             </div>
           </div>
         </div>
         <div class="bookmark-actions">
-          <button class="remove-bookmark-btn" data-bookmark-id="${bookmark.id}" title="Remove bookmark">
+          <button class="remove-bookmark-btn" data-bookmark-id="${escape(bookmark.id)}" title="Remove bookmark">
             ✕
           </button>
         </div>
       </div>
     `).join('');
-    
-    bookmarkList.innerHTML = bookmarksHTML;
+  }
+
+  /**
+   * Escape text for HTML content and attribute values
+   */
+  escapeHtml(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
   }
 
   /**
@@ -467,7 +463,10 @@ class BookmarkManager {
         if (importData.bookmarks && Array.isArray(importData.bookmarks)) {
           // Merge with existing bookmarks, avoiding duplicates
           const existingUrls = new Set(this.bookmarks.map(b => b.url));
-          const newBookmarks = importData.bookmarks.filter(b => !existingUrls.has(b.url));
+          const importedBookmarks = window.ProgressDocument
+            ? window.ProgressDocument.sanitizeBookmarks(importData.bookmarks)
+            : importData.bookmarks;
+          const newBookmarks = importedBookmarks.filter(b => !existingUrls.has(b.url));
           
           this.bookmarks = [...this.bookmarks, ...newBookmarks];
           this.saveBookmarks();
@@ -492,6 +491,7 @@ class BookmarkManager {
    */
   clearAllBookmarks() {
     if (confirm('Are you sure you want to remove all bookmarks? This cannot be undone.')) {
+      this.recordRemovedBookmarks(this.bookmarks);
       this.bookmarks = [];
       this.saveBookmarks();
       this.updateBookmarkButtons();
@@ -541,7 +541,7 @@ class BookmarkManager {
       }
       
       // Count by tags
-      bookmark.tags.forEach(tag => {
+      (bookmark.tags || []).forEach(tag => {
         stats.byTags[tag] = (stats.byTags[tag] || 0) + 1;
       });
       
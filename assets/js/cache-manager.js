@@ -5,7 +5,8 @@
 
 class CacheManager {
   constructor() {
-    this.cacheName = 'crypto-guide-cache-v1';
+    // Shared with sw.js (CACHE_NAME), which precaches the search indexes
+    this.cacheName = 'crypto-guide-cache-v3';
     this.offlineStorageKey = 'crypto-guide-offline';
     this.cacheExpiry = 24 * 60 * 60 * 1000; // 24 hours
     this.isOnline = navigator.onLine;
@@ -120,7 +121,7 @@ class CacheManager {
       '/assets/css/layout.css',
       '/assets/css/components.css',
       '/assets/js/navigation.js',
-      '/data/search-index.json'
+      '/data/search/en.json'
     ];
 
     try {
@@ -180,6 +181,43 @@ class CacheManager {
     }
   }
 
+  /**
+   * Paths of the pages that can be opened offline. Directory pages count
+   * under both names (/node-guides/ and /node-guides/index.html).
+   */
+  async getCachedPages() {
+    const pages = new Set();
+
+    try {
+      const cache = await caches.open(this.cacheName);
+      const requests = await cache.keys();
+
+      requests.forEach(request => {
+        const { pathname } = new URL(request.url);
+        if (pathname.endsWith('/')) {
+          pages.add(pathname);
+          pages.add(`${pathname}index.html`);
+        } else if (pathname.endsWith('.html')) {
+          pages.add(pathname);
+          if (pathname.endsWith('/index.html')) {
+            pages.add(pathname.slice(0, -'index.html'.length));
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Error listing cached pages:', error);
+    }
+
+    return pages;
+  }
+
+  /**
+   * Whether a link (with or without #hash or ?query) opens offline
+   */
+  isPageCached(pages, url) {
+    return pages.has(url.split(/[?#]/)[0]);
+  }
+
   /**
    * Fetch content with caching
    */
@@ -422,24 +460,39 @@ class CacheManager {
 
     console.log(`Syncing ${pendingData.length} pending requests`);
     
+    const failedRequests = [];
     for (const request of pendingData) {
       try {
-        await fetch(request.url, request.options);
+        const response = await fetch(request.url, request.options);
         console.log(`Synced request: ${request.url}`);
+        
+        // Let whoever queued the request see how it went (progress-sync.js)
+        window.dispatchEvent(new CustomEvent('pendingsync', {
+          detail: {
+            url: request.url,
+            status: response.status,
+            ok: response.ok,
+            etag: response.headers ? response.headers.get('ETag') : null
+          }
+        }));
       } catch (error) {
         console.error(`Failed to sync request: ${request.url}`, error);
+        failedRequests.push(request);
       }
     }
     
-    // Clear pending requests
-    this.storeOfflineData('pendingRequests', []);
+    // Keep requests that did not reach the server for the next time online
+    this.storeOfflineData('pendingRequests', failedRequests);
   }
 
   /**
-   * Add request to pending sync queue
+   * Add request to pending sync queue; replaces a queued request with the
+   * same method and URL, whose data this one is newer than
    */
   addToPendingSync(url, options) {
-    const pendingRequests = this.getOfflineData('pendingRequests') || [];
+    const method = (options && options.method) || 'GET';
+    const pendingRequests = (this.getOfflineData('pendingRequests') || [])
+      .filter(request => request.url !== url || ((request.options && request.options.method) || 'GET') !== method);
     pendingRequests.push({ url, options, timestamp: Date.now() });
     this.storeOfflineData('pendingRequests', pendingRequests);
   }
@@ -1,8 +1,15 @@
 /**
  * Code Blocks Module
  * Enhanced code block functionality with copy-to-clipboard, expand/collapse, and interactive features
+ *
+ * Blocks rendered by the build (components/code-block.html) keep their
+ * markup and id; a link to #block-id:L12 expands that block and scrolls to
+ * line 12 (search results link to code this way).
  */
 
+// #block-id:L12
+const LINE_HASH_PATTERN = /^#(.+):L(\d+)$/;
+
 class CodeBlockManager {
   constructor() {
     this.codeBlocks = [];
@@ -18,6 +25,7 @@ class CodeBlockManager {
   init() {
     this.setupCodeBlocks();
     this.setupEventListeners();
+    this.revealHashLine();
     console.log('Code block manager initialized');
   }
 
@@ -39,6 +47,12 @@ class CodeBlockManager {
   enhanceCodeBlock(element) {
     let codeBlock;
     
+    const container = element.closest('.code-block-container');
+    if (container) {
+      this.registerRenderedBlock(container);
+      return;
+    }
+
     if (element.classList.contains('code-block')) {
       codeBlock = element;
     } else {
@@ -72,6 +86,36 @@ class CodeBlockManager {
     this.applySyntaxHighlighting(codeBlock);
   }
 
+  /**
+   * Manage a block rendered by the build without rebuilding it: it keeps
+   * the id it is linked by, and large blocks start collapsed
+   */
+  registerRenderedBlock(container) {
+    const pre = container.querySelector('pre');
+    if (!pre || container.dataset.enhanced === 'true') {
+      return;
+    }
+
+    const blockId = pre.id || this.generateBlockId();
+    container.dataset.blockId = blockId;
+    container.dataset.enhanced = 'true';
+
+    const codeInfo = this.extractCodeInfo(container);
+    codeInfo.title = container.querySelector('.code-block-title')?.textContent.trim() || codeInfo.title;
+
+    if (codeInfo.isLarge) {
+      container.classList.add('collapsed');
+      container.querySelector('.code-block-header')?.appendChild(this.createExpandButton(blockId));
+    }
+
+    this.codeBlocks.push({
+      id: blockId,
+      element: container,
+      info: codeInfo,
+      isExpanded: !codeInfo.isLarge
+    });
+  }
+
   /**
    * Wrap existing code elements in enhanced structure
    */
@@ -351,6 +395,8 @@ class CodeBlockManager {
       }
     });
 
+    window.addEventListener('hashchange', () => this.revealHashLine());
+
     // Keyboard shortcuts
     document.addEventListener('keydown', (e) => {
       // Ctrl+C on focused code block
@@ -420,6 +466,55 @@ class CodeBlockManager {
     block.isExpanded = !isCollapsed;
   }
 
+  /**
+   * Expand a block, mark one of its lines (1-based) and scroll to it
+   */
+  revealLine(blockId, lineNumber) {
+    const block = this.findBlockById(blockId);
+    if (!block) return null;
+
+    if (block.element.classList.contains('collapsed')) {
+      this.handleExpandClick(blockId);
+    }
+
+    const codeElement = block.element.querySelector('code') || block.element.querySelector('pre');
+    const line = this.markLine(codeElement, lineNumber);
+    (line || block.element).scrollIntoView({ behavior: 'smooth', block: 'center' });
+    return line;
+  }
+
+  /**
+   * Wrap the lines of a code element (like SyntaxHighlighter does) and
+   * mark one of them
+   */
+  markLine(codeElement, lineNumber) {
+    if (!codeElement.querySelector('.code-line')) {
+      codeElement.innerHTML = codeElement.innerHTML
+        .split('\n')
+        .map((line, index) => `<span class="code-line" data-line="${index + 1}">${line}</span>`)
+        .join('\n');
+    }
+
+    codeElement.querySelectorAll('.code-line-highlighted').forEach(line => {
+      line.classList.remove('code-line-highlighted');
+    });
+    const line = codeElement.querySelector(`.code-line[data-line="${lineNumber}"]`);
+    if (line) {
+      line.classList.add('code-line-highlighted');
+    }
+    return line;
+  }
+
+  /**
+   * Reveal the line the page was linked to (#block-id:L12)
+   */
+  revealHashLine() {
+    const match = LINE_HASH_PATTERN.exec(window.location.hash || '');
+    if (match) {
+      this.revealLine(decodeURIComponent(match[1]), Number(match[2]));
+    }
+  }
+
   /**
    * Handle run button click (simulation)
    */
@@ -0,0 +1,583 @@
+/**
+ * Command Palette Module
+ * Ctrl/Cmd+K opens a palette that fuzzy-matches pages (from the search
+ * index of the current language), headings on this page, bookmarks and
+ * actions, and runs the chosen one. Everything it offers comes from the
+ * modules the page has loaded: TableOfContents, BookmarkManager,
+ * ProgressTracker, SequentialNavigation, SyntaxHighlighter,
+ * LanguageSwitcher and AccessibilityManager; missing ones are left out.
+ *
+ * The dialog is a `.modal`, so AccessibilityManager keeps Tab inside it
+ * (trapFocus) while it is open.
+ */
+
+// English strings for when the catalogs (assets/data/translations) are not loaded
+const PALETTE_MESSAGES = {
+  'palette-title': 'Command palette',
+  'palette-placeholder': 'Go to a page, heading or action…',
+  'palette-no-results': 'No matches',
+  'palette-hint': '↑↓ to choose, Enter to run, Esc to close',
+  'palette-group-page': 'Page',
+  'palette-group-heading': 'Heading',
+  'palette-group-bookmark': 'Bookmark',
+  'palette-group-action': 'Action',
+  'palette-search-site': 'Search the guides for "{query}"',
+  'palette-previous-page': 'Previous page: {title}',
+  'palette-next-page': 'Next page: {title}',
+  'palette-switch-language': 'Switch language: {language}',
+  'palette-code-theme': 'Code theme: {theme}',
+  'palette-export-progress': 'Export progress',
+  'palette-mark-complete': 'Mark this page complete',
+  'palette-high-contrast': 'Toggle high contrast'
+};
+
+// Page types of the search index to offer as pages
+const PAGE_TYPES = ['overview', 'phase', 'subsection'];
+
+// Commands shown at most
+const MAX_RESULTS = 50;
+
+class CommandPalette {
+  constructor() {
+    this.isOpen = false;
+    this.commands = [];
+    this.results = [];
+    this.activeIndex = 0;
+    this.pages = new Map();
+    this.element = null;
+    this.previousFocus = null;
+
+    this.init();
+  }
+
+  /**
+   * Initialize the command palette
+   */
+  init() {
+    this.setupEventListeners();
+  }
+
+  /**
+   * Setup the shortcut that opens and closes the palette
+   */
+  setupEventListeners() {
+    document.addEventListener('keydown', (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.key === 'k') {
+        e.preventDefault();
+        this.toggle();
+      }
+    });
+  }
+
+  /**
+   * Create the dialog the first time it opens
+   */
+  createElement() {
+    const element = document.createElement('div');
+    element.className = 'command-palette';
+    element.hidden = true;
+    element.innerHTML = `
+      <div class="command-palette-overlay"></div>
+      <div class="command-palette-dialog modal" role="dialog" aria-modal="true" hidden>
+        <input class="command-palette-input" type="text" role="combobox" aria-expanded="true"
+               aria-controls="command-palette-list" aria-autocomplete="list" autocomplete="off" spellcheck="false">
+        <ul class="command-palette-list" id="command-palette-list" role="listbox"></ul>
+        <p class="command-palette-empty" hidden></p>
+        <p class="command-palette-hint"></p>
+      </div>
+    `;
+
+    const dialog = element.querySelector('.command-palette-dialog');
+    const input = element.querySelector('.command-palette-input');
+    dialog.setAttribute('aria-label', this.t('palette-title'));
+    input.placeholder = this.t('palette-placeholder');
+    input.setAttribute('aria-label', this.t('palette-placeholder'));
+    element.querySelector('.command-palette-empty').textContent = this.t('palette-no-results');
+    element.querySelector('.command-palette-hint').textContent = this.t('palette-hint');
+
+    input.addEventListener('input', () => this.update());
+    input.addEventListener('keydown', (e) => this.handleKeydown(e));
+    element.querySelector('.command-palette-overlay').addEventListener('click', () => this.close());
+    element.querySelector('.command-palette-list').addEventListener('click', (e) => {
+      const option = e.target.closest('.command-palette-option');
+      if (option) {
+        this.run(Number(option.dataset.index));
+      }
+    });
+
+    document.body.appendChild(element);
+    return element;
+  }
+
+  /**
+   * Open the palette with an empty query
+   */
+  open() {
+    if (this.isOpen) return;
+
+    if (!this.element) {
+      this.element = this.createElement();
+    }
+
+    this.isOpen = true;
+    this.previousFocus = document.activeElement;
+    this.element.hidden = false;
+    this.element.querySelector('.command-palette-dialog').hidden = false;
+
+    const input = this.element.querySelector('.command-palette-input');
+    input.value = '';
+    this.commands = this.getCommands();
+    this.update();
+    input.focus();
+
+    // Pages arrive with the search index; show them once they do
+    this.loadPages(this.getCurrentLanguage()).then(() => {
+      if (this.isOpen) {
+        this.commands = this.getCommands();
+        this.update();
+      }
+    });
+  }
+
+  /**
+   * Close the palette and give focus back
+   */
+  close() {
+    if (!this.isOpen) return;
+
+    this.isOpen = false;
+    this.element.hidden = true;
+    this.element.querySelector('.command-palette-dialog').hidden = true;
+    if (this.previousFocus && this.previousFocus.focus) {
+      this.previousFocus.focus();
+    }
+    this.previousFocus = null;
+  }
+
+  toggle() {
+    if (this.isOpen) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+
+  /**
+   * Arrow keys choose, Enter runs, Escape closes
+   */
+  handleKeydown(e) {
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        this.setActive(this.activeIndex + 1);
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        this.setActive(this.activeIndex - 1);
+        break;
+      case 'Enter':
+        e.preventDefault();
+        this.run(this.activeIndex);
+        break;
+      case 'Escape':
+        e.preventDefault();
+        e.stopPropagation();
+        this.close();
+        break;
+    }
+  }
+
+  /**
+   * Everything the palette can do on this page
+   */
+  getCommands() {
+    return [
+      ...this.getActionCommands(),
+      ...this.getHeadingCommands(),
+      ...this.getBookmarkCommands(),
+      ...this.getPageCommands()
+    ];
+  }
+
+  /**
+   * Headings from the table of contents, or the page's own headings with
+   * an id when it has none
+   */
+  getHeadingCommands() {
+    const toc = window.tableOfContents;
+    const headings = toc && toc.headings.length
+      ? toc.headings
+      : Array.from(document.querySelectorAll('.content-area h2[id], .content-area h3[id]')).map(element => ({
+        id: element.id,
+        text: element.textContent.trim()
+      }));
+
+    return headings.map(heading => ({
+      group: 'heading',
+      label: heading.text,
+      run: () => {
+        if (toc) {
+          toc.scrollToHeading(heading.id);
+        } else {
+          document.getElementById(heading.id).scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
+      }
+    }));
+  }
+
+  getBookmarkCommands() {
+    const bookmarks = window.bookmarkManager ? window.bookmarkManager.bookmarks : [];
+    return bookmarks.map(bookmark => ({
+      group: 'bookmark',
+      label: bookmark.title,
+      detail: bookmark.phase || '',
+      run: () => this.navigate(bookmark.url)
+    }));
+  }
+
+  getPageCommands() {
+    const pages = this.pages.get(this.getCurrentLanguage().split('-')[0]);
+    return (pages || []).map(page => ({
+      group: 'page',
+      label: page.title,
+      detail: page.phase || '',
+      run: () => this.navigate(page.url)
+    }));
+  }
+
+  getActionCommands() {
+    const actions = [];
+    const sequentialNavigation = window.sequentialNavigation;
+    const progressTracker = window.progressTracker;
+
+    if (sequentialNavigation) {
+      const previousPage = sequentialNavigation.getPreviousPage();
+      const nextPage = sequentialNavigation.getNextPage();
+      if (previousPage) {
+        actions.push({
+          label: this.t('palette-previous-page', { title: previousPage.title }),
+          shortcut: 'Alt+←',
+          run: () => this.navigate(previousPage.url)
+        });
+      }
+      if (nextPage) {
+        actions.push({
+          label: this.t('palette-next-page', { title: nextPage.title }),
+          shortcut: 'Alt+→',
+          run: () => this.navigate(nextPage.url)
+        });
+      }
+    }
+
+    if (progressTracker) {
+      const { currentSection, currentPhase, currentSubsection } = progressTracker;
+      if (currentSubsection) {
+        actions.push({
+          label: this.t('palette-mark-complete'),
+          run: () => progressTracker.markSubsectionCompleted(currentSection, currentPhase, currentSubsection)
+        });
+      }
+      actions.push({
+        label: this.t('palette-export-progress'),
+        run: () => progressTracker.downloadProgress()
+      });
+    }
+
+    if (window.accessibilityManager) {
+      actions.push({
+        label: this.t('palette-high-contrast'),
+        run: () => window.accessibilityManager.toggleHighContrast()
+      });
+    }
+
+    if (window.languageSwitcher) {
+      const languageSwitcher = window.languageSwitcher;
+      const currentLanguage = languageSwitcher.getCurrentLanguage().split('-')[0];
+      languageSwitcher.supportedLanguages.forEach((language, index) => {
+        if (language !== currentLanguage) {
+          actions.push({
+            label: this.t('palette-switch-language', { language: this.getLanguageName(language) }),
+            shortcut: `Alt+${index + 1}`,
+            run: () => languageSwitcher.switchLanguage(language)
+          });
+        }
+      });
+    }
+
+    if (window.syntaxHighlighter) {
+      const highlighter = window.syntaxHighlighter;
+      highlighter.getAvailableThemes()
+        .filter(theme => theme !== highlighter.getCurrentTheme())
+        .forEach(theme => {
+          actions.push({
+            label: this.t('palette-code-theme', { theme: highlighter.formatThemeName(theme) }),
+            run: () => highlighter.changeTheme(theme)
+          });
+        });
+    }
+
+    return actions.map(action => ({ group: 'action', ...action }));
+  }
+
+  /**
+   * Fetch the pages of a language from its search index (written by the
+   * build to data/search/{lang}.json); the index is shared with search.html
+   */
+  loadPages(language) {
+    const baseLanguage = language.split('-')[0];
+    if (this.pages.has(baseLanguage)) {
+      return Promise.resolve(this.pages.get(baseLanguage));
+    }
+
+    return fetch(`/data/search/${baseLanguage}.json`)
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`${response.status} ${response.statusText}`);
+        }
+        return response.json();
+      })
+      .then(data => {
+        const pages = (data.documents || []).filter(document => PAGE_TYPES.includes(document.type));
+        this.pages.set(baseLanguage, pages);
+        return pages;
+      })
+      .catch(error => {
+        console.warn('Command palette could not load pages:', error);
+        return [];
+      });
+  }
+
+  /**
+   * Match the query against every command and show the best matches
+   */
+  update() {
+    const query = this.element.querySelector('.command-palette-input').value.trim();
+    this.results = this.filterCommands(query);
+
+    if (query) {
+      this.results.push({
+        group: 'action',
+        label: this.t('palette-search-site', { query }),
+        positions: [],
+        run: () => this.navigate(`/search.html?q=${encodeURIComponent(query)}`)
+      });
+    }
+
+    this.activeIndex = 0;
+    this.render();
+  }
+
+  /**
+   * Commands matching a query, best first; all of them (up to the limit)
+   * for an empty query
+   */
+  filterCommands(query) {
+    if (!query) {
+      return this.commands.slice(0, MAX_RESULTS).map(command => ({ ...command, positions: [] }));
+    }
+
+    return this.commands
+      .map((command, order) => ({ command, order, match: CommandPalette.fuzzyMatch(query, command.label) }))
+      .filter(({ match }) => match)
+      .sort((a, b) => b.match.score - a.match.score || a.order - b.order)
+      .slice(0, MAX_RESULTS)
+      .map(({ command, match }) => ({ ...command, positions: match.positions }));
+  }
+
+  render() {
+    const list = this.element.querySelector('.command-palette-list');
+    const input = this.element.querySelector('.command-palette-input');
+    list.innerHTML = '';
+
+    this.results.forEach((result, index) => {
+      const option = document.createElement('li');
+      option.className = 'command-palette-option';
+      option.id = `command-palette-option-${index}`;
+      option.dataset.index = index;
+      option.setAttribute('role', 'option');
+
+      const label = document.createElement('span');
+      label.className = 'command-palette-label';
+      this.appendHighlighted(label, result.label, result.positions);
+      option.appendChild(label);
+
+      if (result.detail) {
+        const detail = document.createElement('span');
+        detail.className = 'command-palette-detail';
+        detail.textContent = result.detail;
+        option.appendChild(detail);
+      }
+
+      const group = document.createElement('span');
+      group.className = 'command-palette-group';
+      group.textContent = result.shortcut || this.t(`palette-group-${result.group}`);
+      option.appendChild(group);
+
+      list.appendChild(option);
+    });
+
+    this.element.querySelector('.command-palette-empty').hidden = this.results.length > 0;
+    this.setActive(0);
+    input.setAttribute('aria-expanded', String(this.results.length > 0));
+  }
+
+  /**
+   * Show text with the matched characters marked
+   */
+  appendHighlighted(element, text, positions) {
+    const matched = new Set(positions);
+    let run = '';
+    let runMatched = false;
+
+    const flush = () => {
+      if (!run) return;
+      if (runMatched) {
+        const mark = document.createElement('mark');
+        mark.textContent = run;
+        element.appendChild(mark);
+      } else {
+        element.appendChild(document.createTextNode(run));
+      }
+      run = '';
+    };
+
+    Array.from(text).forEach((char, index) => {
+      if (matched.has(index) !== runMatched) {
+        flush();
+        runMatched = matched.has(index);
+      }
+      run += char;
+    });
+    flush();
+  }
+
+  setActive(index) {
+    const options = this.element.querySelectorAll('.command-palette-option');
+    const input = this.element.querySelector('.command-palette-input');
+    if (options.length === 0) {
+      this.activeIndex = 0;
+      input.removeAttribute('aria-activedescendant');
+      return;
+    }
+
+    this.activeIndex = (index + options.length) % options.length;
+    options.forEach((option, optionIndex) => {
+      const isActive = optionIndex === this.activeIndex;
+      option.classList.toggle('active', isActive);
+      option.setAttribute('aria-selected', String(isActive));
+    });
+
+    const active = options[this.activeIndex];
+    input.setAttribute('aria-activedescendant', active.id);
+    if (active.scrollIntoView) {
+      active.scrollIntoView({ block: 'nearest' });
+    }
+  }
+
+  /**
+   * Close the palette and run a result
+   */
+  run(index) {
+    const result = this.results[index];
+    if (!result) return;
+
+    this.close();
+    result.run();
+  }
+
+  navigate(url) {
+    window.location.href = url;
+  }
+
+  /**
+   * Fuzzy match: every query character (spaces aside) in order in the
+   * text. Matches at word starts and runs of consecutive characters score
+   * higher. Returns null or { score, positions }.
+   */
+  static fuzzyMatch(query, text) {
+    const fold = char => char.normalize('NFD')[0].toLowerCase();
+    const chars = Array.from(text).map(fold);
+    const needle = Array.from(query).filter(char => !/\s/.test(char)).map(fold);
+    if (needle.length === 0) {
+      return null;
+    }
+
+    const isWordStart = index => index === 0 || /[\s\-_/:.(]/.test(chars[index - 1]);
+    const positions = [];
+    let score = 0;
+    let from = 0;
+
+    for (const char of needle) {
+      let index = chars.indexOf(char, from);
+      if (index === -1) {
+        return null;
+      }
+
+      // Rather than skipping ahead to any occurrence, prefer the next one
+      // that starts a word
+      if (index !== from || positions.length === 0) {
+        for (let next = index; next < chars.length; next++) {
+          if (chars[next] === char && isWordStart(next)) {
+            index = next;
+            break;
+          }
+        }
+      }
+
+      score += 1;
+      if (isWordStart(index)) {
+        score += 8;
+      }
+      if (positions.length > 0 && index === positions[positions.length - 1] + 1) {
+        score += 5;
+      }
+      positions.push(index);
+      from = index + 1;
+    }
+
+    // Shorter texts and earlier matches win ties
+    score -= positions[0] * 0.1 + chars.length * 0.01;
+    return { score, positions };
+  }
+
+  /**
+   * Language to list pages in: the language switcher's, if the page has one
+   */
+  getCurrentLanguage() {
+    if (window.languageSwitcher) {
+      return window.languageSwitcher.getCurrentLanguage();
+    }
+    return window.i18n ? window.i18n.getCurrentLanguage() : (document.documentElement.lang || 'en');
+  }
+
+  /**
+   * Name of a language in that language (Nederlands, français)
+   */
+  getLanguageName(language) {
+    try {
+      return new Intl.DisplayNames([language], { type: 'language' }).of(language);
+    } catch (error) {
+      return language;
+    }
+  }
+
+  /**
+   * Catalog message, or the English default until the catalogs load
+   */
+  t(key, params = {}) {
+    if (window.i18n && window.i18n.getMessage(key) !== null) {
+      return window.i18n.translate(key, params);
+    }
+    return PALETTE_MESSAGES[key].replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+  }
+}
+
+// Initialize command palette when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  window.commandPalette = new CommandPalette();
+});
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CommandPalette;
+}
@@ -8,12 +8,29 @@ class ContentValidator {
     this.errors = [];
     this.warnings = [];
     this.supportedLanguages = ['en', 'nl', 'fr'];
+    this.sourceLanguage = 'en';
     this.requiredFields = {
       main: ['title', 'description', 'phases'],
       phase: ['id', 'title', 'description', 'estimatedTime', 'difficulty', 'subsections'],
       subsection: ['id', 'title', 'description', 'content', 'prerequisites'],
       translation: ['title', 'description', 'navigation', 'common', 'phases']
     };
+    this.translatablePhaseFields = ['title', 'description', 'estimatedTime', 'difficulty'];
+    this.translatableSubsectionFields = ['title', 'description', 'content'];
+  }
+
+  /**
+   * Fetch a JSON file, returning `fallback` when it doesn't exist
+   */
+  async fetchJson(url, fallback) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      if (response.status === 404 && fallback !== undefined) {
+        return fallback;
+      }
+      throw new Error(`${url}: ${response.status} ${response.statusText}`);
+    }
+    return response.json();
   }
 
   /**
@@ -49,11 +66,20 @@ class ContentValidator {
    */
   async validateTranslations(contentType) {
     const translationResults = {};
+    let source = null;
+
+    try {
+      source = {
+        content: await this.fetchJson(`/data/${contentType}.json`),
+        terms: await this.fetchJson(`/data/${this.sourceLanguage}/${contentType}.json`, {})
+      };
+    } catch (error) {
+      this.warnings.push(`Can't check translation sources for ${contentType}: ${error.message}`);
+    }
     
     for (const lang of this.supportedLanguages) {
       try {
-        const response = await fetch(`/data/${lang}/${contentType}.json`);
-        const translation = await response.json();
+        const translation = await this.fetchJson(`/data/${lang}/${contentType}.json`);
         
         this.validateStructure(translation, this.requiredFields.translation, 
           `${contentType} ${lang} translation`);
@@ -64,10 +90,20 @@ class ContentValidator {
         // Validate common terms
         this.validateCommonTermsTranslation(translation.common, lang, contentType);
         
+        // Missing text falls back to English; outdated text was translated
+        // from English that has changed since. Neither fails validation.
+        let sources = { missing: [], outdated: [] };
+        if (source && lang !== this.sourceLanguage) {
+          const sourceHashes = await this.fetchJson(`/data/${lang}/source-hashes.json`, {});
+          sources = await this.checkTranslationSources(contentType, source.content, source.terms, translation, sourceHashes);
+        }
+        
         translationResults[lang] = {
           valid: this.errors.length === 0,
           errors: [...this.errors],
-          warnings: [...this.warnings]
+          warnings: [...this.warnings],
+          missing: sources.missing,
+          outdated: sources.outdated
         };
         
         // Reset for next language
@@ -78,7 +114,9 @@ class ContentValidator {
         translationResults[lang] = {
           valid: false,
           errors: [`Failed to load ${lang} translation: ${error.message}`],
-          warnings: []
+          warnings: [],
+          missing: [],
+          outdated: []
         };
       }
     }
@@ -86,6 +124,85 @@ class ContentValidator {
     return translationResults;
   }
 
+  /**
+   * Every translatable field of a content file with its English source and
+   * translated text, keyed like the translation exchange files
+   * (node-guides/installation/configuration/prerequisites.0, see
+   * scripts/translations.js). `terms` are the English navigation and common
+   * labels from data/en/.
+   */
+  getTranslatableFields(contentType, content, terms, translation) {
+    const fields = [];
+    const add = (key, source, target) => {
+      if (typeof source === 'string' && source !== '') {
+        fields.push({ key, source, target: target || '' });
+      }
+    };
+    const findById = (list, id) => (list || []).find(item => item.id === id) || {};
+
+    ['title', 'description'].forEach(field => {
+      add(`${contentType}/${field}`, content[field], translation[field]);
+    });
+
+    ['navigation', 'common'].forEach(group => {
+      Object.entries(terms[group] || {}).forEach(([term, source]) => {
+        add(`${contentType}/${group}.${term}`, source, (translation[group] || {})[term]);
+      });
+    });
+
+    (content.phases || []).forEach(phase => {
+      const translatedPhase = findById(translation.phases, phase.id);
+      this.translatablePhaseFields.forEach(field => {
+        add(`${contentType}/${phase.id}/${field}`, phase[field], translatedPhase[field]);
+      });
+
+      (phase.subsections || []).forEach(subsection => {
+        const prefix = `${contentType}/${phase.id}/${subsection.id}`;
+        const translatedSubsection = findById(translatedPhase.subsections, subsection.id);
+        this.translatableSubsectionFields.forEach(field => {
+          add(`${prefix}/${field}`, subsection[field], translatedSubsection[field]);
+        });
+        (subsection.prerequisites || []).forEach((prerequisite, index) => {
+          add(`${prefix}/prerequisites.${index}`, prerequisite, (translatedSubsection.prerequisites || [])[index]);
+        });
+      });
+    });
+
+    return fields;
+  }
+
+  /**
+   * Compare a translation with the English it was made from. Importing a
+   * translation records a hash of each field's English source in
+   * data/{lang}/source-hashes.json; a field is outdated when that English has
+   * changed since, or when it differs from the English without any record of
+   * what it was translated from. Returns the keys of missing and outdated fields.
+   */
+  async checkTranslationSources(contentType, content, terms, translation, sourceHashes) {
+    const missing = [];
+    const outdated = [];
+
+    for (const field of this.getTranslatableFields(contentType, content, terms, translation)) {
+      const hash = sourceHashes[field.key];
+      if (!field.target || (!hash && field.target === field.source)) {
+        missing.push(field.key);
+      } else if (!hash || hash !== await this.hashSource(field.source)) {
+        outdated.push(field.key);
+      }
+    }
+
+    return { missing, outdated };
+  }
+
+  /**
+   * First 12 hex digits of the SHA-256 of a string, as recorded in
+   * source-hashes.json by the translation import
+   */
+  async hashSource(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('').slice(0, 12);
+  }
+
   /**
    * Validate content structure against required fields
    */
@@ -193,6 +310,8 @@ class ContentValidator {
       summary: {
         totalErrors: 0,
         totalWarnings: 0,
+        totalMissing: 0,
+        totalOutdated: 0,
         contentTypes: Object.keys(validationResults)
       },
       details: validationResults
@@ -212,6 +331,8 @@ class ContentValidator {
         Object.values(result.translations).forEach(translation => {
           report.summary.totalErrors += translation.errors.length;
           report.summary.totalWarnings += translation.warnings.length;
+          report.summary.totalMissing += (translation.missing || []).length;
+          report.summary.totalOutdated += (translation.outdated || []).length;
         });
       }
     });
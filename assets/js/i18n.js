@@ -1,222 +1,378 @@
 /**
  * Internationalization (i18n) Module
- * Handles translation management and configuration for different languages
+ * One catalog of UI strings per language (assets/data/translations/{lang}.json),
+ * shared by the build, which renders them into the page templates, and the
+ * browser, which translates [data-i18n] elements and script-generated text.
+ *
+ * Messages use ICU syntax for arguments and plurals:
+ *   "phase-progress": "{percent}% Complete"
+ *   "search-results": "{count, plural, =0 {No results} one {# result} other {# results}}"
+ *
+ * Missing messages fall back along the language tag (fr-CA -> fr -> en).
+ * Changing the language fires a single `languagechange` event on document
+ * with { language, previousLanguage } in its detail.
  */
 
 class I18n {
-    constructor() {
-        this.currentLanguage = 'en';
-        this.supportedLanguages = ['en', 'nl', 'fr'];
-        this.translations = {};
-        this.fallbackLanguage = 'en';
-        
-        this.init();
-    }
-    
-    init() {
-        this.loadTranslations();
-    }
-    
+    constructor(options = {}) {
+        this.supportedLanguages = options.supportedLanguages || ['en', 'nl', 'fr'];
+        this.defaultLanguage = 'en';
+        this.currentLanguage = this.defaultLanguage;
+        this.catalogUrl = options.catalogUrl || '/assets/data/translations';
+        this.catalogs = {};
+        this.loading = new Map();
+        this.parsed = new Map();
+    }
+
     /**
-     * Load translations for all supported languages
+     * Languages to look a message up in, most specific first:
+     * fr-CA -> ['fr-CA', 'fr', 'en']
      */
-    loadTranslations() {
-        this.translations = {
-            en: {
-                // Site branding
-                'site-title': 'The Road to Crypto',
-                'site-subtitle': 'Interactive Implementation Blueprint',
-                
-                // Navigation
-                'nav-home': 'Home',
-                'nav-development': 'Development Roadmap',
-                'nav-node-guides': 'Node Guides',
-                
-                // Common buttons and actions
-                'btn-start': 'Start',
-                'btn-continue': 'Continue',
-                'btn-next': 'Next',
-                'btn-previous': 'Previous',
-                'btn-learn-more': 'Learn More',
-                'btn-get-started': 'Get Started',
-                
-                // Development Roadmap
-                'dev-hero-badge': 'Development Track',
-                'dev-hero-title': 'Development Roadmap',
-                'dev-hero-subtitle': 'Learn to integrate Bitcoin and Monero wallets with secure escrow systems',
-                'dev-hero-description': 'A comprehensive 3-phase approach to crypto development, covering everything from database design to frontend implementation.',
-                
-                // Node Guides
-                'node-hero-badge': 'Node Setup Track',
-                'node-hero-title': 'Node Setup Guides',
-                'node-hero-subtitle': 'Set up your own Bitcoin and Monero nodes for maximum privacy and decentralization',
-                'node-hero-description': 'Follow step-by-step guides covering everything from server procurement to blockchain synchronization.',
-                
-                // Phase titles
-                'phase-1-title': 'Phase 1: Procurement & Provisioning',
-                'phase-2-title': 'Phase 2: Server Security & Hardening',
-                'phase-3-title': 'Phase 3: Node Software Installation & Configuration',
-                'phase-4-title': 'Phase 4: Blockchain Synchronization & Monitoring',
-                
-                // Features
-                'feature-privacy-title': 'Enhanced Privacy',
-                'feature-privacy-desc': 'Don\'t rely on third-party services that can track your transactions and balances',
-                'feature-network-title': 'Network Contribution',
-                'feature-network-desc': 'Help strengthen the network by validating transactions and maintaining decentralization',
-                'feature-control-title': 'Full Control',
-                'feature-control-desc': 'Complete sovereignty over your node configuration and transaction validation',
-                
-                // Footer
-                'footer-text': '© 2025 The Road to Crypto - Interactive Implementation Blueprint'
-            },
-            
-            nl: {
-                // Site branding
-                'site-title': 'De Weg naar Crypto',
-                'site-subtitle': 'Interactieve Implementatie Blauwdruk',
-                
-                // Navigation
-                'nav-home': 'Home',
-                'nav-development': 'Ontwikkelingsroadmap',
-                'nav-node-guides': 'Node Gidsen',
-                
-                // Common buttons and actions
-                'btn-start': 'Start',
-                'btn-continue': 'Doorgaan',
-                'btn-next': 'Volgende',
-                'btn-previous': 'Vorige',
-                'btn-learn-more': 'Meer Leren',
-                'btn-get-started': 'Aan de Slag',
-                
-                // Development Roadmap
-                'dev-hero-badge': 'Ontwikkelingstraject',
-                'dev-hero-title': 'Ontwikkelingsroadmap',
-                'dev-hero-subtitle': 'Leer Bitcoin en Monero wallets integreren met veilige escrow systemen',
-                'dev-hero-description': 'Een uitgebreide 3-fase aanpak voor crypto ontwikkeling, van database ontwerp tot frontend implementatie.',
-                
-                // Node Guides
-                'node-hero-badge': 'Node Setup Traject',
-                'node-hero-title': 'Node Setup Gidsen',
-                'node-hero-subtitle': 'Stel je eigen Bitcoin en Monero nodes in voor maximale privacy en decentralisatie',
-                'node-hero-description': 'Volg stap-voor-stap gidsen die alles behandelen van server aanschaf tot blockchain synchronisatie.',
-                
-                // Phase titles
-                'phase-1-title': 'Fase 1: Aanschaf & Provisioning',
-                'phase-2-title': 'Fase 2: Server Beveiliging & Hardening',
-                'phase-3-title': 'Fase 3: Node Software Installatie & Configuratie',
-                'phase-4-title': 'Fase 4: Blockchain Synchronisatie & Monitoring',
-                
-                // Features
-                'feature-privacy-title': 'Verbeterde Privacy',
-                'feature-privacy-desc': 'Vertrouw niet op externe diensten die je transacties en saldi kunnen volgen',
-                'feature-network-title': 'Netwerk Bijdrage',
-                'feature-network-desc': 'Help het netwerk versterken door transacties te valideren en decentralisatie te behouden',
-                'feature-control-title': 'Volledige Controle',
-                'feature-control-desc': 'Complete soevereiniteit over je node configuratie en transactie validatie',
-                
-                // Footer
-                'footer-text': '© 2025 De Weg naar Crypto - Interactieve Implementatie Blauwdruk'
-            },
-            
-            fr: {
-                // Site branding
-                'site-title': 'La Route vers la Crypto',
-                'site-subtitle': 'Plan d\'Implémentation Interactif',
-                
-                // Navigation
-                'nav-home': 'Accueil',
-                'nav-development': 'Feuille de Route Développement',
-                'nav-node-guides': 'Guides de Nœuds',
-                
-                // Common buttons and actions
-                'btn-start': 'Commencer',
-                'btn-continue': 'Continuer',
-                'btn-next': 'Suivant',
-                'btn-previous': 'Précédent',
-                'btn-learn-more': 'En Savoir Plus',
-                'btn-get-started': 'Commencer',
-                
-                // Development Roadmap
-                'dev-hero-badge': 'Parcours Développement',
-                'dev-hero-title': 'Feuille de Route Développement',
-                'dev-hero-subtitle': 'Apprenez à intégrer les portefeuilles Bitcoin et Monero avec des systèmes d\'entiercement sécurisés',
-                'dev-hero-description': 'Une approche complète en 3 phases pour le développement crypto, de la conception de base de données à l\'implémentation frontend.',
-                
-                // Node Guides
-                'node-hero-badge': 'Parcours Configuration Nœud',
-                'node-hero-title': 'Guides de Configuration de Nœuds',
-                'node-hero-subtitle': 'Configurez vos propres nœuds Bitcoin et Monero pour une confidentialité et décentralisation maximales',
-                'node-hero-description': 'Suivez des guides étape par étape couvrant tout de l\'approvisionnement de serveur à la synchronisation blockchain.',
-                
-                // Phase titles
-                'phase-1-title': 'Phase 1: Approvisionnement & Provisioning',
-                'phase-2-title': 'Phase 2: Sécurité Serveur & Durcissement',
-                'phase-3-title': 'Phase 3: Installation & Configuration Logiciel Nœud',
-                'phase-4-title': 'Phase 4: Synchronisation Blockchain & Surveillance',
-                
-                // Features
-                'feature-privacy-title': 'Confidentialité Renforcée',
-                'feature-privacy-desc': 'Ne dépendez pas de services tiers qui peuvent suivre vos transactions et soldes',
-                'feature-network-title': 'Contribution Réseau',
-                'feature-network-desc': 'Aidez à renforcer le réseau en validant les transactions et en maintenant la décentralisation',
-                'feature-control-title': 'Contrôle Total',
-                'feature-control-desc': 'Souveraineté complète sur votre configuration de nœud et validation de transaction',
-                
-                // Footer
-                'footer-text': '© 2025 La Route vers la Crypto - Plan d\'Implémentation Interactif'
-            }
-        };
-    }
-    
+    getFallbackChain(language = this.currentLanguage) {
+        const parts = language.split('-');
+        const chain = [];
+        for (let length = parts.length; length > 0; length--) {
+            chain.push(parts.slice(0, length).join('-'));
+        }
+        if (!chain.includes(this.defaultLanguage)) {
+            chain.push(this.defaultLanguage);
+        }
+        return chain;
+    }
+
     /**
-     * Get translation for a key in the current language
+     * Add messages to a language's catalog (the build reads the catalog
+     * files itself and adds them here)
      */
-    translate(key, language = this.currentLanguage) {
-        const translations = this.translations[language] || this.translations[this.fallbackLanguage];
-        return translations && translations[key] ? translations[key] : key;
+    addCatalog(language, messages) {
+        this.catalogs[language] = { ...this.catalogs[language], ...messages };
     }
-    
+
     /**
-     * Set current language
+     * Fetch the catalog of one language. Regional variants without a catalog
+     * of their own are fine, they use the fallback chain.
      */
-    setLanguage(language) {
-        if (this.supportedLanguages.includes(language)) {
-            this.currentLanguage = language;
+    loadCatalog(language) {
+        if (!this.loading.has(language)) {
+            const request = fetch(`${this.catalogUrl}/${language}.json`)
+                .then(response => {
+                    if (response.status === 404) {
+                        return {};
+                    }
+                    if (!response.ok) {
+                        throw new Error(`${response.status} ${response.statusText}`);
+                    }
+                    return response.json();
+                })
+                .then(messages => this.addCatalog(language, messages))
+                .catch(error => {
+                    // Try again on the next language change
+                    this.loading.delete(language);
+                    console.warn(`Could not load ${language} translations:`, error);
+                });
+            this.loading.set(language, request);
         }
+        return this.loading.get(language);
     }
-    
+
+    /**
+     * Load every catalog in a language's fallback chain
+     */
+    async loadLanguage(language) {
+        await Promise.all(this.getFallbackChain(language).map(code => this.loadCatalog(code)));
+    }
+
+    /**
+     * Switch language: load its catalogs, translate the page and tell
+     * everyone listening for `languagechange`
+     */
+    async setLanguage(language) {
+        if (!this.isLanguageSupported(language)) {
+            console.warn(`Language ${language} is not supported`);
+            return false;
+        }
+
+        await this.loadLanguage(language);
+        const previousLanguage = this.currentLanguage;
+        this.currentLanguage = language;
+
+        if (typeof document !== 'undefined') {
+            this.translatePage();
+            if (language !== previousLanguage) {
+                document.dispatchEvent(new CustomEvent('languagechange', {
+                    detail: { language, previousLanguage }
+                }));
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Raw message for a key, following the fallback chain; null if no
+     * catalog has it
+     */
+    getMessage(key, language = this.currentLanguage) {
+        for (const code of this.getFallbackChain(language)) {
+            const catalog = this.catalogs[code];
+            if (catalog && Object.prototype.hasOwnProperty.call(catalog, key)) {
+                return catalog[key];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Every raw message available in a language, fallbacks included
+     */
+    getMessages(language = this.currentLanguage) {
+        return this.getFallbackChain(language)
+            .reverse()
+            .reduce((messages, code) => ({ ...messages, ...this.catalogs[code] }), {});
+    }
+
+    /**
+     * Translate a key, filling in `params`. Unknown keys come back as the key
+     * itself so they are easy to spot on the page.
+     */
+    translate(key, params = {}, language = this.currentLanguage) {
+        const message = this.getMessage(key, language);
+        if (message === null) {
+            return key;
+        }
+
+        try {
+            return this.formatParts(this.parseMessage(message), params, language);
+        } catch (error) {
+            console.warn(`Invalid message "${key}":`, error.message);
+            return message;
+        }
+    }
+
+    t(key, params, language) {
+        return this.translate(key, params, language);
+    }
+
+    /**
+     * Parse an ICU message into text, {argument}, {argument, number},
+     * {argument, plural, ...} and {argument, select, ...} parts
+     */
+    parseMessage(message) {
+        if (!this.parsed.has(message)) {
+            const parser = { message, index: 0 };
+            const parts = this.parseParts(parser, false);
+            if (parser.index < message.length) {
+                throw new Error(`Unexpected "}" at ${parser.index}`);
+            }
+            this.parsed.set(message, parts);
+        }
+        return this.parsed.get(message);
+    }
+
+    parseParts(parser, inPlural) {
+        const { message } = parser;
+        const parts = [];
+        let text = '';
+
+        while (parser.index < message.length) {
+            const char = message[parser.index];
+
+            if (char === '\'') {
+                // '' is a quote; a quote before a special character starts
+                // literal text up to the next quote; otherwise it's just a quote
+                const next = message[parser.index + 1];
+                if (next === '\'') {
+                    text += '\'';
+                    parser.index += 2;
+                } else if (next === '{' || next === '}' || (inPlural && next === '#')) {
+                    const end = message.indexOf('\'', parser.index + 1);
+                    text += message.slice(parser.index + 1, end === -1 ? message.length : end);
+                    parser.index = end === -1 ? message.length : end + 1;
+                } else {
+                    text += char;
+                    parser.index++;
+                }
+            } else if (char === '{') {
+                if (text) {
+                    parts.push(text);
+                    text = '';
+                }
+                parts.push(this.parseArgument(parser));
+            } else if (char === '}') {
+                break;
+            } else if (char === '#' && inPlural) {
+                if (text) {
+                    parts.push(text);
+                    text = '';
+                }
+                parts.push({ type: 'count' });
+                parser.index++;
+            } else {
+                text += char;
+                parser.index++;
+            }
+        }
+
+        if (text) {
+            parts.push(text);
+        }
+        return parts;
+    }
+
+    parseArgument(parser) {
+        const { message } = parser;
+        const start = parser.index;
+        const end = message.indexOf('}', start);
+        const comma = message.indexOf(',', start);
+        parser.index++;
+
+        if (end === -1) {
+            throw new Error(`Unclosed "{" at ${start}`);
+        }
+        if (comma === -1 || comma > end) {
+            parser.index = end + 1;
+            return { type: 'argument', name: message.slice(start + 1, end).trim() };
+        }
+
+        const name = message.slice(start + 1, comma).trim();
+        const typeMatch = /^\s*(\w+)\s*(,|})/.exec(message.slice(comma + 1));
+        if (!typeMatch) {
+            throw new Error(`Missing argument type at ${comma + 1}`);
+        }
+        const type = typeMatch[1];
+        parser.index = comma + 1 + typeMatch[0].length;
+
+        if (typeMatch[2] === '}') {
+            if (type !== 'number') {
+                throw new Error(`Unknown argument type "${type}"`);
+            }
+            return { type: 'number', name };
+        }
+        if (type !== 'plural' && type !== 'select') {
+            throw new Error(`Unknown argument type "${type}"`);
+        }
+
+        const argument = { type, name, offset: 0, options: {} };
+        const selectorPattern = /\s*(offset:\s*(\d+)|=?[\w-]+)\s*/y;
+        while (parser.index < message.length && message[parser.index] !== '}') {
+            selectorPattern.lastIndex = parser.index;
+            const selector = selectorPattern.exec(message);
+            if (!selector) {
+                throw new Error(`Expected a ${type} option at ${parser.index}`);
+            }
+            parser.index = selectorPattern.lastIndex;
+
+            if (selector[2] !== undefined) {
+                argument.offset = Number(selector[2]);
+                continue;
+            }
+            if (message[parser.index] !== '{') {
+                throw new Error(`Expected "{" after "${selector[1]}" at ${parser.index}`);
+            }
+            parser.index++;
+            argument.options[selector[1]] = this.parseParts(parser, type === 'plural');
+            if (message[parser.index] !== '}') {
+                throw new Error(`Unclosed option "${selector[1]}"`);
+            }
+            parser.index++;
+            while (/\s/.test(message[parser.index] || '')) {
+                parser.index++;
+            }
+        }
+
+        if (message[parser.index] !== '}') {
+            throw new Error(`Unclosed "{" at ${start}`);
+        }
+        if (!argument.options.other) {
+            throw new Error(`${type} argument "${name}" needs an "other" option`);
+        }
+        parser.index++;
+        return argument;
+    }
+
+    formatParts(parts, params, language, count = null) {
+        return parts.map(part => {
+            if (typeof part === 'string') {
+                return part;
+            }
+            if (part.type === 'count') {
+                return this.formatNumber(count, language);
+            }
+
+            const value = params[part.name];
+            if (part.type === 'argument') {
+                return value === undefined ? `{${part.name}}` : String(value);
+            }
+            if (part.type === 'number') {
+                return this.formatNumber(value, language);
+            }
+            if (part.type === 'select') {
+                const option = part.options[String(value)] || part.options.other;
+                return this.formatParts(option, params, language, count);
+            }
+
+            const number = Number(value);
+            const option = part.options[`=${number}`]
+                || part.options[this.getPluralCategory(number - part.offset, language)]
+                || part.options.other;
+            return this.formatParts(option, params, language, number - part.offset);
+        }).join('');
+    }
+
+    formatNumber(value, language) {
+        return new Intl.NumberFormat(this.getFallbackChain(language)).format(value);
+    }
+
+    getPluralCategory(number, language) {
+        return new Intl.PluralRules(this.getFallbackChain(language)).select(number);
+    }
+
+    /**
+     * Translate every element with a data-i18n key (and optional JSON
+     * data-i18n-params) below `root`
+     */
+    translatePage(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            const key = element.dataset.i18n;
+            if (this.getMessage(key) === null) {
+                return;
+            }
+            const params = element.dataset.i18nParams ? JSON.parse(element.dataset.i18nParams) : {};
+            element.textContent = this.translate(key, params);
+        });
+    }
+
     /**
      * Get current language
      */
     getCurrentLanguage() {
         return this.currentLanguage;
     }
-    
+
     /**
      * Get all supported languages
      */
     getSupportedLanguages() {
         return this.supportedLanguages;
     }
-    
+
     /**
-     * Check if language is supported
+     * Check if language is supported; regional variants are when their
+     * base language is (fr-CA through fr)
      */
     isLanguageSupported(language) {
-        return this.supportedLanguages.includes(language);
+        return typeof language === 'string'
+            && this.supportedLanguages.includes(language.split('-')[0]);
     }
 }
 
-// Initialize i18n when DOM is ready
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', () => {
-        window.i18n = new I18n();
-    });
-} else {
+// One shared instance in the browser, created right away so scripts and
+// modules loaded after this one can use it; the build requires the class
+if (typeof window !== 'undefined') {
+    window.I18n = I18n;
     window.i18n = new I18n();
 }
 
 // Export for module systems
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = I18n;
-}
\ No newline at end of file
+}
@@ -3,25 +3,21 @@
  * Handles URL routing and content loading by language
  */
 
-import { i18n } from './i18n.js';
 import { contentLoader } from './content-loader.js';
 
+// i18n.js, content-integrator.js and navigation-model.js are classic scripts
+// shared with the build; load them before this module
+const { i18n, ContentIntegrator, NavigationModel } = window;
+
 class LanguageRouter {
   constructor() {
     this.currentRoute = null;
+    this.integrator = new ContentIntegrator();
     this.routeHistory = [];
     this.maxHistoryLength = 50;
     
-    // Route patterns
-    this.routePatterns = {
-      home: /^\/$/,
-      developmentRoadmap: /^\/development-roadmap\/?$/,
-      developmentPhase: /^\/development-roadmap\/([^\/]+)\/?$/,
-      developmentSubsection: /^\/development-roadmap\/([^\/]+)\/([^\/]+)\.html$/,
-      nodeGuides: /^\/node-guides\/?$/,
-      nodePhase: /^\/node-guides\/([^\/]+)\/?$/,
-      nodeSubsection: /^\/node-guides\/([^\/]+)\/([^\/]+)\.html$/
-    };
+    // Sections, phases and subsections that make up the routes
+    this.navigationModel = NavigationModel.get();
     
     // Initialize router
     this.initialize();
@@ -36,13 +32,23 @@ class LanguageRouter {
       this.handlePopState(event);
     });
     
-    // Listen for language change events
+    // Listen for language changes from i18n.setLanguage()
     document.addEventListener('languagechange', (event) => {
       this.handleLanguageChange(event.detail);
     });
     
     // Parse initial route
     this.parseCurrentRoute();
+    
+    // Guide routes are unknown until the navigation model is loaded
+    if (!this.navigationModel) {
+      NavigationModel.load()
+        .then(model => {
+          this.navigationModel = model;
+          this.parseCurrentRoute();
+        })
+        .catch(error => console.error('Error loading navigation model:', error));
+    }
   }
 
   /**
@@ -54,14 +60,16 @@ class LanguageRouter {
     const searchParams = new URLSearchParams(window.location.search);
     const hash = window.location.hash;
     
-    // Extract language from URL parameter or use current i18n language
-    const urlLanguage = searchParams.get('lang');
-    const language = urlLanguage && i18n.getSupportedLanguages().includes(urlLanguage) 
+    // Extract language from the path prefix (/nl/...), the URL parameter or
+    // use current i18n language
+    const { language: pathLanguage, path: routePath } = this._splitLanguagePrefix(path);
+    const urlLanguage = pathLanguage || searchParams.get('lang');
+    const language = urlLanguage && i18n.isLanguageSupported(urlLanguage) 
       ? urlLanguage 
       : i18n.getCurrentLanguage();
     
     // Parse route based on path
-    const route = this._parseRoute(path);
+    const route = this._parseRoute(routePath);
     
     this.currentRoute = {
       ...route,
@@ -74,7 +82,21 @@ class LanguageRouter {
     
     return this.currentRoute;
   } 
- /**
+  /**
+   * Split the language prefix of a path built for another language
+   * @private
+   * @param {string} path - URL path
+   * @returns {Object} Language (null without prefix) and the path without it
+   */
+  _splitLanguagePrefix(path) {
+    const match = /^\/([a-z]{2}(?:-[A-Za-z]{2})?)(\/.*)$/.exec(path);
+    if (match && match[1] !== i18n.defaultLanguage && i18n.isLanguageSupported(match[1])) {
+      return { language: match[1], path: match[2] };
+    }
+    return { language: null, path };
+  }
+
+  /**
    * Parse route from path
    * @private
    * @param {string} path - URL path
@@ -82,59 +104,18 @@ class LanguageRouter {
    */
   _parseRoute(path) {
     // Home page
-    if (this.routePatterns.home.test(path)) {
+    if (path === '/') {
       return { type: 'home', contentType: null, phase: null, subsection: null };
     }
     
-    // Development roadmap routes
-    const devRoadmapMatch = this.routePatterns.developmentRoadmap.exec(path);
-    if (devRoadmapMatch) {
-      return { type: 'section', contentType: 'development-roadmap', phase: null, subsection: null };
-    }
-    
-    const devPhaseMatch = this.routePatterns.developmentPhase.exec(path);
-    if (devPhaseMatch) {
-      return { 
-        type: 'phase', 
-        contentType: 'development-roadmap', 
-        phase: devPhaseMatch[1], 
-        subsection: null 
-      };
-    }
-    
-    const devSubsectionMatch = this.routePatterns.developmentSubsection.exec(path);
-    if (devSubsectionMatch) {
-      return { 
-        type: 'subsection', 
-        contentType: 'development-roadmap', 
-        phase: devSubsectionMatch[1], 
-        subsection: devSubsectionMatch[2] 
-      };
-    }
-    
-    // Node guides routes
-    const nodeGuidesMatch = this.routePatterns.nodeGuides.exec(path);
-    if (nodeGuidesMatch) {
-      return { type: 'section', contentType: 'node-guides', phase: null, subsection: null };
-    }
-    
-    const nodePhaseMatch = this.routePatterns.nodePhase.exec(path);
-    if (nodePhaseMatch) {
+    // Section overviews, phase indexes and subsections of the navigation model
+    const page = this.navigationModel && this.navigationModel.findPage(path);
+    if (page && page.section) {
       return { 
-        type: 'phase', 
-        contentType: 'node-guides', 
-        phase: nodePhaseMatch[1], 
-        subsection: null 
-      };
-    }
-    
-    const nodeSubsectionMatch = this.routePatterns.nodeSubsection.exec(path);
-    if (nodeSubsectionMatch) {
-      return { 
-        type: 'subsection', 
-        contentType: 'node-guides', 
-        phase: nodeSubsectionMatch[1], 
-        subsection: nodeSubsectionMatch[2] 
+        type: page.type, 
+        contentType: page.section, 
+        phase: page.phase, 
+        subsection: page.subsection 
       };
     }
     
@@ -210,7 +191,7 @@ class LanguageRouter {
       const content = await contentLoader.loadContent(route.contentType);
       
       // Load translations
-      const translations = await i18n.loadTranslations(route.language, route.contentType);
+      const translations = await this.integrator.loadTranslations(route.contentType, route.language);
       
       // Combine content with translations
       const localizedContent = {
@@ -269,15 +250,26 @@ class LanguageRouter {
    * @param {Object} languageChangeDetail - Language change event detail
    */
   async handleLanguageChange(languageChangeDetail) {
-    const { newLanguage } = languageChangeDetail;
+    const { language: newLanguage } = languageChangeDetail;
     
     // Update current route language
     if (this.currentRoute) {
+      const { contentType, phase, subsection } = this.currentRoute;
       this.currentRoute.language = newLanguage;
       
-      // Update URL with new language parameter
+      // Guide pages are built per language: go to the page in that language
+      if (contentType) {
+        const target = new URL(this.generateUrl(contentType, phase, subsection, newLanguage));
+        if (target.pathname !== window.location.pathname) {
+          target.hash = window.location.hash;
+          window.location.assign(target.toString());
+          return;
+        }
+      }
+      
+      // Other pages take the language as a parameter
       const url = new URL(window.location);
-      if (newLanguage !== i18n.defaultLanguage) {
+      if (newLanguage !== i18n.defaultLanguage && !contentType) {
         url.searchParams.set('lang', newLanguage);
       } else {
         url.searchParams.delete('lang');
@@ -363,10 +355,20 @@ class LanguageRouter {
       path = '/';
     }
     
-    // Add language parameter if not default
+    // Section and phase pages are directories (/node-guides/installation/)
+    if (contentType && !subsection && path !== '/') {
+      path += '/';
+    }
+    
+    // Sections are built once per language, under a language prefix
+    // (/nl/node-guides/...); the homepage is not and takes a parameter
     const url = new URL(path, window.location.origin);
     if (targetLanguage !== i18n.defaultLanguage) {
-      url.searchParams.set('lang', targetLanguage);
+      if (contentType) {
+        url.pathname = `/${targetLanguage}${path}`;
+      } else {
+        url.searchParams.set('lang', targetLanguage);
+      }
     }
     
     return url.toString();
@@ -412,7 +414,7 @@ class LanguageRouter {
     
     try {
       // Load translations for breadcrumb labels
-      const translations = await i18n.loadTranslations(language, contentType);
+      const translations = await this.integrator.loadTranslations(contentType, language);
       
       // Home
       breadcrumbs.push({
@@ -0,0 +1,34 @@
+/**
+ * Live Reload - development only
+ * Included by the component builder in --watch mode. Listens to serve.py's
+ * /__livereload event stream and reloads the page after each rebuild.
+ */
+
+class LiveReload {
+  constructor(endpoint = '/__livereload') {
+    this.endpoint = endpoint;
+    this.source = null;
+
+    this.init();
+  }
+
+  init() {
+    if (typeof EventSource === 'undefined') {
+      return;
+    }
+
+    this.source = new EventSource(this.endpoint);
+    this.source.addEventListener('reload', () => window.location.reload());
+    // EventSource reconnects on its own while the dev server restarts
+    this.source.onerror = () => console.debug('Live reload: waiting for dev server...');
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  window.liveReload = new LiveReload();
+});
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LiveReload;
+}
@@ -0,0 +1,234 @@
+/**
+ * Navigation Model Module
+ * Sections, phases and subsections of the guides, in reading order, shared
+ * by the build, which writes one model per language from data/*.json
+ * (data/navigation/{lang}.json), and the browser modules that need the
+ * structure: NavigationManager (sidebar), SequentialNavigation
+ * (previous/next), ProgressTracker (progress totals), BookmarkManager and
+ * LanguageRouter (what page a URL is).
+ *
+ * Model format:
+ *   language: language of the titles and URLs
+ *   sections: [{ id, title, description,
+ *                phases: [{ id, title, label, description, [requires],
+ *                           subsections: [{ id, title, description, [requires] }] }] }]
+ * requires is copied from the content where it is set (see phase-gating.js).
+ * URLs are not stored; getUrl() derives them the way the build does
+ * (/{lang}/{section}/{phase}/{subsection}.html, no prefix for English).
+ */
+
+const NAVIGATION_MODEL_DIR = '/data/navigation';
+
+// Pages of this language are built without a /{lang} prefix
+const DEFAULT_NAVIGATION_LANGUAGE = 'en';
+
+class NavigationModel {
+  /**
+   * @param {Object} data - A model written by the build (see build())
+   */
+  constructor(data) {
+    if (!data || !Array.isArray(data.sections)) {
+      throw new Error('Unsupported navigation model format');
+    }
+
+    this.language = data.language || DEFAULT_NAVIGATION_LANGUAGE;
+    this.sections = data.sections;
+  }
+
+  /**
+   * Build the model of one language from its (merged) content files
+   * @param {Array<{id: string, content: Object}>} sections - In site order
+   * @param {string} language
+   * @param {Object} [options]
+   * @param {string} [options.phaseLabel='Phase'] - Word before the phase number
+   * @returns {Object} JSON-ready model data
+   */
+  static build(sections, language = DEFAULT_NAVIGATION_LANGUAGE, { phaseLabel = 'Phase' } = {}) {
+    return {
+      language,
+      sections: sections.map(({ id, content }) => ({
+        id,
+        title: content.title,
+        description: content.description || '',
+        phases: (content.phases || []).map((phase, phaseIndex) => ({
+          id: phase.id,
+          title: phase.title,
+          label: `${phaseLabel} ${phaseIndex + 1}: ${phase.title}`,
+          description: phase.description || '',
+          ...(phase.requires ? { requires: phase.requires } : {}),
+          subsections: (phase.subsections || []).map(subsection => ({
+            id: subsection.id,
+            title: subsection.title,
+            description: subsection.description || '',
+            ...(subsection.requires ? { requires: subsection.requires } : {})
+          }))
+        }))
+      }))
+    };
+  }
+
+  /**
+   * Language of the current page, as the build set it on <html>
+   */
+  static getPageLanguage() {
+    const language = typeof document !== 'undefined' && document.documentElement.lang;
+    return (language || DEFAULT_NAVIGATION_LANGUAGE).split('-')[0];
+  }
+
+  /**
+   * Make a model available to get() and load() without fetching it
+   */
+  static add(model) {
+    NavigationModel.models.set(model.language, model);
+    NavigationModel.requests.set(model.language, Promise.resolve(model));
+    return model;
+  }
+
+  /**
+   * The model of a language if it has been loaded, else null
+   */
+  static get(language = NavigationModel.getPageLanguage()) {
+    return NavigationModel.models.get(language.split('-')[0]) || null;
+  }
+
+  /**
+   * Fetch the model of a language once; regional variants (fr-CA) use the
+   * model of their base language
+   * @returns {Promise<NavigationModel>}
+   */
+  static load(language = NavigationModel.getPageLanguage()) {
+    const baseLanguage = language.split('-')[0];
+    if (!NavigationModel.requests.has(baseLanguage)) {
+      const request = fetch(`${NAVIGATION_MODEL_DIR}/${baseLanguage}.json`)
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+          }
+          return response.json();
+        })
+        .then(data => NavigationModel.add(new NavigationModel(data)));
+      // Try again on the next call
+      request.catch(() => NavigationModel.requests.delete(baseLanguage));
+      NavigationModel.requests.set(baseLanguage, request);
+    }
+    return NavigationModel.requests.get(baseLanguage);
+  }
+
+  getSection(sectionId) {
+    return this.sections.find(section => section.id === sectionId) || null;
+  }
+
+  getPhase(sectionId, phaseId) {
+    const section = this.getSection(sectionId);
+    return section ? section.phases.find(phase => phase.id === phaseId) || null : null;
+  }
+
+  /**
+   * Ids of the subsections of a phase, in reading order
+   */
+  getSubsectionIds(sectionId, phaseId) {
+    const phase = this.getPhase(sectionId, phaseId);
+    return phase ? phase.subsections.map(subsection => subsection.id) : [];
+  }
+
+  /**
+   * URL of a section overview, phase index or subsection page in this
+   * model's language (same scheme as ComponentBuilder.generateUrl)
+   */
+  getUrl(sectionId, phaseId = null, subsectionId = null) {
+    const prefix = this.language === DEFAULT_NAVIGATION_LANGUAGE ? '' : `/${this.language}`;
+    let url = `${prefix}/${sectionId}/`;
+    if (phaseId) {
+      url += `${phaseId}/`;
+      if (subsectionId) {
+        url += `${subsectionId}.html`;
+      }
+    }
+    return url;
+  }
+
+  /**
+   * Every page of a section in reading order: the overview, then each
+   * phase index followed by its subsections
+   * @returns {Array<{type: string, section: string, phase: ?string, subsection: ?string, title: string, description: string, url: string}>}
+   */
+  getSequence(sectionId) {
+    const section = this.getSection(sectionId);
+    if (!section) {
+      return [];
+    }
+
+    const page = (type, title, description, phase = null, subsection = null) => ({
+      type,
+      section: section.id,
+      phase: phase && phase.id,
+      subsection: subsection && subsection.id,
+      title,
+      description,
+      url: this.getUrl(section.id, phase && phase.id, subsection && subsection.id)
+    });
+
+    const sequence = [page('section', section.title, section.description)];
+    section.phases.forEach(phase => {
+      sequence.push(page('phase', phase.label, phase.description, phase));
+      phase.subsections.forEach(subsection => {
+        sequence.push(page('subsection', subsection.title, subsection.description, phase, subsection));
+      });
+    });
+    return sequence;
+  }
+
+  /**
+   * The page a URL path leads to: the home page, or a section overview,
+   * phase index or subsection in the model. Language prefixes (/nl/),
+   * index.html, queries and hashes are ignored.
+   * @returns {?{type: string, section: ?string, phase: ?string, subsection: ?string, title: ?string}}
+   */
+  findPage(path) {
+    const parts = path.split(/[?#]/)[0].replace(/\/index\.html$/, '/').split('/').filter(Boolean);
+    if (parts.length > 0 && !this.getSection(parts[0]) && /^[a-z]{2}(?:-[A-Za-z]{2})?$/.test(parts[0])) {
+      parts.shift();
+    }
+
+    if (parts.length === 0) {
+      return { type: 'home', section: null, phase: null, subsection: null, title: null };
+    }
+
+    const section = this.getSection(parts[0]);
+    if (!section) {
+      return null;
+    }
+    if (parts.length === 1) {
+      return { type: 'section', section: section.id, phase: null, subsection: null, title: section.title };
+    }
+
+    const phase = section.phases.find(item => item.id === parts[1]);
+    if (!phase) {
+      return null;
+    }
+    if (parts.length === 2) {
+      return { type: 'phase', section: section.id, phase: phase.id, subsection: null, title: phase.label };
+    }
+
+    const subsectionId = parts.length === 3 && parts[2].endsWith('.html') ? parts[2].slice(0, -'.html'.length) : null;
+    const subsection = phase.subsections.find(item => item.id === subsectionId);
+    if (!subsection) {
+      return null;
+    }
+    return { type: 'subsection', section: section.id, phase: phase.id, subsection: subsection.id, title: subsection.title };
+  }
+}
+
+// Loaded models and pending requests, per language
+NavigationModel.models = new Map();
+NavigationModel.requests = new Map();
+
+// Shared with the page modules in the browser; the build requires the class
+if (typeof window !== 'undefined') {
+  window.NavigationModel = NavigationModel;
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = NavigationModel;
+}
@@ -6,6 +6,8 @@ class NavigationManager {
     constructor() {
         this.currentSection = null;
         this.currentPage = null;
+        // Shared sections/phases/subsections (navigation-model.js), null until loaded
+        this.navigationModel = window.NavigationModel ? window.NavigationModel.get() : null;
         this.sidebarState = {
             expandedItems: new Set(),
             activeItem: null
@@ -19,6 +21,17 @@ class NavigationManager {
         this.setupEventListeners();
         this.initializeSidebar();
         this.updateActiveStates();
+        
+        if (window.NavigationModel && !this.navigationModel) {
+            window.NavigationModel.load()
+                .then(model => {
+                    this.navigationModel = model;
+                    this.detectCurrentSection();
+                    this.initializeSidebar();
+                    this.updateActiveStates();
+                })
+                .catch(error => console.error('Error loading navigation model:', error));
+        }
     }
     
     /**
@@ -26,14 +39,9 @@ class NavigationManager {
      */
     detectCurrentSection() {
         const path = window.location.pathname;
+        const page = this.navigationModel && this.navigationModel.findPage(path);
         
-        if (path.includes('/development-roadmap/')) {
-            this.currentSection = 'development-roadmap';
-        } else if (path.includes('/node-guides/')) {
-            this.currentSection = 'node-guides';
-        } else {
-            this.currentSection = 'home';
-        }
+        this.currentSection = page && page.section ? page.section : 'home';
         
         // Extract current page from path
         const pathParts = path.split('/').filter(part => part);
@@ -78,12 +86,15 @@ class NavigationManager {
         const sidebar = document.querySelector('.sidebar-nav');
         if (!sidebar) return;
         
+        // Built pages already have the sidebar, rendered from the same data
+        if (sidebar.dataset.section) return;
+        
+        // Expand the phase of the current page before rendering
+        this.expandRelevantSections();
+        
         // Generate sidebar content based on current section
         const sidebarContent = this.generateSidebarContent();
         sidebar.innerHTML = sidebarContent;
-        
-        // Expand relevant sections
-        this.expandRelevantSections();
     }
     
     /**
@@ -101,108 +112,35 @@ class NavigationManager {
     }
     
     /**
-     * Get section structure based on current section
+     * Get section structure based on current section, from the navigation model
      */
     getSectionStructure() {
-        if (this.currentSection === 'development-roadmap') {
-            return [
-                {
-                    title: 'Development Roadmap',
-                    items: [
-                        {
-                            title: 'Overview',
-                            href: '/development-roadmap/',
-                            id: 'overview'
-                        },
-                        {
-                            title: 'Phase 1: Infrastructure',
-                            href: '/development-roadmap/phase-1/',
-                            id: 'phase-1',
-                            children: [
-                                { title: 'Database Schemas', href: '/development-roadmap/phase-1/database-schemas.html' },
-                                { title: 'Payment Gateways', href: '/development-roadmap/phase-1/payment-gateways.html' },
-                                { title: 'Self-Hosted Nodes', href: '/development-roadmap/phase-1/self-hosted-nodes.html' }
-                            ]
-                        },
-                        {
-                            title: 'Phase 2: Backend & APIs',
-                            href: '/development-roadmap/phase-2/',
-                            id: 'phase-2',
-                            children: [
-                                { title: 'API Endpoints', href: '/development-roadmap/phase-2/api-endpoints.html' },
-                                { title: 'Escrow Logic', href: '/development-roadmap/phase-2/escrow-logic.html' },
-                                { title: 'Security & Auditing', href: '/development-roadmap/phase-2/security-auditing.html' }
-                            ]
-                        },
-                        {
-                            title: 'Phase 3: Frontend & UI',
-                            href: '/development-roadmap/phase-3/',
-                            id: 'phase-3',
-                            children: [
-                                { title: 'User Wallet Dashboard', href: '/development-roadmap/phase-3/wallet-dashboard.html' },
-                                { title: 'Integrated Checkout', href: '/development-roadmap/phase-3/checkout.html' },
-                                { title: 'Escrow Interface', href: '/development-roadmap/phase-3/escrow-interface.html' }
-                            ]
-                        }
-                    ]
-                }
-            ];
-        } else if (this.currentSection === 'node-guides') {
-            return [
-                {
-                    title: 'Node Setup Guides',
-                    items: [
-                        {
-                            title: 'Overview',
-                            href: '/node-guides/',
-                            id: 'overview'
-                        },
-                        {
-                            title: 'Phase 1: Procurement & Provisioning',
-                            href: '/node-guides/procurement-provisioning/',
-                            id: 'procurement-provisioning',
-                            children: [
-                                { title: 'VPS Selection', href: '/node-guides/procurement-provisioning/vps-selection.html' },
-                                { title: 'Hardware Requirements', href: '/node-guides/procurement-provisioning/hardware-requirements.html' },
-                                { title: 'Cost Estimation', href: '/node-guides/procurement-provisioning/cost-estimation.html' }
-                            ]
-                        },
-                        {
-                            title: 'Phase 2: Server Foundation & Security',
-                            href: '/node-guides/server-security/',
-                            id: 'server-security',
-                            children: [
-                                { title: 'Secure Connections', href: '/node-guides/server-security/secure-connections.html' },
-                                { title: 'Firewall Configuration', href: '/node-guides/server-security/firewall-config.html' },
-                                { title: 'System Hardening', href: '/node-guides/server-security/system-hardening.html' }
-                            ]
-                        },
-                        {
-                            title: 'Phase 3: Node Software Installation',
-                            href: '/node-guides/installation/',
-                            id: 'installation',
-                            children: [
-                                { title: 'Download & Verification', href: '/node-guides/installation/download-verification.html' },
-                                { title: 'Configuration', href: '/node-guides/installation/configuration.html' },
-                                { title: 'Setup Wizard', href: '/node-guides/installation/setup-wizard.html' }
-                            ]
-                        },
-                        {
-                            title: 'Phase 4: Blockchain Synchronization',
-                            href: '/node-guides/synchronization/',
-                            id: 'synchronization',
-                            children: [
-                                { title: 'Monitoring', href: '/node-guides/synchronization/monitoring.html' },
-                                { title: 'Testing', href: '/node-guides/synchronization/testing.html' },
-                                { title: 'Maintenance', href: '/node-guides/synchronization/maintenance.html' }
-                            ]
-                        }
-                    ]
-                }
-            ];
+        const section = this.navigationModel && this.navigationModel.getSection(this.currentSection);
+        if (!section) {
+            return [];
         }
         
-        return [];
+        return [
+            {
+                title: section.title,
+                items: [
+                    {
+                        title: 'Overview',
+                        href: this.navigationModel.getUrl(section.id),
+                        id: 'overview'
+                    },
+                    ...section.phases.map(phase => ({
+                        title: phase.label,
+                        href: this.navigationModel.getUrl(section.id, phase.id),
+                        id: phase.id,
+                        children: phase.subsections.map(subsection => ({
+                            title: subsection.title,
+                            href: this.navigationModel.getUrl(section.id, phase.id, subsection.id)
+                        }))
+                    }))
+                ]
+            }
+        ];
     }
     
     /**
@@ -308,23 +246,37 @@ class NavigationManager {
      * Expand relevant sections based on current page
      */
     expandRelevantSections() {
-        const path = window.location.pathname;
+        const page = this.navigationModel && this.navigationModel.findPage(window.location.pathname);
         
-        // Auto-expand sections that contain the current page
-        if (path.includes('/phase-1/')) {
-            this.sidebarState.expandedItems.add('phase-1');
-        } else if (path.includes('/phase-2/')) {
-            this.sidebarState.expandedItems.add('phase-2');
-        } else if (path.includes('/phase-3/')) {
-            this.sidebarState.expandedItems.add('phase-3');
-        } else if (path.includes('/procurement-provisioning/')) {
-            this.sidebarState.expandedItems.add('procurement-provisioning');
-        } else if (path.includes('/server-security/')) {
-            this.sidebarState.expandedItems.add('server-security');
-        } else if (path.includes('/installation/')) {
-            this.sidebarState.expandedItems.add('installation');
-        } else if (path.includes('/synchronization/')) {
-            this.sidebarState.expandedItems.add('synchronization');
+        // Auto-expand the phase that contains the current page
+        if (page && page.phase) {
+            this.sidebarState.expandedItems.add(page.phase);
+        }
+    }
+    
+    /**
+     * Expand the sidebar phase that holds the active link, e.g. after
+     * PageLoader swapped in another page; other phases stay as they are
+     */
+    revealActiveItem() {
+        const activeLink = document.querySelector('.sidebar-nav-link.active');
+        
+        document.querySelectorAll('.sidebar-nav-link[aria-current]').forEach(link => {
+            link.removeAttribute('aria-current');
+        });
+        if (!activeLink) return;
+        
+        activeLink.setAttribute('aria-current', 'page');
+        
+        const content = activeLink.closest('.sidebar-collapsible-content');
+        if (!content || content.classList.contains('expanded')) return;
+        
+        const button = document.querySelector(`.sidebar-toggle[data-target="${content.id}"]`);
+        this.sidebarState.expandedItems.add(content.id);
+        content.classList.add('expanded');
+        if (button) {
+            button.classList.add('expanded');
+            button.setAttribute('aria-expanded', 'true');
         }
     }
     
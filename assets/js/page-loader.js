@@ -1,19 +1,37 @@
 /**
  * Page Loader Module - Handles dynamic content loading and state management
+ *
+ * On built pages, links to other pages of the same section and language swap
+ * in the content area only (from the page's .fragment.json, written by the
+ * build), keeping the sidebar and its state. Links are prefetched when
+ * hovered, focused or scrolled into view; back/forward restore the scroll
+ * position and focus of the page.
  */
 
+// Content area of pages built from templates/base.html
+const PAGE_CONTENT_SELECTOR = '#content-area';
+
+// Sibling of every built page: index.html -> index.fragment.json
+const PAGE_FRAGMENT_EXTENSION = '.fragment.json';
+
+// Wait for scrolling to stop before saving the position in the history entry
+const SCROLL_SAVE_DELAY = 150;
+
 class PageLoader {
     constructor() {
         this.currentPage = null;
         this.loadingState = false;
         this.cache = new Map();
         this.maxCacheSize = 20;
+        this.prefetched = new Set();
+        this.prefetchObserver = null;
         
         this.init();
     }
     
     init() {
         this.setupEventListeners();
+        this.setupPageTransitions();
         this.loadInitialContent();
     }
     
@@ -32,17 +50,209 @@ class PageLoader {
         
         // Handle browser back/forward
         window.addEventListener('popstate', (e) => {
-            if (e.state && e.state.page) {
-                this.loadPage(e.state.page, '#app', false);
+            // Entries of same-page anchors have no state; after a page
+            // transition they may still belong to another page
+            const transitions = Boolean(document.querySelector(PAGE_CONTENT_SELECTOR));
+            const state = e.state && e.state.page
+                ? e.state
+                : transitions && { page: window.location.pathname + window.location.hash, target: PAGE_CONTENT_SELECTOR };
+            if (!state) {
+                return;
+            }
+            
+            if (this.getPath(state.page) !== this.getPath(this.currentPage || window.location.pathname)) {
+                this.loadPage(state.page, state.target || '#app', false, state);
+            } else if (e.state && e.state.target) {
+                this.restorePosition(e.state);
             }
         });
         
-        // Handle language changes
-        window.addEventListener('languageChanged', () => {
+        // Handle language changes. Pages are built per language: the
+        // switcher setting the language a page was built in on load changes
+        // nothing on it
+        document.addEventListener('languagechange', (e) => {
+            const pageLanguage = (document.documentElement.lang || '').split('-')[0];
+            if (e.detail && e.detail.language.split('-')[0] === pageLanguage) {
+                return;
+            }
             this.reloadCurrentPage();
         });
     }
     
+    /**
+     * Take over links between built pages: swap the content area instead of
+     * loading the whole page
+     */
+    setupPageTransitions() {
+        const contentArea = document.querySelector(PAGE_CONTENT_SELECTOR);
+        if (!contentArea) {
+            return;
+        }
+        
+        this.currentPage = window.location.pathname;
+        
+        // Scroll positions are restored once the content is swapped in
+        if ('scrollRestoration' in window.history) {
+            window.history.scrollRestoration = 'manual';
+        }
+        window.history.replaceState({
+            ...window.history.state,
+            page: window.location.pathname + window.location.hash,
+            target: PAGE_CONTENT_SELECTOR,
+            scrollY: window.scrollY
+        }, '');
+        
+        document.addEventListener('click', (e) => {
+            const link = e.target.closest && e.target.closest('a[href]');
+            const url = this.getTransitionUrl(link, e);
+            if (url) {
+                e.preventDefault();
+                this.navigate(url, link);
+            }
+        });
+        
+        let scrollTimeout;
+        window.addEventListener('scroll', () => {
+            clearTimeout(scrollTimeout);
+            scrollTimeout = setTimeout(() => this.saveHistoryState({ scrollY: window.scrollY }), SCROLL_SAVE_DELAY);
+        });
+        
+        // Prefetch links the reader is about to follow
+        const prefetch = (e) => {
+            const link = e.target.closest && e.target.closest('a[href]');
+            const url = this.getTransitionUrl(link);
+            if (url) {
+                this.prefetchPage(url);
+            }
+        };
+        document.addEventListener('mouseover', prefetch);
+        document.addEventListener('focusin', prefetch);
+        
+        if ('IntersectionObserver' in window) {
+            this.prefetchObserver = new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    if (entry.isIntersecting) {
+                        this.prefetchObserver.unobserve(entry.target);
+                        const url = this.getTransitionUrl(entry.target);
+                        if (url) {
+                            this.prefetchPage(url);
+                        }
+                    }
+                });
+            });
+            this.observeLinks(contentArea);
+        }
+    }
+    
+    /**
+     * URL (path and hash) of a link that can be followed with a page
+     * transition, or null: other sections, languages and sites, same-page
+     * anchors, new tabs and downloads load normally
+     */
+    getTransitionUrl(link, event = null) {
+        if (!link || link.hasAttribute('data-dynamic') || link.hasAttribute('download')) {
+            return null;
+        }
+        if (link.target && link.target !== '_self') {
+            return null;
+        }
+        if (event && (event.defaultPrevented || event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey)) {
+            return null;
+        }
+        
+        const url = new URL(link.getAttribute('href'), window.location.origin + window.location.pathname);
+        if (url.origin !== window.location.origin || url.pathname === window.location.pathname) {
+            return null;
+        }
+        
+        const model = window.NavigationModel && window.NavigationModel.get();
+        if (!model) {
+            return null;
+        }
+        const page = model.findPage(url.pathname);
+        const current = model.findPage(window.location.pathname);
+        if (!page || !page.section || !current || page.section !== current.section) {
+            return null;
+        }
+        
+        // findPage() ignores language prefixes; the model's URL has this page's
+        if (model.getUrl(page.section, page.phase, page.subsection) !== url.pathname.replace(/index\.html$/, '')) {
+            return null;
+        }
+        
+        return url.pathname + url.hash;
+    }
+    
+    /**
+     * Go to another built page with a page transition, falling back to a
+     * normal page load when its content cannot be fetched
+     */
+    async navigate(url, link = null) {
+        const contentArea = document.querySelector(PAGE_CONTENT_SELECTOR);
+        
+        // Back to this page: return to the same place and link
+        this.saveHistoryState({
+            scrollY: window.scrollY,
+            focus: link ? link.getAttribute('href') : null
+        });
+        
+        contentArea.setAttribute('aria-busy', 'true');
+        try {
+            await this.fetchPageContent(url);
+        } catch (error) {
+            console.error('Failed to load page:', error);
+            window.location.href = url;
+            return;
+        } finally {
+            contentArea.removeAttribute('aria-busy');
+        }
+        
+        await this.loadPage(url, PAGE_CONTENT_SELECTOR);
+    }
+    
+    /**
+     * Prefetch the content of a page and, when the resource optimizer is on
+     * the page, the resources it needs
+     */
+    prefetchPage(url) {
+        const path = this.getPath(url);
+        if (this.prefetched.has(path)) {
+            return;
+        }
+        
+        this.prefetched.add(path);
+        this.fetchPageContent(url).catch(() => this.prefetched.delete(path));
+        
+        if (window.resourceOptimizer) {
+            window.resourceOptimizer.prefetchNextPageResources(path);
+        }
+    }
+    
+    /**
+     * Watch the links of new content and prefetch them once they are visible
+     */
+    observeLinks(container) {
+        if (!this.prefetchObserver || !container) {
+            return;
+        }
+        
+        container.querySelectorAll('a[href]').forEach(link => {
+            if (this.getTransitionUrl(link)) {
+                this.prefetchObserver.observe(link);
+            }
+        });
+    }
+    
+    /**
+     * Merge values into the state of the current history entry
+     */
+    saveHistoryState(values) {
+        const state = window.history.state;
+        if (state && state.target) {
+            window.history.replaceState({ ...state, ...values }, '');
+        }
+    }
+    
     /**
      * Load initial content based on current URL
      */
@@ -58,7 +268,7 @@ class PageLoader {
     /**
      * Load a page dynamically
      */
-    async loadPage(url, targetSelector = '#app', updateHistory = true) {
+    async loadPage(url, targetSelector = '#app', updateHistory = true, restoreState = null) {
         if (this.loadingState) {
             return;
         }
@@ -70,21 +280,24 @@ class PageLoader {
         }
         
         this.loadingState = true;
-        this.showLoadingState(target);
+        if (!this.cache.has(this.getPath(url))) {
+            this.showLoadingState(target);
+        }
         
         try {
-            const content = await this.fetchPageContent(url);
+            const content = await this.fetchPageContent(url, targetSelector);
             
             if (content) {
-                this.renderContent(target, content);
-                this.currentPage = url;
-                
                 if (updateHistory) {
-                    this.updateHistory(url);
+                    this.updateHistory(url, targetSelector);
                 }
                 
-                this.initializePageComponents();
+                await this.renderContent(target, content);
+                this.currentPage = url;
+                
                 this.updatePageMeta(content.meta);
+                this.initializePageComponents(target);
+                this.restorePosition(restoreState || { page: url });
             }
         } catch (error) {
             console.error('Failed to load page:', error);
@@ -95,30 +308,47 @@ class PageLoader {
     }
     
     /**
-     * Fetch page content from server or cache
+     * Fetch page content from server or cache; pending requests are shared,
+     * so a click on a link being prefetched waits for the same response
      */
-    async fetchPageContent(url) {
+    fetchPageContent(url, targetSelector = PAGE_CONTENT_SELECTOR) {
+        const path = this.getPath(url);
+        
         // Check cache first
-        if (this.cache.has(url)) {
-            return this.cache.get(url);
+        if (this.cache.has(path)) {
+            return Promise.resolve(this.cache.get(path));
         }
         
+        this.pendingRequests = this.pendingRequests || new Map();
+        if (!this.pendingRequests.has(path)) {
+            const request = this.requestPageContent(path, targetSelector)
+                .then(content => {
+                    this.cacheContent(path, content);
+                    return content;
+                })
+                .finally(() => this.pendingRequests.delete(path));
+            this.pendingRequests.set(path, request);
+        }
+        
+        return this.pendingRequests.get(path);
+    }
+    
+    async requestPageContent(path, targetSelector) {
         try {
-            // Try to fetch structured content first
-            const contentResponse = await fetch(`${url}?format=json`);
-            if (contentResponse.ok) {
-                const content = await contentResponse.json();
-                this.cacheContent(url, content);
-                return content;
+            // Built pages have their content area and metadata next to them
+            const fragmentUrl = this.getFragmentUrl(path);
+            if (fragmentUrl) {
+                const fragmentResponse = await fetch(fragmentUrl);
+                if (fragmentResponse.ok) {
+                    return await fragmentResponse.json();
+                }
             }
             
             // Fallback to HTML parsing
-            const htmlResponse = await fetch(url);
+            const htmlResponse = await fetch(path);
             if (htmlResponse.ok) {
                 const html = await htmlResponse.text();
-                const content = this.parseHTMLContent(html);
-                this.cacheContent(url, content);
-                return content;
+                return this.parseHTMLContent(html, targetSelector);
             }
             
             throw new Error(`HTTP ${htmlResponse.status}: ${htmlResponse.statusText}`);
@@ -127,15 +357,36 @@ class PageLoader {
         }
     }
     
+    /**
+     * URL of the fragment the build writes for a page, or null for URLs that
+     * are not pages (no .html, no trailing slash)
+     */
+    getFragmentUrl(path) {
+        if (path.endsWith('/')) {
+            return `${path}index${PAGE_FRAGMENT_EXTENSION}`;
+        }
+        if (path.endsWith('.html')) {
+            return path.replace(/\.html$/, PAGE_FRAGMENT_EXTENSION);
+        }
+        return null;
+    }
+    
+    /**
+     * Path and query of a URL, without the hash (the cache key of a page)
+     */
+    getPath(url) {
+        return url.split('#')[0];
+    }
+    
     /**
      * Parse HTML content to extract structured data
      */
-    parseHTMLContent(html) {
+    parseHTMLContent(html, targetSelector = PAGE_CONTENT_SELECTOR) {
         const parser = new DOMParser();
         const doc = parser.parseFromString(html, 'text/html');
         
-        // Extract main content
-        const main = doc.querySelector('main, .content-area, #app');
+        // Extract main content: the element being replaced, else <main>
+        const main = doc.querySelector(targetSelector) || doc.querySelector('main');
         const content = main ? main.innerHTML : doc.body.innerHTML;
         
         // Extract metadata
@@ -143,12 +394,18 @@ class PageLoader {
         const description = doc.querySelector('meta[name="description"]')?.content || '';
         const keywords = doc.querySelector('meta[name="keywords"]')?.content || '';
         
+        const page = doc.documentElement.dataset.currentPage;
+        const alternates = Array.from(doc.querySelectorAll('link[rel="alternate"][hreflang]'))
+            .map(link => ({ hreflang: link.getAttribute('hreflang'), url: link.getAttribute('href') }));
+        
         return {
             content,
             meta: {
                 title,
                 description,
-                keywords
+                keywords,
+                page,
+                alternates
             }
         };
     }
@@ -167,21 +424,57 @@ class PageLoader {
     }
     
     /**
-     * Render content to target element
+     * Render content to target element; resolves once it is in
      */
     renderContent(target, content) {
         // Fade out current content
         target.style.opacity = '0';
         
-        setTimeout(() => {
-            target.innerHTML = content.content || content;
-            
-            // Fade in new content
-            target.style.opacity = '1';
-            
-            // Scroll to top
-            window.scrollTo({ top: 0, behavior: 'smooth' });
-        }, 150);
+        return new Promise(resolve => {
+            setTimeout(() => {
+                target.innerHTML = content.content || content;
+                
+                // Fade in new content
+                target.style.opacity = '1';
+                resolve();
+            }, 150);
+        });
+    }
+    
+    /**
+     * Scroll and focus after new content is in: where the reader left the
+     * page when going back or forward, else the top of the page (or its
+     * anchor) with focus on the heading, so screen readers announce it
+     */
+    restorePosition(state) {
+        const hash = state.page && state.page.includes('#') ? state.page.slice(state.page.indexOf('#')) : '';
+        const anchor = hash && document.getElementById(decodeURIComponent(hash.slice(1)));
+        
+        if (typeof state.scrollY === 'number') {
+            window.scrollTo(0, state.scrollY);
+        } else if (anchor) {
+            anchor.scrollIntoView();
+        } else {
+            window.scrollTo(0, 0);
+        }
+        
+        // Code block line links (#block-id:L12)
+        if (hash && window.codeBlockManager) {
+            window.codeBlockManager.revealHashLine();
+        }
+        
+        // The link followed from here: in the content, else the sidebar
+        const findLink = selector => Array.from(document.querySelectorAll(selector))
+            .find(element => element.getAttribute('href') === state.focus);
+        const link = state.focus && (findLink(`${PAGE_CONTENT_SELECTOR} a[href]`) || findLink('a[href]'));
+        const heading = document.querySelector(`${PAGE_CONTENT_SELECTOR} h1, #app h1`);
+        const focusTarget = link || anchor || heading;
+        if (focusTarget) {
+            if (focusTarget === heading && !heading.hasAttribute('tabindex')) {
+                heading.setAttribute('tabindex', '-1');
+            }
+            focusTarget.focus({ preventScroll: true });
+        }
     }
     
     /**
@@ -237,7 +530,7 @@ class PageLoader {
     /**
      * Initialize page-specific components
      */
-    initializePageComponents() {
+    initializePageComponents(target = null) {
         // Initialize code blocks with copy functionality
         this.initializeCodeBlocks();
         
@@ -251,8 +544,46 @@ class PageLoader {
         this.initializeTooltips();
         
         // Apply translations to new content
-        if (window.languageSwitcher) {
-            window.languageSwitcher.applyTranslations();
+        if (window.i18n) {
+            window.i18n.translatePage();
+        }
+        
+        // Mark the new page in the sidebar, which stays as the reader left it
+        if (window.navigationManager) {
+            window.navigationManager.detectCurrentSection();
+            window.navigationManager.updateActiveStates();
+            window.navigationManager.revealActiveItem();
+        }
+        
+        // Track progress on the new page, restore its checklist and quiz, and
+        // lock the phases it lists
+        if (window.progressTracker) {
+            window.progressTracker.detectCurrentPage();
+        }
+        if (window.subsectionChecks) {
+            window.subsectionChecks.init();
+        }
+        if (window.phaseNavigator) {
+            window.phaseNavigator.refresh();
+        }
+        
+        this.refreshTableOfContents();
+        this.observeLinks(target);
+    }
+    
+    /**
+     * Rebuild the table of contents for new content, keeping it collapsed
+     * if the reader collapsed it
+     */
+    refreshTableOfContents() {
+        const toc = window.tableOfContents;
+        if (!toc) return;
+        
+        const collapsed = Boolean(toc.tocContainer && toc.tocContainer.classList.contains('toc-collapsed'));
+        toc.refresh();
+        
+        if (collapsed && toc.tocContainer && !toc.tocContainer.classList.contains('toc-collapsed')) {
+            toc.toggleToc();
         }
     }
     
@@ -488,13 +819,29 @@ class PageLoader {
             }
             keywordsMeta.content = meta.keywords;
         }
+        
+        if (meta.page) {
+            document.documentElement.dataset.currentPage = meta.page;
+        }
+        
+        // The language switcher follows these to the page in another language
+        if (meta.alternates && meta.alternates.length > 0) {
+            document.querySelectorAll('link[rel="alternate"][hreflang]').forEach(link => link.remove());
+            meta.alternates.forEach(({ hreflang, url }) => {
+                const link = document.createElement('link');
+                link.rel = 'alternate';
+                link.hreflang = hreflang;
+                link.href = url;
+                document.head.appendChild(link);
+            });
+        }
     }
     
     /**
      * Update browser history
      */
-    updateHistory(url) {
-        const state = { page: url };
+    updateHistory(url, targetSelector = '#app') {
+        const state = { page: url, target: targetSelector };
         window.history.pushState(state, '', url);
     }
     
@@ -503,8 +850,9 @@ class PageLoader {
      */
     reloadCurrentPage() {
         if (this.currentPage) {
-            this.cache.delete(this.currentPage);
-            this.loadPage(this.currentPage, '#app', false);
+            const targetSelector = document.querySelector(PAGE_CONTENT_SELECTOR) ? PAGE_CONTENT_SELECTOR : '#app';
+            this.cache.delete(this.getPath(this.currentPage));
+            this.loadPage(this.currentPage, targetSelector, false);
         }
     }
     
@@ -513,6 +861,7 @@ class PageLoader {
      */
     clearCache() {
         this.cache.clear();
+        this.prefetched.clear();
     }
     
     /**
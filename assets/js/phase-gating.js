@@ -0,0 +1,268 @@
+/**
+ * Phase Gating Module
+ * Which phases and subsections of a section are open to a reader. Content
+ * declares what each builds on with `requires` (data/*.json): phase ids, or
+ * phase-id/subsection-id, of the same section. A phase without `requires`
+ * builds on the phase before it; a subsection without it only needs its
+ * phase to be open. `requires: []` opens a phase from the start.
+ *
+ * A requirement is met once the reader completed it (ProgressTracker
+ * progress), or said in a self-assessment that they already know it
+ * (PhaseNavigator offers one on locked phases). Self-assessments are kept
+ * on this device only.
+ *
+ * The build uses findProblems() to reject unknown and circular requirements.
+ */
+
+// { 'section/phase' or 'section/phase/subsection': assessedAt }
+const SELF_ASSESSMENTS_KEY = 'crypto-guide-self-assessments';
+
+// Where ProgressTracker keeps progress
+const GATING_PROGRESS_KEY = 'crypto-guide-progress';
+
+class PhaseGating {
+  /**
+   * @param {NavigationModel} model
+   * @param {Object} [progress] - As stored by ProgressTracker
+   * @param {Object} [assessments] - As stored by saveAssessments()
+   */
+  constructor(model, progress = PhaseGating.loadStored(GATING_PROGRESS_KEY), assessments = PhaseGating.loadStored(SELF_ASSESSMENTS_KEY)) {
+    this.model = model;
+    this.progress = progress;
+    this.assessments = assessments;
+  }
+
+  static loadStored(key) {
+    try {
+      const stored = localStorage.getItem(key);
+      if (stored) {
+        return JSON.parse(stored);
+      }
+    } catch (error) {
+      console.error(`Error loading ${key}:`, error);
+    }
+
+    return {};
+  }
+
+  saveAssessments() {
+    try {
+      localStorage.setItem(SELF_ASSESSMENTS_KEY, JSON.stringify(this.assessments));
+    } catch (error) {
+      console.error('Error saving self-assessments:', error);
+    }
+  }
+
+  /**
+   * @param {string} requirement - 'phase' or 'phase/subsection'
+   * @returns {{phase: string, subsection: ?string}}
+   */
+  static parseRequirement(requirement) {
+    const [phase, subsection = null] = requirement.split('/');
+    return { phase, subsection };
+  }
+
+  /**
+   * What a phase, or a subsection on top of its phase, declares it builds on
+   * @param {Array} phases - Phases of a section (content file or navigation model)
+   * @returns {Array<{phase: string, subsection: ?string}>}
+   */
+  static getRequirements(phases, phaseId, subsectionId = null) {
+    const index = phases.findIndex(phase => phase.id === phaseId);
+    const phase = phases[index];
+    if (!phase) {
+      return [];
+    }
+
+    if (subsectionId) {
+      const subsection = (phase.subsections || []).find(item => item.id === subsectionId);
+      return ((subsection && subsection.requires) || []).map(PhaseGating.parseRequirement);
+    }
+    if (phase.requires) {
+      return phase.requires.map(PhaseGating.parseRequirement);
+    }
+    return index > 0 ? [{ phase: phases[index - 1].id, subsection: null }] : [];
+  }
+
+  /**
+   * Requirements that name nothing in the section, or that can never be
+   * met because they go round in a circle
+   * @returns {Array<{phase: string, subsection: ?string, message: string}>}
+   */
+  static findProblems(phases) {
+    const problems = [];
+    const needs = new Map();
+    const exists = ({ phase, subsection }) => {
+      const match = phases.find(item => item.id === phase);
+      return Boolean(match) && (!subsection || (match.subsections || []).some(item => item.id === subsection));
+    };
+    const key = ({ phase, subsection }) => (subsection ? `${phase}/${subsection}` : phase);
+
+    phases.forEach(phase => {
+      [null, ...(phase.subsections || []).map(subsection => subsection.id)].forEach(subsection => {
+        const requirements = PhaseGating.getRequirements(phases, phase.id, subsection);
+        requirements.filter(requirement => !exists(requirement)).forEach(requirement => {
+          problems.push({ phase: phase.id, subsection, message: `Unknown requirement "${key(requirement)}"` });
+        });
+
+        // A subsection can only be done once its phase is open
+        const needed = requirements.filter(exists).map(key);
+        needs.set(key({ phase: phase.id, subsection }), subsection ? [...needed, phase.id] : needed);
+      });
+    });
+
+    const visiting = new Set();
+    const done = new Set();
+    const visit = (node, path) => {
+      if (visiting.has(node)) {
+        return [...path.slice(path.indexOf(node)), node];
+      }
+      if (done.has(node)) {
+        return null;
+      }
+
+      visiting.add(node);
+      for (const next of needs.get(node) || []) {
+        const cycle = visit(next, [...path, node]);
+        if (cycle) return cycle;
+      }
+      visiting.delete(node);
+      done.add(node);
+      return null;
+    };
+
+    for (const node of needs.keys()) {
+      const cycle = visit(node, []);
+      if (cycle) {
+        const { phase, subsection } = PhaseGating.parseRequirement(cycle[0]);
+        problems.push({ phase, subsection, message: `Circular requirements: ${cycle.join(' -> ')}` });
+        break;
+      }
+    }
+
+    return problems;
+  }
+
+  isAssessed(sectionId, { phase, subsection }) {
+    return Boolean(this.assessments[`${sectionId}/${phase}`]
+      || (subsection && this.assessments[`${sectionId}/${phase}/${subsection}`]));
+  }
+
+  /**
+   * Whether the reader completed a phase (all of its subsections) or subsection
+   */
+  isCompleted(sectionId, { phase, subsection }) {
+    const phaseData = this.progress[sectionId] && this.progress[sectionId][phase];
+    if (!phaseData) {
+      return false;
+    }
+
+    const isDone = id => Boolean(phaseData.subsections && phaseData.subsections[id] && phaseData.subsections[id].completed);
+    if (subsection) {
+      return isDone(subsection);
+    }
+
+    const ids = this.model.getSubsectionIds(sectionId, phase);
+    return Boolean(phaseData.completed) || (ids.length > 0 && ids.every(isDone));
+  }
+
+  isMet(sectionId, requirement) {
+    return this.isAssessed(sectionId, requirement) || this.isCompleted(sectionId, requirement);
+  }
+
+  /**
+   * Whether a phase, or a subsection, is open
+   * @returns {{open: boolean, missing: Array<{phase, subsection, title, url}>}}
+   *   missing: requirements still to meet, in the order declared
+   */
+  check(sectionId, phaseId, subsectionId = null) {
+    const section = this.model.getSection(sectionId);
+    const phases = section ? section.phases : [];
+    const requirements = PhaseGating.getRequirements(phases, phaseId);
+    if (subsectionId) {
+      requirements.push(...PhaseGating.getRequirements(phases, phaseId, subsectionId));
+    }
+
+    const missing = this.isAssessed(sectionId, { phase: phaseId, subsection: subsectionId })
+      ? []
+      : requirements.filter(requirement => !this.isMet(sectionId, requirement));
+
+    return {
+      open: missing.length === 0,
+      missing: missing.map(requirement => ({ ...requirement, ...this.describe(sectionId, requirement) }))
+    };
+  }
+
+  /**
+   * Title and URL of a requirement
+   */
+  describe(sectionId, { phase, subsection }) {
+    const modelPhase = this.model.getPhase(sectionId, phase);
+    const modelSubsection = modelPhase && subsection
+      ? modelPhase.subsections.find(item => item.id === subsection)
+      : null;
+
+    return {
+      title: modelSubsection ? modelSubsection.title : (modelPhase ? modelPhase.label : phase),
+      url: this.model.getUrl(sectionId, phase, subsection)
+    };
+  }
+
+  /**
+   * Record that the reader already knows what these requirements teach
+   * @param {Array<{phase: string, subsection: ?string}>} requirements
+   */
+  assess(sectionId, requirements) {
+    const assessedAt = new Date().toISOString();
+    requirements.forEach(({ phase, subsection }) => {
+      this.assessments[subsection ? `${sectionId}/${phase}/${subsection}` : `${sectionId}/${phase}`] = assessedAt;
+    });
+    this.saveAssessments();
+  }
+
+  /**
+   * Phases and subsections of a section with what each builds on, for the
+   * dependency graph of the section landing page
+   * @returns {{nodes: Array, edges: Array<{from: string, to: string}>}} nodes:
+   *   { key, phase, subsection, title, url, status } with status 'completed',
+   *   'assessed', 'open' or 'locked'; edges go from a requirement to what needs it
+   */
+  getGraph(sectionId) {
+    const section = this.model.getSection(sectionId);
+    const nodes = [];
+    const edges = [];
+    if (!section) {
+      return { nodes, edges };
+    }
+
+    const key = ({ phase, subsection }) => (subsection ? `${phase}/${subsection}` : phase);
+    section.phases.forEach(phase => {
+      [null, ...phase.subsections.map(subsection => subsection.id)].forEach(subsection => {
+        const node = { phase: phase.id, subsection };
+        let status = this.check(sectionId, phase.id, subsection).open ? 'open' : 'locked';
+        if (this.isCompleted(sectionId, node)) {
+          status = 'completed';
+        } else if (this.isAssessed(sectionId, node)) {
+          status = 'assessed';
+        }
+
+        nodes.push({ key: key(node), ...node, ...this.describe(sectionId, node), status });
+        PhaseGating.getRequirements(section.phases, phase.id, subsection).forEach(requirement => {
+          edges.push({ from: key(requirement), to: key(node) });
+        });
+      });
+    });
+
+    return { nodes, edges };
+  }
+}
+
+// Used by PhaseNavigator on section landing pages
+if (typeof window !== 'undefined') {
+  window.PhaseGating = PhaseGating;
+}
+
+// Export for module usage (the build checks requirements with it)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PhaseGating;
+}
@@ -1,12 +1,46 @@
 /**
  * Phase Navigator
  * Handles phase navigation and progress tracking for section overview pages
+ *
+ * Phases open according to the requirements declared in the content
+ * (phase-gating.js). Locked phase cards list what to finish first and offer
+ * to skip it with a self-assessment; #dependency-graph shows what builds on
+ * what. Phase and subsection pages whose requirements are not met show the
+ * same list and self-assessment in place of their content.
  */
 
+// English strings for when the catalogs (assets/data/translations) are not loaded
+const GATE_MESSAGES = {
+    'phase-requires': 'Finish first:',
+    'phase-skip': 'Skip with self-assessment',
+    'phase-assessment-intro': 'Already know this? Tick each topic you could explain to someone else.',
+    'phase-assessment-item': 'I already know: {title}',
+    'phase-assessment-submit': 'Unlock phase',
+    'page-locked': 'This page builds on topics you have not finished yet.',
+    'page-assessment-submit': 'Unlock page',
+    'phase-assessment-cancel': 'Cancel',
+    'graph-completed': 'Completed',
+    'graph-assessed': 'Self-assessed',
+    'graph-open': 'Open',
+    'graph-locked': 'Locked'
+};
+
+// Dependency graph layout: a column per phase, a row per subsection
+const GRAPH_NODE_WIDTH = 220;
+const GRAPH_NODE_HEIGHT = 32;
+const GRAPH_COLUMN_GAP = 64;
+const GRAPH_ROW_GAP = 8;
+// Room left of the columns for edges between nodes of one column
+const GRAPH_MARGIN = 40;
+const GRAPH_TITLE_LENGTH = 30;
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
 class PhaseNavigator {
     constructor() {
-        this.currentLanguage = 'en';
         this.progressData = this.loadProgress();
+        // Phases and their requirements (navigation-model.js), null until loaded
+        this.navigationModel = window.NavigationModel ? window.NavigationModel.get() : null;
         this.init();
     }
 
@@ -14,193 +48,75 @@ class PhaseNavigator {
         this.setupLanguageSupport();
         this.setupProgressTracking();
         this.setupPhaseInteractions();
-        this.loadContent();
         this.updatePhaseStates();
+
+        if (window.NavigationModel && !this.navigationModel) {
+            window.NavigationModel.load()
+                .then(model => {
+                    this.navigationModel = model;
+                    this.updateProgressDisplay();
+                })
+                .catch(error => console.error('Error loading navigation model:', error));
+        }
+
+        // Progress from other devices can open phases
+        document.addEventListener('progresssync', () => this.updateProgressDisplay());
     }
 
     setupLanguageSupport() {
-        // Language data for phase navigator
-        this.languageData = {
-            en: {
-                // Development Roadmap
-                devHeroBadge: 'Development Track',
-                devHeroTitle: 'Development Roadmap',
-                devHeroSubtitle: 'Learn to integrate Bitcoin and Monero wallets with secure escrow systems',
-                devHeroDescription: 'A comprehensive 3-phase approach to crypto development, covering everything from database design to frontend implementation. Perfect for developers looking to build secure, privacy-focused cryptocurrency payment systems.',
-                
-                devNavigatorTitle: 'Development Phases',
-                devNavigatorDescription: 'Follow our structured approach to building a complete crypto payment system',
-                
-                devPhase1Title: 'Phase 1: Foundational Infrastructure',
-                devPhase1Difficulty: 'Advanced',
-                devPhase1Duration: '2-3 weeks',
-                devPhase1Description: 'Build the secure backend foundation with database schemas, payment gateways, and self-hosted nodes. This critical phase establishes the bedrock for all subsequent features.',
-                devPhase1TopicsTitle: 'Key Topics:',
-                devPhase1Topic1: 'Database schema design',
-                devPhase1Topic2: 'BTCPay Server integration',
-                devPhase1Topic3: 'Self-hosted node setup',
-                devPhase1Topic4: 'Security architecture',
-                devPhase1Progress: 'Not Started',
-                devPhase1Button: 'Start Phase 1',
-                
-                devPhase2Title: 'Phase 2: Core Backend Services & APIs',
-                devPhase2Difficulty: 'Intermediate',
-                devPhase2Duration: '2-3 weeks',
-                devPhase2Description: 'Build application logic and APIs that power wallet and escrow functionalities. Connect infrastructure to user-facing features with robust backend services.',
-                devPhase2TopicsTitle: 'Key Topics:',
-                devPhase2Topic1: 'RESTful API design',
-                devPhase2Topic2: 'Multi-signature escrow logic',
-                devPhase2Topic3: 'Security & auditing systems',
-                devPhase2Topic4: 'Wallet management services',
-                devPhase2Progress: 'Locked',
-                devPhase2Button: 'Complete Phase 1 First',
-                
-                devPhase3Title: 'Phase 3: Frontend Interface & User Experience',
-                devPhase3Difficulty: 'Intermediate',
-                devPhase3Duration: '1-2 weeks',
-                devPhase3Description: 'Create seamless user experiences for crypto payments. Build intuitive interfaces that translate powerful backend capabilities into user-friendly interactions.',
-                devPhase3TopicsTitle: 'Key Topics:',
-                devPhase3Topic1: 'Wallet dashboard design',
-                devPhase3Topic2: 'Integrated checkout flow',
-                devPhase3Topic3: 'Escrow management interface',
-                devPhase3Topic4: 'Transaction monitoring',
-                devPhase3Progress: 'Locked',
-                devPhase3Button: 'Complete Phase 2 First',
-                
-                devPathTitle: 'Your Learning Journey',
-                devPathDescription: 'This roadmap is designed for progressive learning. Each phase builds upon the previous one, ensuring you develop a comprehensive understanding of crypto payment systems.',
-                
-                devFeature1Title: 'Structured Learning',
-                devFeature1Desc: 'Follow a carefully designed curriculum that builds knowledge systematically',
-                devFeature2Title: 'Hands-on Implementation',
-                devFeature2Desc: 'Learn by building real systems with practical, production-ready code',
-                devFeature3Title: 'Security-First Approach',
-                devFeature3Desc: 'Emphasizes security best practices and privacy-focused development',
-                
-                devActionsTitle: 'Ready to Start?',
-                devAction1Title: 'Begin Phase 1',
-                devAction1Desc: 'Start with foundational infrastructure',
-                devAction2Title: 'Need Help?',
-                devAction2Desc: 'Check our getting started guide',
-                devAction3Title: 'Setup Nodes',
-                devAction3Desc: 'Learn node setup alongside development',
-                
-                // Node Guides
-                nodeHeroBadge: 'Node Setup Track',
-                nodeHeroTitle: 'Node Setup Guides',
-                nodeHeroSubtitle: 'Set up your own Bitcoin and Monero nodes for maximum privacy and decentralization',
-                nodeHeroDescription: 'Complete step-by-step guides covering everything from VPS procurement to full node operation. Learn to run your own infrastructure for true financial sovereignty and privacy protection.',
-                
-                nodeNavigatorTitle: 'Setup Phases',
-                nodeNavigatorDescription: 'Follow our comprehensive 4-phase approach to node deployment and operation',
-                
-                nodePhase1Title: 'Phase 1: Procurement & Provisioning',
-                nodePhase1Difficulty: 'Beginner',
-                nodePhase1Duration: '2-4 hours',
-                nodePhase1Description: 'Choose and set up your server infrastructure. Learn about VPS providers, hardware requirements, and cost considerations for running crypto nodes.',
-                nodePhase1TopicsTitle: 'Key Topics:',
-                nodePhase1Topic1: 'VPS provider comparison',
-                nodePhase1Topic2: 'Hardware requirements analysis',
-                nodePhase1Topic3: 'Cost estimation tools',
-                nodePhase1Topic4: 'Initial server setup',
-                nodePhase1Progress: 'Not Started',
-                nodePhase1Button: 'Start Phase 1',
-                
-                nodePhase2Title: 'Phase 2: Server Foundation & Security',
-                nodePhase2Difficulty: 'Intermediate',
-                nodePhase2Duration: '4-6 hours',
-                nodePhase2Description: 'Secure your server with proper configurations, firewall rules, and system hardening. Essential security practices for protecting your node infrastructure.',
-                nodePhase2TopicsTitle: 'Key Topics:',
-                nodePhase2Topic1: 'SSH security configuration',
-                nodePhase2Topic2: 'Firewall setup and rules',
-                nodePhase2Topic3: 'System hardening checklist',
-                nodePhase2Topic4: 'Monitoring and logging',
-                nodePhase2Progress: 'Locked',
-                nodePhase2Button: 'Complete Phase 1 First',
-                
-                nodePhase3Title: 'Phase 3: Node Software Installation & Configuration',
-                nodePhase3Difficulty: 'Intermediate',
-                nodePhase3Duration: '3-5 hours',
-                nodePhase3Description: 'Install and configure Bitcoin Core and Monero daemon software. Learn about configuration options, security settings, and optimization techniques.',
-                nodePhase3TopicsTitle: 'Key Topics:',
-                nodePhase3Topic1: 'Software download & verification',
-                nodePhase3Topic2: 'Configuration file setup',
-                nodePhase3Topic3: 'Service management',
-                nodePhase3Topic4: 'Initial testing & validation',
-                nodePhase3Progress: 'Locked',
-                nodePhase3Button: 'Complete Phase 2 First',
-                
-                nodePhase4Title: 'Phase 4: Blockchain Synchronization & Operation',
-                nodePhase4Difficulty: 'Advanced',
-                nodePhase4Duration: '24-48 hours',
-                nodePhase4Description: 'Complete the synchronization process and establish ongoing operations. Learn monitoring, maintenance, and troubleshooting for long-term node health.',
-                nodePhase4TopicsTitle: 'Key Topics:',
-                nodePhase4Topic1: 'Blockchain synchronization',
-                nodePhase4Topic2: 'Performance monitoring',
-                nodePhase4Topic3: 'Maintenance procedures',
-                nodePhase4Topic4: 'Troubleshooting guide',
-                nodePhase4Progress: 'Locked',
-                nodePhase4Button: 'Complete Phase 3 First',
-                
-                nodeTypesTitle: 'Supported Node Types',
-                nodeTypesDescription: 'Our guides cover setup for both Bitcoin and Monero nodes, with specific instructions for each cryptocurrency\'s unique requirements.',
-                
-                btcTitle: 'Bitcoin Core Node',
-                btcDescription: 'Run a full Bitcoin node to validate transactions and contribute to network security. Requires ~500GB storage and grows over time.',
-                btcStorageLabel: 'Storage:',
-                btcStorage: '500GB+ SSD',
-                btcRamLabel: 'RAM:',
-                btcRam: '2GB minimum',
-                btcSyncLabel: 'Sync Time:',
-                btcSync: '24-48 hours',
-                
-                xmrTitle: 'Monero Node',
-                xmrDescription: 'Operate a Monero node for enhanced privacy and network participation. Smaller blockchain size but requires careful privacy configuration.',
-                xmrStorageLabel: 'Storage:',
-                xmrStorage: '200GB+ SSD',
-                xmrRamLabel: 'RAM:',
-                xmrRam: '4GB recommended',
-                xmrSyncLabel: 'Sync Time:',
-                xmrSync: '12-24 hours',
-                
-                nodePathTitle: 'Why Run Your Own Node?',
-                nodePathDescription: 'Running your own cryptocurrency node provides numerous benefits for privacy, security, and network participation. Here\'s what you\'ll gain.',
-                
-                nodeFeature1Title: 'Enhanced Privacy',
-                nodeFeature1Desc: 'Don\'t rely on third-party services that can track your transactions and balances',
-                nodeFeature2Title: 'Network Contribution',
-                nodeFeature2Desc: 'Help strengthen the network by validating transactions and maintaining decentralization',
-                nodeFeature3Title: 'Full Control',
-                nodeFeature3Desc: 'Complete sovereignty over your node configuration and transaction validation',
-                
-                nodeActionsTitle: 'Ready to Setup Your Node?',
-                nodeAction1Title: 'Start Phase 1',
-                nodeAction1Desc: 'Begin with server procurement',
-                nodeAction2Title: 'Need Help?',
-                nodeAction2Desc: 'Check our getting started guide',
-                nodeAction3Title: 'Learn Development',
-                nodeAction3Desc: 'Explore crypto development alongside nodes',
-                
-                footerText: '© 2025 The Road to Crypto - Interactive Implementation Blueprint'
-            },
-            
-            // Add Dutch and French translations here...
-            nl: {
-                // Dutch translations would go here
-                footerText: '© 2025 De Weg naar Crypto - Interactieve Implementatie Blueprint'
-            },
-            
-            fr: {
-                // French translations would go here
-                footerText: '© 2025 La Voie vers la Crypto - Plan d\'Implémentation Interactif'
-            }
-        };
+        // Page text comes from the shared catalogs (i18n.js): tag each element
+        // with its key, e.g. #hero-title with dev-hero-title, and it is
+        // translated whenever the catalogs load or the language changes
+        const prefix = this.getCurrentSection() === 'development' ? 'dev' : 'node';
+        const sectionIds = prefix === 'dev'
+            ? ['hero-badge', 'hero-title', 'hero-subtitle', 'hero-description', 'navigator-title', 'navigator-description', 'path-title', 'path-description', 'actions-title']
+            : ['hero-badge', 'hero-title', 'hero-subtitle', 'hero-description', 'navigator-title', 'navigator-description', 'types-title', 'types-description', 'path-title', 'path-description', 'actions-title'];
+
+        const keys = { 'footer-text': 'footer-text' };
+        sectionIds.forEach(id => {
+            keys[id] = `${prefix}-${id}`;
+        });
 
-        // Listen for language changes
-        document.addEventListener('languageChanged', (e) => {
-            this.currentLanguage = e.detail.language;
-            this.updateContent();
+        Object.entries(keys).forEach(([id, key]) => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.dataset.i18n = key;
+            }
         });
+
+        if (window.i18n) {
+            window.i18n.translatePage();
+        }
+    }
+
+    /**
+     * Show a catalog message in an element and keep it translated
+     */
+    setText(element, key, params = null) {
+        element.dataset.i18n = key;
+        if (params) {
+            element.dataset.i18nParams = JSON.stringify(params);
+        } else {
+            delete element.dataset.i18nParams;
+        }
+
+        if (window.i18n && window.i18n.getMessage(key) !== null) {
+            element.textContent = window.i18n.translate(key, params || {});
+        } else if (GATE_MESSAGES[key]) {
+            element.textContent = GATE_MESSAGES[key].replace(/\{(\w+)\}/g, (match, name) => (params && name in params ? params[name] : match));
+        }
+    }
+
+    /**
+     * Create an element showing a catalog message
+     */
+    createText(tagName, className, key, params = null) {
+        const element = document.createElement(tagName);
+        if (className) {
+            element.className = className;
+        }
+        this.setText(element, key, params);
+        return element;
     }
 
     setupProgressTracking() {
@@ -210,14 +126,23 @@ class PhaseNavigator {
     }
 
     setupPhaseInteractions() {
-        // Add click handlers for phase cards
-        this.phases.forEach(card => {
-            const button = card.querySelector('.phase-button:not(.disabled)');
-            if (button) {
-                button.addEventListener('click', (e) => {
-                    const phase = card.getAttribute('data-phase');
-                    this.trackPhaseStart(phase);
-                });
+        // Phase buttons and topics are links; locked ones point to the self-assessment instead
+        document.addEventListener('click', (e) => {
+            const link = e.target.closest('.phase-card .phase-button, .phase-card .topics-list a');
+            if (!link) return;
+
+            const card = link.closest('.phase-card');
+            if (link.classList.contains('disabled')) {
+                e.preventDefault();
+                const skipButton = card.querySelector('.phase-skip-button');
+                if (skipButton) {
+                    skipButton.focus();
+                }
+                return;
+            }
+
+            if (link.classList.contains('phase-button')) {
+                this.trackPhaseStart(card.getAttribute('data-phase'));
             }
         });
     }
@@ -257,9 +182,31 @@ class PhaseNavigator {
         return section === 'development-roadmap' ? 'development' : 'nodeGuides';
     }
 
+    /**
+     * Section id of the page, as in data/*.json
+     */
+    getSectionId() {
+        return document.documentElement.getAttribute('data-current-section');
+    }
+
+    /**
+     * Requirements checked against the current progress, or null until the
+     * navigation model is loaded
+     */
+    getGating() {
+        if (!this.navigationModel || !window.PhaseGating) {
+            return null;
+        }
+
+        return window.progressTracker
+            ? new window.PhaseGating(this.navigationModel, window.progressTracker.progress)
+            : new window.PhaseGating(this.navigationModel);
+    }
+
     updatePhaseStates() {
         const section = this.getCurrentSection();
         const sectionProgress = this.progressData[section];
+        const gating = this.getGating();
         
         this.phases.forEach(card => {
             const phase = parseInt(card.getAttribute('data-phase'));
@@ -267,107 +214,337 @@ class PhaseNavigator {
             const progressText = card.querySelector('.progress-text');
             const progressFill = card.querySelector('.progress-fill');
             
-            // Check if previous phases are completed
-            const canAccess = this.canAccessPhase(section, phase);
+            // Check the phase's requirements
+            const state = this.checkPhase(gating, phase);
             
-            if (!canAccess && phase > 1) {
+            if (!state.open) {
                 button.disabled = true;
                 button.classList.add('disabled');
                 button.classList.remove('primary');
-                progressText.textContent = 'Locked';
-                progressFill.style.width = '0%';
+                button.setAttribute('aria-disabled', 'true');
+                if (progressText) {
+                    this.setText(progressText, 'phase-locked');
+                    progressFill.style.width = '0%';
+                }
             } else {
                 button.disabled = false;
                 button.classList.remove('disabled');
                 button.classList.add('primary');
+                button.removeAttribute('aria-disabled');
                 
+                // Built section landings have no progress bar per phase
                 const phaseProgress = sectionProgress?.phases?.[phase];
-                if (phaseProgress) {
-                    progressText.textContent = `${phaseProgress.progress}% Complete`;
+                if (progressText && phaseProgress) {
+                    this.setText(progressText, 'phase-progress', { percent: phaseProgress.progress });
                     progressFill.style.width = `${phaseProgress.progress}%`;
-                } else {
-                    progressText.textContent = 'Not Started';
+                } else if (progressText) {
+                    this.setText(progressText, 'phase-not-started');
                     progressFill.style.width = '0%';
                 }
             }
+
+            this.updatePhaseGate(card, phase, state.missing);
+            this.updateTopicLinks(card, gating, state.open);
         });
     }
 
-    canAccessPhase(section, phase) {
-        if (phase === 1) return true;
-        
-        const sectionProgress = this.progressData[section];
-        if (!sectionProgress) return false;
-        
-        // Check if previous phase is completed (100% progress)
-        const previousPhase = sectionProgress.phases?.[phase - 1];
-        return previousPhase && previousPhase.progress >= 100;
+    /**
+     * Disable the links of a card to subsections that are not open: all of
+     * them on a locked card, else those with requirements of their own
+     */
+    updateTopicLinks(card, gating, phaseOpen) {
+        card.querySelectorAll('.topics-list a').forEach(link => {
+            const page = phaseOpen && gating ? this.navigationModel.findPage(link.getAttribute('href')) : null;
+            const state = page && page.type === 'subsection'
+                ? gating.check(page.section, page.phase, page.subsection)
+                : { open: phaseOpen, missing: [] };
+
+            link.classList.toggle('disabled', !state.open);
+            link.removeAttribute('title');
+            if (state.open) {
+                link.removeAttribute('aria-disabled');
+                link.removeAttribute('tabindex');
+            } else {
+                link.setAttribute('aria-disabled', 'true');
+                link.setAttribute('tabindex', '-1');
+                // What to finish first, unless the card's gate lists it
+                if (state.missing.length > 0) {
+                    link.title = `${this.getMessage('phase-requires')} ${state.missing.map(requirement => requirement.title).join(', ')}`;
+                }
+            }
+        });
     }
 
-    updateProgressDisplay() {
-        this.updatePhaseStates();
+    /**
+     * Whether a phase (by number) is open; until the navigation model is
+     * loaded only the first one is
+     * @returns {{open: boolean, missing: Array}} see PhaseGating.check
+     */
+    checkPhase(gating, phase) {
+        const section = gating && this.navigationModel.getSection(this.getSectionId());
+        const modelPhase = section && section.phases[phase - 1];
+        if (!modelPhase) {
+            return { open: phase === 1, missing: [] };
+        }
+
+        return gating.check(section.id, modelPhase.id);
     }
 
-    loadContent() {
-        // Get current language from language switcher or default to 'en'
-        const currentLang = document.documentElement.getAttribute('data-language') || 'en';
-        this.currentLanguage = currentLang;
-        this.updateContent();
+    canAccessPhase(phase) {
+        return this.checkPhase(this.getGating(), phase).open;
     }
 
-    updateContent() {
-        const data = this.languageData[this.currentLanguage];
-        if (!data) return;
+    /**
+     * List what a locked phase needs, with a self-assessment to skip it
+     */
+    updatePhaseGate(card, phase, missing) {
+        const existing = card.querySelector('.phase-gate');
+        if (existing) {
+            existing.remove();
+        }
+        if (missing.length === 0) {
+            return;
+        }
 
-        const section = this.getCurrentSection();
-        const prefix = section === 'development' ? 'dev' : 'node';
-        
-        // Update content based on section
-        this.updateSectionContent(data, prefix);
+        const gate = this.createGate(missing, 'phase-assessment-submit', () => this.skipPhase(phase, missing));
+        (card.querySelector('.phase-content') || card).appendChild(gate);
     }
 
-    updateSectionContent(data, prefix) {
-        // Common elements
-        const elements = {
-            'footer-text': data.footerText
-        };
+    /**
+     * Hide the content of a phase or subsection page whose requirements
+     * are not met behind what it needs, with the same self-assessment
+     */
+    updatePageGate(gating) {
+        const content = document.getElementById('page-content');
+        const existing = document.getElementById('page-gate');
+        if (existing) {
+            existing.remove();
+        }
+        if (!content) return;
 
-        // Section-specific elements
-        if (prefix === 'dev') {
-            Object.assign(elements, {
-                'hero-badge': data.devHeroBadge,
-                'hero-title': data.devHeroTitle,
-                'hero-subtitle': data.devHeroSubtitle,
-                'hero-description': data.devHeroDescription,
-                'navigator-title': data.devNavigatorTitle,
-                'navigator-description': data.devNavigatorDescription,
-                'path-title': data.devPathTitle,
-                'path-description': data.devPathDescription,
-                'actions-title': data.devActionsTitle
+        const page = gating ? this.navigationModel.findPage(window.location.pathname) : null;
+        const state = page && (page.type === 'phase' || page.type === 'subsection')
+            ? gating.check(page.section, page.phase, page.subsection)
+            : { open: true, missing: [] };
+
+        content.hidden = !state.open;
+        if (state.open) return;
+
+        const gate = this.createGate(state.missing, 'page-assessment-submit', () => this.skipPage(page, state.missing));
+        gate.id = 'page-gate';
+        gate.classList.add('page-gate');
+        gate.insertBefore(this.createText('p', 'page-gate-notice', 'page-locked'), gate.firstChild);
+        content.parentNode.insertBefore(gate, content);
+    }
+
+    /**
+     * The missing requirements as links, and a self-assessment form that
+     * calls onSkip once every one of them is ticked
+     */
+    createGate(missing, submitKey, onSkip) {
+        const gate = document.createElement('div');
+        gate.className = 'phase-gate';
+        gate.appendChild(this.createText('p', 'phase-gate-title', 'phase-requires'));
+
+        const list = document.createElement('ul');
+        list.className = 'phase-gate-list';
+        missing.forEach(requirement => {
+            const item = document.createElement('li');
+            const link = document.createElement('a');
+            link.href = requirement.url;
+            link.textContent = requirement.title;
+            item.appendChild(link);
+            list.appendChild(item);
+        });
+        gate.appendChild(list);
+
+        const skipButton = this.createText('button', 'btn btn-secondary phase-skip-button', 'phase-skip');
+        skipButton.type = 'button';
+        gate.appendChild(skipButton);
+
+        const form = document.createElement('form');
+        form.className = 'phase-assessment';
+        form.hidden = true;
+        form.appendChild(this.createText('p', 'phase-assessment-intro', 'phase-assessment-intro'));
+        missing.forEach(requirement => {
+            const label = document.createElement('label');
+            label.className = 'phase-assessment-item';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.required = true;
+            label.appendChild(checkbox);
+            label.appendChild(this.createText('span', null, 'phase-assessment-item', { title: requirement.title }));
+            form.appendChild(label);
+        });
+
+        const submit = this.createText('button', 'btn btn-primary', submitKey);
+        submit.type = 'submit';
+        const cancel = this.createText('button', 'btn btn-secondary phase-assessment-cancel', 'phase-assessment-cancel');
+        cancel.type = 'button';
+        form.appendChild(submit);
+        form.appendChild(cancel);
+        gate.appendChild(form);
+
+        skipButton.addEventListener('click', () => {
+            form.hidden = false;
+            skipButton.hidden = true;
+            form.querySelector('input').focus();
+        });
+        cancel.addEventListener('click', () => {
+            form.hidden = true;
+            skipButton.hidden = false;
+            skipButton.focus();
+        });
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            if (Array.from(form.querySelectorAll('input')).every(checkbox => checkbox.checked)) {
+                onSkip();
+            }
+        });
+
+        return gate;
+    }
+
+    /**
+     * Open a phase by counting its missing requirements as known
+     */
+    skipPhase(phase, missing) {
+        const gating = this.getGating();
+        if (!gating) return;
+
+        gating.assess(this.getSectionId(), missing);
+        this.updateProgressDisplay();
+
+        const button = this.phases[phase - 1] && this.phases[phase - 1].querySelector('.phase-button');
+        if (button) {
+            button.focus();
+        }
+    }
+
+    /**
+     * Show a gated page by counting its missing requirements as known
+     */
+    skipPage(page, missing) {
+        const gating = this.getGating();
+        if (!gating) return;
+
+        gating.assess(page.section, missing);
+        this.updateProgressDisplay();
+
+        const title = document.getElementById('page-title');
+        if (title) {
+            title.setAttribute('tabindex', '-1');
+            title.focus();
+        }
+    }
+
+    /**
+     * Draw what builds on what in #dependency-graph: a column per phase
+     * with its subsections below it, arrows from requirements to what needs
+     * them
+     */
+    renderDependencyGraph() {
+        const container = document.getElementById('dependency-graph');
+        const gating = this.getGating();
+        if (!container || !gating) return;
+
+        const { nodes, edges } = gating.getGraph(this.getSectionId());
+        const canvas = container.querySelector('.dependency-graph-canvas') || container;
+        canvas.innerHTML = '';
+        if (nodes.length === 0) return;
+
+        container.hidden = false;
+
+        // Position every node: phases left to right, subsections top to bottom
+        const phaseIds = [...new Set(nodes.map(node => node.phase))];
+        const positions = new Map();
+        let rows = 0;
+        nodes.forEach(node => {
+            const column = phaseIds.indexOf(node.phase);
+            const row = node.subsection ? nodes.filter(other => other.phase === node.phase && other.subsection).findIndex(other => other === node) + 1 : 0;
+            rows = Math.max(rows, row + 1);
+            positions.set(node.key, {
+                x: GRAPH_MARGIN + column * (GRAPH_NODE_WIDTH + GRAPH_COLUMN_GAP),
+                y: row * (GRAPH_NODE_HEIGHT + GRAPH_ROW_GAP) + (row > 0 ? GRAPH_ROW_GAP : 0),
+                column
             });
-        } else {
-            Object.assign(elements, {
-                'hero-badge': data.nodeHeroBadge,
-                'hero-title': data.nodeHeroTitle,
-                'hero-subtitle': data.nodeHeroSubtitle,
-                'hero-description': data.nodeHeroDescription,
-                'navigator-title': data.nodeNavigatorTitle,
-                'navigator-description': data.nodeNavigatorDescription,
-                'types-title': data.nodeTypesTitle,
-                'types-description': data.nodeTypesDescription,
-                'path-title': data.nodePathTitle,
-                'path-description': data.nodePathDescription,
-                'actions-title': data.nodeActionsTitle
+        });
+
+        const width = GRAPH_MARGIN + phaseIds.length * (GRAPH_NODE_WIDTH + GRAPH_COLUMN_GAP) - GRAPH_COLUMN_GAP;
+        const height = rows * (GRAPH_NODE_HEIGHT + GRAPH_ROW_GAP) + GRAPH_ROW_GAP;
+        const svg = this.createSvgElement('svg', {
+            class: 'dependency-graph-svg',
+            viewBox: `0 0 ${width} ${height}`,
+            width,
+            height,
+            role: 'img',
+            'aria-labelledby': 'dependency-graph-title'
+        });
+
+        const marker = this.createSvgElement('marker', {
+            id: 'dependency-arrow', viewBox: '0 0 10 10', refX: 10, refY: 5, markerWidth: 8, markerHeight: 8, orient: 'auto'
+        });
+        marker.appendChild(this.createSvgElement('path', { d: 'M 0 0 L 10 5 L 0 10 z' }));
+        const defs = this.createSvgElement('defs');
+        defs.appendChild(marker);
+        svg.appendChild(defs);
+
+        edges.forEach(({ from, to }) => {
+            const source = positions.get(from);
+            const target = positions.get(to);
+            if (!source || !target) return;
+
+            const sourceY = source.y + GRAPH_NODE_HEIGHT / 2;
+            const targetY = target.y + GRAPH_NODE_HEIGHT / 2;
+            // Forward edges leave on the right; edges within a column loop round the left
+            const d = source.column < target.column
+                ? `M ${source.x + GRAPH_NODE_WIDTH} ${sourceY} C ${source.x + GRAPH_NODE_WIDTH + GRAPH_COLUMN_GAP / 2} ${sourceY}, ${target.x - GRAPH_COLUMN_GAP / 2} ${targetY}, ${target.x} ${targetY}`
+                : `M ${source.x} ${sourceY} C ${source.x - GRAPH_MARGIN} ${sourceY}, ${target.x - GRAPH_MARGIN} ${targetY}, ${target.x} ${targetY}`;
+            svg.appendChild(this.createSvgElement('path', {
+                class: 'graph-edge', d, 'marker-end': 'url(#dependency-arrow)', 'data-from': from, 'data-to': to
+            }));
+        });
+
+        nodes.forEach(node => {
+            const { x, y } = positions.get(node.key);
+            const link = this.createSvgElement('a', {
+                href: node.url,
+                class: `graph-node graph-node-${node.status}${node.subsection ? '' : ' graph-node-phase'}`,
+                'data-node': node.key
             });
-        }
+            const title = this.createSvgElement('title');
+            title.textContent = `${node.title} (${this.getMessage(`graph-${node.status}`)})`;
+            link.appendChild(title);
+            link.appendChild(this.createSvgElement('rect', { x, y, width: GRAPH_NODE_WIDTH, height: GRAPH_NODE_HEIGHT, rx: 6 }));
 
-        // Update all elements
-        Object.entries(elements).forEach(([id, text]) => {
-            const element = document.getElementById(id);
-            if (element) {
-                element.textContent = text;
-            }
+            const text = this.createSvgElement('text', { x: x + 10, y: y + GRAPH_NODE_HEIGHT / 2 + 4 });
+            text.textContent = node.title.length > GRAPH_TITLE_LENGTH ? `${node.title.slice(0, GRAPH_TITLE_LENGTH - 1)}…` : node.title;
+            link.appendChild(text);
+            svg.appendChild(link);
         });
+
+        canvas.appendChild(svg);
+    }
+
+    createSvgElement(name, attributes = {}) {
+        const element = document.createElementNS(SVG_NAMESPACE, name);
+        Object.entries(attributes).forEach(([attribute, value]) => {
+            element.setAttribute(attribute, value);
+        });
+        return element;
+    }
+
+    getMessage(key) {
+        if (window.i18n && window.i18n.getMessage(key) !== null) {
+            return window.i18n.translate(key);
+        }
+        return GATE_MESSAGES[key];
+    }
+
+    updateProgressDisplay() {
+        this.updatePhaseStates();
+        this.updatePageGate(this.getGating());
+        this.renderDependencyGraph();
     }
 
     // Public method to update phase progress
@@ -393,9 +570,12 @@ class PhaseNavigator {
         this.updateProgressDisplay();
     }
 
-    // Public method to refresh content
+    // Public method to refresh content (also after page-loader.js swapped it)
     refresh() {
-        this.loadContent();
+        this.phases = document.querySelectorAll('.phase-card');
+        if (window.i18n) {
+            window.i18n.translatePage();
+        }
         this.updateProgressDisplay();
     }
 }
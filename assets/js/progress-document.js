@@ -0,0 +1,489 @@
+/**
+ * Progress Document Module
+ * The portable form of a reader's progress and bookmarks, used to move them
+ * between devices: as a file (ProgressTracker.downloadProgress), or as a
+ * text code and QR code (user-progress.html). Importing merges a document
+ * into the local progress instead of replacing it, so a laptop and a work
+ * machine can exchange documents in any order without losing anything.
+ *
+ * Document format (version 3):
+ *   format: 'crypto-guide-progress', version: 3, exportedAt, device
+ *   progress: { startedAt, lastActive,
+ *               timeSpent: { [device]: milliseconds },
+ *               sections: { [section]: { [phase]: { completed, startedAt, completedAt,
+ *                                                    subsections: { [id]: completedAt },
+ *                                                    checklists: { [id]: { [item]: { checked, changedAt } } },
+ *                                                    quizzes: { [id]: { score, total, passed, takenAt } } } } } }
+ *   bookmarks: [bookmark]             (as stored by BookmarkManager/ProgressTracker)
+ *   removedBookmarks: { [key]: removedAt }
+ *
+ * Checklist items and quiz results (subsection-checks.js) are kept by the
+ * index of the item, so they hold in every language.
+ *
+ * Merging unions completed subsections and phases (keeping the earliest
+ * dates), keeps the latest change of each checklist item and the best quiz
+ * result, keeps the newest of each bookmark or its removal, and adds up the
+ * time spent per device (each device's own total only ever grows, so the
+ * larger of two totals of one device is the latest). Version 2 documents
+ * (without checklists and quizzes) and version 1 exports
+ * ({ progress, bookmarks, exportedAt }) are read as well.
+ *
+ * Bookmarks of imported documents end up in pages (bookmark lists), so
+ * parse() keeps only their known text fields and web links.
+ */
+
+const PROGRESS_DOCUMENT_FORMAT = 'crypto-guide-progress';
+const PROGRESS_DOCUMENT_VERSION = 3;
+
+// Bookmarks removed on this device, kept so a merge does not bring them back
+const REMOVED_BOOKMARKS_KEY = 'crypto-guide-bookmarks-removed';
+
+// What a bookmark may hold besides its tags; other fields are dropped
+const BOOKMARK_FIELDS = ['id', 'title', 'url', 'section', 'phase', 'subsection', 'pageType', 'description', 'addedAt', 'updatedAt'];
+
+// Text codes: prefix with the document version, then base64url of the
+// (deflated) JSON document. Codes of older versions (cgp2) still decode.
+const PROGRESS_CODE_PREFIX = `cgp${PROGRESS_DOCUMENT_VERSION}`;
+const PROGRESS_CODE_PATTERN = /cgp\d+(z?)\.([A-Za-z0-9_-]+)/;
+
+class ProgressDocument {
+  /**
+   * Build a document from stored progress (ProgressTracker.progress) and
+   * bookmarks
+   */
+  static fromProgress(progress, bookmarks = [], removedBookmarks = {}) {
+    const metadata = progress.metadata || {};
+    const device = metadata.deviceId || 'unknown';
+    const sections = {};
+
+    Object.keys(progress).forEach(section => {
+      if (section === 'metadata') return;
+
+      sections[section] = {};
+      Object.entries(progress[section] || {}).forEach(([phase, data]) => {
+        const subsections = {};
+        const checklists = {};
+        const quizzes = {};
+        Object.entries(data.subsections || {}).forEach(([subsection, state]) => {
+          if (!state) return;
+
+          if (state.completed) {
+            subsections[subsection] = state.completedAt || null;
+          }
+          if (state.checklist) {
+            checklists[subsection] = { ...state.checklist };
+          }
+          if (state.quiz) {
+            quizzes[subsection] = { ...state.quiz };
+          }
+        });
+
+        sections[section][phase] = {
+          completed: Boolean(data.completed),
+          startedAt: data.startedAt || null,
+          completedAt: data.completedAt || null,
+          subsections,
+          checklists,
+          quizzes
+        };
+      });
+    });
+
+    return {
+      format: PROGRESS_DOCUMENT_FORMAT,
+      version: PROGRESS_DOCUMENT_VERSION,
+      exportedAt: new Date().toISOString(),
+      device,
+      progress: {
+        startedAt: metadata.startedAt || null,
+        lastActive: metadata.lastActive || null,
+        timeSpent: { ...(metadata.timeSpentByDevice || {}), [device]: metadata.totalTimeSpent || 0 },
+        sections
+      },
+      bookmarks: Array.isArray(bookmarks) ? bookmarks : [],
+      removedBookmarks: { ...removedBookmarks }
+    };
+  }
+
+  /**
+   * Stored progress from a document, for the device it is merged into
+   * @param {Object} document
+   * @param {string} device - deviceId of this browser
+   */
+  static toProgress(document, device) {
+    const { timeSpent, sections } = document.progress;
+    const progress = {};
+
+    Object.entries(sections).forEach(([section, phases]) => {
+      progress[section] = {};
+      Object.entries(phases).forEach(([phase, data]) => {
+        const subsections = {};
+        Object.entries(data.subsections).forEach(([subsection, completedAt]) => {
+          subsections[subsection] = { completed: true, completedAt };
+        });
+
+        // Checks of subsections that are not completed yet are kept too
+        const checkedSubsection = subsection => {
+          subsections[subsection] = subsections[subsection] || { completed: false, completedAt: null };
+          return subsections[subsection];
+        };
+        Object.entries(data.checklists).forEach(([subsection, checklist]) => {
+          checkedSubsection(subsection).checklist = { ...checklist };
+        });
+        Object.entries(data.quizzes).forEach(([subsection, quiz]) => {
+          checkedSubsection(subsection).quiz = { ...quiz };
+        });
+
+        progress[section][phase] = {
+          completed: data.completed,
+          subsections,
+          startedAt: data.startedAt,
+          completedAt: data.completedAt
+        };
+      });
+    });
+
+    const timeSpentByDevice = { ...timeSpent };
+    delete timeSpentByDevice[device];
+
+    progress.metadata = {
+      totalTimeSpent: timeSpent[device] || 0,
+      timeSpentByDevice,
+      lastActive: document.progress.lastActive,
+      startedAt: document.progress.startedAt,
+      deviceId: device
+    };
+
+    return progress;
+  }
+
+  /**
+   * Read an imported document (this version, version 2 or a version 1
+   * export)
+   * @throws {Error} for anything else
+   */
+  static parse(data) {
+    if (data && data.format === PROGRESS_DOCUMENT_FORMAT) {
+      if (data.version > PROGRESS_DOCUMENT_VERSION) {
+        throw new Error(`Unsupported progress document version: ${data.version}`);
+      }
+      if (!data.progress || !data.progress.sections) {
+        throw new Error('Unsupported progress document format');
+      }
+
+      const sections = {};
+      Object.entries(data.progress.sections).forEach(([section, phases]) => {
+        sections[section] = {};
+        Object.entries(phases).forEach(([phase, phaseData]) => {
+          sections[section][phase] = { subsections: {}, checklists: {}, quizzes: {}, ...phaseData };
+        });
+      });
+
+      return {
+        ...data,
+        progress: { timeSpent: {}, ...data.progress, sections },
+        bookmarks: ProgressDocument.sanitizeBookmarks(data.bookmarks),
+        removedBookmarks: data.removedBookmarks || {}
+      };
+    }
+
+    // Version 1: the stored progress as it was, without a device
+    if (data && data.progress && typeof data.progress === 'object') {
+      const progress = { ...data.progress, metadata: { ...data.progress.metadata } };
+      progress.metadata.deviceId = progress.metadata.deviceId || 'imported';
+      return ProgressDocument.fromProgress(progress, ProgressDocument.sanitizeBookmarks(data.bookmarks));
+    }
+
+    throw new Error('Unsupported progress document format');
+  }
+
+  /**
+   * The bookmarks of an imported document that are safe to show: known
+   * fields holding text, tags as a list, and links to web pages only
+   */
+  static sanitizeBookmarks(bookmarks) {
+    return (Array.isArray(bookmarks) ? bookmarks : [])
+      .map(ProgressDocument.sanitizeBookmark)
+      .filter(Boolean);
+  }
+
+  /**
+   * @returns {?Object} null for bookmarks with another kind of link, or
+   *   without a link or page
+   */
+  static sanitizeBookmark(bookmark) {
+    if (!bookmark || typeof bookmark !== 'object') {
+      return null;
+    }
+    if ('url' in bookmark ? !ProgressDocument.isWebUrl(bookmark.url) : typeof bookmark.section !== 'string') {
+      return null;
+    }
+
+    const sanitized = {};
+    BOOKMARK_FIELDS.forEach(field => {
+      if (typeof bookmark[field] === 'string') {
+        sanitized[field] = bookmark[field];
+      }
+    });
+    sanitized.tags = Array.isArray(bookmark.tags) ? bookmark.tags.filter(tag => typeof tag === 'string') : [];
+    return sanitized;
+  }
+
+  /**
+   * Whether a URL is a page of this site or an http(s) link
+   */
+  static isWebUrl(url) {
+    if (typeof url !== 'string') {
+      return false;
+    }
+
+    try {
+      const { protocol } = new URL(url, window.location.origin);
+      return protocol === 'http:' || protocol === 'https:';
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Merge two documents; the result belongs to the device of the first
+   */
+  static merge(local, remote) {
+    const sections = {};
+    [local, remote].forEach(document => {
+      Object.entries(document.progress.sections).forEach(([section, phases]) => {
+        sections[section] = sections[section] || {};
+        Object.entries(phases).forEach(([phase, data]) => {
+          sections[section][phase] = ProgressDocument.mergePhase(sections[section][phase], data);
+        });
+      });
+    });
+
+    const timeSpent = { ...local.progress.timeSpent };
+    Object.entries(remote.progress.timeSpent).forEach(([device, time]) => {
+      timeSpent[device] = Math.max(timeSpent[device] || 0, time || 0);
+    });
+
+    return {
+      format: PROGRESS_DOCUMENT_FORMAT,
+      version: PROGRESS_DOCUMENT_VERSION,
+      exportedAt: new Date().toISOString(),
+      device: local.device,
+      progress: {
+        startedAt: ProgressDocument.earliest(local.progress.startedAt, remote.progress.startedAt),
+        lastActive: ProgressDocument.latest(local.progress.lastActive, remote.progress.lastActive),
+        timeSpent,
+        sections
+      },
+      ...ProgressDocument.mergeBookmarks(local, remote)
+    };
+  }
+
+  static mergePhase(local, remote) {
+    if (!local) {
+      return ProgressDocument.mergePhase({ ...remote, subsections: {}, checklists: {}, quizzes: {} }, remote);
+    }
+
+    const subsections = { ...local.subsections };
+    Object.entries(remote.subsections).forEach(([subsection, completedAt]) => {
+      subsections[subsection] = subsection in subsections
+        ? ProgressDocument.earliest(subsections[subsection], completedAt)
+        : completedAt;
+    });
+
+    const checklists = {};
+    [local.checklists, remote.checklists].forEach(phaseChecklists => {
+      Object.entries(phaseChecklists).forEach(([subsection, checklist]) => {
+        checklists[subsection] = { ...checklists[subsection] };
+        Object.entries(checklist).forEach(([item, state]) => {
+          const existing = checklists[subsection][item];
+          if (!existing || state.changedAt > existing.changedAt) {
+            checklists[subsection][item] = state;
+          }
+        });
+      });
+    });
+
+    const quizzes = { ...local.quizzes };
+    Object.entries(remote.quizzes).forEach(([subsection, result]) => {
+      quizzes[subsection] = ProgressDocument.bestQuizResult(quizzes[subsection], result);
+    });
+
+    return {
+      completed: local.completed || remote.completed,
+      startedAt: ProgressDocument.earliest(local.startedAt, remote.startedAt),
+      completedAt: ProgressDocument.earliest(local.completedAt, remote.completedAt),
+      subsections,
+      checklists,
+      quizzes
+    };
+  }
+
+  /**
+   * The better of two quiz results: a pass, then the higher score, then
+   * the earlier attempt
+   */
+  static bestQuizResult(a, b) {
+    if (!a) return b || null;
+    if (!b) return a;
+    if (a.passed !== b.passed) return a.passed ? a : b;
+
+    const scoreA = a.score / (a.total || 1);
+    const scoreB = b.score / (b.total || 1);
+    if (scoreA !== scoreB) return scoreA > scoreB ? a : b;
+    return ProgressDocument.earliest(a.takenAt, b.takenAt) === a.takenAt ? a : b;
+  }
+
+  /**
+   * The newest version of every bookmark, unless it was removed after that
+   */
+  static mergeBookmarks(local, remote) {
+    const removedBookmarks = { ...local.removedBookmarks };
+    Object.entries(remote.removedBookmarks).forEach(([key, removedAt]) => {
+      removedBookmarks[key] = ProgressDocument.latest(removedBookmarks[key], removedAt);
+    });
+
+    const bookmarks = new Map();
+    ProgressDocument.sanitizeBookmarks([...local.bookmarks, ...remote.bookmarks]).forEach(bookmark => {
+      const key = ProgressDocument.getBookmarkKey(bookmark);
+      const existing = bookmarks.get(key);
+      if (!existing || ProgressDocument.getBookmarkDate(bookmark) > ProgressDocument.getBookmarkDate(existing)) {
+        bookmarks.set(key, bookmark);
+      }
+    });
+
+    return {
+      bookmarks: Array.from(bookmarks.entries())
+        .filter(([key, bookmark]) => !removedBookmarks[key] || ProgressDocument.getBookmarkDate(bookmark) > removedBookmarks[key])
+        .map(([, bookmark]) => bookmark),
+      removedBookmarks
+    };
+  }
+
+  /**
+   * What identifies a bookmark across devices: its page
+   */
+  static getBookmarkKey(bookmark) {
+    return bookmark.url || [bookmark.section, bookmark.phase, bookmark.subsection].filter(Boolean).join('/');
+  }
+
+  static getBookmarkDate(bookmark) {
+    return bookmark.updatedAt || bookmark.addedAt || '';
+  }
+
+  /**
+   * Bookmarks removed on this device, by getBookmarkKey()
+   */
+  static loadRemovedBookmarks() {
+    try {
+      const stored = localStorage.getItem(REMOVED_BOOKMARKS_KEY);
+      if (stored) {
+        return JSON.parse(stored);
+      }
+    } catch (error) {
+      console.error('Error loading removed bookmarks:', error);
+    }
+
+    return {};
+  }
+
+  static saveRemovedBookmarks(removedBookmarks) {
+    try {
+      localStorage.setItem(REMOVED_BOOKMARKS_KEY, JSON.stringify(removedBookmarks));
+    } catch (error) {
+      console.error('Error saving removed bookmarks:', error);
+    }
+  }
+
+  /**
+   * Remember that bookmarks were removed, for the next merge
+   */
+  static recordRemovedBookmarks(bookmarks) {
+    const removedBookmarks = ProgressDocument.loadRemovedBookmarks();
+    const removedAt = new Date().toISOString();
+    bookmarks.forEach(bookmark => {
+      removedBookmarks[ProgressDocument.getBookmarkKey(bookmark)] = removedAt;
+    });
+    ProgressDocument.saveRemovedBookmarks(removedBookmarks);
+  }
+
+  /**
+   * Encode a document as a text code that fits in a QR code and survives
+   * copy and paste (and URLs)
+   * @returns {Promise<string>}
+   */
+  static async encode(document) {
+    const bytes = new TextEncoder().encode(JSON.stringify(document));
+    if (typeof CompressionStream === 'undefined') {
+      return `${PROGRESS_CODE_PREFIX}.${ProgressDocument.toBase64Url(bytes)}`;
+    }
+
+    const compressed = await ProgressDocument.transform(bytes, new CompressionStream('deflate'));
+    return `${PROGRESS_CODE_PREFIX}z.${ProgressDocument.toBase64Url(compressed)}`;
+  }
+
+  /**
+   * Decode a text code, or a transfer URL that ends in one
+   * @returns {Promise<Object>} the parsed document
+   * @throws {Error} 'Invalid progress code'
+   */
+  static async decode(code) {
+    const match = String(code).replace(/\s+/g, '').match(PROGRESS_CODE_PATTERN);
+    if (!match) {
+      throw new Error('Invalid progress code');
+    }
+
+    let data;
+    try {
+      let bytes = ProgressDocument.fromBase64Url(match[2]);
+      if (match[1]) {
+        bytes = await ProgressDocument.transform(bytes, new DecompressionStream('deflate'));
+      }
+      data = JSON.parse(new TextDecoder().decode(bytes));
+    } catch (error) {
+      throw new Error('Invalid progress code');
+    }
+
+    return ProgressDocument.parse(data);
+  }
+
+  static async transform(bytes, stream) {
+    const response = new Response(new Response(bytes).body.pipeThrough(stream));
+    return new Uint8Array(await response.arrayBuffer());
+  }
+
+  static toBase64Url(bytes) {
+    let binary = '';
+    bytes.forEach(byte => {
+      binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  static fromBase64Url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+  }
+
+  static earliest(a, b) {
+    if (!a) return b || null;
+    if (!b) return a;
+    return a < b ? a : b;
+  }
+
+  static latest(a, b) {
+    if (!a) return b || null;
+    if (!b) return a;
+    return a > b ? a : b;
+  }
+}
+
+// Shared with ProgressTracker and BookmarkManager in the browser
+if (typeof window !== 'undefined') {
+  window.ProgressDocument = ProgressDocument;
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ProgressDocument;
+}
@@ -0,0 +1,197 @@
+/**
+ * Progress Sync Module
+ * Optional sync of progress and bookmarks with a self-hosted server, for
+ * readers who want the same progress everywhere without transfer codes.
+ * ProgressTracker pulls, merges (ProgressDocument.merge) and pushes through a
+ * sync adapter: any object with
+ *   pull()          -> Promise<document|null>  (null: nothing new)
+ *   push(document)  -> Promise<'saved'|'queued'|'conflict'>
+ *
+ * RestProgressSync talks to a server with this contract
+ * (scripts/progress-sync-server.js is a reference implementation):
+ *   GET {endpoint}/api/progress/:userId   200 document + ETag, 304 unchanged
+ *                                         (If-None-Match), 404 nothing stored
+ *   PUT {endpoint}/api/progress/:userId   If-Match: ETag, or If-None-Match: *
+ *                                         for the first write; 200/201 + ETag,
+ *                                         412 if someone else wrote first
+ * Pushes made while offline are queued with CacheManager.addToPendingSync;
+ * when one is sent later and gets a 412, ProgressTracker syncs again.
+ */
+
+// { endpoint, userId, token } chosen on user-progress.html
+const PROGRESS_SYNC_SETTINGS_KEY = 'crypto-guide-sync';
+
+class RestProgressSync {
+  /**
+   * @param {Object} options
+   * @param {string} options.endpoint - Server origin, e.g. http://localhost:8787
+   * @param {string} options.userId - Letters, digits, '-' and '_'
+   * @param {string} [options.token] - Sent as a bearer token
+   * @param {CacheManager} [options.cacheManager] - Queue for offline pushes
+   */
+  constructor({ endpoint, userId, token = null, cacheManager = null }) {
+    this.url = `${endpoint.replace(/\/+$/, '')}/api/progress/${encodeURIComponent(userId)}`;
+    this.token = token;
+    this.cacheManager = cacheManager;
+    // ETag of the last document read or written
+    this.etag = null;
+
+    // Queued pushes that reached the server (CacheManager.syncPendingRequests)
+    window.addEventListener('pendingsync', (event) => {
+      if (event.detail.url !== this.url) return;
+
+      if (event.detail.ok) {
+        this.etag = event.detail.etag;
+      } else if (event.detail.status === 412) {
+        this.resolveConflict();
+      }
+    });
+  }
+
+  /**
+   * A queued push met changes from another device: pull, merge and push
+   * again through the tracker syncing with this adapter
+   * @returns {Promise<boolean>} Whether the server has this device's progress
+   */
+  resolveConflict() {
+    const tracker = window.progressTracker;
+    // A sync under way pushes the current progress anyway
+    if (!tracker || tracker.syncAdapter !== this || tracker.syncing) {
+      return Promise.resolve(false);
+    }
+
+    return tracker.syncProgress();
+  }
+
+  /**
+   * An adapter for the saved settings, or null when sync is off
+   */
+  static fromSettings(cacheManager = window.cacheManager) {
+    const settings = RestProgressSync.loadSettings();
+    if (!settings || !settings.endpoint || !settings.userId) {
+      return null;
+    }
+
+    return new RestProgressSync({ ...settings, cacheManager });
+  }
+
+  static loadSettings() {
+    try {
+      const stored = localStorage.getItem(PROGRESS_SYNC_SETTINGS_KEY);
+      if (stored) {
+        return JSON.parse(stored);
+      }
+    } catch (error) {
+      console.error('Error loading sync settings:', error);
+    }
+
+    return null;
+  }
+
+  /**
+   * @param {Object|null} settings - null turns sync off
+   */
+  static saveSettings(settings) {
+    try {
+      if (settings) {
+        localStorage.setItem(PROGRESS_SYNC_SETTINGS_KEY, JSON.stringify(settings));
+      } else {
+        localStorage.removeItem(PROGRESS_SYNC_SETTINGS_KEY);
+      }
+    } catch (error) {
+      console.error('Error saving sync settings:', error);
+    }
+  }
+
+  getHeaders(headers = {}) {
+    return this.token ? { ...headers, Authorization: `Bearer ${this.token}` } : headers;
+  }
+
+  /**
+   * The stored document, if it changed since the last pull or push
+   * @returns {Promise<Object|null>} null when unchanged, empty or unreachable
+   */
+  async pull() {
+    if (navigator.onLine === false) {
+      return null;
+    }
+
+    let response;
+    try {
+      response = await fetch(this.url, {
+        headers: this.getHeaders(this.etag ? { 'If-None-Match': this.etag } : {})
+      });
+    } catch (error) {
+      console.warn('Progress sync server unreachable:', error);
+      return null;
+    }
+
+    if (response.status === 304 || response.status === 404) {
+      return null;
+    }
+    if (!response.ok) {
+      throw new Error(`Progress sync failed: ${response.status}`);
+    }
+
+    this.etag = response.headers.get('ETag');
+    return window.ProgressDocument.parse(await response.json());
+  }
+
+  /**
+   * Store a document that includes everything pulled so far
+   * @returns {Promise<string>} 'saved', 'queued' (offline) or 'conflict'
+   *   (changed on the server since the last pull: pull, merge and push again)
+   */
+  async push(document) {
+    const options = {
+      method: 'PUT',
+      headers: this.getHeaders({
+        'Content-Type': 'application/json',
+        ...(this.etag ? { 'If-Match': this.etag } : { 'If-None-Match': '*' })
+      }),
+      body: JSON.stringify(document)
+    };
+
+    let response;
+    try {
+      if (navigator.onLine === false) {
+        throw new Error('Offline');
+      }
+      response = await fetch(this.url, options);
+    } catch (error) {
+      if (this.cacheManager) {
+        this.cacheManager.addToPendingSync(this.url, options);
+        return 'queued';
+      }
+      throw error;
+    }
+
+    if (response.status === 412) {
+      return 'conflict';
+    }
+    if (!response.ok) {
+      throw new Error(`Progress sync failed: ${response.status}`);
+    }
+
+    this.etag = response.headers.get('ETag');
+    return 'saved';
+  }
+}
+
+// Used by the sync settings on user-progress.html
+if (typeof window !== 'undefined') {
+  window.RestProgressSync = RestProgressSync;
+}
+
+// Sync progress on pages with a progress tracker, when the reader turned it on
+document.addEventListener('DOMContentLoaded', () => {
+  const adapter = RestProgressSync.fromSettings();
+  if (adapter && window.progressTracker) {
+    window.progressTracker.setSyncAdapter(adapter);
+  }
+});
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RestProgressSync;
+}
@@ -3,15 +3,26 @@
  * Manages user progress through guides and phases with localStorage persistence
  */
 
+// Wait for changes to settle before syncing (progress-sync.js)
+const PROGRESS_SYNC_DELAY = 2000;
+// Pull-merge-push rounds before giving up on a server others keep writing to
+const PROGRESS_SYNC_ATTEMPTS = 3;
+
 class ProgressTracker {
   constructor() {
     this.storageKey = 'crypto-guide-progress';
     this.bookmarksKey = 'crypto-guide-bookmarks';
+    // Phases and subsections to track (navigation-model.js), null until loaded
+    this.navigationModel = window.NavigationModel ? window.NavigationModel.get() : null;
     this.progress = this.loadProgress();
     this.bookmarks = this.loadBookmarks();
     this.currentSection = null;
     this.currentPhase = null;
     this.currentSubsection = null;
+    // Optional server to sync with (setSyncAdapter)
+    this.syncAdapter = null;
+    this.syncTimer = null;
+    this.syncing = false;
     
     this.init();
   }
@@ -23,6 +34,18 @@ class ProgressTracker {
     this.detectCurrentPage();
     this.setupEventListeners();
     this.updateProgressDisplay();
+
+    if (window.NavigationModel && !this.navigationModel) {
+      window.NavigationModel.load()
+        .then(model => {
+          this.navigationModel = model;
+          this.addModelPhases(this.progress);
+          this.detectCurrentPage();
+          this.updateProgressDisplay();
+        })
+        .catch(error => console.error('Error loading navigation model:', error));
+    }
+
     console.log('Progress tracker initialized');
   }
 
@@ -30,68 +53,58 @@ class ProgressTracker {
    * Load progress data from localStorage
    */
   loadProgress() {
+    let progress = null;
     try {
       const stored = localStorage.getItem(this.storageKey);
       if (stored) {
-        return JSON.parse(stored);
+        progress = JSON.parse(stored);
       }
     } catch (error) {
       console.error('Error loading progress:', error);
     }
     
-    return {
-      'development-roadmap': {
-        'phase-1': {
-          completed: false,
-          subsections: {},
-          startedAt: null,
-          completedAt: null
-        },
-        'phase-2': {
-          completed: false,
-          subsections: {},
-          startedAt: null,
-          completedAt: null
-        },
-        'phase-3': {
-          completed: false,
-          subsections: {},
-          startedAt: null,
-          completedAt: null
-        }
-      },
-      'node-guides': {
-        'procurement-provisioning': {
-          completed: false,
-          subsections: {},
-          startedAt: null,
-          completedAt: null
-        },
-        'server-security': {
-          completed: false,
-          subsections: {},
-          startedAt: null,
-          completedAt: null
-        },
-        'installation': {
-          completed: false,
-          subsections: {},
-          startedAt: null,
-          completedAt: null
-        },
-        'synchronization': {
+    progress = progress || {};
+    progress.metadata = {
+      totalTimeSpent: 0,
+      lastActive: null,
+      startedAt: null,
+      ...progress.metadata
+    };
+    progress.metadata.timeSpentByDevice = progress.metadata.timeSpentByDevice || {};
+    
+    // Time spent is counted per device, so merged progress can add it up
+    if (!progress.metadata.deviceId) {
+      progress.metadata.deviceId = 'device_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+      try {
+        localStorage.setItem(this.storageKey, JSON.stringify(progress));
+      } catch (error) {
+        console.error('Error saving progress:', error);
+      }
+    }
+    
+    return this.addModelPhases(progress);
+  }
+
+  /**
+   * Add an entry for every phase of the navigation model that the progress
+   * does not have yet (all of them for new visitors, new ones for others)
+   */
+  addModelPhases(progress) {
+    if (!this.navigationModel) return progress;
+
+    this.navigationModel.sections.forEach(section => {
+      progress[section.id] = progress[section.id] || {};
+      section.phases.forEach(phase => {
+        progress[section.id][phase.id] = progress[section.id][phase.id] || {
           completed: false,
           subsections: {},
           startedAt: null,
           completedAt: null
-        }
-      },
-      metadata: {
-        totalTimeSpent: 0,
-        lastActive: null,
-        startedAt: null
-      }
-    };
+        };
+      });
+    });
+    
+    return progress;
   }
 
   /**
@@ -120,6 +133,7 @@ class ProgressTracker {
     } catch (error) {
       console.error('Error saving progress:', error);
     }
+    this.scheduleSync();
   }
 
   /**
@@ -131,61 +145,87 @@ class ProgressTracker {
     } catch (error) {
       console.error('Error saving bookmarks:', error);
     }
+    this.scheduleSync();
   }
 
   /**
-   * Detect current page and set context
+   * Sync with a server from now on (progress-sync.js), starting right away
+   * @param {Object|null} adapter - null stops syncing
+   * @returns {Promise<boolean>} Whether the first sync succeeded
    */
-  detectCurrentPage() {
-    const path = window.location.pathname;
-    
-    // Parse URL to determine section, phase, and subsection
-    if (path.includes('/development-roadmap/')) {
-      this.currentSection = 'development-roadmap';
-      
-      if (path.includes('/phase-1/')) {
-        this.currentPhase = 'phase-1';
-        this.extractSubsection(path, ['database-schemas', 'payment-gateways', 'self-hosted-nodes']);
-      } else if (path.includes('/phase-2/')) {
-        this.currentPhase = 'phase-2';
-        this.extractSubsection(path, ['api-development', 'security-implementation']);
-      } else if (path.includes('/phase-3/')) {
-        this.currentPhase = 'phase-3';
-        this.extractSubsection(path, ['react-development', 'web3-integration']);
+  setSyncAdapter(adapter) {
+    clearTimeout(this.syncTimer);
+    this.syncAdapter = adapter;
+    return adapter ? this.syncProgress() : Promise.resolve(false);
+  }
+
+  /**
+   * Sync shortly after the last change, instead of on every one
+   */
+  scheduleSync() {
+    if (!this.syncAdapter || this.syncing) return;
+
+    clearTimeout(this.syncTimer);
+    this.syncTimer = setTimeout(() => this.syncProgress(), PROGRESS_SYNC_DELAY);
+  }
+
+  /**
+   * Merge the server's progress into this device's and store the result
+   * there; pulls again when another device wrote in between
+   * @returns {Promise<boolean>} Whether the server has this device's progress
+   */
+  async syncProgress() {
+    if (!this.syncAdapter) return false;
+
+    clearTimeout(this.syncTimer);
+    this.syncing = true;
+    let result = 'conflict';
+    let merged = false;
+    try {
+      for (let attempt = 0; attempt < PROGRESS_SYNC_ATTEMPTS && result === 'conflict'; attempt++) {
+        const remote = await this.syncAdapter.pull();
+        if (remote) {
+          this.mergeProgress(remote);
+          merged = true;
+        }
+
+        result = await this.syncAdapter.push(this.exportProgress());
       }
-    } else if (path.includes('/node-guides/')) {
-      this.currentSection = 'node-guides';
-      
-      if (path.includes('/procurement-provisioning/')) {
-        this.currentPhase = 'procurement-provisioning';
-        this.extractSubsection(path, ['vps-selection', 'hardware-requirements', 'cost-estimation']);
-      } else if (path.includes('/server-security/')) {
-        this.currentPhase = 'server-security';
-        this.extractSubsection(path, ['secure-connections', 'firewall-config', 'system-hardening']);
-      } else if (path.includes('/installation/')) {
-        this.currentPhase = 'installation';
-        this.extractSubsection(path, ['download-verification', 'configuration', 'setup-wizard']);
-      } else if (path.includes('/synchronization/')) {
-        this.currentPhase = 'synchronization';
-        this.extractSubsection(path, ['monitoring', 'testing', 'maintenance']);
+      if (result === 'conflict') {
+        console.warn('Progress sync gave up after repeated conflicts');
       }
+    } catch (error) {
+      console.error('Error syncing progress:', error);
+      result = 'error';
+    } finally {
+      this.syncing = false;
     }
 
-    // Mark as started if not already
-    if (this.currentSection && this.currentPhase) {
-      this.markPhaseStarted(this.currentSection, this.currentPhase);
+    if (merged) {
+      this.updateProgressDisplay();
     }
+    // Pages showing progress refresh when another device's was merged in
+    document.dispatchEvent(new CustomEvent('progresssync', {
+      detail: { result, merged }
+    }));
+    return result === 'saved';
   }
 
   /**
-   * Extract subsection from path
+   * Detect current page and set context
    */
-  extractSubsection(path, possibleSubsections) {
-    for (const subsection of possibleSubsections) {
-      if (path.includes(`/${subsection}.html`) || path.includes(`/${subsection}/`)) {
-        this.currentSubsection = subsection;
-        break;
-      }
+  detectCurrentPage() {
+    const page = this.navigationModel && this.navigationModel.findPage(window.location.pathname);
+    
+    // Section, phase and subsection of the page, if it is in the guides
+    // (pages swapped in by page-loader.js detect again)
+    this.currentSection = page && page.section ? page.section : null;
+    this.currentPhase = page && page.section ? page.phase : null;
+    this.currentSubsection = page && page.section ? page.subsection : null;
+
+    // Mark as started if not already
+    if (this.currentSection && this.currentPhase) {
+      this.markPhaseStarted(this.currentSection, this.currentPhase);
     }
   }
 
@@ -208,6 +248,11 @@ class ProgressTracker {
       this.trackTimeSpent();
     });
 
+    // Catch up with the sync server after working offline
+    window.addEventListener('online', () => {
+      this.scheduleSync();
+    });
+
     // Listen for manual completion buttons
     document.addEventListener('click', (e) => {
       if (e.target.classList.contains('mark-complete-btn')) {
@@ -231,9 +276,15 @@ class ProgressTracker {
   }
 
   /**
-   * Check if user has scrolled to bottom of content
+   * Check if user has scrolled to bottom of content; pages with a checklist
+   * or quiz are completed by those instead (subsection-checks.js)
    */
   checkScrollCompletion() {
+    // Pages with checks are completed by those, gated pages not at all
+    if (document.querySelector('[data-checklist], [data-quiz], #page-gate')) {
+      return;
+    }
+
     const scrollPosition = window.scrollY + window.innerHeight;
     const documentHeight = document.documentElement.scrollHeight;
     const threshold = 0.9; // 90% of page
@@ -284,21 +335,79 @@ class ProgressTracker {
       return;
     }
 
-    if (!this.progress[section][phase].subsections[subsection]) {
+    const state = this.progress[section][phase].subsections[subsection];
+    if (!state || !state.completed) {
       this.progress[section][phase].subsections[subsection] = {
+        ...state,
         completed: true,
         completedAt: new Date().toISOString()
       };
 
       this.saveProgress();
       this.updateProgressDisplay();
-      this.showCompletionNotification(`Completed: ${this.formatSubsectionName(subsection)}`);
+      this.showCompletionNotification(`Completed: ${this.formatSubsectionName(subsection, section, phase)}`);
       
       // Check if all subsections in phase are completed
       this.checkPhaseCompletion(section, phase);
     }
   }
 
+  /**
+   * Checklist items ticked and the best quiz result of a subsection
+   * @returns {{checklist: Object, quiz: Object|null}} checklist: { [item]: { checked, changedAt } }
+   */
+  getSubsectionChecks(section, phase, subsection) {
+    const phaseData = this.progress[section] && this.progress[section][phase];
+    const state = phaseData && phaseData.subsections[subsection];
+
+    return {
+      checklist: (state && state.checklist) || {},
+      quiz: (state && state.quiz) || null
+    };
+  }
+
+  /**
+   * Tick or untick an item of a subsection's checklist
+   * @param {number} item - Index of the item in the checklist
+   */
+  setChecklistItem(section, phase, subsection, item, checked) {
+    const state = this.getSubsectionState(section, phase, subsection);
+    if (!state) return;
+
+    state.checklist = {
+      ...state.checklist,
+      [item]: { checked: Boolean(checked), changedAt: new Date().toISOString() }
+    };
+    this.saveProgress();
+  }
+
+  /**
+   * Record a quiz attempt, keeping the best result
+   * @returns {Object|null} The result kept
+   */
+  recordQuizResult(section, phase, subsection, score, total) {
+    const state = this.getSubsectionState(section, phase, subsection);
+    if (!state) return null;
+
+    const result = { score, total, passed: score === total, takenAt: new Date().toISOString() };
+    state.quiz = window.ProgressDocument.bestQuizResult(state.quiz, result);
+    this.saveProgress();
+    return state.quiz;
+  }
+
+  /**
+   * A subsection's stored state, created (not completed) if needed
+   */
+  getSubsectionState(section, phase, subsection) {
+    if (!this.progress[section] || !this.progress[section][phase]) {
+      return null;
+    }
+
+    const { subsections } = this.progress[section][phase];
+    subsections[subsection] = subsections[subsection] || { completed: false, completedAt: null };
+    return subsections[subsection];
+  }
+
   /**
    * Mark a phase as completed
    */
@@ -312,7 +421,7 @@ class ProgressTracker {
     
     this.saveProgress();
     this.updateProgressDisplay();
-    this.showCompletionNotification(`Phase Completed: ${this.formatPhaseName(phase)}`);
+    this.showCompletionNotification(`Phase Completed: ${this.formatPhaseName(phase, section)}`);
   }
 
   /**
@@ -322,11 +431,12 @@ class ProgressTracker {
     const phaseData = this.progress[section][phase];
     const expectedSubsections = this.getExpectedSubsections(section, phase);
     
-    const completedSubsections = Object.keys(phaseData.subsections).filter(
-      subsection => phaseData.subsections[subsection].completed
+    const allCompleted = expectedSubsections.every(
+      subsection => phaseData.subsections[subsection] && phaseData.subsections[subsection].completed
     );
 
-    if (completedSubsections.length >= expectedSubsections.length && !phaseData.completed) {
+    // No expected subsections until the navigation model is loaded
+    if (expectedSubsections.length > 0 && allCompleted && !phaseData.completed) {
       this.markPhaseCompleted(section, phase);
     }
   }
@@ -335,21 +445,18 @@ class ProgressTracker {
    * Get expected subsections for a phase
    */
   getExpectedSubsections(section, phase) {
-    const subsections = {
-      'development-roadmap': {
-        'phase-1': ['database-schemas', 'payment-gateways', 'self-hosted-nodes'],
-        'phase-2': ['api-development', 'security-implementation'],
-        'phase-3': ['react-development', 'web3-integration']
-      },
-      'node-guides': {
-        'procurement-provisioning': ['vps-selection', 'hardware-requirements', 'cost-estimation'],
-        'server-security': ['secure-connections', 'firewall-config', 'system-hardening'],
-        'installation': ['download-verification', 'configuration', 'setup-wizard'],
-        'synchronization': ['monitoring', 'testing', 'maintenance']
-      }
-    };
+    return this.navigationModel ? this.navigationModel.getSubsectionIds(section, phase) : [];
+  }
 
-    return subsections[section]?.[phase] || [];
+  /**
+   * Get the sections to report progress for
+   */
+  getSectionIds() {
+    if (this.navigationModel) {
+      return this.navigationModel.sections.map(section => section.id);
+    }
+
+    return Object.keys(this.progress).filter(section => section !== 'metadata');
   }
 
   /**
@@ -376,7 +483,10 @@ class ProgressTracker {
     );
 
     if (existingIndex >= 0) {
-      this.bookmarks.splice(existingIndex, 1);
+      const [removed] = this.bookmarks.splice(existingIndex, 1);
+      if (window.ProgressDocument) {
+        window.ProgressDocument.recordRemovedBookmarks([removed]);
+      }
       this.showNotification('Bookmark removed');
     } else {
       this.bookmarks.push(bookmark);
@@ -412,7 +522,7 @@ class ProgressTracker {
    */
   updateProgressBars() {
     // Update section progress bars
-    ['development-roadmap', 'node-guides'].forEach(section => {
+    this.getSectionIds().forEach(section => {
       const progressBar = document.querySelector(`[data-progress-section="${section}"]`);
       if (progressBar) {
         const percentage = this.getSectionProgress(section);
@@ -451,7 +561,7 @@ class ProgressTracker {
         </div>
         <div class="progress-stat">
           <span class="progress-stat-label">Time Spent</span>
-          <span class="progress-stat-value">${this.formatTimeSpent(this.progress.metadata.totalTimeSpent)}</span>
+          <span class="progress-stat-value">${this.formatTimeSpent(this.getTotalTimeSpent())}</span>
         </div>
         <div class="progress-stat">
           <span class="progress-stat-label">Bookmarks</span>
@@ -479,8 +589,9 @@ class ProgressTracker {
   getSectionProgress(section) {
     if (!this.progress[section]) return 0;
     
-    const phases = Object.keys(this.progress[section]);
-    const completedPhases = phases.filter(phase => this.progress[section][phase].completed);
+    const modelSection = this.navigationModel && this.navigationModel.getSection(section);
+    const phases = modelSection ? modelSection.phases.map(phase => phase.id) : Object.keys(this.progress[section]);
+    const completedPhases = phases.filter(phase => this.progress[section][phase] && this.progress[section][phase].completed);
     
     return phases.length > 0 ? (completedPhases.length / phases.length) * 100 : 0;
   }
@@ -491,9 +602,10 @@ class ProgressTracker {
   getPhaseProgress(section, phase) {
     if (!this.progress[section] || !this.progress[section][phase]) return 0;
     
+    const { subsections } = this.progress[section][phase];
     const expectedSubsections = this.getExpectedSubsections(section, phase);
-    const completedSubsections = Object.keys(this.progress[section][phase].subsections).filter(
-      subsection => this.progress[section][phase].subsections[subsection].completed
+    const completedSubsections = expectedSubsections.filter(
+      subsection => subsections[subsection] && subsections[subsection].completed
     );
     
     return expectedSubsections.length > 0 ? (completedSubsections.length / expectedSubsections.length) * 100 : 0;
@@ -503,12 +615,22 @@ class ProgressTracker {
    * Get total progress percentage
    */
   getTotalProgress() {
-    const sections = ['development-roadmap', 'node-guides'];
+    const sections = this.getSectionIds();
+    if (sections.length === 0) return 0;
+
     const sectionProgresses = sections.map(section => this.getSectionProgress(section));
     
     return sectionProgresses.reduce((sum, progress) => sum + progress, 0) / sections.length;
   }
 
+  /**
+   * Time spent on this device and, after merges, on the others
+   */
+  getTotalTimeSpent() {
+    const { totalTimeSpent, timeSpentByDevice } = this.progress.metadata;
+    return Object.values(timeSpentByDevice || {}).reduce((sum, time) => sum + time, totalTimeSpent);
+  }
+
   /**
    * Format time spent in human readable format
    */
@@ -528,24 +650,26 @@ class ProgressTracker {
   /**
    * Format phase name for display
    */
-  formatPhaseName(phase) {
-    const phaseNames = {
-      'phase-1': 'Phase 1: Foundational Infrastructure',
-      'phase-2': 'Phase 2: Backend & APIs',
-      'phase-3': 'Phase 3: Frontend & UI',
-      'procurement-provisioning': 'Procurement & Provisioning',
-      'server-security': 'Server Foundation & Security',
-      'installation': 'Node Software Installation',
-      'synchronization': 'Blockchain Synchronization'
-    };
+  formatPhaseName(phase, section = null) {
+    const sections = this.navigationModel ? this.navigationModel.sections : [];
+    const match = sections
+      .filter(item => !section || item.id === section)
+      .map(item => item.phases.find(candidate => candidate.id === phase))
+      .find(Boolean);
     
-    return phaseNames[phase] || phase;
+    return match ? match.label : phase;
   }
 
   /**
    * Format subsection name for display
    */
-  formatSubsectionName(subsection) {
+  formatSubsectionName(subsection, section = this.currentSection, phase = this.currentPhase) {
+    const modelPhase = this.navigationModel && this.navigationModel.getPhase(section, phase);
+    const match = modelPhase && modelPhase.subsections.find(item => item.id === subsection);
+    if (match) {
+      return match.title;
+    }
+
     return subsection.split('-').map(word => 
       word.charAt(0).toUpperCase() + word.slice(1)
     ).join(' ');
@@ -579,36 +703,103 @@ class ProgressTracker {
   }
 
   /**
-   * Export progress data
+   * Export progress data as a progress document (progress-document.js)
    */
   exportProgress() {
-    return {
-      progress: this.progress,
-      bookmarks: this.bookmarks,
-      exportedAt: new Date().toISOString()
-    };
+    return window.ProgressDocument.fromProgress(
+      this.progress,
+      this.bookmarks,
+      window.ProgressDocument.loadRemovedBookmarks()
+    );
   }
 
   /**
-   * Import progress data
+   * Download progress data as a JSON file
+   */
+  downloadProgress() {
+    const dataStr = JSON.stringify(this.exportProgress(), null, 2);
+    const dataBlob = new Blob([dataStr], { type: 'application/json' });
+    
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(dataBlob);
+    link.download = `crypto-guide-progress-${new Date().toISOString().split('T')[0]}.json`;
+    link.click();
+    
+    this.showNotification('Progress exported', 'success');
+  }
+
+  /**
+   * Import progress data: merge a progress document (or a version 1
+   * export) from another device into this one's
+   * @returns {boolean} Whether the data could be imported
    */
   importProgress(data) {
     try {
-      if (data.progress) {
-        this.progress = data.progress;
-        this.saveProgress();
-      }
-      
-      if (data.bookmarks) {
-        this.bookmarks = data.bookmarks;
-        this.saveBookmarks();
-      }
-      
+      this.mergeProgress(window.ProgressDocument.parse(data));
       this.updateProgressDisplay();
       this.showNotification('Progress imported successfully', 'success');
+      return true;
     } catch (error) {
       console.error('Error importing progress:', error);
       this.showNotification('Error importing progress', 'error');
+      return false;
+    }
+  }
+
+  /**
+   * Merge a parsed progress document into this device's progress and
+   * bookmarks, and save them
+   */
+  mergeProgress(document) {
+    const { ProgressDocument } = window;
+    const merged = ProgressDocument.merge(this.exportProgress(), document);
+    
+    this.progress = this.addModelPhases(ProgressDocument.toProgress(merged, this.progress.metadata.deviceId));
+    this.completeFinishedPhases();
+    this.saveProgress();
+    
+    this.bookmarks = merged.bookmarks;
+    this.saveBookmarks();
+    ProgressDocument.saveRemovedBookmarks(merged.removedBookmarks);
+  }
+
+  /**
+   * Mark phases whose subsections were completed across devices as
+   * completed, dated by their last subsection
+   */
+  completeFinishedPhases() {
+    this.getSectionIds().forEach(section => {
+      Object.keys(this.progress[section] || {}).forEach(phase => {
+        const phaseData = this.progress[section][phase];
+        const states = this.getExpectedSubsections(section, phase).map(subsection => phaseData.subsections[subsection]);
+        
+        if (!phaseData.completed && states.length > 0 && states.every(state => state && state.completed)) {
+          phaseData.completed = true;
+          phaseData.completedAt = states.map(state => state.completedAt).filter(Boolean).sort().pop() || new Date().toISOString();
+        }
+      });
+    });
+  }
+
+  /**
+   * Progress as a text code for another device (ProgressDocument.encode)
+   * @returns {Promise<string>}
+   */
+  createTransferCode() {
+    return window.ProgressDocument.encode(this.exportProgress());
+  }
+
+  /**
+   * Merge a text code or transfer link from another device
+   * @returns {Promise<boolean>} Whether the code could be imported
+   */
+  async importTransferCode(code) {
+    try {
+      return this.importProgress(await window.ProgressDocument.decode(code));
+    } catch (error) {
+      console.error('Error importing progress code:', error);
+      this.showNotification('Invalid progress code', 'error');
+      return false;
     }
   }
 
@@ -619,6 +810,9 @@ class ProgressTracker {
     if (confirm('Are you sure you want to reset all progress? This cannot be undone.')) {
       localStorage.removeItem(this.storageKey);
       localStorage.removeItem(this.bookmarksKey);
+      if (window.ProgressDocument) {
+        window.ProgressDocument.saveRemovedBookmarks({});
+      }
       this.progress = this.loadProgress();
       this.bookmarks = this.loadBookmarks();
       this.updateProgressDisplay();
@@ -0,0 +1,492 @@
+/**
+ * QR Code Module
+ * Encodes text as a QR code (ISO/IEC 18004, byte mode, versions 1-40) and
+ * renders it as SVG, so pages can show codes without a server or library.
+ * Used by user-progress.html to move progress to another device: the code
+ * holds a link that opens the page there with the progress to merge.
+ *
+ * Usage:
+ *   const qr = QRCode.create('https://example.com/', { errorCorrection: 'M' });
+ *   container.innerHTML = qr.toSvg();
+ */
+
+// Error correction levels: format bits, then per version (index 1-40) the
+// error correction codewords per block and the number of blocks
+const QR_ERROR_CORRECTION = {
+  L: {
+    formatBits: 1,
+    codewordsPerBlock: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    blocks: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25]
+  },
+  M: {
+    formatBits: 0,
+    codewordsPerBlock: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    blocks: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49]
+  },
+  Q: {
+    formatBits: 3,
+    codewordsPerBlock: [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    blocks: [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68]
+  },
+  H: {
+    formatBits: 2,
+    codewordsPerBlock: [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    blocks: [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+  }
+};
+
+const QR_MIN_VERSION = 1;
+const QR_MAX_VERSION = 40;
+
+// Byte mode indicator and its pad codewords
+const QR_BYTE_MODE = 0x4;
+const QR_PAD_CODEWORDS = [0xEC, 0x11];
+
+// Penalty weights used to pick the mask (N1-N4 in the standard)
+const QR_PENALTY = { run: 3, block: 3, finderLike: 40, balance: 10 };
+
+class QRCode {
+  /**
+   * @param {number} version
+   * @param {string} errorCorrection - L, M, Q or H
+   * @param {number[]} codewords - Data and error correction codewords, interleaved
+   * @param {number} [mask] - 0-7, chosen by penalty score when left out
+   */
+  constructor(version, errorCorrection, codewords, mask = null) {
+    this.version = version;
+    this.errorCorrection = errorCorrection;
+    this.size = version * 4 + 17;
+    this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+
+    this.drawFunctionPatterns();
+    this.drawCodewords(codewords);
+
+    if (mask === null) {
+      let bestPenalty = Infinity;
+      for (let candidate = 0; candidate < 8; candidate++) {
+        this.applyMask(candidate);
+        this.drawFormatBits(candidate);
+        const penalty = this.getPenaltyScore();
+        if (penalty < bestPenalty) {
+          bestPenalty = penalty;
+          mask = candidate;
+        }
+        // Masks are XOR: applying one again removes it
+        this.applyMask(candidate);
+      }
+    }
+
+    this.mask = mask;
+    this.applyMask(mask);
+    this.drawFormatBits(mask);
+  }
+
+  /**
+   * Encode text (UTF-8) in the smallest version that holds it
+   * @param {string} text
+   * @param {Object} [options]
+   * @param {string} [options.errorCorrection='M'] - L (7%), M (15%), Q (25%) or H (30%)
+   * @returns {QRCode}
+   * @throws {Error} when the text does not fit in a version 40 code
+   */
+  static create(text, { errorCorrection = 'M' } = {}) {
+    if (!QR_ERROR_CORRECTION[errorCorrection]) {
+      throw new Error(`Unknown error correction level: ${errorCorrection}`);
+    }
+
+    const bytes = Array.from(new TextEncoder().encode(text));
+
+    for (let version = QR_MIN_VERSION; version <= QR_MAX_VERSION; version++) {
+      const capacity = QRCode.getDataCodewordCount(version, errorCorrection) * 8;
+      const countBits = version < 10 ? 8 : 16;
+      if (4 + countBits + bytes.length * 8 <= capacity) {
+        const data = QRCode.encodeData(bytes, countBits, capacity);
+        return new QRCode(version, errorCorrection, QRCode.addErrorCorrection(data, version, errorCorrection));
+      }
+    }
+
+    throw new Error('Data too long for a QR code');
+  }
+
+  /**
+   * Mode, length, data, terminator and padding, as codewords
+   */
+  static encodeData(bytes, countBits, capacity) {
+    const bits = [];
+    const append = (value, length) => {
+      for (let i = length - 1; i >= 0; i--) {
+        bits.push((value >>> i) & 1);
+      }
+    };
+
+    append(QR_BYTE_MODE, 4);
+    append(bytes.length, countBits);
+    bytes.forEach(byte => append(byte, 8));
+    append(0, Math.min(4, capacity - bits.length));
+    append(0, (8 - bits.length % 8) % 8);
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+      codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    for (let i = 0; codewords.length < capacity / 8; i++) {
+      codewords.push(QR_PAD_CODEWORDS[i % 2]);
+    }
+    return codewords;
+  }
+
+  /**
+   * Split data into blocks, add Reed-Solomon codewords to each and
+   * interleave them
+   */
+  static addErrorCorrection(data, version, errorCorrection) {
+    const { codewordsPerBlock, blocks: blockCounts } = QR_ERROR_CORRECTION[errorCorrection];
+    const blockCount = blockCounts[version];
+    const eccLength = codewordsPerBlock[version];
+    const rawCodewords = Math.floor(QRCode.getRawModuleCount(version) / 8);
+    const shortBlockCount = blockCount - rawCodewords % blockCount;
+    const shortBlockLength = Math.floor(rawCodewords / blockCount);
+    const divisor = QRCode.getReedSolomonDivisor(eccLength);
+
+    const blocks = [];
+    for (let i = 0, offset = 0; i < blockCount; i++) {
+      const block = data.slice(offset, offset + shortBlockLength - eccLength + (i < shortBlockCount ? 0 : 1));
+      offset += block.length;
+      const ecc = QRCode.getReedSolomonRemainder(block, divisor);
+      // Placeholder so short and long blocks interleave by index
+      if (i < shortBlockCount) {
+        block.push(0);
+      }
+      blocks.push(block.concat(ecc));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+      blocks.forEach((block, j) => {
+        if (i !== shortBlockLength - eccLength || j >= shortBlockCount) {
+          result.push(block[i]);
+        }
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Modules available for data and error correction in a version
+   */
+  static getRawModuleCount(version) {
+    let count = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+      const alignmentCount = Math.floor(version / 7) + 2;
+      count -= (25 * alignmentCount - 10) * alignmentCount - 55;
+      if (version >= 7) {
+        count -= 36;
+      }
+    }
+    return count;
+  }
+
+  static getDataCodewordCount(version, errorCorrection) {
+    const { codewordsPerBlock, blocks } = QR_ERROR_CORRECTION[errorCorrection];
+    return Math.floor(QRCode.getRawModuleCount(version) / 8) - codewordsPerBlock[version] * blocks[version];
+  }
+
+  static getReedSolomonDivisor(degree) {
+    const result = new Array(degree - 1).fill(0).concat([1]);
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+      for (let j = 0; j < result.length; j++) {
+        result[j] = QRCode.multiply(result[j], root);
+        if (j + 1 < result.length) {
+          result[j] ^= result[j + 1];
+        }
+      }
+      root = QRCode.multiply(root, 0x02);
+    }
+    return result;
+  }
+
+  static getReedSolomonRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    data.forEach(byte => {
+      const factor = byte ^ result.shift();
+      result.push(0);
+      divisor.forEach((coefficient, i) => {
+        result[i] ^= QRCode.multiply(coefficient, factor);
+      });
+    });
+    return result;
+  }
+
+  /**
+   * Multiplication in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+   */
+  static multiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+      z = (z << 1) ^ ((z >>> 7) * 0x11D);
+      z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+  }
+
+  /**
+   * Centers of the alignment patterns along each axis
+   */
+  getAlignmentPositions() {
+    if (this.version === 1) {
+      return [];
+    }
+
+    const count = Math.floor(this.version / 7) + 2;
+    const step = Math.floor((this.version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+    const positions = [6];
+    for (let position = this.size - 7; positions.length < count; position -= step) {
+      positions.splice(1, 0, position);
+    }
+    return positions;
+  }
+
+  setFunctionModule(x, y, dark) {
+    this.modules[y][x] = dark;
+    this.isFunction[y][x] = true;
+  }
+
+  drawFunctionPatterns() {
+    // Timing patterns
+    for (let i = 0; i < this.size; i++) {
+      this.setFunctionModule(6, i, i % 2 === 0);
+      this.setFunctionModule(i, 6, i % 2 === 0);
+    }
+
+    // Finder patterns with their separators
+    [[3, 3], [this.size - 4, 3], [3, this.size - 4]].forEach(([x, y]) => {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const distance = Math.max(Math.abs(dx), Math.abs(dy));
+          if (x + dx >= 0 && x + dx < this.size && y + dy >= 0 && y + dy < this.size) {
+            this.setFunctionModule(x + dx, y + dy, distance !== 2 && distance !== 4);
+          }
+        }
+      }
+    });
+
+    // Alignment patterns, except where they would overlap the finders
+    const positions = this.getAlignmentPositions();
+    const last = positions.length - 1;
+    positions.forEach((y, i) => {
+      positions.forEach((x, j) => {
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) {
+          return;
+        }
+        for (let dy = -2; dy <= 2; dy++) {
+          for (let dx = -2; dx <= 2; dx++) {
+            this.setFunctionModule(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+          }
+        }
+      });
+    });
+
+    // Reserve the format areas; the bits are drawn with the mask
+    this.drawFormatBits(0);
+    this.drawVersionBits();
+  }
+
+  /**
+   * Error correction level and mask, with their BCH code, twice
+   */
+  drawFormatBits(mask) {
+    const data = (QR_ERROR_CORRECTION[this.errorCorrection].formatBits << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+    const bit = i => ((bits >>> i) & 1) !== 0;
+
+    // Around the top left finder
+    for (let i = 0; i <= 5; i++) {
+      this.setFunctionModule(8, i, bit(i));
+    }
+    this.setFunctionModule(8, 7, bit(6));
+    this.setFunctionModule(8, 8, bit(7));
+    this.setFunctionModule(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) {
+      this.setFunctionModule(14 - i, 8, bit(i));
+    }
+
+    // Along the other two finders
+    for (let i = 0; i < 8; i++) {
+      this.setFunctionModule(this.size - 1 - i, 8, bit(i));
+    }
+    for (let i = 8; i < 15; i++) {
+      this.setFunctionModule(8, this.size - 15 + i, bit(i));
+    }
+    // Always dark
+    this.setFunctionModule(8, this.size - 8, true);
+  }
+
+  /**
+   * Version number with its BCH code, from version 7 up
+   */
+  drawVersionBits() {
+    if (this.version < 7) {
+      return;
+    }
+
+    let remainder = this.version;
+    for (let i = 0; i < 12; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+    }
+    const bits = (this.version << 12) | remainder;
+
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) !== 0;
+      const a = this.size - 11 + i % 3;
+      const b = Math.floor(i / 3);
+      this.setFunctionModule(a, b, dark);
+      this.setFunctionModule(b, a, dark);
+    }
+  }
+
+  /**
+   * Place codewords in two-module columns, zigzagging up and down from the
+   * bottom right
+   */
+  drawCodewords(codewords) {
+    let i = 0;
+    for (let right = this.size - 1; right >= 1; right -= 2) {
+      // Skip the vertical timing pattern
+      if (right === 6) {
+        right = 5;
+      }
+      for (let vertical = 0; vertical < this.size; vertical++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? this.size - 1 - vertical : vertical;
+          if (!this.isFunction[y][x] && i < codewords.length * 8) {
+            this.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+            i++;
+          }
+        }
+      }
+    }
+  }
+
+  applyMask(mask) {
+    const conditions = [
+      (x, y) => (x + y) % 2 === 0,
+      (x, y) => y % 2 === 0,
+      (x) => x % 3 === 0,
+      (x, y) => (x + y) % 3 === 0,
+      (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+      (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+      (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+      (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+    ];
+    const condition = conditions[mask];
+
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (!this.isFunction[y][x] && condition(x, y)) {
+          this.modules[y][x] = !this.modules[y][x];
+        }
+      }
+    }
+  }
+
+  /**
+   * Penalty of the current modules: long runs, 2x2 blocks, finder-like
+   * patterns and an unbalanced dark/light ratio make codes harder to scan
+   */
+  getPenaltyScore() {
+    const finderLike = [true, false, true, true, true, false, true];
+    const lines = [];
+    for (let i = 0; i < this.size; i++) {
+      lines.push(this.modules[i]);
+      lines.push(this.modules.map(row => row[i]));
+    }
+
+    let penalty = 0;
+    lines.forEach(line => {
+      let run = 1;
+      for (let i = 1; i <= line.length; i++) {
+        if (i < line.length && line[i] === line[i - 1]) {
+          run++;
+        } else {
+          if (run >= 5) {
+            penalty += QR_PENALTY.run + run - 5;
+          }
+          run = 1;
+        }
+      }
+
+      // 1:1:3:1:1 with four light modules on either side
+      for (let i = 0; i + 7 <= line.length; i++) {
+        if (finderLike.every((dark, j) => line[i + j] === dark)) {
+          const lightBefore = i >= 4 && line.slice(i - 4, i).every(dark => !dark);
+          const lightAfter = i + 11 <= line.length && line.slice(i + 7, i + 11).every(dark => !dark);
+          if (lightBefore || lightAfter) {
+            penalty += QR_PENALTY.finderLike;
+          }
+        }
+      }
+    });
+
+    let darkCount = 0;
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        const dark = this.modules[y][x];
+        if (dark) {
+          darkCount++;
+        }
+        if (x + 1 < this.size && y + 1 < this.size &&
+            dark === this.modules[y][x + 1] && dark === this.modules[y + 1][x] && dark === this.modules[y + 1][x + 1]) {
+          penalty += QR_PENALTY.block;
+        }
+      }
+    }
+
+    const darkPercent = (darkCount * 100) / (this.size * this.size);
+    penalty += Math.floor(Math.abs(darkPercent - 50) / 5) * QR_PENALTY.balance;
+
+    return penalty;
+  }
+
+  /**
+   * Render as an SVG image: one path of dark modules, with a light margin
+   * (the standard asks for four modules)
+   * @param {Object} [options]
+   * @param {number} [options.margin=4]
+   * @param {string} [options.title] - Accessible name of the image
+   */
+  toSvg({ margin = 4, title = 'QR code' } = {}) {
+    const size = this.size + margin * 2;
+    const path = [];
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (this.modules[y][x]) {
+          path.push(`M${x + margin},${y + margin}h1v1h-1z`);
+        }
+      }
+    }
+
+    const label = title.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+    return `<svg xmlns="http://www.w3.org/2000/svg" class="qr-code" viewBox="0 0 ${size} ${size}" role="img" aria-label="${label}" shape-rendering="crispEdges">` +
+      `<rect width="100%" height="100%" fill="#ffffff"/>` +
+      `<path d="${path.join('')}" fill="#000000"/>` +
+      '</svg>';
+  }
+}
+
+// Shared with the page scripts in the browser
+if (typeof window !== 'undefined') {
+  window.QRCode = QRCode;
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = QRCode;
+}
@@ -11,6 +11,7 @@ class ResourceOptimizer {
     this.isProcessingQueue = false;
     this.criticalResources = new Set();
     this.deferredResources = new Set();
+    this.prefetchedResources = new Set();
     
     this.init();
   }
@@ -52,6 +53,7 @@ class ResourceOptimizer {
     // Critical JavaScript modules
     const criticalJS = [
       '/assets/js/navigation.js',
+      '/assets/js/i18n.js',
       '/assets/js/language-switcher.js'
     ];
     
@@ -472,6 +474,10 @@ class ResourceOptimizer {
     const nextPageResources = this.analyzePageResources(nextPageUrl);
     
     nextPageResources.forEach(resource => {
+      // Pages share resources; prefetch each of them once
+      if (this.prefetchedResources.has(resource)) return;
+      this.prefetchedResources.add(resource);
+      
       const link = document.createElement('link');
       link.rel = 'prefetch';
       link.href = resource;
@@ -497,8 +503,9 @@ class ResourceOptimizer {
     if (pageUrl.includes('/search')) {
       resources.push(
         '/assets/css/search.css',
+        '/assets/js/search-index.js',
         '/assets/js/search.js',
-        '/data/search-index.json'
+        '/data/search/en.json'
       );
     }
     
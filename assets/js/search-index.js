@@ -0,0 +1,733 @@
+/**
+ * Search Index Module
+ * Full-text search index shared by the build, which writes one compact
+ * inverted index per language (data/search/{lang}.json), and SearchEngine,
+ * which loads it on the first search and ranks matches with BM25.
+ *
+ * Text and queries go through the same analysis: words are lowercased,
+ * stopwords dropped and the rest stemmed (Porter for English, light
+ * stemmers for Dutch and French) so "configuring" finds "configuration".
+ *
+ * Query terms also match longer index terms they start (as you type) and,
+ * when the index doesn't have them, terms within a small edit distance, so
+ * "firewal" and "monro" still find Firewall and Monero. Phrases and
+ * exclusions are checked exactly, against terms and pairs of neighbouring
+ * terms.
+ *
+ * Index format:
+ *   documents: stored fields of every page, in index order
+ *   lengths:   weighted number of terms per document
+ *   terms:     term -> [docDelta, frequency, docDelta, frequency, ...]
+ *   pairs:     "term next" -> [docDelta, docDelta, ...]
+ *   words:     term -> most common word it was made from, where they differ
+ * Document numbers in a posting list are stored as the difference to the
+ * previous one; frequencies are weighted by field (see FIELD_WEIGHTS).
+ */
+
+const SEARCH_INDEX_VERSION = 2;
+
+// How much a term counts in each field; titles are short and decisive
+const FIELD_WEIGHTS = {
+  title: 5,
+  keywords: 3,
+  description: 2,
+  codeTitles: 2,
+  content: 1,
+  prerequisites: 1,
+  tables: 1,
+  code: 1
+};
+
+// Fields kept in the index for displaying and filtering results (code
+// results show the code around the matching line)
+const STORED_FIELDS = ['type', 'section', 'phaseId', 'id', 'blockId', 'title', 'description', 'subsection', 'phase', 'difficulty', 'url', 'keywords', 'language', 'code'];
+
+// BM25 parameters: term frequency saturation and length normalization
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Share of the score a looser match keeps: a term the query term starts,
+// and a term one or two edits away
+const PREFIX_WEIGHT = 0.8;
+const FUZZY_WEIGHTS = [1, 0.7, 0.5];
+
+// Shortest query term completed as a prefix, and most terms it expands to
+const MIN_PREFIX_LENGTH = 3;
+const MAX_EXPANSIONS = 20;
+
+const STOPWORDS = {
+  en: `a about above after again against all also am an and any are as at be because been before being below
+    between both but by can could did do does doing down during each few for from further had has have having
+    he her here hers him his how i if in into is it its itself just me more most my no nor not now of off on
+    once only or other our out over own same she should so some such than that the their them then there these
+    they this those through to too under until up very was we were what when where which while who whom why
+    will with would you your yours`,
+  nl: `aan al alle alles als altijd andere ben bij daar dan dat de der deze die dit doch doen door dus een eens
+    en er ge geen geweest haar had heb hebben heeft hem het hier hij hoe hun iemand iets ik in is ja je kan
+    kon kunnen maar me meer men met mij mijn moet na naar niet niets nog nu of om omdat onder ons ook op over
+    reeds te tegen toch toen tot u uit uw van veel voor want waren was wat werd wezen wie wil worden wordt zal
+    ze zelf zich zij zijn zo zonder zou`,
+  fr: `a ai ainsi au aussi aux avec avez c ce ceci cela ces cet cette comme d dans de des dont du elle elles en
+    entre est et été être eux il ils j je l la le les leur leurs lui m ma mais me même mes moi mon n ne nos
+    notre nous on ont ou où par pas plus pour qu que qui s sa sans se sera ses son sont sur t ta te tes toi
+    ton très tu un une vos votre vous y à`
+};
+
+const STOPWORD_SETS = Object.fromEntries(
+  Object.entries(STOPWORDS).map(([language, words]) => [language, new Set(words.split(/\s+/).filter(Boolean))])
+);
+
+function foldAccents(word) {
+  return word.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+// --- English: Porter (1980) -------------------------------------------------
+
+const PORTER_STEP2 = {
+  ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize', bli: 'ble', alli: 'al',
+  entli: 'ent', eli: 'e', ousli: 'ous', ization: 'ize', ation: 'ate', ator: 'ate', alism: 'al',
+  iveness: 'ive', fulness: 'ful', ousness: 'ous', aliti: 'al', iviti: 'ive', biliti: 'ble', logi: 'log'
+};
+const PORTER_STEP3 = { icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: '' };
+
+const consonant = '[^aeiou]';
+const vowel = '[aeiouy]';
+const consonants = `${consonant}[^aeiouy]*`;
+const vowels = `${vowel}[aeiou]*`;
+const MEASURE_GT0 = new RegExp(`^(${consonants})?${vowels}${consonants}`);
+const MEASURE_EQ1 = new RegExp(`^(${consonants})?${vowels}${consonants}(${vowels})?$`);
+const MEASURE_GT1 = new RegExp(`^(${consonants})?${vowels}${consonants}${vowels}${consonants}`);
+const HAS_VOWEL = new RegExp(`^(${consonants})?${vowel}`);
+const ENDS_CVC = new RegExp(`^${consonants}${vowel}[^aeiouwxy]$`);
+
+function stemEnglish(input) {
+  let word = input;
+  const startsWithY = word[0] === 'y';
+  if (startsWithY) {
+    word = `Y${word.slice(1)}`;
+  }
+
+  // Step 1a: plurals
+  let match;
+  if ((match = /^(.+?)(ss|i)es$/.exec(word))) {
+    word = match[1] + match[2];
+  } else if ((match = /^(.+?)([^s])s$/.exec(word))) {
+    word = match[1] + match[2];
+  }
+
+  // Step 1b: -eed, -ed, -ing
+  if ((match = /^(.+?)eed$/.exec(word))) {
+    if (MEASURE_GT0.test(match[1])) {
+      word = word.slice(0, -1);
+    }
+  } else if ((match = /^(.+?)(ed|ing)$/.exec(word)) && HAS_VOWEL.test(match[1])) {
+    word = match[1];
+    if (/(at|bl|iz)$/.test(word)) {
+      word += 'e';
+    } else if (/([^aeiouylsz])\1$/.test(word)) {
+      word = word.slice(0, -1);
+    } else if (ENDS_CVC.test(word)) {
+      word += 'e';
+    }
+  }
+
+  // Step 1c: -y after a vowel in the stem
+  if ((match = /^(.+?)y$/.exec(word)) && HAS_VOWEL.test(match[1])) {
+    word = `${match[1]}i`;
+  }
+
+  // Steps 2 and 3: map double and single suffixes
+  if ((match = /^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/.exec(word))
+    && MEASURE_GT0.test(match[1])) {
+    word = match[1] + PORTER_STEP2[match[2]];
+  }
+  if ((match = /^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/.exec(word)) && MEASURE_GT0.test(match[1])) {
+    word = match[1] + PORTER_STEP3[match[2]];
+  }
+
+  // Step 4: drop suffixes of longer stems
+  if ((match = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/.exec(word))) {
+    if (MEASURE_GT1.test(match[1])) {
+      word = match[1];
+    }
+  } else if ((match = /^(.+?)([st])ion$/.exec(word)) && MEASURE_GT1.test(match[1] + match[2])) {
+    word = match[1] + match[2];
+  }
+
+  // Step 5: final -e and -ll
+  if ((match = /^(.+?)e$/.exec(word))
+    && (MEASURE_GT1.test(match[1]) || (MEASURE_EQ1.test(match[1]) && !ENDS_CVC.test(match[1])))) {
+    word = match[1];
+  }
+  if (/ll$/.test(word) && MEASURE_GT1.test(word)) {
+    word = word.slice(0, -1);
+  }
+
+  return startsWithY ? `y${word.slice(1)}` : word;
+}
+
+// --- Dutch: Snowball Dutch, without the y/i consonant marking --------------
+
+const DUTCH_VOWELS = 'aeiouyè';
+
+function isDutchVowel(char) {
+  return DUTCH_VOWELS.includes(char);
+}
+
+// Start of the region after the first non-vowel following a vowel
+function dutchRegion(word, start) {
+  for (let i = start + 1; i < word.length; i++) {
+    if (isDutchVowel(word[i - 1]) && !isDutchVowel(word[i])) {
+      return i + 1;
+    }
+  }
+  return word.length;
+}
+
+function undoubleDutch(word) {
+  return /(kk|dd|tt)$/.test(word) ? word.slice(0, -1) : word;
+}
+
+function stemDutch(input) {
+  let word = foldAccents(input);
+  const r1 = Math.max(dutchRegion(word, 0), 3);
+  const r2 = dutchRegion(word, r1);
+  const inRegion = (suffix, region) => word.endsWith(suffix) && word.length - suffix.length >= region;
+  const validEnEnding = stem => stem.length > 0 && !isDutchVowel(stem[stem.length - 1]) && !stem.endsWith('gem');
+  const removeEn = () => {
+    for (const suffix of ['ene', 'en']) {
+      if (inRegion(suffix, r1)) {
+        const stem = word.slice(0, -suffix.length);
+        if (validEnEnding(stem)) {
+          word = undoubleDutch(stem);
+        }
+        return;
+      }
+    }
+  };
+
+  // Step 1: -heden, -en(e), -s(e)
+  if (inRegion('heden', r1)) {
+    word = `${word.slice(0, -5)}heid`;
+  } else if (inRegion('ene', r1) || inRegion('en', r1)) {
+    removeEn();
+  } else {
+    for (const suffix of ['se', 's']) {
+      if (inRegion(suffix, r1)) {
+        const stem = word.slice(0, -suffix.length);
+        if (stem.length > 0 && !isDutchVowel(stem[stem.length - 1]) && !stem.endsWith('j')) {
+          word = stem;
+        }
+        break;
+      }
+    }
+  }
+
+  // Step 2: -e after a non-vowel
+  let eRemoved = false;
+  if (inRegion('e', r1) && word.length > 1 && !isDutchVowel(word[word.length - 2])) {
+    word = undoubleDutch(word.slice(0, -1));
+    eRemoved = true;
+  }
+
+  // Step 3a: -heid
+  if (inRegion('heid', r2) && word[word.length - 5] !== 'c') {
+    word = word.slice(0, -4);
+    removeEn();
+  }
+
+  // Step 3b: derivational suffixes
+  if (inRegion('end', r2) || inRegion('ing', r2)) {
+    word = word.slice(0, -3);
+    if (inRegion('ig', r2) && word[word.length - 3] !== 'e') {
+      word = word.slice(0, -2);
+    } else {
+      word = undoubleDutch(word);
+    }
+  } else if (inRegion('ig', r2) && word[word.length - 3] !== 'e') {
+    word = word.slice(0, -2);
+  } else if (inRegion('lijk', r2)) {
+    word = word.slice(0, -4);
+    if (inRegion('e', r1) && word.length > 1 && !isDutchVowel(word[word.length - 2])) {
+      word = undoubleDutch(word.slice(0, -1));
+    }
+  } else if (inRegion('baar', r2)) {
+    word = word.slice(0, -4);
+  } else if (inRegion('bar', r2) && eRemoved) {
+    word = word.slice(0, -3);
+  }
+
+  // Step 4: undouble a vowel between consonants (maan -> man)
+  const last = word.slice(-4);
+  if (last.length === 4 && !isDutchVowel(last[0]) && /^(aa|ee|oo|uu)$/.test(last.slice(1, 3))
+    && !isDutchVowel(last[3]) && last[3] !== 'i') {
+    word = word.slice(0, -2) + word.slice(-1);
+  }
+
+  return word;
+}
+
+// --- French: light stemmer (plurals, common derivational suffixes) ---------
+
+// Matched after plurals are removed and accents folded, longest first
+const FRENCH_SUFFIXES = [
+  'issement', 'atrice', 'ateur', 'ation', 'ement', 'ence', 'ance', 'ment', 'euse', 'able',
+  'ique', 'isme', 'iste', 'ite', 'ive', 'eux', 'if', 'ee', 'er', 'ez', 'e'
+];
+
+// Shortest stem a suffix may leave behind
+const FRENCH_MIN_STEM = 3;
+
+function stemFrench(input) {
+  // Folded first so that queries typed without accents find the same stems
+  let word = foldAccents(input);
+
+  if (word.length > 4 && word.endsWith('aux')) {
+    word = `${word.slice(0, -3)}al`;
+  } else if (word.length > 3 && /[sx]$/.test(word)) {
+    word = word.slice(0, -1);
+  }
+
+  for (const suffix of FRENCH_SUFFIXES) {
+    if (word.endsWith(suffix) && word.length - suffix.length >= FRENCH_MIN_STEM) {
+      word = word.slice(0, -suffix.length);
+      break;
+    }
+  }
+
+  // Drop a doubled final letter (adresse -> adress -> adres)
+  if (word.length > FRENCH_MIN_STEM && word[word.length - 1] === word[word.length - 2]) {
+    word = word.slice(0, -1);
+  }
+
+  return word;
+}
+
+const STEMMERS = {
+  en: stemEnglish,
+  nl: stemDutch,
+  fr: stemFrench
+};
+
+// Document numbers of a delta-encoded posting list with `stride` numbers per document
+function decodeDocuments(posting, stride) {
+  const documents = [];
+  let docIndex = 0;
+  for (let i = 0; i < posting.length; i += stride) {
+    docIndex += posting[i];
+    documents.push(docIndex);
+  }
+  return documents;
+}
+
+// Typos allowed in a term: none in short ones, where any edit makes another word
+function getMaxDistance(length) {
+  if (length < 4) {
+    return 0;
+  }
+  return length < 8 ? 1 : 2;
+}
+
+/**
+ * Edit distance (insertions, deletions, substitutions and swaps of
+ * neighbours) between two terms, or max + 1 once it is known to exceed max
+ */
+function getEditDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMinimum = i;
+    for (let j = 1; j <= b.length; j++) {
+      let distance = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distance = Math.min(distance, beforePrevious[j - 2] + 1);
+      }
+      current.push(distance);
+      rowMinimum = Math.min(rowMinimum, distance);
+    }
+    if (rowMinimum > max) {
+      return max + 1;
+    }
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+class SearchIndex {
+  /**
+   * @param {Object} data - An index written by SearchIndex.build()
+   */
+  constructor(data) {
+    if (!data || data.version !== SEARCH_INDEX_VERSION || !Array.isArray(data.documents) || !data.terms || !data.pairs) {
+      throw new Error('Unsupported search index format');
+    }
+    this.language = data.language;
+    this.documents = data.documents;
+    this.lengths = data.lengths;
+    this.averageLength = data.averageLength || 1;
+    this.terms = data.terms;
+    this.pairs = data.pairs;
+    this.words = data.words || {};
+    this.vocabulary = Object.keys(data.terms);
+  }
+
+  /**
+   * Split text into index terms: lowercase words without stopwords,
+   * stemmed for the language and without accents
+   */
+  static tokenize(text, language) {
+    return SearchIndex.analyze(text, language).map(token => token.term);
+  }
+
+  /**
+   * Like tokenize(), keeping the word each term was made from
+   * @returns {Array<{word, term}>}
+   */
+  static analyze(text, language) {
+    const baseLanguage = (language || 'en').split('-')[0];
+    const stopwords = STOPWORD_SETS[baseLanguage] || STOPWORD_SETS.en;
+    const stem = STEMMERS[baseLanguage] || STEMMERS.en;
+    const words = String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+    return words
+      .filter(word => !stopwords.has(word) && (word.length > 1 || /\d/.test(word)))
+      .map(word => ({ word, term: foldAccents(/^\p{L}{3,}$/u.test(word) ? stem(word) : word) }));
+  }
+
+  /**
+   * Build a serializable index from documents: objects with the
+   * FIELD_WEIGHTS fields (strings or arrays of strings) to search and the
+   * STORED_FIELDS to return
+   */
+  static build(documents, language) {
+    const postings = new Map();
+    const pairPostings = new Map();
+    const wordCounts = new Map();
+    const lengths = [];
+
+    documents.forEach((document, docIndex) => {
+      const frequencies = new Map();
+      let length = 0;
+
+      for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+        const value = document[field];
+        // List items (prerequisites, table cells) are separate texts: no pairs across them
+        for (const text of Array.isArray(value) ? value.flat(Infinity) : [value]) {
+          const tokens = SearchIndex.analyze(text, language);
+          tokens.forEach(({ word, term }, position) => {
+            frequencies.set(term, (frequencies.get(term) || 0) + weight);
+            length += weight;
+            if (!wordCounts.has(term)) {
+              wordCounts.set(term, new Map());
+            }
+            wordCounts.get(term).set(word, (wordCounts.get(term).get(word) || 0) + 1);
+
+            if (position > 0) {
+              const pair = `${tokens[position - 1].term} ${term}`;
+              if (!pairPostings.has(pair)) {
+                pairPostings.set(pair, []);
+              }
+              const documentList = pairPostings.get(pair);
+              if (documentList[documentList.length - 1] !== docIndex) {
+                documentList.push(docIndex);
+              }
+            }
+          });
+        }
+      }
+
+      for (const [term, frequency] of frequencies) {
+        if (!postings.has(term)) {
+          postings.set(term, { last: 0, list: [] });
+        }
+        const posting = postings.get(term);
+        posting.list.push(docIndex - posting.last, frequency);
+        posting.last = docIndex;
+      }
+      lengths.push(length);
+    });
+
+    const terms = {};
+    const words = {};
+    for (const term of [...postings.keys()].sort()) {
+      terms[term] = postings.get(term).list;
+      const [word] = [...wordCounts.get(term)].reduce((best, entry) => (entry[1] > best[1] ? entry : best));
+      if (word !== term) {
+        words[term] = word;
+      }
+    }
+
+    const pairs = {};
+    for (const pair of [...pairPostings.keys()].sort()) {
+      pairs[pair] = pairPostings.get(pair).map((docIndex, i, list) => docIndex - (i > 0 ? list[i - 1] : 0));
+    }
+
+    return {
+      version: SEARCH_INDEX_VERSION,
+      language,
+      documents: documents.map(document => Object.fromEntries(
+        STORED_FIELDS.filter(field => document[field] !== undefined && document[field] !== null)
+          .map(field => [field, document[field]])
+      )),
+      lengths,
+      averageLength: lengths.length > 0 ? lengths.reduce((sum, length) => sum + length, 0) / lengths.length : 0,
+      terms,
+      pairs,
+      words
+    };
+  }
+
+  /**
+   * Rank documents for a query with BM25. `filter(document)` limits the
+   * candidates; results are sorted by score, best first.
+   *
+   * Documents must also contain every one of `phrases` and none of
+   * `exclude` (words or phrases). A query without terms of its own finds
+   * nothing, unless `matchAll` is set: then it finds every document left
+   * after the filter and the exclusions, in index order.
+   *
+   * `terms` are the index terms a result was found by, typos and
+   * completions included, for finding them again in its text.
+   * @returns {Array<{document, score, matchedTerms, relevance, terms}>}
+   */
+  search(query, { filter = () => true, limit = 10, phrases = [], exclude = [], matchAll = false } = {}) {
+    const phraseTerms = phrases.map(phrase => SearchIndex.tokenize(phrase, this.language)).filter(terms => terms.length > 0);
+    const required = phraseTerms.map(terms => this.getPhraseDocuments(terms));
+    const excluded = exclude.map(text => SearchIndex.tokenize(text, this.language))
+      .filter(terms => terms.length > 0)
+      .map(terms => this.getPhraseDocuments(terms));
+    const isCandidate = docIndex => required.every(documents => documents.has(docIndex))
+      && !excluded.some(documents => documents.has(docIndex))
+      && filter(this.documents[docIndex]);
+
+    // Phrase words count towards the score like any other query term
+    const queryTerms = [...new Set([...phraseTerms.flat(), ...SearchIndex.tokenize(query, this.language)])];
+    if (queryTerms.length === 0) {
+      return matchAll
+        ? this.documents.map((document, docIndex) => docIndex)
+          .filter(isCandidate)
+          .slice(0, limit)
+          .map(docIndex => ({ document: this.documents[docIndex], score: 0, matchedTerms: 0, relevance: 0, terms: [] }))
+        : [];
+    }
+
+    const scores = new Map();
+    const matched = new Map();
+    const foundBy = new Map();
+    const total = this.documents.length;
+
+    queryTerms.forEach((queryTerm, position) => {
+      // A document counts once per query term, with its best matching expansion
+      const termScores = new Map();
+      const isLast = position === queryTerms.length - 1;
+
+      for (const { term, weight } of this.expandTerm(queryTerm, isLast)) {
+        const posting = this.terms[term];
+        const documentFrequency = posting.length / 2;
+        const idf = Math.log(1 + (total - documentFrequency + 0.5) / (documentFrequency + 0.5));
+        let docIndex = 0;
+        for (let i = 0; i < posting.length; i += 2) {
+          docIndex += posting[i];
+          const frequency = posting[i + 1];
+          const norm = 1 - BM25_B + BM25_B * (this.lengths[docIndex] / this.averageLength);
+          const score = weight * idf * (frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * norm);
+          termScores.set(docIndex, Math.max(termScores.get(docIndex) || 0, score));
+          if (!foundBy.has(docIndex)) {
+            foundBy.set(docIndex, new Set());
+          }
+          foundBy.get(docIndex).add(term);
+        }
+      }
+
+      for (const [docIndex, score] of termScores) {
+        scores.set(docIndex, (scores.get(docIndex) || 0) + score);
+        matched.set(docIndex, (matched.get(docIndex) || 0) + 1);
+      }
+    });
+
+    const results = [];
+    for (const [docIndex, score] of scores) {
+      if (!isCandidate(docIndex)) {
+        continue;
+      }
+      results.push({
+        document: this.documents[docIndex],
+        score,
+        matchedTerms: matched.get(docIndex),
+        relevance: (matched.get(docIndex) / queryTerms.length) * 100,
+        terms: [...foundBy.get(docIndex)]
+      });
+    }
+
+    return results
+      .sort((a, b) => b.score - a.score || b.matchedTerms - a.matchedTerms)
+      .slice(0, limit);
+  }
+
+  /**
+   * Index terms a query term stands for, with the share of the score each
+   * keeps: the term itself, terms it starts when it is the word being typed
+   * (or not in the index) and, failing both, terms a typo or two away
+   * @returns {Array<{term, weight}>}
+   */
+  expandTerm(queryTerm, isPrefix = false) {
+    const expansions = [];
+    const exists = Object.prototype.hasOwnProperty.call(this.terms, queryTerm);
+    if (exists) {
+      expansions.push({ term: queryTerm, weight: 1 });
+    }
+
+    if ((isPrefix || !exists) && queryTerm.length >= MIN_PREFIX_LENGTH) {
+      const completions = this.vocabulary
+        .filter(term => term !== queryTerm && term.startsWith(queryTerm))
+        .sort((a, b) => this.getDocumentFrequency(b) - this.getDocumentFrequency(a))
+        .slice(0, MAX_EXPANSIONS);
+      expansions.push(...completions.map(term => ({ term, weight: PREFIX_WEIGHT })));
+    }
+
+    if (expansions.length === 0) {
+      const maxDistance = getMaxDistance(queryTerm.length);
+      for (const term of this.vocabulary) {
+        const distance = maxDistance > 0 ? getEditDistance(queryTerm, term, maxDistance) : maxDistance + 1;
+        if (distance <= maxDistance) {
+          expansions.push({ term, weight: FUZZY_WEIGHTS[distance] });
+        }
+      }
+    }
+
+    return expansions;
+  }
+
+  // In the index, or the start of a term that is
+  isKnownTerm(queryTerm) {
+    return Object.prototype.hasOwnProperty.call(this.terms, queryTerm)
+      || (queryTerm.length >= MIN_PREFIX_LENGTH && this.vocabulary.some(term => term.startsWith(queryTerm)));
+  }
+
+  /**
+   * Number (from 1) of the line of `text` with most of `terms`, the first
+   * of them on a tie; 0 if no line has any
+   */
+  findLine(text, terms) {
+    const wanted = new Set(terms);
+    let bestLine = 0;
+    let bestCount = 0;
+
+    String(text || '').split('\n').forEach((line, index) => {
+      const count = new Set(SearchIndex.tokenize(line, this.language).filter(term => wanted.has(term))).size;
+      if (count > bestCount) {
+        bestLine = index + 1;
+        bestCount = count;
+      }
+    });
+    return bestLine;
+  }
+
+  /**
+   * Numbers of the documents containing a term, or for several terms every
+   * neighbouring pair of them
+   * @returns {Set<number>}
+   */
+  getPhraseDocuments(terms) {
+    if (terms.length === 1) {
+      return new Set(decodeDocuments(this.terms[terms[0]] || [], 2));
+    }
+
+    let documents = null;
+    for (let i = 1; i < terms.length; i++) {
+      const pairDocuments = decodeDocuments(this.pairs[`${terms[i - 1]} ${terms[i]}`] || [], 1);
+      documents = new Set(documents ? pairDocuments.filter(docIndex => documents.has(docIndex)) : pairDocuments);
+    }
+    return documents;
+  }
+
+  getDocumentFrequency(term) {
+    return this.terms[term] ? this.terms[term].length / 2 : 0;
+  }
+
+  /**
+   * Words in the index that start with `prefix`, in the most documents
+   * first, for completing the word being typed
+   */
+  complete(prefix, limit = 5) {
+    const folded = foldAccents(String(prefix).toLowerCase());
+    if (!folded) {
+      return [];
+    }
+
+    return this.vocabulary
+      .map(term => ({ term, word: this.words[term] || term }))
+      .filter(({ word }) => foldAccents(word).startsWith(folded))
+      .sort((a, b) => this.getDocumentFrequency(b.term) - this.getDocumentFrequency(a.term) || a.word.localeCompare(b.word))
+      .slice(0, limit)
+      .map(({ word }) => word);
+  }
+
+  /**
+   * "Did you mean": the query with every word the index doesn't know
+   * replaced by the closest word it does, or null if there is nothing to
+   * correct (or nothing close enough)
+   */
+  suggestQuery(query) {
+    let corrected = false;
+    const words = String(query).trim().split(/\s+/).filter(Boolean).map(word => {
+      const tokens = SearchIndex.analyze(word, this.language);
+      if (tokens.length !== 1 || this.isKnownTerm(tokens[0].term)) {
+        return word;
+      }
+      const term = this.findClosestTerm(tokens[0].term);
+      if (!term) {
+        return word;
+      }
+      corrected = true;
+      return this.words[term] || term;
+    });
+
+    return corrected ? words.join(' ') : null;
+  }
+
+  /**
+   * Closest index term within one edit more than search itself tolerates;
+   * ties go to the term in the most documents
+   */
+  findClosestTerm(queryTerm) {
+    const maxDistance = getMaxDistance(queryTerm.length) + 1;
+    let best = null;
+    let bestDistance = maxDistance;
+
+    for (const term of this.vocabulary) {
+      const distance = getEditDistance(queryTerm, term, maxDistance);
+      if (distance > bestDistance) {
+        continue;
+      }
+      if (!best || distance < bestDistance || this.getDocumentFrequency(term) > this.getDocumentFrequency(best)) {
+        best = term;
+        bestDistance = distance;
+      }
+    }
+    return best;
+  }
+}
+
+SearchIndex.FIELD_WEIGHTS = FIELD_WEIGHTS;
+SearchIndex.stem = (word, language) => (STEMMERS[language] || STEMMERS.en)(word);
+
+// Shared with SearchEngine in the browser; the build requires the class
+if (typeof window !== 'undefined') {
+  window.SearchIndex = SearchIndex;
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SearchIndex;
+}
@@ -1,18 +1,51 @@
 /**
  * Search Module
- * Provides site-wide search functionality with filtering and highlighting
+ * Provides site-wide search functionality with filtering and highlighting.
+ * Ranking happens in SearchIndex (search-index.js, load it first) over the
+ * index the build writes for each language. The index also forgives typos
+ * and completes the word being typed; searches that still find nothing
+ * offer a "Did you mean" correction.
+ *
+ * Query syntax:
+ *   "cold storage"        phrase, found as written
+ *   -lightning            pages without the word (or -"a phrase")
+ *   section:node-guides   filters: section, type, lang and difficulty
+ * The section and type filters are the dropdowns on search.html; both
+ * edit the same query, which is kept in the URL (?q=) to share searches.
+ *
+ * Code blocks are results of their own: they show the lines around the
+ * best matching line (highlighted by SyntaxHighlighter, if the page has it)
+ * and link to it on its page (#block-id:L12, see CodeBlockManager).
  */
 
+// Field filters of the query syntax and the filters they set
+const QUERY_FIELDS = {
+  section: 'section',
+  type: 'type',
+  lang: 'language',
+  difficulty: 'difficulty'
+};
+
+// Lines of code shown around the matching line of a code result
+const SNIPPET_CONTEXT_LINES = 2;
+
+// Filter dropdowns on search.html
+const FILTER_CONTROLS = {
+  section: 'section-filter',
+  type: 'type-filter'
+};
+
 class SearchEngine {
   constructor() {
     this.searchIndex = null;
+    this.index = null;
+    this.indexRequests = new Map();
+    this.defaultLanguage = 'en';
+    this.language = this.getCurrentLanguage();
     this.isInitialized = false;
     this.searchResults = [];
     this.currentQuery = '';
-    this.filters = {
-      section: 'all',
-      type: 'all'
-    };
+    this.filters = this.getDefaultFilters();
     
     this.init();
   }
@@ -22,9 +55,9 @@ class SearchEngine {
    */
   async init() {
     try {
-      await this.loadSearchIndex();
       this.setupEventListeners();
       this.isInitialized = true;
+      this.restoreQueryFromUrl();
       console.log('Search engine initialized successfully');
     } catch (error) {
       console.error('Failed to initialize search engine:', error);
@@ -32,23 +65,119 @@ class SearchEngine {
   }
 
   /**
-   * Load search index from JSON file
+   * Filters of a query without field filters: everything, in the page language
+   */
+  getDefaultFilters() {
+    return {
+      section: 'all',
+      type: 'all',
+      language: null,
+      difficulty: 'all'
+    };
+  }
+
+  /**
+   * Language to search in: the language switcher's, if the page has one
+   */
+  getCurrentLanguage() {
+    if (window.languageSwitcher) {
+      return window.languageSwitcher.getCurrentLanguage();
+    }
+    return window.i18n ? window.i18n.getCurrentLanguage() : this.defaultLanguage;
+  }
+
+  /**
+   * Load the search index the build wrote for a language
+   * (data/search/{lang}.json). Indexes are fetched on the first search, not
+   * with the page, and kept per language; regional variants (fr-CA) use the
+   * index of their base language. Offline, the index comes from the
+   * service worker cache.
    */
-  async loadSearchIndex() {
+  async loadSearchIndex(language = this.language) {
+    const baseLanguage = language.split('-')[0];
+    if (!this.indexRequests.has(baseLanguage)) {
+      const request = this.fetchSearchIndex(`/data/search/${baseLanguage}.json`)
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+          }
+          return response.json();
+        })
+        .then(data => new SearchIndex(data));
+      // Try again on the next search
+      request.catch(() => this.indexRequests.delete(baseLanguage));
+      this.indexRequests.set(baseLanguage, request);
+    }
+
     try {
-      const response = await fetch('/data/search-index.json');
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+      const index = await this.indexRequests.get(baseLanguage);
+      if (language === this.language) {
+        this.index = index;
+        this.searchIndex = index.documents;
       }
-      const data = await response.json();
-      this.searchIndex = data.searchIndex;
-      console.log(`Loaded ${this.searchIndex.length} search entries`);
+      console.log(`Loaded ${index.documents.length} search entries (${baseLanguage})`);
+      return index;
     } catch (error) {
       console.error('Error loading search index:', error);
       throw error;
     }
   }
 
+  /**
+   * Fetch an index from the network, or from the cache sw.js precached it in
+   * when CacheManager reports the browser offline or the request fails
+   */
+  async fetchSearchIndex(url) {
+    const cacheManager = window.cacheManager;
+    if (cacheManager && !cacheManager.isOnline) {
+      const cachedResponse = await cacheManager.getCachedContent(url);
+      if (cachedResponse) {
+        return cachedResponse;
+      }
+    }
+
+    try {
+      return await fetch(url);
+    } catch (error) {
+      const cachedResponse = cacheManager ? await cacheManager.getCachedContent(url) : null;
+      if (!cachedResponse) {
+        throw error;
+      }
+      return cachedResponse;
+    }
+  }
+
+  /**
+   * Offline, note on each result whether its page is in the cache
+   * (result.offline); online every page opens, so results are left alone
+   */
+  async markOfflineResults(results) {
+    const cacheManager = window.cacheManager;
+    if (!cacheManager || cacheManager.isOnline) {
+      return;
+    }
+
+    const pages = await cacheManager.getCachedPages();
+    results.forEach(result => {
+      result.offline = cacheManager.isPageCached(pages, result.url);
+    });
+  }
+
+  /**
+   * Switch to the index of another language and run the current query again
+   */
+  handleLanguageChange(language) {
+    if (language === this.language) {
+      return;
+    }
+    this.language = language;
+    this.index = null;
+    this.searchIndex = null;
+    if (this.currentQuery) {
+      this.performSearch(this.currentQuery);
+    }
+  }
+
   /**
    * Setup event listeners for search functionality
    */
@@ -56,6 +185,13 @@ class SearchEngine {
     // Search input handler
     const searchInput = document.getElementById('search-input');
     if (searchInput) {
+      // Start loading the index as soon as a search is likely
+      searchInput.addEventListener('focus', () => {
+        if (!this.index) {
+          this.loadSearchIndex().catch(() => {});
+        }
+      });
+
       searchInput.addEventListener('input', this.debounce((e) => {
         this.performSearch(e.target.value);
       }, 300));
@@ -76,7 +212,7 @@ class SearchEngine {
     if (sectionFilter) {
       sectionFilter.addEventListener('change', (e) => {
         this.filters.section = e.target.value;
-        this.performSearch(this.currentQuery);
+        this.setQueryFilter('section', e.target.value);
       });
     }
 
@@ -84,10 +220,15 @@ class SearchEngine {
     if (typeFilter) {
       typeFilter.addEventListener('change', (e) => {
         this.filters.type = e.target.value;
-        this.performSearch(this.currentQuery);
+        this.setQueryFilter('type', e.target.value);
       });
     }
 
+    // Search in the language picked with the language switcher
+    document.addEventListener('languagechange', (e) => {
+      this.handleLanguageChange(e.detail.language);
+    });
+
     // Global keyboard shortcut (Ctrl+K)
     document.addEventListener('keydown', (e) => {
       if ((e.ctrlKey || e.metaKey) && e.key === 'k') {
@@ -108,91 +249,249 @@ class SearchEngine {
   /**
    * Perform search with the given query
    */
-  performSearch(query) {
+  async performSearch(query) {
     if (!this.isInitialized || !query.trim()) {
       this.clearSearchResults();
       return;
     }
 
-    this.currentQuery = query.trim().toLowerCase();
-    const results = this.searchContent(this.currentQuery);
-    this.displaySearchResults(results);
+    const currentQuery = query.trim().toLowerCase();
+    this.currentQuery = currentQuery;
+    this.applyQueryFilters(this.parseQuery(currentQuery).filters);
+    this.updateUrl(currentQuery);
+
+    // lang: searches another language's index without switching the page
+    const language = this.filters.language || this.language;
+    let index = language === this.language ? this.index : null;
+    if (!index) {
+      try {
+        index = await this.loadSearchIndex(language);
+      } catch (error) {
+        this.displaySearchError();
+        return;
+      }
+      // Typing (or a language change) went on while the index loaded
+      if (this.currentQuery !== currentQuery || (this.filters.language || this.language) !== language) {
+        return;
+      }
+    }
+
+    const results = this.searchContent(this.currentQuery, index);
+    if (window.cacheManager && !window.cacheManager.isOnline) {
+      await this.markOfflineResults(results);
+      if (this.currentQuery !== currentQuery) {
+        return;
+      }
+    }
+    this.displaySearchResults(results, index);
+
+    // For Analytics, which counts queries and zero-result searches
+    document.dispatchEvent(new CustomEvent('searchquery', {
+      detail: { query: currentQuery, resultCount: results.length, language }
+    }));
   }
 
   /**
-   * Search through the content index
+   * Split a query into its words, "phrases", -exclusions and field:value
+   * filters. Unknown fields (http://…, 18080:tcp) are just words.
+   * @returns {{text: string, phrases: string[], exclude: string[], filters: Object}}
    */
-  searchContent(query) {
-    const queryTerms = query.split(/\s+/).filter(term => term.length > 0);
-    const results = [];
+  parseQuery(query) {
+    const words = [];
+    const parsed = { text: '', phrases: [], exclude: [], filters: {} };
+    const tokenPattern = /(-?)(?:([a-z]+):(?=\S))?(?:"([^"]*)"?|(\S+))/gi;
+
+    for (const [token, negated, field, quoted, word] of String(query).matchAll(tokenPattern)) {
+      const value = quoted !== undefined ? quoted.trim() : word;
+      const filter = field && QUERY_FIELDS[field.toLowerCase()];
+
+      if (filter && !negated) {
+        parsed.filters[filter] = value.toLowerCase();
+      } else if (field) {
+        (negated ? parsed.exclude : words).push(negated ? token.slice(1) : token);
+      } else if (!value) {
+        continue;
+      } else if (negated) {
+        parsed.exclude.push(value);
+      } else if (quoted !== undefined) {
+        parsed.phrases.push(value);
+      } else {
+        words.push(value);
+      }
+    }
 
-    this.searchIndex.forEach(item => {
-      let score = 0;
-      let matchedTerms = 0;
+    parsed.text = words.join(' ');
+    return parsed;
+  }
 
-      queryTerms.forEach(term => {
-        // Title match (highest weight)
-        if (item.title.toLowerCase().includes(term)) {
-          score += 10;
-          matchedTerms++;
-        }
+  /**
+   * Write a parsed query back as text
+   */
+  formatQuery({ text = '', phrases = [], exclude = [], filters = {} }) {
+    const quote = value => (/\s/.test(value) ? `"${value}"` : value);
+    const fieldNames = Object.fromEntries(Object.entries(QUERY_FIELDS).map(([name, filter]) => [filter, name]));
+
+    return [
+      text,
+      ...phrases.map(phrase => `"${phrase}"`),
+      ...exclude.map(value => `-${quote(value)}`),
+      ...Object.entries(filters).map(([filter, value]) => `${fieldNames[filter]}:${quote(value)}`)
+    ].filter(Boolean).join(' ');
+  }
 
-        // Keywords match (high weight)
-        if (item.keywords.some(keyword => keyword.toLowerCase().includes(term))) {
-          score += 8;
-          matchedTerms++;
-        }
+  /**
+   * Use the field filters of a query, everything else unfiltered, and show
+   * them in the dropdowns
+   */
+  applyQueryFilters(filters) {
+    this.filters = { ...this.getDefaultFilters(), ...filters };
+    if (this.filters.language && window.i18n && !window.i18n.isLanguageSupported(this.filters.language)) {
+      console.warn(`Cannot search in ${this.filters.language}: language is not supported`);
+      this.filters.language = null;
+    }
 
-        // Description match (medium weight)
-        if (item.description.toLowerCase().includes(term)) {
-          score += 5;
-          matchedTerms++;
-        }
+    for (const [filter, id] of Object.entries(FILTER_CONTROLS)) {
+      const select = document.getElementById(id);
+      if (select) {
+        select.value = this.filters[filter];
+      }
+    }
+  }
 
-        // Content match (low weight)
-        if (item.content.toLowerCase().includes(term)) {
-          score += 2;
-          matchedTerms++;
-        }
-      });
+  /**
+   * Set one field filter in the query (a dropdown changed) and search again
+   */
+  setQueryFilter(filter, value) {
+    const parsed = this.parseQuery(this.currentQuery);
+    delete parsed.filters[filter];
+    if (value !== 'all') {
+      parsed.filters[filter] = value;
+    }
 
-      // Only include results that match at least one term
-      if (matchedTerms > 0) {
-        // Apply filters
-        if (this.filters.section !== 'all' && item.section !== this.filters.section) {
-          return;
-        }
-        if (this.filters.type !== 'all' && item.type !== this.filters.type) {
-          return;
-        }
+    // Only the filter changes; the rest of the query stays as it was typed
+    const fieldName = Object.keys(QUERY_FIELDS).find(name => QUERY_FIELDS[name] === filter);
+    const fieldPattern = new RegExp(`(^|\\s)${fieldName}:("[^"]*"?|\\S*)`, 'gi');
+    const query = [
+      this.currentQuery.replace(fieldPattern, '').trim(),
+      parsed.filters[filter] ? this.formatQuery({ filters: { [filter]: value } }) : ''
+    ].filter(Boolean).join(' ');
 
-        // Boost score for exact matches
-        if (item.title.toLowerCase() === query) {
-          score += 20;
-        }
+    const searchInput = document.getElementById('search-input');
+    if (searchInput) {
+      searchInput.value = query;
+    }
+    this.performSearch(query);
+  }
 
-        results.push({
-          ...item,
-          score,
-          matchedTerms,
-          relevance: (matchedTerms / queryTerms.length) * 100
-        });
+  /**
+   * Keep the query in the address bar (?q=) so searches can be shared
+   */
+  updateUrl(query) {
+    const urlUtils = window.utils && window.utils.url;
+    if (!urlUtils) {
+      return;
+    }
+    if (query) {
+      urlUtils.setParam('q', query);
+    } else {
+      urlUtils.removeParam('q');
+    }
+  }
+
+  /**
+   * Run the search a shared link (?q=) asks for
+   */
+  restoreQueryFromUrl() {
+    const urlUtils = window.utils && window.utils.url;
+    const query = urlUtils ? urlUtils.getParam('q') : null;
+    if (!query) {
+      return;
+    }
+
+    const searchInput = document.getElementById('search-input');
+    if (searchInput) {
+      searchInput.value = query;
+    }
+    this.performSearch(query);
+  }
+
+  /**
+   * Search through the content index: BM25 over the stemmed full text,
+   * limited by the filters. Phrases and exclusions of the query are exact;
+   * a query of only filters and exclusions lists what is left.
+   */
+  searchContent(query, index = this.index) {
+    if (!index) {
+      return [];
+    }
+
+    const { text, phrases, exclude, filters } = this.parseQuery(query);
+    const matches = index.search(text, {
+      filter: item => (this.filters.section === 'all' || item.section === this.filters.section)
+        && (this.filters.type === 'all' || item.type === this.filters.type)
+        && (this.filters.difficulty === 'all' || item.difficulty === this.filters.difficulty),
+      phrases,
+      exclude,
+      matchAll: Object.keys(filters).length > 0 || exclude.length > 0,
+      limit: 10
+    });
+
+    return matches.map(({ document, score, matchedTerms, relevance, terms }) => {
+      const result = { ...document, score, matchedTerms, relevance };
+      if (document.type === 'code') {
+        result.line = index.findLine(document.code, terms);
+        result.url = this.getCodeUrl(document, result.line);
       }
+      return result;
     });
+  }
 
-    // Sort by score (descending) and then by relevance
-    return results.sort((a, b) => {
-      if (b.score !== a.score) {
-        return b.score - a.score;
+  /**
+   * Link to a code block on its page, and to the matching line in it
+   */
+  getCodeUrl(document, line) {
+    return `${document.url}#${document.blockId}${line > 0 ? `:L${line}` : ''}`;
+  }
+
+  /**
+   * The lines of a code result to show: a few around the matching line (or
+   * the first few), and where they start
+   */
+  getCodeSnippet(result) {
+    const lines = String(result.code || '').split('\n');
+    const line = result.line || 1;
+    const start = Math.max(1, line - SNIPPET_CONTEXT_LINES);
+    const end = Math.min(lines.length, line + SNIPPET_CONTEXT_LINES);
+    return { start, code: lines.slice(start - 1, end).join('\n') };
+  }
+
+  /**
+   * Syntax highlight a code snippet and mark the matching line with
+   * SyntaxHighlighter, again once highlight.js has loaded
+   */
+  highlightCodeSnippet(codeElement, line) {
+    const highlighter = window.syntaxHighlighter;
+    if (!highlighter) {
+      return;
+    }
+
+    const highlight = () => {
+      highlighter.highlight(codeElement);
+      if (line > 0) {
+        highlighter.highlightLine(codeElement, line);
       }
-      return b.relevance - a.relevance;
-    }).slice(0, 10); // Limit to top 10 results
+    };
+    highlight();
+    if (!window.hljs) {
+      highlighter.loadHighlightJS().then(highlight).catch(() => {});
+    }
   }
 
   /**
-   * Display search results in the UI
+   * Display search results in the UI (`index` is the one searched, for
+   * suggesting corrections)
    */
-  displaySearchResults(results) {
+  displaySearchResults(results, index = this.index) {
     const resultsContainer = document.getElementById('search-results');
     if (!resultsContainer) return;
 
@@ -201,26 +500,39 @@ class SearchEngine {
     if (results.length === 0) {
       resultsContainer.innerHTML = `
         <div class="search-no-results">
-          <p>No results found for "${this.currentQuery}"</p>
+          <p>No results found for "<span class="search-query"></span>"</p>
           <p class="text-sm text-gray-600">Try different keywords or check your spelling</p>
         </div>
       `;
+      this.displayQuery(resultsContainer);
+      this.displayQuerySuggestion(resultsContainer.querySelector('.search-no-results'), index);
     } else {
+      // Only what the results were found by, not -exclusions or field:value filters
+      const { text, phrases } = this.parseQuery(this.currentQuery);
+      const highlightQuery = [text, ...phrases].join(' ');
       const resultsHTML = results.map((result, index) => {
-        const highlightedTitle = this.highlightText(result.title, this.currentQuery);
-        const highlightedDescription = this.highlightText(result.description, this.currentQuery);
+        const highlightedTitle = this.highlightText(result.title, highlightQuery);
+        const isCode = result.type === 'code';
+        const isUnavailable = result.offline === false;
+        const context = isCode ? result.subsection : result.phase;
+        // Code snippets are filled in below, as text
+        const body = isCode
+          ? `<pre class="search-code-snippet"><code class="language-${result.language || 'plaintext'}"></code></pre>`
+          : `<p class="search-result-description">${this.highlightText(result.description || '', highlightQuery)}</p>`;
         
         return `
-          <div class="search-result-item" data-index="${index}" data-url="${result.url}">
+          <div class="search-result-item${isCode ? ' search-result-code' : ''}${isUnavailable ? ' search-result-unavailable' : ''}" data-index="${index}" data-url="${result.url}">
             <div class="search-result-header">
               <h3 class="search-result-title">${highlightedTitle}</h3>
               <span class="search-result-type">${this.formatType(result.type)}</span>
             </div>
-            <p class="search-result-description">${highlightedDescription}</p>
+            ${body}
             <div class="search-result-meta">
               <span class="search-result-section">${this.formatSection(result.section)}</span>
-              ${result.phase ? `<span class="search-result-phase">${result.phase}</span>` : ''}
+              ${context ? `<span class="search-result-phase">${context}</span>` : ''}
+              ${isCode && result.line > 0 ? `<span class="search-result-line">Line ${result.line}</span>` : ''}
               <span class="search-result-relevance">${Math.round(result.relevance)}% match</span>
+              ${result.offline !== undefined ? `<span class="search-result-offline">${isUnavailable ? 'Not available offline' : 'Available offline'}</span>` : ''}
             </div>
           </div>
         `;
@@ -228,20 +540,28 @@ class SearchEngine {
 
       resultsContainer.innerHTML = `
         <div class="search-results-header">
-          <p>Found ${results.length} result${results.length !== 1 ? 's' : ''} for "${this.currentQuery}"</p>
+          <p>Found ${results.length} result${results.length !== 1 ? 's' : ''} for "<span class="search-query"></span>"</p>
+          ${results.some(result => result.offline !== undefined) ? '<p class="search-offline-note">You are offline. Only pages marked "Available offline" can be opened.</p>' : ''}
         </div>
         <div class="search-results-list">
           ${resultsHTML}
         </div>
       `;
 
+      this.displayQuery(resultsContainer);
+
+      resultsContainer.querySelectorAll('.search-result-code').forEach(item => {
+        const result = results[item.dataset.index];
+        const snippet = this.getCodeSnippet(result);
+        const codeElement = item.querySelector('.search-code-snippet code');
+        codeElement.textContent = snippet.code;
+        this.highlightCodeSnippet(codeElement, result.line > 0 ? result.line - snippet.start + 1 : 0);
+      });
+
       // Add click handlers to results
       resultsContainer.querySelectorAll('.search-result-item').forEach(item => {
         item.addEventListener('click', () => {
-          const url = item.dataset.url;
-          if (url) {
-            window.location.href = url;
-          }
+          this.openResult(Number(item.dataset.index));
         });
       });
     }
@@ -249,6 +569,65 @@ class SearchEngine {
     this.showSearchResults();
   }
 
+  /**
+   * Fill in the query as text: it comes from the URL of shared links
+   */
+  displayQuery(container) {
+    container.querySelectorAll('.search-query').forEach(element => {
+      element.textContent = this.currentQuery;
+    });
+  }
+
+  /**
+   * Offer the closest query the index can answer in place of the spelling tip
+   */
+  displayQuerySuggestion(container, index) {
+    const parsed = this.parseQuery(this.currentQuery);
+    const correction = index && parsed.text ? index.suggestQuery(parsed.text) : null;
+    if (!container || !correction) {
+      return;
+    }
+
+    // Correct the words, keep the phrases, exclusions and filters
+    const suggestion = this.formatQuery({ ...parsed, text: correction });
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'search-suggestion';
+    button.textContent = suggestion;
+    button.addEventListener('click', (e) => {
+      // Keep the results open: the outside-click handler sees a detached button
+      e.stopPropagation();
+      const searchInput = document.getElementById('search-input');
+      if (searchInput) {
+        searchInput.value = suggestion;
+      }
+      this.performSearch(suggestion);
+    });
+
+    const paragraph = document.createElement('p');
+    paragraph.className = 'search-did-you-mean';
+    paragraph.append('Did you mean ', button, '?');
+    container.lastElementChild.replaceWith(paragraph);
+  }
+
+  /**
+   * Tell the user search is unavailable (the index could not be loaded)
+   */
+  displaySearchError() {
+    const resultsContainer = document.getElementById('search-results');
+    if (!resultsContainer) return;
+
+    this.searchResults = [];
+    resultsContainer.innerHTML = `
+      <div class="search-no-results">
+        <p>Search is not available right now</p>
+        <p class="text-sm text-gray-600">Please try again in a moment</p>
+      </div>
+    `;
+    this.showSearchResults();
+  }
+
   /**
    * Highlight search terms in text
    */
@@ -291,7 +670,9 @@ class SearchEngine {
     const typeNames = {
       'overview': 'Overview',
       'phase': 'Phase',
-      'guide': 'Guide'
+      'subsection': 'Guide',
+      'guide': 'Guide',
+      'code': 'Code'
     };
     return typeNames[type] || type;
   }
@@ -327,6 +708,7 @@ class SearchEngine {
     this.hideSearchResults();
     this.searchResults = [];
     this.currentQuery = '';
+    this.updateUrl('');
   }
 
   /**
@@ -356,11 +738,25 @@ class SearchEngine {
    */
   navigateToFirstResult() {
     if (this.searchResults.length > 0) {
-      const firstResult = this.searchResults[0];
-      window.location.href = firstResult.url;
+      this.openResult(0);
     }
   }
 
+  /**
+   * Go to a result, telling Analytics its rank (from 1) first
+   */
+  openResult(index) {
+    const result = this.searchResults[index];
+    if (!result || !result.url) {
+      return;
+    }
+
+    document.dispatchEvent(new CustomEvent('searchresultclick', {
+      detail: { query: this.currentQuery, rank: index + 1, url: result.url }
+    }));
+    window.location.href = result.url;
+  }
+
   /**
    * Debounce function to limit search frequency
    */
@@ -377,34 +773,24 @@ class SearchEngine {
   }
 
   /**
-   * Get search suggestions based on partial query
+   * Get search suggestions based on partial query: the query with its last
+   * word completed from the words in the index
    */
   getSuggestions(partialQuery) {
-    if (!partialQuery || partialQuery.length < 2) {
+    if (!partialQuery || partialQuery.length < 2 || !this.index) {
       return [];
     }
 
-    const suggestions = new Set();
     const query = partialQuery.toLowerCase();
+    const lastWord = query.split(/\s+/).pop();
+    if (lastWord.length < 2) {
+      return [];
+    }
 
-    this.searchIndex.forEach(item => {
-      // Add matching keywords
-      item.keywords.forEach(keyword => {
-        if (keyword.toLowerCase().startsWith(query)) {
-          suggestions.add(keyword);
-        }
-      });
-
-      // Add matching title words
-      const titleWords = item.title.toLowerCase().split(/\s+/);
-      titleWords.forEach(word => {
-        if (word.startsWith(query)) {
-          suggestions.add(word);
-        }
-      });
-    });
-
-    return Array.from(suggestions).slice(0, 5);
+    const start = query.slice(0, query.length - lastWord.length);
+    return this.index.complete(lastWord, 5)
+      .filter(word => word !== lastWord)
+      .map(word => start + word);
   }
 
   /**
@@ -8,6 +8,7 @@ class SequentialNavigation {
     this.navigationData = new Map();
     this.currentPage = null;
     this.currentSequence = null;
+    this.navigationModel = window.NavigationModel ? window.NavigationModel.get() : null;
     
     this.init();
   }
@@ -20,196 +21,38 @@ class SequentialNavigation {
     this.detectCurrentPage();
     this.renderNavigation();
     this.setupKeyboardShortcuts();
+
+    if (window.NavigationModel && !this.navigationModel) {
+      window.NavigationModel.load()
+        .then(model => {
+          this.navigationModel = model;
+          this.setupNavigationData();
+          this.updateForNewPage();
+        })
+        .catch(error => console.error('Error loading navigation model:', error));
+    }
     
     console.log('Sequential navigation initialized');
   }
 
   /**
-   * Setup navigation data for different sequences
+   * Setup one sequence per section of the navigation model: the overview,
+   * then each phase followed by its subsections
    */
   setupNavigationData() {
-    // Development Roadmap sequence
-    this.navigationData.set('development-roadmap', {
-      title: 'Development Roadmap',
-      description: 'Complete crypto development learning path',
-      sequence: [
-        {
-          id: 'overview',
-          title: 'Development Overview',
-          url: '/development-roadmap/',
-          description: 'Introduction to the development roadmap'
-        },
-        {
-          id: 'phase-1-overview',
-          title: 'Phase 1: Overview',
-          url: '/development-roadmap/phase-1/',
-          description: 'Foundational Infrastructure overview'
-        },
-        {
-          id: 'database-schemas',
-          title: 'Database Schemas',
-          url: '/development-roadmap/phase-1/database-schemas.html',
-          description: 'Design and implement database structures'
-        },
-        {
-          id: 'payment-gateways',
-          title: 'Payment Gateways',
-          url: '/development-roadmap/phase-1/payment-gateways.html',
-          description: 'Integrate payment processing systems'
-        },
-        {
-          id: 'self-hosted-nodes',
-          title: 'Self-Hosted Nodes',
-          url: '/development-roadmap/phase-1/self-hosted-nodes.html',
-          description: 'Set up and manage blockchain nodes'
-        },
-        {
-          id: 'phase-2-overview',
-          title: 'Phase 2: Overview',
-          url: '/development-roadmap/phase-2/',
-          description: 'Backend & APIs overview'
-        },
-        {
-          id: 'api-development',
-          title: 'API Development',
-          url: '/development-roadmap/phase-2/api-development.html',
-          description: 'Build robust APIs and backend services'
-        },
-        {
-          id: 'security-implementation',
-          title: 'Security Implementation',
-          url: '/development-roadmap/phase-2/security-implementation.html',
-          description: 'Implement security best practices'
-        },
-        {
-          id: 'phase-3-overview',
-          title: 'Phase 3: Overview',
-          url: '/development-roadmap/phase-3/',
-          description: 'Frontend & UI overview'
-        },
-        {
-          id: 'react-development',
-          title: 'React Development',
-          url: '/development-roadmap/phase-3/react-development.html',
-          description: 'Build modern React applications'
-        },
-        {
-          id: 'web3-integration',
-          title: 'Web3 Integration',
-          url: '/development-roadmap/phase-3/web3-integration.html',
-          description: 'Integrate Web3 functionality'
-        }
-      ]
-    });
-
-    // Node Guides sequence
-    this.navigationData.set('node-guides', {
-      title: 'Node Setup Guides',
-      description: 'Complete BTC & XMR node setup process',
-      sequence: [
-        {
-          id: 'overview',
-          title: 'Node Guides Overview',
-          url: '/node-guides/',
-          description: 'Introduction to node setup guides'
-        },
-        {
-          id: 'procurement-overview',
-          title: 'Procurement & Provisioning',
-          url: '/node-guides/procurement-provisioning/',
-          description: 'Server procurement and initial setup'
-        },
-        {
-          id: 'vps-selection',
-          title: 'VPS Selection',
-          url: '/node-guides/procurement-provisioning/vps-selection.html',
-          description: 'Choose the right VPS provider'
-        },
-        {
-          id: 'hardware-requirements',
-          title: 'Hardware Requirements',
-          url: '/node-guides/procurement-provisioning/hardware-requirements.html',
-          description: 'Understand hardware specifications'
-        },
-        {
-          id: 'cost-estimation',
-          title: 'Cost Estimation',
-          url: '/node-guides/procurement-provisioning/cost-estimation.html',
-          description: 'Calculate setup and running costs'
-        },
-        {
-          id: 'security-overview',
-          title: 'Server Foundation & Security',
-          url: '/node-guides/server-security/',
-          description: 'Secure your server foundation'
-        },
-        {
-          id: 'secure-connections',
-          title: 'Secure Connections',
-          url: '/node-guides/server-security/secure-connections.html',
-          description: 'Set up SSH and secure access'
-        },
-        {
-          id: 'firewall-config',
-          title: 'Firewall Configuration',
-          url: '/node-guides/server-security/firewall-config.html',
-          description: 'Configure firewall rules'
-        },
-        {
-          id: 'system-hardening',
-          title: 'System Hardening',
-          url: '/node-guides/server-security/system-hardening.html',
-          description: 'Harden your server security'
-        },
-        {
-          id: 'installation-overview',
-          title: 'Node Software Installation',
-          url: '/node-guides/installation/',
-          description: 'Install node software'
-        },
-        {
-          id: 'download-verification',
-          title: 'Download & Verification',
-          url: '/node-guides/installation/download-verification.html',
-          description: 'Download and verify node software'
-        },
-        {
-          id: 'configuration',
-          title: 'Configuration',
-          url: '/node-guides/installation/configuration.html',
-          description: 'Configure node settings'
-        },
-        {
-          id: 'setup-wizard',
-          title: 'Setup Wizard',
-          url: '/node-guides/installation/setup-wizard.html',
-          description: 'Complete initial setup'
-        },
-        {
-          id: 'sync-overview',
-          title: 'Blockchain Synchronization',
-          url: '/node-guides/synchronization/',
-          description: 'Synchronize with the blockchain'
-        },
-        {
-          id: 'monitoring',
-          title: 'Monitoring',
-          url: '/node-guides/synchronization/monitoring.html',
-          description: 'Monitor synchronization progress'
-        },
-        {
-          id: 'testing',
-          title: 'Testing & Validation',
-          url: '/node-guides/synchronization/testing.html',
-          description: 'Test and validate your node'
-        },
-        {
-          id: 'maintenance',
-          title: 'Ongoing Maintenance',
-          url: '/node-guides/synchronization/maintenance.html',
-          description: 'Maintain your node long-term'
-        }
-      ]
+    if (!this.navigationModel) return;
+
+    this.navigationModel.sections.forEach(section => {
+      this.navigationData.set(section.id, {
+        title: section.title,
+        description: section.description,
+        sequence: this.navigationModel.getSequence(section.id).map(page => ({
+          id: page.subsection || (page.phase ? `${page.phase}-overview` : 'overview'),
+          title: page.title,
+          url: page.url,
+          description: page.description
+        }))
+      });
     });
   }
 
@@ -217,25 +60,21 @@ class SequentialNavigation {
    * Detect current page and sequence
    */
   detectCurrentPage() {
-    const path = window.location.pathname;
-    
+    const path = window.location.pathname.replace(/index\.html$/, '');
+    const page = this.navigationModel && this.navigationModel.findPage(path);
+
     // Determine which sequence we're in
-    if (path.includes('/development-roadmap/')) {
-      this.currentSequence = 'development-roadmap';
-    } else if (path.includes('/node-guides/')) {
-      this.currentSequence = 'node-guides';
+    if (page && this.navigationData.has(page.section)) {
+      this.currentSequence = page.section;
     } else {
       this.currentSequence = null;
+      this.currentPage = null;
       return;
     }
 
     // Find current page in sequence
     const sequenceData = this.navigationData.get(this.currentSequence);
-    if (sequenceData) {
-      this.currentPage = sequenceData.sequence.find(page => 
-        page.url === path || path.startsWith(page.url)
-      );
-    }
+    this.currentPage = sequenceData.sequence.find(item => item.url === path) || null;
   }
 
   /**
@@ -0,0 +1,207 @@
+/**
+ * Subsection Checks Module
+ * Subsections with a `checklist` or `quiz` (data/*.json, rendered by
+ * templates/content-page.html) are completed by those instead of by
+ * scrolling to the end: once every item is ticked and the quiz was passed,
+ * i.e. every question answered right (as often as it takes).
+ *
+ * Ticked items and the best quiz result are stored with the progress
+ * (ProgressTracker.setChecklistItem and recordQuizResult), so they sync and
+ * transfer with it.
+ *
+ * Pages hold no quiz answers: each question has the SHA-256 of
+ * "<question id>:<answer index>" (data-answer-digest), which chosen options
+ * are checked against.
+ */
+
+// English strings for when the catalogs (assets/data/translations) are not loaded
+const CHECK_MESSAGES = {
+  'quiz-passed': 'All {total} answers are right. This page is complete.',
+  'quiz-failed': '{score} of {total} answers are right. Have another look and try again.'
+};
+
+class SubsectionChecks {
+  constructor() {
+    // Section, phase and subsection of the page, once it has checks
+    this.page = null;
+    this.quizPassed = false;
+
+    this.setupEventListeners();
+    this.init();
+  }
+
+  /**
+   * Restore the checks of the page (again after page-loader.js swapped in
+   * another one)
+   * @returns {Promise<void>}
+   */
+  async init() {
+    this.page = null;
+    this.quizPassed = false;
+
+    const container = document.querySelector('[data-checklist], [data-quiz]');
+    if (!container || !window.NavigationModel) {
+      return;
+    }
+
+    let page;
+    try {
+      const model = await window.NavigationModel.load();
+      page = model.findPage(window.location.pathname);
+    } catch (error) {
+      console.error('Error loading navigation model:', error);
+      return;
+    }
+
+    // Another page was swapped in meanwhile
+    if (!container.isConnected || !page || page.type !== 'subsection') {
+      return;
+    }
+
+    this.page = page;
+    this.restore();
+  }
+
+  setupEventListeners() {
+    document.addEventListener('change', (e) => {
+      if (e.target.classList.contains('checklist-checkbox')) {
+        this.setChecklistItem(e.target);
+      }
+    });
+
+    document.addEventListener('submit', (e) => {
+      if (e.target.closest('[data-quiz]')) {
+        e.preventDefault();
+        this.gradeQuiz(e.target).catch(error => console.error('Error grading quiz:', error));
+      }
+    });
+  }
+
+  /**
+   * Tick the stored checklist items and show a passed quiz
+   */
+  restore() {
+    const tracker = window.progressTracker;
+    if (!tracker) return;
+
+    const { section, phase, subsection } = this.page;
+    const { checklist, quiz } = tracker.getSubsectionChecks(section, phase, subsection);
+
+    document.querySelectorAll('[data-checklist] .checklist-checkbox').forEach(checkbox => {
+      const state = checklist[checkbox.dataset.index];
+      checkbox.checked = Boolean(state && state.checked);
+    });
+
+    if (quiz && quiz.passed) {
+      this.quizPassed = true;
+      this.showQuizResult(quiz);
+    }
+  }
+
+  setChecklistItem(checkbox) {
+    if (this.page && window.progressTracker) {
+      const { section, phase, subsection } = this.page;
+      window.progressTracker.setChecklistItem(section, phase, subsection, Number(checkbox.dataset.index), checkbox.checked);
+    }
+
+    this.checkCompletion();
+  }
+
+  /**
+   * Mark the questions answered right and wrong, and record the attempt
+   * @returns {Promise<{score: number, total: number, passed: boolean}>}
+   */
+  async gradeQuiz(form) {
+    const questions = Array.from(form.querySelectorAll('.quiz-question'));
+    const answers = await Promise.all(questions.map(question => {
+      const chosen = question.querySelector('input[type="radio"]:checked');
+      return chosen
+        ? SubsectionChecks.getAnswerDigest(question.id, chosen.value).then(digest => digest === question.dataset.answerDigest)
+        : false;
+    }));
+    let score = 0;
+
+    questions.forEach((question, index) => {
+      const correct = answers[index];
+      if (correct) {
+        score++;
+      }
+
+      question.classList.toggle('correct', correct);
+      question.classList.toggle('incorrect', !correct);
+
+      // Explanations would give wrong answers away
+      const explanation = question.querySelector('.quiz-explanation');
+      if (explanation) {
+        explanation.hidden = !correct;
+      }
+    });
+
+    const result = { score, total: questions.length, passed: score === questions.length };
+    if (this.page && window.progressTracker) {
+      const { section, phase, subsection } = this.page;
+      window.progressTracker.recordQuizResult(section, phase, subsection, score, questions.length);
+    }
+
+    this.quizPassed = this.quizPassed || result.passed;
+    this.showQuizResult(result);
+    this.checkCompletion();
+    return result;
+  }
+
+  /**
+   * As the build computes it (component-builder.js getAnswerDigest)
+   * @returns {Promise<string>} hex SHA-256
+   */
+  static async getAnswerDigest(questionId, answer) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${questionId}:${answer}`));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  showQuizResult({ score, total, passed }) {
+    const element = document.querySelector('[data-quiz] .quiz-result');
+    if (!element) return;
+
+    element.textContent = this.t(passed ? 'quiz-passed' : 'quiz-failed', { score, total });
+    element.classList.toggle('passed', passed);
+    element.classList.toggle('failed', !passed);
+  }
+
+  /**
+   * Whether every check of the page is met: all items ticked, quiz passed
+   */
+  isComplete() {
+    const checkboxes = Array.from(document.querySelectorAll('[data-checklist] .checklist-checkbox'));
+    const hasQuiz = Boolean(document.querySelector('[data-quiz]'));
+
+    return checkboxes.every(checkbox => checkbox.checked) && (!hasQuiz || this.quizPassed);
+  }
+
+  /**
+   * Complete the subsection once its checks are met; unticking an item
+   * later does not take that back
+   */
+  checkCompletion() {
+    if (this.page && window.progressTracker && this.isComplete()) {
+      const { section, phase, subsection } = this.page;
+      window.progressTracker.markSubsectionCompleted(section, phase, subsection);
+    }
+  }
+
+  t(key, params = {}) {
+    if (window.i18n && window.i18n.getMessage(key) !== null) {
+      return window.i18n.translate(key, params);
+    }
+    return CHECK_MESSAGES[key].replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+  }
+}
+
+// Initialize subsection checks when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  window.subsectionChecks = new SubsectionChecks();
+});
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SubsectionChecks;
+}
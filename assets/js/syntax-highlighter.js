@@ -647,6 +647,24 @@ class SyntaxHighlighter {
     codeElement.innerHTML = highlightedLines.join('\n');
   }
 
+  /**
+   * Mark one line (1-based) of a code element, e.g. a search match
+   */
+  highlightLine(codeElement, lineNumber) {
+    if (!codeElement.querySelector('.code-line')) {
+      this.addLineHighlighting(codeElement);
+    }
+
+    codeElement.querySelectorAll('.code-line-highlighted').forEach(line => {
+      line.classList.remove('code-line-highlighted');
+    });
+    const line = codeElement.querySelector(`.code-line[data-line="${lineNumber}"]`);
+    if (line) {
+      line.classList.add('code-line-highlighted');
+    }
+    return line;
+  }
+
   /**
    * Add word wrapping for long lines
    */
@@ -0,0 +1,227 @@
+/**
+ * Team Progress Module
+ * Progress of several learners side by side, for whoever onboards them:
+ * each learner sends a progress export (ProgressTracker.exportProgress) and
+ * user-progress.html shows a matrix of learners by phases (and subsections)
+ * with completion dates, time spent and stalled phases, exportable as CSV.
+ *
+ * Learners are kept in localStorage by name. Adding an export under a name
+ * that is already there merges it (ProgressDocument.merge), so a learner's
+ * exports from several devices, or a newer export, add up.
+ */
+
+const TEAM_PROGRESS_KEY = 'crypto-guide-team-progress';
+
+// A started phase without activity for this many days is a blocker
+const DEFAULT_STALLED_DAYS = 7;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+class TeamProgress {
+  constructor() {
+    this.learners = this.loadLearners();
+  }
+
+  /**
+   * Load learners from localStorage
+   */
+  loadLearners() {
+    try {
+      const stored = localStorage.getItem(TEAM_PROGRESS_KEY);
+      if (stored) {
+        return JSON.parse(stored);
+      }
+    } catch (error) {
+      console.error('Error loading team progress:', error);
+    }
+
+    return [];
+  }
+
+  /**
+   * Save learners to localStorage
+   */
+  saveLearners() {
+    try {
+      localStorage.setItem(TEAM_PROGRESS_KEY, JSON.stringify(this.learners));
+    } catch (error) {
+      console.error('Error saving team progress:', error);
+    }
+  }
+
+  /**
+   * Add a learner's progress export, merged into what they already have
+   * @param {string} name
+   * @param {Object} data - A progress document or version 1 export
+   * @throws {Error} for data that is not a progress export
+   */
+  addLearner(name, data) {
+    const learnerName = String(name).trim();
+    if (!learnerName) {
+      throw new Error('A learner needs a name');
+    }
+
+    const document = window.ProgressDocument.parse(data);
+    const existing = this.findLearner(learnerName);
+    if (existing) {
+      existing.document = window.ProgressDocument.merge(existing.document, document);
+    } else {
+      this.learners.push({ name: learnerName, document });
+      this.learners.sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    this.saveLearners();
+    return this.findLearner(learnerName);
+  }
+
+  findLearner(name) {
+    const key = name.toLowerCase();
+    return this.learners.find(learner => learner.name.toLowerCase() === key) || null;
+  }
+
+  removeLearner(name) {
+    this.learners = this.learners.filter(learner => learner !== this.findLearner(name));
+    this.saveLearners();
+  }
+
+  clear() {
+    this.learners = [];
+    this.saveLearners();
+  }
+
+  /**
+   * Learners by phases of the navigation model
+   * @param {NavigationModel} model
+   * @param {Object} [options]
+   * @param {boolean} [options.subsections=false] - Add a column per subsection after each phase
+   * @param {number} [options.stalledDays=7]
+   * @param {Date} [options.now]
+   * @returns {{columns: Array, rows: Array}} rows: { name, timeSpent, lastActive,
+   *   cells: [{ status, startedAt, completedAt, lastActivity, completed, total }] }
+   *   with status 'completed', 'in-progress', 'stalled' or 'not-started'
+   *   (subsection cells: 'completed' or 'not-started')
+   */
+  getMatrix(model, { subsections = false, stalledDays = DEFAULT_STALLED_DAYS, now = new Date() } = {}) {
+    const stalledBefore = new Date(now.getTime() - stalledDays * DAY).toISOString();
+    const columns = [];
+
+    model.sections.forEach(section => {
+      section.phases.forEach(phase => {
+        columns.push({ section: section.id, phase: phase.id, subsection: null, title: `${section.title}: ${phase.label}` });
+        if (subsections) {
+          phase.subsections.forEach(subsection => {
+            columns.push({ section: section.id, phase: phase.id, subsection: subsection.id, title: subsection.title });
+          });
+        }
+      });
+    });
+
+    const rows = this.learners.map(({ name, document }) => ({
+      name,
+      timeSpent: Object.values(document.progress.timeSpent).reduce((total, time) => total + (time || 0), 0),
+      lastActive: document.progress.lastActive || null,
+      cells: columns.map(column => {
+        const phaseData = (document.progress.sections[column.section] || {})[column.phase];
+        if (column.subsection) {
+          return TeamProgress.getSubsectionCell(phaseData, column.subsection);
+        }
+        return TeamProgress.getPhaseCell(phaseData, model.getSubsectionIds(column.section, column.phase), stalledBefore);
+      })
+    }));
+
+    return { columns, rows };
+  }
+
+  /**
+   * State of a phase; a phase whose subsections are all done counts as
+   * completed, as ProgressTracker.completeFinishedPhases does
+   */
+  static getPhaseCell(phaseData, subsectionIds, stalledBefore) {
+    const done = phaseData ? phaseData.subsections : {};
+    const dates = subsectionIds.filter(id => id in done).map(id => done[id]).filter(Boolean).sort();
+    const completed = subsectionIds.filter(id => id in done).length;
+    const cell = {
+      status: 'not-started',
+      startedAt: phaseData ? phaseData.startedAt || null : null,
+      completedAt: null,
+      lastActivity: [phaseData && phaseData.startedAt, ...dates].filter(Boolean).sort().pop() || null,
+      completed,
+      total: subsectionIds.length
+    };
+
+    if (phaseData && (phaseData.completed || (completed > 0 && completed === subsectionIds.length))) {
+      cell.status = 'completed';
+      cell.completedAt = phaseData.completedAt || dates[dates.length - 1] || null;
+    } else if (cell.startedAt || completed > 0) {
+      // Without dates (version 1 exports) a phase cannot be called stalled
+      cell.status = cell.lastActivity && cell.lastActivity < stalledBefore ? 'stalled' : 'in-progress';
+    }
+
+    return cell;
+  }
+
+  static getSubsectionCell(phaseData, subsectionId) {
+    const done = phaseData && subsectionId in phaseData.subsections;
+    return {
+      status: done ? 'completed' : 'not-started',
+      completedAt: done ? phaseData.subsections[subsectionId] : null
+    };
+  }
+
+  /**
+   * The matrix as CSV: one row per learner, one column per phase (and
+   * subsection); cells hold the completion date, or how far a phase got
+   */
+  static toCsv({ columns, rows }) {
+    const lines = [
+      ['Learner', 'Time spent (minutes)', 'Last active', ...columns.map(column => column.title)],
+      ...rows.map(row => [
+        row.name,
+        Math.round(row.timeSpent / 60000),
+        TeamProgress.formatDate(row.lastActive),
+        ...row.cells.map(TeamProgress.formatCell)
+      ])
+    ];
+
+    return lines.map(line => line.map(TeamProgress.escapeCsv).join(',')).join('\r\n') + '\r\n';
+  }
+
+  static formatCell(cell) {
+    switch (cell.status) {
+      case 'completed':
+        return TeamProgress.formatDate(cell.completedAt) || 'completed';
+      case 'stalled':
+        return `stalled since ${TeamProgress.formatDate(cell.lastActivity)} (${cell.completed}/${cell.total})`;
+      case 'in-progress':
+        return `in progress (${cell.completed}/${cell.total})`;
+      default:
+        return '';
+    }
+  }
+
+  static formatDate(date) {
+    return date ? date.slice(0, 10) : '';
+  }
+
+  /**
+   * Quote fields that need it, and keep names like "=cmd" from being read
+   * as formulas by spreadsheets
+   */
+  static escapeCsv(value) {
+    let text = String(value);
+    if (/^[=+\-@]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+}
+
+// Used by the team section of user-progress.html
+if (typeof window !== 'undefined') {
+  window.TeamProgress = TeamProgress;
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TeamProgress;
+}
@@ -1,34 +1,296 @@
 // Component Builder - Node.js script to build static HTML from components
 const fs = require('fs').promises;
+const { watch, readFileSync } = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const { TemplateEngine } = require('./template-engine');
+const { SchemaValidator, SchemaError } = require('./schema-validator');
+const { MarkdownCompiler, renderMarkdown, markdownToText, splitContent } = require('./markdown-compiler');
+const ContentIntegrator = require('../assets/js/content-integrator');
+const ContentValidator = require('../assets/js/content-validator');
+const I18n = require('../assets/js/i18n');
+const SearchIndex = require('../assets/js/search-index');
+const NavigationModel = require('../assets/js/navigation-model');
+
+// UI string catalogs, shared with the browser; reloaded in watch mode when they change
+const CATALOG_DIR = 'assets/data/translations';
+
+// Content files under data/ that drive page generation
+const CONTENT_TYPES = ['development-roadmap', 'node-guides'];
+
+// Every content type is built once per language; translations live in data/{lang}/
+const LANGUAGES = ['en', 'nl', 'fr'];
+const DEFAULT_LANGUAGE = 'en';
+
+// Files and directories copied verbatim into the output directory
+const STATIC_ENTRIES = [
+    'assets',
+    'components',
+    'index.html',
+    'getting-started.html',
+    'search.html',
+    'user-progress.html',
+    'offline.html',
+    '404.html',
+    'sw.js',
+    'monitoring-dashboard.html',
+    'monitoring-config.json'
+];
+
+// Files the browser fetches from data/: content (content-loader.js, sw.js),
+// data/{type}.json and data/{lang}/{type}.json, and the hashes of the English
+// each translation was made from (content-validator.js). The schema is a
+// build input and stays out of the output.
+const PUBLISHED_DATA_FILE = /^data\/(?:([a-z]{2})\/)?([a-z0-9-]+)\.json$/;
+const SOURCE_HASHES = 'source-hashes';
+
+// Source directories watched in --watch mode, on top of STATIC_ENTRIES
+const WATCHED_DIRS = ['templates', 'components', 'data', 'assets', 'content'];
+
+// Collect editor save bursts (write + rename + chmod) into a single rebuild
+const WATCH_DEBOUNCE = 100;
+
+// Touched after every rebuild in watch mode; serve.py turns it into a reload event
+const LIVE_RELOAD_STAMP = '.livereload';
+
+// Content area and head of each generated page, next to it (index.html ->
+// index.fragment.json); PageLoader swaps them in on page transitions
+const PAGE_FRAGMENT_EXTENSION = '.fragment.json';
+
+// Full-text search index per language, loaded by SearchEngine on first search
+const SEARCH_INDEX_DIR = 'data/search';
+
+// Sections, phases and subsections per language, loaded through NavigationModel
+const NAVIGATION_DIR = 'data/navigation';
+
+// Hand-written pages listed in sitemap.xml next to the generated ones
+const SITEMAP_STATIC_PAGES = ['/', '/getting-started.html'];
+
+// Single schema for content files; translations validate against its $defs
+const CONTENT_SCHEMA = 'data/schema/content.schema.json';
+const TRANSLATION_SCHEMA = { $ref: '#/$defs/translation' };
+
+// Hashes of the English each translated field was made from, per language
+const SOURCE_HASHES_FILE = 'source-hashes.json';
+
+const DIFFICULTY_ORDER = ['beginner', 'intermediate', 'advanced'];
+
+const OS_LABELS = {
+    linux: 'Linux',
+    macos: 'macOS',
+    windows: 'Windows'
+};
+
+// Pages check quiz answers against a digest of question id and answer
+// (subsection-checks.js), so neither the pages nor the published data files
+// hold the answers
+function getAnswerDigest(questionId, answer) {
+    return crypto.createHash('sha256').update(`${questionId}:${answer}`).digest('hex');
+}
+
+function withoutQuizAnswers(content) {
+    if (!Array.isArray(content.phases)) {
+        return content;
+    }
+
+    return {
+        ...content,
+        phases: content.phases.map(phase => ({
+            ...phase,
+            subsections: (phase.subsections || []).map(subsection => (subsection.quiz
+                ? { ...subsection, quiz: subsection.quiz.map(({ answer, ...question }) => question) }
+                : subsection))
+        }))
+    };
+}
+
+function capitalize(value) {
+    return value ? value.charAt(0).toUpperCase() + value.slice(1) : '';
+}
+
+// Paths in the dependency graph are root-relative with forward slashes
+function toPosix(file) {
+    return file.split(path.sep).join('/');
+}
 
 class ComponentBuilder {
-    constructor(rootDir = '.') {
+    constructor(rootDir = '.', options = {}) {
         this.rootDir = rootDir;
         this.componentsDir = path.join(rootDir, 'components');
         this.templatesDir = path.join(rootDir, 'templates');
+        this.dataDir = path.join(rootDir, 'data');
+        this.outDir = options.outDir || path.join(rootDir, 'dist');
+        this.contentTypes = options.contentTypes || CONTENT_TYPES;
+        this.languages = options.languages || LANGUAGES;
+        // Netlify exposes the site's primary URL as URL during builds
+        this.siteUrl = (options.siteUrl || process.env.URL || '').replace(/\/$/, '');
+        this.liveReload = Boolean(options.liveReload);
+        this.integrator = new ContentIntegrator();
+        this.validator = new ContentValidator();
+        this.compiler = new MarkdownCompiler(rootDir);
+        this.i18n = this.loadTranslations();
+        this.componentAliases = {};
+        this.schemaValidator = null;
+
+        // url -> { contentType, language, outputPath, files } for every built page
+        this.dependencies = new Map();
+        this.recording = null;
+        this.engine = new TemplateEngine({
+            loadPartial: name => this.loadComponent(this.componentAliases[name] || name)
+        });
+    }
+
+    loadTranslations() {
+        const i18n = new I18n({ supportedLanguages: this.languages });
+        for (const language of this.languages) {
+            const file = path.join(this.rootDir, CATALOG_DIR, `${language}.json`);
+            i18n.addCatalog(language, JSON.parse(readFileSync(file, 'utf8')));
+        }
+        return i18n;
+    }
+
+    getCatalogFiles(language) {
+        return this.i18n.getFallbackChain(language).map(code => `${CATALOG_DIR}/${code}.json`);
+    }
+
+    /**
+     * Note a source file the page currently being built depends on
+     */
+    recordDependency(file) {
+        if (this.recording) {
+            this.recording.add(toPosix(path.relative(this.rootDir, file)));
+        }
     }
 
+    // Missing components and templates are fatal: a page without its header or
+    // content template is a broken build, not something to ship with a comment.
     async loadComponent(componentName) {
+        const componentPath = path.join(this.componentsDir, `${componentName}.html`);
+        this.recordDependency(componentPath);
+        return fs.readFile(componentPath, 'utf8');
+    }
+
+    // Page templates are referenced without extension; others (sitemap.xml) with
+    async loadTemplate(templateName) {
+        const fileName = path.extname(templateName) ? templateName : `${templateName}.html`;
+        const templatePath = path.join(this.templatesDir, fileName);
+        this.recordDependency(templatePath);
         try {
-            const componentPath = path.join(this.componentsDir, `${componentName}.html`);
-            return await fs.readFile(componentPath, 'utf8');
+            return await fs.readFile(templatePath, 'utf8');
         } catch (error) {
-            console.error(`Error loading component ${componentName}:`, error);
-            return `<!-- Component ${componentName} not found -->`;
+            throw new Error(`Template "${templateName}" not found at ${path.relative(this.rootDir, templatePath)}`);
         }
     }
 
-    async loadTemplate(templateName) {
+    /**
+     * Load a content file merged with its data/{lang}/ translation, using the
+     * same merge as ContentIntegrator does at runtime. `translationStatus`
+     * lists the keys of fields whose translation is missing or outdated.
+     */
+    async loadContent(contentType, language = DEFAULT_LANGUAGE) {
+        const content = await this.readContentFile(path.join(this.dataDir, `${contentType}.json`));
+
+        let translations = {};
         try {
-            const templatePath = path.join(this.templatesDir, `${templateName}.html`);
-            return await fs.readFile(templatePath, 'utf8');
+            translations = await this.readContentFile(path.join(this.dataDir, language, `${contentType}.json`), TRANSLATION_SCHEMA);
         } catch (error) {
-            console.error(`Error loading template ${templateName}:`, error);
-            return '';
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+            console.warn(`No ${language} translation for ${contentType}, using ${DEFAULT_LANGUAGE} text`);
+        }
+
+        return {
+            ...this.integrator.mergeContentWithTranslations(content, translations, language),
+            translationStatus: await this.getTranslationStatus(contentType, content, translations, language)
+        };
+    }
+
+    /**
+     * Compare a translation with the English it was made from, using the
+     * hashes the translation import records (see ContentValidator)
+     */
+    async getTranslationStatus(contentType, content, translations, language) {
+        if (language === DEFAULT_LANGUAGE) {
+            return { missing: [], outdated: [] };
+        }
+
+        const readOptional = async (filePath, schema) => {
+            try {
+                return schema
+                    ? await this.readContentFile(filePath, schema)
+                    : JSON.parse(await fs.readFile(filePath, 'utf8'));
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+                return {};
+            }
+        };
+        const terms = await readOptional(path.join(this.dataDir, DEFAULT_LANGUAGE, `${contentType}.json`), TRANSLATION_SCHEMA);
+        const sourceHashes = await readOptional(path.join(this.dataDir, language, SOURCE_HASHES_FILE));
+
+        return this.validator.checkTranslationSources(contentType, content, terms, translations, sourceHashes);
+    }
+
+    /**
+     * Parse a data file, failing with every schema violation in it so that
+     * invalid content breaks the build instead of rendering a broken page
+     */
+    async readContentFile(filePath, schema) {
+        const source = await fs.readFile(filePath, 'utf8');
+        const { value, errors } = (await this.getSchemaValidator()).validateSource(source, schema);
+        if (errors.length > 0) {
+            // Errors in compiled data point at the Markdown the value came from
+            const file = toPosix(path.relative(this.rootDir, filePath));
+            throw new SchemaError(file, errors.map(error => ({ ...error, ...this.compiler.locate(file, error.pointer) })));
         }
+        return value;
     }
 
+    async getSchemaValidator() {
+        if (!this.schemaValidator) {
+            const schema = JSON.parse(await fs.readFile(path.join(this.rootDir, CONTENT_SCHEMA), 'utf8'));
+            this.schemaValidator = new SchemaValidator(schema);
+        }
+        return this.schemaValidator;
+    }
+
+    /**
+     * Validate every content file and translation without building.
+     * Returns one SchemaError per invalid file.
+     */
+    async validateContent() {
+        const failures = [];
+
+        for (const contentType of this.contentTypes) {
+            const files = [
+                [path.join(this.dataDir, `${contentType}.json`)],
+                ...this.languages.map(language => [path.join(this.dataDir, language, `${contentType}.json`), TRANSLATION_SCHEMA])
+            ];
+
+            for (const [filePath, schema] of files) {
+                try {
+                    await this.readContentFile(filePath, schema);
+                } catch (error) {
+                    if (error instanceof SchemaError) {
+                        failures.push(error);
+                    } else if (!(schema && error.code === 'ENOENT')) {
+                        throw error;
+                    }
+                }
+            }
+        }
+
+        return failures;
+    }
+
+    /**
+     * Render a page template. `components` maps partial names used in the
+     * template (`{{> sidebar}}`) to component files, for pages that need a
+     * different component than the default of the same name.
+     */
     async buildPage(config) {
         const {
             template = 'base',
@@ -37,74 +299,998 @@ class ComponentBuilder {
             outputPath
         } = config;
 
-        // Load base template
-        let html = await this.loadTemplate(template);
-
-        // Load and inject components
-        for (const [placeholder, componentName] of Object.entries(components)) {
-            const componentHtml = await this.loadComponent(componentName);
-            html = html.replace(`{{${placeholder}}}`, componentHtml);
-        }
-
-        // Replace variables
-        for (const [key, value] of Object.entries(variables)) {
-            const regex = new RegExp(`{{${key}}}`, 'g');
-            html = html.replace(regex, value);
-        }
+        this.componentAliases = components;
+        const html = await this.renderTemplate(template, variables);
 
         // Write output file
         if (outputPath) {
+            await fs.mkdir(path.dirname(outputPath), { recursive: true });
             await fs.writeFile(outputPath, html, 'utf8');
-            console.log(`Built page: ${outputPath}`);
+            console.log(`Built page: ${path.relative(this.rootDir, outputPath)}`);
+
+            if (variables.content !== undefined) {
+                await fs.writeFile(this.getFragmentPath(outputPath), JSON.stringify(this.getPageFragment(variables)), 'utf8');
+            }
         }
 
         return html;
     }
 
-    async buildProcurementProvisioningPage() {
-        const config = {
+    getFragmentPath(outputPath) {
+        return outputPath.replace(/\.html$/, PAGE_FRAGMENT_EXTENSION);
+    }
+
+    /**
+     * What a page transition needs from a page rendered into base.html: its
+     * content area and the head and <html> attributes that change
+     */
+    getPageFragment(variables) {
+        return {
+            content: variables.content,
+            meta: {
+                title: `${variables.title} - ${variables.section_title}`,
+                description: variables.description,
+                page: variables.page,
+                alternates: variables.alternates || []
+            }
+        };
+    }
+
+    /**
+     * Render a content template (content-page, section-landing) into a fragment
+     * that is then injected into the base template as {{{content}}}.
+     */
+    async renderTemplate(templateName, variables) {
+        const source = await this.loadTemplate(templateName);
+        return this.engine.render(source, variables, templateName);
+    }
+
+    /**
+     * Build the whole site into the output directory
+     */
+    async buildSite() {
+        await this.compileContent();
+        await fs.rm(this.outDir, { recursive: true, force: true });
+        await fs.mkdir(this.outDir, { recursive: true });
+        await this.copyStaticFiles();
+        this.dependencies.clear();
+
+        const pages = [];
+        for (const contentType of this.contentTypes) {
+            for (const language of this.languages) {
+                const content = await this.loadContent(contentType, language);
+                pages.push(...await this.buildContentType(contentType, content));
+            }
+        }
+
+        await this.buildSiteIndexes();
+
+        return pages;
+    }
+
+    /**
+     * Compile content/{type}/ Markdown into data/{type}.json for every content
+     * type that has Markdown sources. Returns the data files that changed.
+     */
+    async compileContent(contentTypes = this.contentTypes) {
+        const written = [];
+        for (const contentType of contentTypes) {
+            if (await this.compiler.hasSource(contentType) && await this.compiler.compile(contentType)) {
+                written.push(`data/${contentType}.json`);
+            }
+        }
+        return written;
+    }
+
+    async copyStaticFiles() {
+        for (const entry of STATIC_ENTRIES) {
+            const source = path.join(this.rootDir, entry);
+            try {
+                await fs.access(source);
+            } catch (error) {
+                continue;
+            }
+            await fs.cp(source, path.join(this.outDir, entry), { recursive: true });
+        }
+
+        for (const contentType of this.contentTypes) {
+            for (const prefix of ['', ...this.languages.map(language => `${language}/`)]) {
+                await this.syncStaticFile(`data/${prefix}${contentType}.json`);
+            }
+        }
+        for (const language of this.languages) {
+            await this.syncStaticFile(`data/${language}/${SOURCE_HASHES}.json`);
+        }
+    }
+
+    isPublishedDataFile(file) {
+        const match = file.match(PUBLISHED_DATA_FILE);
+        return Boolean(match) && (this.contentTypes.includes(match[2]) || (Boolean(match[1]) && match[2] === SOURCE_HASHES));
+    }
+
+    /**
+     * Rebuild only what the changed files affect: copy changed static files
+     * and re-render the pages whose dependencies include one of them. Pages
+     * that no longer exist in the data are removed from the output.
+     */
+    async rebuild(changedFiles) {
+        const changed = new Set(changedFiles.map(file => toPosix(path.relative(this.rootDir, path.resolve(this.rootDir, file)))));
+
+        // In watch mode our own data/*.json writes come back as changes; their
+        // pages were rebuilt together with the Markdown that produced them
+        for (const file of [...changed]) {
+            if (await this.compiler.isOwnOutput(file)) {
+                changed.delete(file);
+            }
+        }
+        // A compiled data file changed by hand is compiled too, which refuses
+        // to overwrite the change
+        const recompile = this.contentTypes.filter(contentType => [...changed]
+            .some(file => file.startsWith(`content/${contentType}/`) || file === `data/${contentType}.json`));
+        for (const file of await this.compileContent(recompile)) {
+            changed.add(file);
+        }
+
+        for (const file of changed) {
+            await this.syncStaticFile(file);
+        }
+        if ([...changed].some(file => file.startsWith(`${CATALOG_DIR}/`))) {
+            this.i18n = this.loadTranslations();
+        }
+        if (changed.has(CONTENT_SCHEMA)) {
+            this.schemaValidator = null;
+        }
+
+        const affected = new Set();
+        for (const [url, page] of this.dependencies) {
+            if ([...page.files].some(file => changed.has(file))) {
+                affected.add(url);
+            }
+        }
+
+        const pages = [];
+        for (const contentType of this.contentTypes) {
+            for (const language of this.languages) {
+                const previous = [...this.dependencies]
+                    .filter(([, page]) => page.contentType === contentType && page.language === language);
+                if (!previous.some(([url]) => affected.has(url))) {
+                    continue;
+                }
+
+                const content = await this.loadContent(contentType, language);
+                pages.push(...await this.buildContentType(contentType, content, url => affected.has(url) || !this.dependencies.has(url)));
+
+                const current = new Set(this.getPageSequence(contentType, content).map(item => item.url));
+                for (const [url, page] of previous) {
+                    if (!current.has(url)) {
+                        await fs.rm(page.outputPath, { force: true });
+                        this.dependencies.delete(url);
+                        console.log(`Removed page: ${path.relative(this.rootDir, page.outputPath)}`);
+                    }
+                }
+            }
+        }
+
+        if (pages.length > 0 || [...changed].some(file => file.startsWith('templates/'))) {
+            await this.buildSiteIndexes();
+        }
+
+        return pages;
+    }
+
+    /**
+     * Mirror a changed file into the output directory if it is one of the
+     * STATIC_ENTRIES (or inside one), or a content file the browser fetches
+     */
+    async syncStaticFile(file) {
+        if (!STATIC_ENTRIES.includes(file.split('/')[0]) && !this.isPublishedDataFile(file)) {
+            return;
+        }
+
+        const source = path.join(this.rootDir, file);
+        const target = path.join(this.outDir, file);
+        try {
+            if ((await fs.stat(source)).isDirectory()) {
+                return;
+            }
+            await fs.mkdir(path.dirname(target), { recursive: true });
+            if (this.isPublishedDataFile(file) && !file.endsWith(`/${SOURCE_HASHES}.json`)) {
+                const content = JSON.parse(await fs.readFile(source, 'utf8'));
+                await fs.writeFile(target, JSON.stringify(withoutQuizAnswers(content), null, 2), 'utf8');
+            } else {
+                await fs.copyFile(source, target);
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+            await fs.rm(target, { force: true });
+        }
+    }
+
+    /**
+     * Build section landing, phase index and subsection pages for a (merged)
+     * content file. Non-default languages are written under /{lang}/.
+     * `shouldBuild(url)` limits the build to some pages (see rebuild()).
+     */
+    async buildContentType(contentType, content, shouldBuild = () => true) {
+        const { language } = content;
+        const sequence = this.getPageSequence(contentType, content);
+        const pages = [];
+
+        const track = async (url, build) => {
+            if (!shouldBuild(url)) {
+                return;
+            }
+            this.recording = new Set([
+                `data/${contentType}.json`,
+                `data/${language}/${contentType}.json`,
+                `data/${DEFAULT_LANGUAGE}/${contentType}.json`,
+                `data/${language}/${SOURCE_HASHES_FILE}`,
+                CONTENT_SCHEMA,
+                ...this.getCatalogFiles(language)
+            ]);
+            try {
+                await build();
+                this.dependencies.set(url, { contentType, language, outputPath: this.getOutputPath(url), files: this.recording });
+            } finally {
+                this.recording = null;
+            }
+            pages.push(url);
+        };
+
+        await track(this.getSectionUrl(contentType, language), () => this.buildSectionLanding(contentType, content));
+
+        for (const [phaseIndex, phase] of content.phases.entries()) {
+            await track(this.getPhaseUrl(contentType, phase, language),
+                () => this.buildPhaseIndex(contentType, content, phase, phaseIndex, sequence));
+
+            for (const subsection of phase.subsections || []) {
+                await track(this.getSubsectionUrl(contentType, phase, subsection, language),
+                    () => this.buildSubsectionPage(contentType, content, phase, phaseIndex, subsection, sequence));
+            }
+        }
+
+        return pages;
+    }
+
+    /**
+     * Build once, then rebuild affected pages whenever a source file changes.
+     * Directories created after startup are not picked up until a restart.
+     */
+    async watch() {
+        this.liveReload = true;
+        await this.buildSite();
+        await this.signalReload();
+
+        const pending = new Set();
+        let timer = null;
+        let queue = Promise.resolve();
+
+        const flush = () => {
+            const files = [...pending];
+            pending.clear();
+            queue = queue.then(async () => {
+                try {
+                    const pages = await this.rebuild(files);
+                    console.log(`Rebuilt ${pages.length} page(s) for ${files.map(file => path.relative(this.rootDir, file)).join(', ')}`);
+                    await this.signalReload();
+                } catch (error) {
+                    // Keep watching; the next save usually fixes it
+                    console.error('Rebuild failed:', error.message);
+                }
+            });
+        };
+
+        const onChange = (dir, filename) => {
+            if (!filename) {
+                return;
+            }
+            pending.add(path.join(dir, filename.toString()));
+            clearTimeout(timer);
+            timer = setTimeout(flush, WATCH_DEBOUNCE);
+        };
+
+        const dirs = [];
+        for (const entry of WATCHED_DIRS) {
+            dirs.push(...await this.listDirectories(path.join(this.rootDir, entry)));
+        }
+        for (const dir of dirs) {
+            watch(dir, (eventType, filename) => onChange(dir, filename));
+        }
+
+        // Root-level static files (index.html, sw.js, ...)
+        watch(this.rootDir, (eventType, filename) => {
+            if (filename && STATIC_ENTRIES.includes(filename.toString())) {
+                onChange(this.rootDir, filename);
+            }
+        });
+
+        console.log(`Watching ${dirs.length} directories for changes...`);
+    }
+
+    async listDirectories(dir) {
+        let entries;
+        try {
+            entries = await fs.readdir(dir, { withFileTypes: true });
+        } catch (error) {
+            return [];
+        }
+
+        const dirs = [dir];
+        for (const entry of entries) {
+            if (entry.isDirectory()) {
+                dirs.push(...await this.listDirectories(path.join(dir, entry.name)));
+            }
+        }
+        return dirs;
+    }
+
+    /**
+     * Write sitemap.xml (with hreflang alternates), robots.txt, one Atom
+     * feed per language listing phases and subsections by lastUpdated, one
+     * search index and one navigation model per language
+     */
+    async buildSiteIndexes() {
+        if (!this.siteUrl) {
+            console.warn('URL is not set: sitemap.xml and feeds will use root-relative links');
+        }
+
+        const sections = [];
+        for (const contentType of this.contentTypes) {
+            for (const language of this.languages) {
+                sections.push({ contentType, content: await this.loadContent(contentType, language) });
+            }
+        }
+
+        await this.writeOutput('sitemap.xml', await this.renderTemplate('sitemap.xml', {
+            pages: this.getSitemapEntries(sections)
+        }));
+
+        await this.writeOutput('robots.txt', await this.renderTemplate('robots.txt', {
+            sitemap_url: this.siteUrl ? `${this.siteUrl}/sitemap.xml` : null
+        }));
+
+        for (const language of this.languages) {
+            const feedUrl = this.getFeedUrl(language);
+            await this.writeOutput(feedUrl, await this.renderTemplate('feed.xml', this.getFeedModel(
+                language,
+                sections.filter(section => section.content.language === language)
+            )));
+
+            const languageSections = sections.filter(section => section.content.language === language);
+            const documents = languageSections.flatMap(({ contentType, content }) => this.getSearchDocuments(contentType, content));
+            await this.writeOutput(this.getSearchIndexUrl(language), JSON.stringify(SearchIndex.build(documents, language)));
+
+            await this.writeOutput(this.getNavigationModelUrl(language), JSON.stringify(NavigationModel.build(
+                languageSections.map(({ contentType, content }) => ({ id: contentType, content })),
+                language,
+                { phaseLabel: this.i18n.getMessages(language)['phase-label'] }
+            )));
+        }
+    }
+
+    async writeOutput(relativePath, contents) {
+        const outputPath = path.join(this.outDir, ...relativePath.split('/').filter(Boolean));
+        await fs.mkdir(path.dirname(outputPath), { recursive: true });
+        await fs.writeFile(outputPath, contents, 'utf8');
+        console.log(`Built file: ${path.relative(this.rootDir, outputPath)}`);
+    }
+
+    getSitemapEntries(sections) {
+        const staticPages = SITEMAP_STATIC_PAGES.map(url => ({ loc: `${this.siteUrl}${url}`, lastmod: null, alternates: [] }));
+
+        return staticPages.concat(sections.flatMap(({ contentType, content }) =>
+            this.getPageSequence(contentType, content).map(item => ({
+                loc: `${this.siteUrl}${item.url}`,
+                lastmod: item.lastUpdated ? this.parseDate(item.lastUpdated).toISOString() : null,
+                alternates: this.getAlternates(language =>
+                    this.generateUrl(contentType, item.phase && item.phase.id, item.subsection && item.subsection.id, language)
+                )
+            }))
+        ));
+    }
+
+    getFeedModel(language, sections) {
+        const strings = this.i18n.getMessages(language);
+        const entries = [];
+
+        for (const { contentType, content } of sections) {
+            for (const item of this.getPageSequence(contentType, content)) {
+                // The section overview is not an update of its own
+                if (!item.phase || !item.lastUpdated) {
+                    continue;
+                }
+                entries.push({
+                    title: item.title,
+                    url: `${this.siteUrl}${item.url}`,
+                    updated: this.parseDate(item.lastUpdated).toISOString(),
+                    summary: (item.subsection || item.phase).description,
+                    section: contentType,
+                    section_title: content.title
+                });
+            }
+        }
+
+        entries.sort((a, b) => b.updated.localeCompare(a.updated));
+
+        return {
+            language,
+            title: strings['site-title'],
+            subtitle: strings['site-subtitle'],
+            id: `${this.siteUrl}${this.getFeedUrl(language)}`,
+            self_url: `${this.siteUrl}${this.getFeedUrl(language)}`,
+            home_url: `${this.siteUrl}${this.getHomeUrl(language)}`,
+            updated: entries.length > 0 ? entries[0].updated : new Date().toISOString(),
+            entries
+        };
+    }
+
+    getFeedUrl(language) {
+        return `${this.getLanguagePrefix(language)}/feed.xml`;
+    }
+
+    getSearchIndexUrl(language) {
+        return `/${SEARCH_INDEX_DIR}/${language}.json`;
+    }
+
+    getNavigationModelUrl(language) {
+        return `/${NAVIGATION_DIR}/${language}.json`;
+    }
+
+    /**
+     * One search document per page of a (merged) content file: the section
+     * overview, its phases and their subsections with their full text, code
+     * block titles and table cells. Code blocks are documents of their own,
+     * so results can point at the block (and line) that matched.
+     */
+    getSearchDocuments(contentType, content) {
+        const { language } = content;
+        const documents = [{
+            type: 'overview',
+            section: contentType,
+            id: contentType,
+            title: content.title,
+            description: content.description,
+            url: this.getSectionUrl(contentType, language),
+            content: [markdownToText(content.content), ...content.phases.map(phase => phase.title)]
+        }];
+
+        for (const phase of content.phases) {
+            const subsections = phase.subsections || [];
+            documents.push({
+                type: 'phase',
+                section: contentType,
+                id: phase.id,
+                title: phase.title,
+                description: phase.description,
+                difficulty: phase.difficulty,
+                url: this.getPhaseUrl(contentType, phase, language),
+                keywords: [phase.id],
+                content: [markdownToText(phase.content), ...subsections.map(subsection => subsection.title)]
+            });
+
+            for (const subsection of subsections) {
+                documents.push({
+                    type: 'subsection',
+                    section: contentType,
+                    phaseId: phase.id,
+                    id: subsection.id,
+                    title: subsection.title,
+                    description: subsection.description,
+                    phase: phase.title,
+                    difficulty: phase.difficulty,
+                    url: this.getSubsectionUrl(contentType, phase, subsection, language),
+                    keywords: [subsection.id],
+                    content: markdownToText(subsection.content),
+                    prerequisites: subsection.prerequisites || [],
+                    codeTitles: (subsection.codeBlocks || []).map(block => block.title),
+                    tables: (subsection.tables || []).map(table => [table.title, table.headers, table.rows])
+                });
+
+                (subsection.codeBlocks || []).forEach((codeBlock, index) => {
+                    documents.push({
+                        type: 'code',
+                        section: contentType,
+                        phaseId: phase.id,
+                        id: subsection.id,
+                        blockId: this.getCodeBlockId(subsection, index),
+                        title: codeBlock.title || subsection.title,
+                        subsection: subsection.title,
+                        phase: phase.title,
+                        difficulty: phase.difficulty,
+                        url: this.getSubsectionUrl(contentType, phase, subsection, language),
+                        language: codeBlock.language || '',
+                        code: codeBlock.code
+                    });
+                });
+            }
+        }
+
+        return documents;
+    }
+
+    /**
+     * `lastUpdated` is optional on the content file, phases and subsections;
+     * a page without its own value inherits the nearest parent's
+     */
+    getLastUpdated(content, phase = null, subsection = null) {
+        if (!phase) {
+            // Overview pages change whenever anything in the section does
+            const dates = [content.lastUpdated];
+            content.phases.forEach(item => {
+                dates.push(item.lastUpdated, ...(item.subsections || []).map(sub => sub.lastUpdated));
+            });
+            const latest = dates.filter(Boolean).sort((a, b) => this.parseDate(b) - this.parseDate(a));
+            return latest.length > 0 ? latest[0] : null;
+        }
+        return (subsection && subsection.lastUpdated) || phase.lastUpdated || content.lastUpdated || null;
+    }
+
+    parseDate(value) {
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime())) {
+            throw new Error(`Invalid lastUpdated "${value}", expected an ISO 8601 date such as 2025-01-31`);
+        }
+        return date;
+    }
+
+    formatDate(value, language) {
+        if (!value) {
+            return null;
+        }
+        return this.parseDate(value).toLocaleDateString(language, {
+            year: 'numeric',
+            month: 'long',
+            day: 'numeric',
+            timeZone: 'UTC'
+        });
+    }
+
+    async signalReload() {
+        await fs.writeFile(path.join(this.outDir, LIVE_RELOAD_STAMP), String(Date.now()), 'utf8');
+    }
+
+    getLanguagePrefix(language = DEFAULT_LANGUAGE) {
+        return language === DEFAULT_LANGUAGE ? '' : `/${language}`;
+    }
+
+    // The homepage is not built per language; LanguageSwitcher picks up ?lang=
+    getHomeUrl(language = DEFAULT_LANGUAGE) {
+        return language === DEFAULT_LANGUAGE ? '/' : `/?lang=${language}`;
+    }
+
+    /**
+     * Same arguments and path scheme as LanguageRouter.generateUrl, but with
+     * the language as a path prefix (/nl/...) since pages are built per language
+     */
+    generateUrl(contentType, phaseId = null, subsectionId = null, language = DEFAULT_LANGUAGE) {
+        let url = `${this.getLanguagePrefix(language)}/${contentType}/`;
+        if (phaseId) {
+            url += `${phaseId}/`;
+            if (subsectionId) {
+                url += `${subsectionId}.html`;
+            }
+        }
+        return url;
+    }
+
+    getSectionUrl(contentType, language) {
+        return this.generateUrl(contentType, null, null, language);
+    }
+
+    getPhaseUrl(contentType, phase, language) {
+        return this.generateUrl(contentType, phase.id, null, language);
+    }
+
+    getSubsectionUrl(contentType, phase, subsection, language) {
+        return this.generateUrl(contentType, phase.id, subsection.id, language);
+    }
+
+    /**
+     * hreflang alternates for a page, given a function that returns the page's
+     * URL in a language. English doubles as x-default.
+     */
+    getAlternates(urlForLanguage) {
+        const alternates = this.languages.map(language => ({
+            hreflang: language,
+            url: `${this.siteUrl}${urlForLanguage(language)}`
+        }));
+        alternates.push({ hreflang: 'x-default', url: `${this.siteUrl}${urlForLanguage(DEFAULT_LANGUAGE)}` });
+        return alternates;
+    }
+
+    /**
+     * UI strings for a content file: the site-wide catalog (falling back to
+     * English per key) plus the file's own navigation/common terms
+     */
+    getStrings(content) {
+        return {
+            ...this.i18n.getMessages(content.language),
+            ...content.navigation,
+            ...content.common
+        };
+    }
+
+    getPhaseLabel(content, phase, phaseIndex) {
+        return `${this.getStrings(content)['phase-label']} ${phaseIndex + 1}: ${phase.title}`;
+    }
+
+    getDifficultyLabel(content, difficulty) {
+        return this.getStrings(content)[difficulty] || capitalize(difficulty);
+    }
+
+    /**
+     * Every page of a section in linear reading order; used for previous/next
+     * links, the sitemap and the feeds
+     */
+    getPageSequence(contentType, content) {
+        const { language } = content;
+        const sequence = [{
+            url: this.getSectionUrl(contentType, language),
+            title: `${content.title} ${this.getStrings(content).overview}`,
+            phase: null,
+            subsection: null,
+            lastUpdated: this.getLastUpdated(content)
+        }];
+
+        content.phases.forEach((phase, phaseIndex) => {
+            sequence.push({
+                url: this.getPhaseUrl(contentType, phase, language),
+                title: this.getPhaseLabel(content, phase, phaseIndex),
+                phase,
+                subsection: null,
+                lastUpdated: this.getLastUpdated(content, phase)
+            });
+            (phase.subsections || []).forEach(subsection => {
+                sequence.push({
+                    url: this.getSubsectionUrl(contentType, phase, subsection, language),
+                    title: subsection.title,
+                    phase,
+                    subsection,
+                    lastUpdated: this.getLastUpdated(content, phase, subsection)
+                });
+            });
+        });
+
+        return sequence;
+    }
+
+    getNeighbours(content, sequence, url) {
+        const index = sequence.findIndex(item => item.url === url);
+        return {
+            prev: index > 0 ? sequence[index - 1] : { url: this.getHomeUrl(content.language), title: this.getStrings(content).home },
+            next: index < sequence.length - 1 ? sequence[index + 1] : sequence[0]
+        };
+    }
+
+    getOutputPath(url) {
+        const relative = url.endsWith('/') ? `${url}index.html` : url;
+        return path.join(this.outDir, ...relative.split('/').filter(Boolean));
+    }
+
+    getBaseVariables(contentType, content, url, alternates) {
+        const { language } = content;
+        const depth = url.split('/').filter(Boolean).length - (url.endsWith('/') ? 0 : 1);
+        const rootPath = depth > 0 ? '../'.repeat(depth).slice(0, -1) : '.';
+
+        return {
+            language,
+            alternates,
+            t: this.getStrings(content),
+            section: contentType,
+            css_path: `${rootPath}/assets/css`,
+            js_path: `${rootPath}/assets/js`,
+            nav: { [contentType]: true },
+            current_language: { [language]: true },
+            live_reload: this.liveReload,
+            feed_url: this.getFeedUrl(language),
+            links: {
+                home: this.getHomeUrl(language),
+                ...Object.fromEntries(CONTENT_TYPES.map(type => [type, this.getSectionUrl(type, language)]))
+            },
+            sidebar: this.getSidebarModel(contentType, content, url)
+        };
+    }
+
+    async buildSectionLanding(contentType, content) {
+        const { language } = content;
+        const strings = this.getStrings(content);
+        const url = this.getSectionUrl(contentType, language);
+        const firstPhase = content.phases[0];
+
+        const body = await this.renderTemplate('section-landing', {
+            t: strings,
+            home_url: this.getHomeUrl(language),
+            section_title: content.title,
+            section_subtitle: content.description,
+            difficulty: this.getDifficultyRange(content),
+            estimated_time: `${content.phases.length} ${strings.phases.toLowerCase()}`,
+            section_overview: content.description,
+            // Markdown of the section's index.md, rendered (and escaped) here
+            section_content: renderMarkdown(content.content),
+            phases_title: strings.phases,
+            phases: this.getPhaseCards(contentType, content),
+            start_url: firstPhase ? this.getPhaseUrl(contentType, firstPhase, language) : url
+        });
+
+        await this.buildPage({
             template: 'base',
-            components: {
-                header: 'header',
-                sidebar: 'sidebar-node-guides',
-                footer: 'footer'
+            variables: {
+                ...this.getBaseVariables(contentType, content, url, this.getAlternates(lang => this.getSectionUrl(contentType, lang))),
+                title: strings.overview,
+                section_title: content.title,
+                page: 'overview',
+                description: content.description,
+                content: body
             },
+            outputPath: this.getOutputPath(url)
+        });
+
+        return url;
+    }
+
+    async buildPhaseIndex(contentType, content, phase, phaseIndex, sequence) {
+        const { language } = content;
+        const url = this.getPhaseUrl(contentType, phase, language);
+        const { prev, next } = this.getNeighbours(content, sequence, url);
+
+        const body = await this.renderTemplate('content-page', {
+            t: this.getStrings(content),
+            breadcrumbs: this.getBreadcrumbs(contentType, content, phase, phaseIndex),
+            page_title: this.getPhaseLabel(content, phase, phaseIndex),
+            difficulty: this.getDifficultyLabel(content, phase.difficulty),
+            estimated_time: phase.estimatedTime,
+            last_updated: this.formatDate(this.getLastUpdated(content, phase), language),
+            page_description: phase.description,
+            prerequisites: [],
+            cards: (phase.subsections || []).map(subsection => ({
+                title: subsection.title,
+                description: subsection.description,
+                url: this.getSubsectionUrl(contentType, phase, subsection, language)
+            })),
+            phase_content: renderMarkdown(phase.content),
+            subsection: null,
+            prev,
+            next
+        });
+
+        await this.buildPage({
+            template: 'base',
             variables: {
-                title: 'Phase 1: Procurement & Provisioning',
-                section: 'node-guides',
-                section_title: 'Node Guides',
-                page: 'procurement-provisioning',
-                description: 'Select and provision the infrastructure needed for running cryptocurrency nodes',
-                css_path: '../../assets/css',
-                js_path: '../../assets/js',
-                content: `
-                    <div class="content-page">
-                        <!-- Page content would go here -->
-                        <!-- This would be loaded from a separate content file -->
-                    </div>
-                `
+                ...this.getBaseVariables(contentType, content, url, this.getAlternates(lang => this.getPhaseUrl(contentType, phase, lang))),
+                title: this.getPhaseLabel(content, phase, phaseIndex),
+                section_title: content.title,
+                page: phase.id,
+                description: phase.description,
+                content: body
             },
-            outputPath: path.join(this.rootDir, 'node-guides/procurement-provisioning/index-built.html')
+            outputPath: this.getOutputPath(url)
+        });
+
+        return url;
+    }
+
+    async buildSubsectionPage(contentType, content, phase, phaseIndex, subsection, sequence) {
+        const url = this.getSubsectionUrl(contentType, phase, subsection, content.language);
+        const { prev, next } = this.getNeighbours(content, sequence, url);
+        const keyPrefix = `${contentType}/${phase.id}/${subsection.id}/`;
+        const outdated = content.translationStatus.outdated.some(key => key.startsWith(keyPrefix));
+
+        const body = await this.renderTemplate('content-page', {
+            t: this.getStrings(content),
+            breadcrumbs: [
+                ...this.getBreadcrumbs(contentType, content, phase, phaseIndex),
+                { title: subsection.title, url }
+            ],
+            page_title: subsection.title,
+            difficulty: this.getDifficultyLabel(content, subsection.difficulty || phase.difficulty),
+            estimated_time: subsection.estimatedTime || phase.estimatedTime,
+            last_updated: this.formatDate(this.getLastUpdated(content, phase, subsection), content.language),
+            page_description: subsection.description,
+            prerequisites: subsection.prerequisites || [],
+            cards: [],
+            phase_content: '',
+            subsection: this.getSubsectionModel(content, subsection),
+            translation_outdated: outdated,
+            source_url: outdated ? this.getSubsectionUrl(contentType, phase, subsection, DEFAULT_LANGUAGE) : null,
+            prev,
+            next
+        });
+
+        await this.buildPage({
+            template: 'base',
+            variables: {
+                ...this.getBaseVariables(contentType, content, url, this.getAlternates(lang => this.getSubsectionUrl(contentType, phase, subsection, lang))),
+                title: subsection.title,
+                section_title: phase.title,
+                page: subsection.id,
+                description: subsection.description,
+                content: body
+            },
+            outputPath: this.getOutputPath(url)
+        });
+
+        return url;
+    }
+
+    getDifficultyRange(content) {
+        const levels = DIFFICULTY_ORDER.filter(level => content.phases.some(phase => phase.difficulty === level));
+        if (levels.length === 0) {
+            return '';
+        }
+        if (levels.length === 1) {
+            return this.getDifficultyLabel(content, levels[0]);
+        }
+        return `${this.getDifficultyLabel(content, levels[0])} – ${this.getDifficultyLabel(content, levels[levels.length - 1])}`;
+    }
+
+    getBreadcrumbs(contentType, content, phase, phaseIndex) {
+        const { language } = content;
+        return [
+            { title: this.getStrings(content).home, url: this.getHomeUrl(language) },
+            { title: content.title, url: this.getSectionUrl(contentType, language) },
+            { title: this.getPhaseLabel(content, phase, phaseIndex), url: this.getPhaseUrl(contentType, phase, language) }
+        ];
+    }
+
+    getSidebarModel(contentType, content, currentUrl) {
+        const { language } = content;
+        const overviewUrl = this.getSectionUrl(contentType, language);
+
+        return {
+            title: content.title,
+            overview_url: overviewUrl,
+            overview_active: currentUrl === overviewUrl,
+            phases: content.phases.map((phase, phaseIndex) => ({
+                label: this.getPhaseLabel(content, phase, phaseIndex),
+                target_id: `${contentType}-${phase.id}-content`,
+                expanded: currentUrl.startsWith(this.getPhaseUrl(contentType, phase, language)),
+                subsections: (phase.subsections || []).map(subsection => {
+                    const url = this.getSubsectionUrl(contentType, phase, subsection, language);
+                    return { id: subsection.id, title: subsection.title, url, active: currentUrl === url };
+                })
+            }))
+        };
+    }
+
+    getPhaseCards(contentType, content) {
+        const { language } = content;
+        return content.phases.map((phase, phaseIndex) => ({
+            number: phaseIndex + 1,
+            label: this.getPhaseLabel(content, phase, phaseIndex),
+            difficulty: phase.difficulty,
+            difficulty_label: this.getDifficultyLabel(content, phase.difficulty),
+            estimated_time: phase.estimatedTime,
+            description: phase.description,
+            url: this.getPhaseUrl(contentType, phase, language),
+            subsections: (phase.subsections || []).map(subsection => ({
+                title: subsection.title,
+                url: this.getSubsectionUrl(contentType, phase, subsection, language)
+            }))
+        }));
+    }
+
+    /**
+     * Normalise a subsection into the shape content-page.html expects, so
+     * optional fields are present (empty) rather than missing variables.
+     */
+    getSubsectionModel(content, subsection) {
+        const strings = this.getStrings(content);
+        const osSpecific = Object.entries(subsection.osSpecific || {});
+
+        // What goes between the prose, by the marker that places it
+        const blocks = new Map();
+        (subsection.codeBlocks || []).forEach((codeBlock, index) => {
+            blocks.set(`codeBlocks/${index}`, {
+                isCode: true,
+                ...this.getCodeBlockModel(codeBlock, this.getCodeBlockId(subsection, index))
+            });
+        });
+        (subsection.tables || []).forEach((table, index) => {
+            blocks.set(`tables/${index}`, {
+                isTable: true,
+                title: table.title || '',
+                headers: table.headers,
+                rows: table.rows.map(row => row.map((value, column) => ({ label: table.headers[column] || '', value })))
+            });
+        });
+        if (osSpecific.length > 0) {
+            blocks.set('osSpecific', {
+                isOsTabs: true,
+                tabs: osSpecific.map(([os, instructions]) => ({
+                    os,
+                    label: strings[os] || OS_LABELS[os] || capitalize(os),
+                    codeBlocks: [this.getCodeBlockModel({ ...instructions, language: 'bash' }, `${subsection.id}-${os}`)]
+                }))
+            });
+        }
+
+        // Prose (Markdown, rendered and escaped here) with the blocks placed
+        // in it; blocks without a marker, also those of translations that
+        // lost theirs, follow in order
+        const sections = [];
+        splitContent(subsection.content).forEach(part => {
+            if (part.markdown) {
+                const id = sections.some(section => section.isProse) ? '' : 'overview';
+                sections.push({ isProse: true, id, html: renderMarkdown(part.markdown) });
+            } else if (blocks.has(part.block)) {
+                sections.push(blocks.get(part.block));
+                blocks.delete(part.block);
+            }
+        });
+        sections.push(...blocks.values());
+
+        return {
+            sections,
+            // Completing these completes the subsection (subsection-checks.js);
+            // progress refers to items and questions by index
+            checklist: (subsection.checklist || []).map((text, index) => ({
+                id: `${subsection.id}-check-${index + 1}`,
+                index,
+                text
+            })),
+            quiz: (subsection.quiz || []).map((question, index) => ({
+                id: `${subsection.id}-quiz-${index + 1}`,
+                index,
+                question: question.question,
+                answerDigest: getAnswerDigest(`${subsection.id}-quiz-${index + 1}`, question.answer),
+                explanation: question.explanation || '',
+                options: question.options.map((text, option) => ({
+                    id: `${subsection.id}-quiz-${index + 1}-${option + 1}`,
+                    name: `${subsection.id}-quiz-${index + 1}`,
+                    value: option,
+                    text
+                }))
+            }))
         };
+    }
+
+    // Element id of a subsection's code block, which search results link to
+    getCodeBlockId(subsection, index) {
+        return `${subsection.id}-code-${index + 1}`;
+    }
 
-        return await this.buildPage(config);
+    getCodeBlockModel(codeBlock, id) {
+        return {
+            id,
+            title: codeBlock.title || '',
+            language: codeBlock.language || '',
+            code: codeBlock.code
+        };
     }
 }
 
-// Usage example
+// Compile content/ Markdown into data/*.json, then build every page from
+// data/*.json (and data/{lang}/ translations) into dist/
+//   --watch   rebuild affected pages on change and signal open browsers to reload
+//   --serve   also start serve.py on dist/ (used by `npm run dev`)
 if (require.main === module) {
-    console.log('Starting build process...');
-    
-    // For now, this is a static site with pre-built HTML files
-    // The build process just needs to succeed for Netlify deployment
-    console.log('Static HTML files are already in place');
-    console.log('Build complete!');
-    
-    // Future: Add actual component building logic here
-    // const builder = new ComponentBuilder();
-    // builder.buildProcurementProvisioningPage()
-    //     .then(() => console.log('Build complete!'))
-    //     .catch(console.error);
+    const args = process.argv.slice(2);
+    const builder = new ComponentBuilder(path.resolve(__dirname, '..'));
+
+    if (args.includes('--watch')) {
+        builder.watch()
+            .then(() => {
+                if (args.includes('--serve')) {
+                    const server = spawn(process.env.PYTHON || 'python3', [path.join(builder.rootDir, 'serve.py'), builder.outDir], { stdio: 'inherit' });
+                    server.on('exit', code => process.exit(code || 0));
+                    process.on('SIGTERM', () => server.kill());
+                }
+            })
+            .catch(error => {
+                console.error('Build failed:', error);
+                process.exit(1);
+            });
+    } else {
+        console.log('Starting build process...');
+        builder.buildSite()
+            .then(pages => console.log(`Build complete! ${pages.length} pages generated in ${builder.outDir}`))
+            .catch(error => {
+                console.error('Build failed:', error);
+                process.exit(1);
+            });
+    }
 }
 
-module.exports = ComponentBuilder;
\ No newline at end of file
+module.exports = ComponentBuilder;
@@ -0,0 +1,827 @@
+// Markdown Compiler - builds data/{contentType}.json from Markdown sources
+//
+// Layout (entries are ordered by name, so number them):
+//   content/node-guides/index.md                           title, description, lastUpdated
+//   content/node-guides/01-procurement/index.md            phase: id, title, description,
+//                                                          estimatedTime, difficulty, lastUpdated,
+//                                                          requires
+//   content/node-guides/01-procurement/01-vps-selection.md subsection
+//
+// Every file starts with YAML front matter between --- lines. The body of an
+// index.md, text only, becomes the content of the section or phase page. Subsections take
+// id, title, description, prerequisites, requires, checklist, difficulty,
+// estimatedTime and lastUpdated; their Markdown body becomes:
+//   ```bash title="UFW Setup"                  codeBlocks[]
+//   ```bash os=linux title="Linux SSH Setup"   osSpecific.linux
+//   ```quiz                                    quiz[] (see parseQuiz)
+//   Table: Caption, then a | pipe | table |    tables[]
+//   everything else                            content (Markdown, see renderMarkdown)
+//
+// Code blocks, tables and OS blocks followed by more text leave a marker line
+// in content (<!-- codeBlocks/0 -->, <!-- tables/0 -->, <!-- osSpecific -->),
+// so pages show them where they were written (see splitContent).
+//
+// The output has the same shape as the hand-written JSON it replaces, so
+// ContentLoader, ContentIntegrator and the builder read it unchanged. The
+// compiler remembers which file and line each value came from (locate()), so
+// schema errors in the output can point at the Markdown.
+
+const fs = require('fs').promises;
+const path = require('path');
+const { escapeHtml } = require('./template-engine');
+const PhaseGating = require('../assets/js/phase-gating');
+
+const SECTION_KEYS = ['title', 'description', 'lastUpdated'];
+const PHASE_KEYS = ['id', 'title', 'description', 'estimatedTime', 'difficulty', 'lastUpdated', 'requires'];
+const SUBSECTION_KEYS = ['id', 'title', 'description', 'estimatedTime', 'difficulty', 'lastUpdated', 'prerequisites', 'requires', 'checklist'];
+const REQUIRED_KEYS = ['title', 'description'];
+const LIST_KEYS = ['prerequisites', 'requires', 'checklist'];
+const OS_NAMES = ['linux', 'macos', 'windows'];
+const CODE_ATTRIBUTES = ['title', 'os'];
+
+const FENCE_PATTERN = /^(`{3,}|~{3,})(.*)$/;
+const QUIZ_OPTION_PATTERN = /^[-*]\s+\[([ xX])\]\s+(.*)$/;
+const TABLE_DELIMITER_PATTERN = /^\|?(\s*:?-{3,}:?\s*\|)*\s*:?-{3,}:?\s*\|?$/;
+const LIST_ITEM_PATTERN = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const HEADING_PATTERN = /^(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const RULE_PATTERN = /^\s*([-*_])(?:\s*\1){2,}\s*$/;
+const MARKER_PATTERN = /^<!-- (codeBlocks\/\d+|tables\/\d+|osSpecific) -->$/;
+
+class MarkdownError extends Error {
+    constructor(message, file, line) {
+        super(file ? `${message} (${file}${line ? `:${line}` : ''})` : message);
+        this.name = 'MarkdownError';
+        this.file = file;
+        this.line = line;
+    }
+}
+
+/**
+ * Parse a YAML scalar: "double quoted" (JSON escapes), 'single quoted',
+ * a [flow, list] or plain text up to a # comment
+ */
+function parseScalar(value, file, line) {
+    value = value.trim();
+
+    if (value.startsWith('"')) {
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            throw new MarkdownError(`Invalid quoted string ${value}`, file, line);
+        }
+    }
+    if (value.startsWith("'")) {
+        if (value.length < 2 || !value.endsWith("'")) {
+            throw new MarkdownError(`Unterminated quoted string ${value}`, file, line);
+        }
+        return value.slice(1, -1).replace(/''/g, "'");
+    }
+    if (value.startsWith('[')) {
+        if (!value.endsWith(']')) {
+            throw new MarkdownError(`Unterminated list ${value}`, file, line);
+        }
+        const items = value.slice(1, -1).match(/\s*(?:"(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^,]+)/g) || [];
+        return items.filter(item => item.trim()).map(item => parseScalar(item, file, line));
+    }
+
+    return value.replace(/\s+#.*$/, '');
+}
+
+/**
+ * Split a file into its front matter (a flat map of scalars and lists) and
+ * the Markdown body
+ */
+function parseFrontMatter(source, file) {
+    const lines = source.replace(/\r\n/g, '\n').split('\n');
+    if (lines[0].trim() !== '---') {
+        throw new MarkdownError('Missing front matter: the file must start with ---', file, 1);
+    }
+    const end = lines.findIndex((line, index) => index > 0 && line.trim() === '---');
+    if (end === -1) {
+        throw new MarkdownError('Unclosed front matter: missing closing ---', file, 1);
+    }
+
+    const data = {};
+    const keyLines = {};
+    let listKey = null;
+    for (let index = 1; index < end; index++) {
+        const line = lines[index];
+        const lineNumber = index + 1;
+        if (!line.trim() || line.trim().startsWith('#')) {
+            continue;
+        }
+
+        const item = /^\s*-\s+(.*)$/.exec(line);
+        if (item) {
+            if (!listKey) {
+                throw new MarkdownError('List item without a key', file, lineNumber);
+            }
+            data[listKey].push(parseScalar(item[1], file, lineNumber));
+            continue;
+        }
+
+        const pair = /^([\w-]+):(?:\s+(.*))?$/.exec(line);
+        if (!pair) {
+            throw new MarkdownError(`Invalid front matter line "${line.trim()}"`, file, lineNumber);
+        }
+        const [, key, value = ''] = pair;
+        if (Object.prototype.hasOwnProperty.call(data, key)) {
+            throw new MarkdownError(`Duplicate front matter key "${key}"`, file, lineNumber);
+        }
+        keyLines[key] = lineNumber;
+        if (value.trim() === '') {
+            data[key] = [];
+            listKey = key;
+        } else {
+            data[key] = parseScalar(value, file, lineNumber);
+            listKey = null;
+        }
+    }
+
+    return { data, keyLines, body: lines.slice(end + 1), bodyLine: end + 2 };
+}
+
+/**
+ * Check front matter keys and copy them in a stable order
+ */
+function pickFrontMatter(data, allowed, file) {
+    for (const key of Object.keys(data)) {
+        if (!allowed.includes(key)) {
+            throw new MarkdownError(`Unknown front matter key "${key}" (allowed: ${allowed.join(', ')})`, file, 1);
+        }
+    }
+    for (const key of REQUIRED_KEYS.concat(allowed.includes('id') ? ['id'] : [])) {
+        if (typeof data[key] !== 'string' || !data[key]) {
+            throw new MarkdownError(`Missing front matter key "${key}"`, file, 1);
+        }
+    }
+
+    const result = {};
+    for (const key of allowed) {
+        if (data[key] === undefined) {
+            continue;
+        }
+        if (LIST_KEYS.includes(key) !== Array.isArray(data[key])) {
+            throw new MarkdownError(`Front matter key "${key}" must be ${LIST_KEYS.includes(key) ? 'a list' : 'a single value'}`, file, 1);
+        }
+        result[key] = data[key];
+    }
+    return result;
+}
+
+/**
+ * Parse a fence info string: `bash title="Setup" os=linux`
+ */
+function parseInfoString(info, file, line) {
+    const [, language = '', text = ''] = /^\s*(\S*)\s*(.*)$/.exec(info);
+    if (!language || language.includes('=')) {
+        throw new MarkdownError('Code block needs a language, e.g. ```bash title="..."', file, line);
+    }
+
+    const attributes = {};
+    const pattern = /(\w+)=("(?:[^"\\]|\\.)*"|[^\s"]+)\s*/y;
+    let match;
+    while (pattern.lastIndex < text.length) {
+        match = pattern.exec(text);
+        if (!match) {
+            throw new MarkdownError(`Invalid code block attributes "${text}"`, file, line);
+        }
+        const [, name, value] = match;
+        if (!CODE_ATTRIBUTES.includes(name)) {
+            throw new MarkdownError(`Unknown code block attribute "${name}" (allowed: ${CODE_ATTRIBUTES.join(', ')})`, file, line);
+        }
+        attributes[name] = value.startsWith('"') ? parseScalar(value, file, line) : value;
+    }
+
+    return { language, attributes };
+}
+
+function codeEntry(attributes, code) {
+    return {
+        ...(attributes.title !== undefined ? { title: attributes.title } : {}),
+        code: code.join('\n')
+    };
+}
+
+/**
+ * Parse the questions of a quiz block, separated by blank lines:
+ *   Which file is signed by the release keys?
+ *   - [ ] bitcoin-25.0-x86_64-linux-gnu.tar.gz
+ *   - [x] SHA256SUMS
+ *   > Optional explanation, shown once answered
+ */
+function parseQuiz(lines, file, firstLine, questionLines = []) {
+    const questions = [];
+    let current = null;
+
+    const finish = () => {
+        if (!current) {
+            return;
+        }
+        const { question, options, answers, explanation, line } = current;
+        if (options.length < 2) {
+            throw new MarkdownError('Quiz question needs at least two "- [ ]" options', file, line);
+        }
+        if (answers.length !== 1) {
+            throw new MarkdownError('Quiz question needs exactly one "- [x]" answer', file, line);
+        }
+        questionLines.push(line);
+        questions.push({
+            question: question.join(' '),
+            options,
+            answer: answers[0],
+            ...(explanation.length > 0 ? { explanation: explanation.join(' ') } : {})
+        });
+        current = null;
+    };
+
+    lines.forEach((line, index) => {
+        const lineNumber = firstLine + index;
+        const text = line.trim();
+        if (!text) {
+            finish();
+            return;
+        }
+
+        current = current || { question: [], options: [], answers: [], explanation: [], line: lineNumber };
+        const option = QUIZ_OPTION_PATTERN.exec(text);
+        if (option) {
+            if (current.question.length === 0 || current.explanation.length > 0) {
+                throw new MarkdownError('Quiz option must follow its question', file, lineNumber);
+            }
+            if (option[1] !== ' ') {
+                current.answers.push(current.options.length);
+            }
+            current.options.push(option[2].trim());
+        } else if (text.startsWith('>')) {
+            current.explanation.push(text.replace(/^>\s*/, ''));
+        } else if (current.options.length === 0) {
+            current.question.push(text);
+        } else {
+            throw new MarkdownError(`Unexpected line in quiz "${text}"; separate questions with a blank line`, file, lineNumber);
+        }
+    });
+    finish();
+
+    if (questions.length === 0) {
+        throw new MarkdownError('Empty quiz block', file, firstLine - 1);
+    }
+    return questions;
+}
+
+function isTableStart(lines, index) {
+    return index + 1 < lines.length
+        && lines[index].trim().startsWith('|')
+        && TABLE_DELIMITER_PATTERN.test(lines[index + 1].trim());
+}
+
+function splitTableRow(line) {
+    return line.trim()
+        .replace(/^\|/, '')
+        .replace(/(?<!\\)\|$/, '')
+        .split(/(?<!\\)\|/)
+        .map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+function indentOf(line) {
+    return /^\s*/.exec(line)[0].length;
+}
+
+function startsBlock(line) {
+    return HEADING_PATTERN.test(line) || RULE_PATTERN.test(line) || LIST_ITEM_PATTERN.test(line) || /^\s*>/.test(line);
+}
+
+/**
+ * Whether a link target is safe to render: http(s) and mailto links, and
+ * links without a scheme (pages of the site, anchors). javascript: and
+ * friends stay text.
+ */
+function isSafeLink(url) {
+    return !/[\u0000-\u001f]/.test(url) && (/^(?:https?|mailto):/i.test(url) || !/^[^/?#]*:/.test(url));
+}
+
+/**
+ * Inline Markdown of escaped text: `code`, [links](url), **bold** and *italic*
+ */
+function renderInline(text) {
+    const placeholders = [];
+    const hold = html => `\u0000${placeholders.push(html) - 1}\u0000`;
+    const emphasis = html => html
+        .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+        .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+        .replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<em>$2</em>');
+
+    const html = escapeHtml(text.replace(/\u0000/g, '')
+        .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => hold(`<code>${escapeHtml(code.trim())}</code>`)))
+        .replace(/\[([^\]]+)\]\(([^()\s]+)\)/g, (match, label, url) => (isSafeLink(url)
+            ? hold(`<a href="${url}">${emphasis(label)}</a>`)
+            : emphasis(label)));
+
+    let result = emphasis(html);
+    while (/\u0000\d+\u0000/.test(result)) {
+        result = result.replace(/\u0000(\d+)\u0000/g, (match, index) => placeholders[index]);
+    }
+    return result;
+}
+
+function slugify(html) {
+    return html.toLowerCase()
+        .replace(/<[^>]+>|&[a-z0-9#]+;/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Where the list starting at `start` ends: after its items, their
+ * continuation lines and whatever is indented under them
+ */
+function findListEnd(lines, start) {
+    const indent = indentOf(lines[start]);
+    const isOrdered = line => /^\s*\d/.test(line);
+    // At the list's own indent: another item of the list, or something else
+    const isItem = line => LIST_ITEM_PATTERN.test(line) && isOrdered(line) === isOrdered(lines[start]);
+    let end = start + 1;
+    while (end < lines.length) {
+        const line = lines[end];
+        if (!line.trim()) {
+            const next = lines.slice(end).findIndex(candidate => candidate.trim());
+            if (next === -1 || (indentOf(lines[end + next]) <= indent && !isItem(lines[end + next]))) {
+                break;
+            }
+            end += next;
+        } else if (indentOf(line) <= indent && !isItem(line) && startsBlock(line)) {
+            break;
+        } else {
+            end++;
+        }
+    }
+    return end;
+}
+
+function renderList(lines, slugs) {
+    const [, indent, marker] = LIST_ITEM_PATTERN.exec(lines[0]);
+    const items = [];
+    for (const line of lines) {
+        const item = LIST_ITEM_PATTERN.exec(line);
+        if (item && item[1].length <= indent.length + 1) {
+            items.push({ lines: [item[3]], width: line.length - item[3].length });
+        } else {
+            const { width } = items[items.length - 1];
+            items[items.length - 1].lines.push(line.replace(new RegExp(`^ {0,${width}}`), ''));
+        }
+    }
+    items.forEach(item => {
+        while (!item.lines[item.lines.length - 1].trim()) {
+            item.lines.pop();
+        }
+    });
+
+    // Items with blank lines between their paragraphs hold paragraphs
+    const loose = items.some(item => item.lines.some(line => !line.trim()));
+    const html = items.map(item => {
+        if (loose) {
+            return `<li>${renderBlocks(item.lines, slugs)}</li>`;
+        }
+        const blockStart = item.lines.findIndex((line, index) => index > 0 && startsBlock(line));
+        const text = blockStart === -1 ? item.lines : item.lines.slice(0, blockStart);
+        const nested = blockStart === -1 ? '' : renderBlocks(item.lines.slice(blockStart), slugs);
+        return `<li>${renderInline(text.map(line => line.trim()).join('\n'))}${nested}</li>`;
+    });
+
+    const ordered = /\d/.test(marker);
+    const tag = ordered ? 'ol' : 'ul';
+    const start = ordered && parseInt(marker, 10) !== 1 ? ` start="${parseInt(marker, 10)}"` : '';
+    return `<${tag}${start}>\n${html.join('\n')}\n</${tag}>`;
+}
+
+function renderBlocks(lines, slugs) {
+    const html = [];
+    let index = 0;
+    while (index < lines.length) {
+        const line = lines[index];
+        const heading = HEADING_PATTERN.exec(line);
+
+        if (!line.trim()) {
+            index++;
+        } else if (heading) {
+            // The page title is the h1
+            const level = Math.max(2, heading[1].length);
+            const text = renderInline(heading[2]);
+            let id = slugify(text) || 'section';
+            for (let count = 2; slugs.has(id); count++) {
+                id = `${slugify(text) || 'section'}-${count}`;
+            }
+            slugs.add(id);
+            html.push(`<h${level} id="${id}">${text}</h${level}>`);
+            index++;
+        } else if (RULE_PATTERN.test(line)) {
+            html.push('<hr>');
+            index++;
+        } else if (LIST_ITEM_PATTERN.test(line)) {
+            const end = findListEnd(lines, index);
+            html.push(renderList(lines.slice(index, end), slugs));
+            index = end;
+        } else if (/^\s*>/.test(line)) {
+            const quoted = [];
+            for (; index < lines.length && /^\s*>/.test(lines[index]); index++) {
+                quoted.push(lines[index].replace(/^\s*> ?/, ''));
+            }
+            html.push(`<blockquote>\n${renderBlocks(quoted, slugs)}\n</blockquote>`);
+        } else {
+            const paragraph = [line.trim()];
+            for (index++; index < lines.length && lines[index].trim() && !startsBlock(lines[index]); index++) {
+                paragraph.push(lines[index].trim());
+            }
+            html.push(`<p>${renderInline(paragraph.join('\n'))}</p>`);
+        }
+    }
+    return html.join('\n');
+}
+
+/**
+ * Render a subsection's prose (its `content`) as HTML: paragraphs, ## headings,
+ * - and 1. lists, > quotes, --- rules, **bold**, *italic*, `code` and
+ * [links](url). Everything is escaped, so HTML in the Markdown shows as text.
+ */
+function renderMarkdown(markdown) {
+    const lines = String(markdown || '').replace(/\r\n/g, '\n').split('\n');
+    return renderBlocks(lines.map(line => (MARKER_PATTERN.test(line.trim()) ? '' : line)), new Set());
+}
+
+/**
+ * Split a subsection's content at its markers, in order: { markdown } for
+ * prose and { block } ('codeBlocks/0', 'tables/0' or 'osSpecific') for what
+ * goes between it
+ */
+function splitContent(markdown) {
+    const parts = [];
+    let prose = [];
+    const finish = () => {
+        if (prose.some(line => line.trim())) {
+            parts.push({ markdown: prose.join('\n').trim() });
+        }
+        prose = [];
+    };
+
+    for (const line of String(markdown || '').replace(/\r\n/g, '\n').split('\n')) {
+        const marker = MARKER_PATTERN.exec(line.trim());
+        if (marker) {
+            finish();
+            parts.push({ block: marker[1] });
+        } else {
+            prose.push(line);
+        }
+    }
+    finish();
+    return parts;
+}
+
+/**
+ * The text of a subsection's prose, without markup (for the search index)
+ */
+function markdownToText(markdown) {
+    return renderMarkdown(markdown)
+        .replace(/<\/?(?:strong|em|code|a)\b[^>]*>/g, '')
+        .replace(/<[^>]+>/g, '\n')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, '&')
+        .split('\n')
+        .map(line => line.trim())
+        .filter(Boolean)
+        .join('\n');
+}
+
+/**
+ * Turn a subsection body into content, codeBlocks, tables and osSpecific.
+ * `locations` gets the line of each, by JSON pointer into the subsection.
+ * Blocks with text after them are marked in content; the rest follow it.
+ */
+function parseBody(lines, file, firstLine, locations = new Map()) {
+    const prose = [];
+    const codeBlocks = [];
+    const tables = [];
+    const osSpecific = {};
+    const quiz = [];
+    const quizLines = [];
+
+    for (let index = 0; index < lines.length; index++) {
+        const line = lines[index];
+        const lineNumber = firstLine + index;
+
+        const fence = FENCE_PATTERN.exec(line);
+        if (fence) {
+            const [, marker, info] = fence;
+            const closing = new RegExp(`^${marker[0] === '`' ? '`' : '~'}{${marker.length},}\\s*$`);
+            const code = [];
+            for (index++; index < lines.length && !closing.test(lines[index]); index++) {
+                code.push(lines[index]);
+            }
+            if (index >= lines.length) {
+                throw new MarkdownError('Unclosed code block', file, lineNumber);
+            }
+
+            const { language, attributes } = parseInfoString(info, file, lineNumber);
+            if (language === 'quiz') {
+                quiz.push(...parseQuiz(code, file, lineNumber + 1, quizLines));
+            } else if (attributes.os) {
+                if (!OS_NAMES.includes(attributes.os)) {
+                    throw new MarkdownError(`Unknown os "${attributes.os}" (allowed: ${OS_NAMES.join(', ')})`, file, lineNumber);
+                }
+                if (osSpecific[attributes.os]) {
+                    throw new MarkdownError(`Duplicate code block for os=${attributes.os}`, file, lineNumber);
+                }
+                // All OS blocks show as one set of tabs, where the first was
+                if (Object.keys(osSpecific).length === 0) {
+                    prose.push('', '<!-- osSpecific -->', '');
+                }
+                osSpecific[attributes.os] = codeEntry(attributes, code);
+                locations.set(`/osSpecific/${attributes.os}`, lineNumber);
+            } else {
+                prose.push('', `<!-- codeBlocks/${codeBlocks.length} -->`, '');
+                locations.set(`/codeBlocks/${codeBlocks.length}`, lineNumber);
+                codeBlocks.push({ language, ...codeEntry(attributes, code) });
+            }
+            continue;
+        }
+
+        const caption = /^Table:\s*(.*)$/.exec(line);
+        const tableIndex = caption && isTableStart(lines, index + 1) ? index + 1 : index;
+        if (isTableStart(lines, tableIndex)) {
+            const headers = splitTableRow(lines[tableIndex]);
+            const rows = [];
+            for (index = tableIndex + 2; index < lines.length && lines[index].trim().startsWith('|'); index++) {
+                const row = splitTableRow(lines[index]);
+                if (row.length !== headers.length) {
+                    throw new MarkdownError(`Table row has ${row.length} cells, expected ${headers.length}`, file, firstLine + index);
+                }
+                rows.push(row);
+            }
+            index--;
+            prose.push('', `<!-- tables/${tables.length} -->`, '');
+            locations.set(`/tables/${tables.length}`, firstLine + tableIndex);
+            tables.push({ ...(caption ? { title: caption[1].trim() } : {}), headers, rows });
+            continue;
+        }
+
+        if (line.trim() && !locations.has('/content')) {
+            locations.set('/content', lineNumber);
+        }
+        prose.push(line);
+    }
+    quizLines.forEach((line, index) => locations.set(`/quiz/${index}`, line));
+
+    // Blocks after the last text need no marker
+    while (prose.length > 0 && (!prose[prose.length - 1].trim() || MARKER_PATTERN.test(prose[prose.length - 1]))) {
+        prose.pop();
+    }
+    const content = prose.join('\n').trim().replace(/\n{3,}/g, '\n\n');
+    if (!content) {
+        throw new MarkdownError('Subsection has no text besides code blocks and tables', file, firstLine);
+    }
+
+    return { content, codeBlocks, tables, osSpecific, quiz };
+}
+
+/**
+ * Compile a subsection file to its JSON object. `locations` gets the line
+ * of its values, by JSON pointer into the object.
+ */
+function compileSubsection(source, file, locations = new Map()) {
+    const { data, keyLines, body, bodyLine } = parseFrontMatter(source, file);
+    const subsection = pickFrontMatter(data, SUBSECTION_KEYS, file);
+    Object.entries(keyLines).forEach(([key, line]) => locations.set(`/${key}`, line));
+    const { content, codeBlocks, tables, osSpecific, quiz } = parseBody(body, file, bodyLine, locations);
+    const { prerequisites, requires, checklist, ...meta } = subsection;
+
+    return {
+        ...meta,
+        content,
+        ...(prerequisites ? { prerequisites } : {}),
+        ...(requires ? { requires } : {}),
+        ...(codeBlocks.length > 0 ? { codeBlocks } : {}),
+        ...(tables.length > 0 ? { tables } : {}),
+        ...(Object.keys(osSpecific).length > 0 ? { osSpecific } : {}),
+        ...(checklist ? { checklist } : {}),
+        ...(quiz.length > 0 ? { quiz } : {})
+    };
+}
+
+class MarkdownCompiler {
+    constructor(rootDir = '.') {
+        this.rootDir = rootDir;
+        this.contentDir = path.join(rootDir, 'content');
+        this.dataDir = path.join(rootDir, 'data');
+
+        // data file -> JSON last written, to recognise our own writes in watch mode
+        this.outputs = new Map();
+        // data file -> Map of JSON pointer -> { file, line } it was compiled from
+        this.locations = new Map();
+    }
+
+    relative(file) {
+        return path.relative(this.rootDir, file).split(path.sep).join('/');
+    }
+
+    async hasSource(contentType) {
+        try {
+            await fs.access(path.join(this.contentDir, contentType, 'index.md'));
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Read an index.md: its front matter, and its text as `content`
+     */
+    async readIndexFile(file, allowed, locate = () => {}) {
+        const source = await fs.readFile(file, 'utf8');
+        const { data, keyLines, body, bodyLine } = parseFrontMatter(source, this.relative(file));
+        locate('', 1);
+        Object.entries(keyLines).forEach(([key, line]) => locate(`/${key}`, line));
+        const result = pickFrontMatter(data, allowed, this.relative(file));
+        if (!body.some(line => line.trim())) {
+            return result;
+        }
+
+        const blockLine = body.findIndex((line, index) => FENCE_PATTERN.test(line) || isTableStart(body, index));
+        if (blockLine !== -1) {
+            throw new MarkdownError('Only text is allowed in index.md; code blocks, tables and quizzes go in subsections', this.relative(file), bodyLine + blockLine);
+        }
+        const lines = new Map();
+        result.content = parseBody(body, this.relative(file), bodyLine, lines).content;
+        locate('/content', lines.get('/content'));
+        return result;
+    }
+
+    async listEntries(dir, directories) {
+        const entries = await fs.readdir(dir, { withFileTypes: true });
+        return entries
+            .filter(entry => (directories
+                ? entry.isDirectory()
+                : entry.isFile() && entry.name.endsWith('.md') && entry.name !== 'index.md'))
+            .map(entry => entry.name)
+            .sort();
+    }
+
+    /**
+     * Build the content object for content/{contentType}/
+     */
+    async compileContentType(contentType) {
+        const sectionDir = path.join(this.contentDir, contentType);
+        const locations = new Map();
+        const locator = (prefix, file) => (pointer, line) => locations.set(`${prefix}${pointer}`, { file: this.relative(file), line });
+
+        const sectionFile = path.join(sectionDir, 'index.md');
+        const content = await this.readIndexFile(sectionFile, SECTION_KEYS, locator('', sectionFile));
+        content.phases = [];
+
+        // Files of phases and subsections, for errors about their requirements
+        const files = new Map();
+        const seen = new Map();
+        const checkId = (id, file) => {
+            if (seen.has(id)) {
+                throw new MarkdownError(`Duplicate id "${id}", also used in ${seen.get(id)}`, file, 1);
+            }
+            seen.set(id, file);
+        };
+
+        for (const phaseName of await this.listEntries(sectionDir, true)) {
+            const phaseDir = path.join(sectionDir, phaseName);
+            const phaseFile = path.join(phaseDir, 'index.md');
+            const phasePointer = `/phases/${content.phases.length}`;
+            const phase = await this.readIndexFile(phaseFile, PHASE_KEYS, locator(phasePointer, phaseFile));
+            checkId(phase.id, this.relative(phaseFile));
+            files.set(phase.id, this.relative(phaseFile));
+            phase.subsections = [];
+
+            const subsectionIds = new Map();
+            for (const fileName of await this.listEntries(phaseDir, false)) {
+                const file = path.join(phaseDir, fileName);
+                const subsectionLines = new Map([['', 1]]);
+                const subsection = compileSubsection(await fs.readFile(file, 'utf8'), this.relative(file), subsectionLines);
+                const locate = locator(`${phasePointer}/subsections/${phase.subsections.length}`, file);
+                subsectionLines.forEach((line, pointer) => locate(pointer, line));
+                if (subsectionIds.has(subsection.id)) {
+                    throw new MarkdownError(`Duplicate id "${subsection.id}", also used in ${subsectionIds.get(subsection.id)}`, this.relative(file), 1);
+                }
+                subsectionIds.set(subsection.id, this.relative(file));
+                files.set(`${phase.id}/${subsection.id}`, this.relative(file));
+                phase.subsections.push(subsection);
+            }
+
+            content.phases.push(phase);
+        }
+
+        const [problem] = PhaseGating.findProblems(content.phases);
+        if (problem) {
+            const file = files.get(problem.subsection ? `${problem.phase}/${problem.subsection}` : problem.phase);
+            throw new MarkdownError(problem.message, file, 1);
+        }
+
+        this.locations.set(this.relative(path.join(this.dataDir, `${contentType}.json`)), locations);
+        return content;
+    }
+
+    /**
+     * The Markdown file and line a value of a compiled data file came from
+     * (that of the nearest value containing it)
+     * @param {string} dataFile - e.g. data/node-guides.json
+     * @param {string} pointer - JSON pointer into the data file
+     * @returns {{file: string, line: number}|{}} empty for other files
+     */
+    locate(dataFile, pointer) {
+        const locations = this.locations.get(dataFile);
+        if (!locations) {
+            return {};
+        }
+        for (const segments = pointer.split('/'); segments.length > 0; segments.pop()) {
+            const location = locations.get(segments.join('/'));
+            if (location) {
+                return location;
+            }
+        }
+        return {};
+    }
+
+    /**
+     * Whether a data file that differs from its compiled Markdown was changed
+     * after the Markdown: an edit that compiling would throw away
+     */
+    async isEditedByHand(dataFile) {
+        const sources = new Set([...this.locations.get(dataFile).values()].map(location => location.file));
+        const modified = async file => (await fs.stat(path.join(this.rootDir, file))).mtimeMs;
+        const newestSource = Math.max(...await Promise.all([...sources].map(modified)));
+        return await modified(dataFile) > newestSource;
+    }
+
+    /**
+     * Compile content/{contentType}/ into data/{contentType}.json. The file is
+     * only rewritten when its content changes; returns whether it was.
+     */
+    async compile(contentType) {
+        const outputPath = path.join(this.dataDir, `${contentType}.json`);
+        const content = await this.compileContentType(contentType);
+
+        let existing = null;
+        try {
+            existing = await fs.readFile(outputPath, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+
+        // Keep the line endings of the checked-in file
+        const eol = existing && existing.includes('\r\n') ? '\r\n' : '\n';
+        const json = `${JSON.stringify(content, null, 2)}\n`.replace(/\n/g, eol);
+        this.outputs.set(this.relative(outputPath), json);
+
+        if (existing === json) {
+            return false;
+        }
+        if (existing !== null && await this.isEditedByHand(this.relative(outputPath))) {
+            throw new MarkdownError(`Changed by hand since it was compiled from content/${contentType}/; make the change in the Markdown, or delete the file to compile it again`, this.relative(outputPath));
+        }
+        await fs.writeFile(outputPath, json, 'utf8');
+        console.log(`Compiled ${this.relative(outputPath)} from content/${contentType}/`);
+        return true;
+    }
+
+    /**
+     * Whether a data file still holds exactly what compile() last wrote
+     */
+    async isOwnOutput(file) {
+        if (!this.outputs.has(file)) {
+            return false;
+        }
+        try {
+            return await fs.readFile(path.join(this.rootDir, file), 'utf8') === this.outputs.get(file);
+        } catch (error) {
+            return false;
+        }
+    }
+}
+
+// Compile every content/{type}/ directory without building the site
+if (require.main === module) {
+    const compiler = new MarkdownCompiler(path.resolve(__dirname, '..'));
+
+    fs.readdir(compiler.contentDir)
+        .then(async contentTypes => {
+            for (const contentType of contentTypes.sort()) {
+                if (await compiler.hasSource(contentType) && !await compiler.compile(contentType)) {
+                    console.log(`data/${contentType}.json is up to date`);
+                }
+            }
+        })
+        .catch(error => {
+            console.error('Compile failed:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { MarkdownCompiler, MarkdownError, parseFrontMatter, compileSubsection, renderMarkdown, markdownToText, splitContent };
@@ -0,0 +1,254 @@
+// Schema Validator - checks content files against data/schema/content.schema.json
+//
+// Implements the subset of JSON Schema (draft 2020-12) the content schema uses:
+// $ref to local #/$defs, type, enum, required, properties, additionalProperties,
+// items, minimum, minItems, minLength, minProperties, pattern and format "date".
+// Errors carry a JSON pointer to the offending value and, when validating
+// source text, the line it is on.
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+class SchemaError extends Error {
+    constructor(file, errors) {
+        super(`${file} does not match the content schema:\n${errors.map(error => `  ${formatError(error, file)}`).join('\n')}`);
+        this.name = 'SchemaError';
+        this.file = file;
+        this.errors = errors;
+    }
+}
+
+function escapePointer(segment) {
+    return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function hasOwn(object, key) {
+    return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+function typeOf(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    if (typeof value === 'number' && Number.isInteger(value)) {
+        return 'integer';
+    }
+    return typeof value;
+}
+
+function isDate(value) {
+    return DATE_PATTERN.test(value) && new Date(`${value}T00:00:00Z`).toISOString().startsWith(value);
+}
+
+// file:line pointer message, the way compilers report so editors can link it
+// error.file: where the value came from, if not from `file` (compiled data)
+function formatError(error, file) {
+    return `${error.file || file}${error.line ? `:${error.line}` : ''} ${error.pointer || '/'} ${error.message}`;
+}
+
+/**
+ * Map every JSON pointer in a JSON document to the line its value starts on
+ * (for object members: the line of the key). Assumes `source` is valid JSON.
+ */
+function getPointerLines(source) {
+    const lines = new Map();
+    let index = 0;
+    let line = 1;
+
+    const skipWhitespace = () => {
+        while (index < source.length && /\s/.test(source[index])) {
+            if (source[index] === '\n') {
+                line++;
+            }
+            index++;
+        }
+    };
+
+    const readString = () => {
+        let end = index + 1;
+        while (source[end] !== '"') {
+            end += source[end] === '\\' ? 2 : 1;
+        }
+        const value = JSON.parse(source.slice(index, end + 1));
+        index = end + 1;
+        return value;
+    };
+
+    const readValue = pointer => {
+        skipWhitespace();
+        if (!lines.has(pointer)) {
+            lines.set(pointer, line);
+        }
+
+        const char = source[index];
+        if (char === '{' || char === '[') {
+            const close = char === '{' ? '}' : ']';
+            index++;
+            skipWhitespace();
+            let position = 0;
+            while (source[index] !== close) {
+                let child;
+                if (char === '{') {
+                    child = `${pointer}/${escapePointer(readString())}`;
+                    lines.set(child, line);
+                    skipWhitespace();
+                    index++; // :
+                } else {
+                    child = `${pointer}/${position++}`;
+                }
+                readValue(child);
+                skipWhitespace();
+                if (source[index] === ',') {
+                    index++;
+                    skipWhitespace();
+                }
+            }
+            index++;
+        } else if (char === '"') {
+            readString();
+        } else {
+            while (index < source.length && /[^\s,\]}]/.test(source[index])) {
+                index++;
+            }
+        }
+    };
+
+    readValue('');
+    return lines;
+}
+
+/**
+ * Line of a JSON.parse SyntaxError, when the engine reports a position
+ */
+function getSyntaxErrorLine(source, error) {
+    const match = /position (\d+)/.exec(error.message);
+    return match ? source.slice(0, Number(match[1])).split('\n').length : null;
+}
+
+class SchemaValidator {
+    /**
+     * @param {Object} schema - root schema; $refs resolve against it
+     */
+    constructor(schema) {
+        this.schema = schema;
+    }
+
+    resolveRef(ref) {
+        if (!ref.startsWith('#')) {
+            throw new Error(`Only local $refs are supported, got "${ref}"`);
+        }
+        const target = ref.slice(1).split('/').slice(1)
+            .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+            .reduce((node, segment) => (node ? node[segment] : undefined), this.schema);
+        if (!target) {
+            throw new Error(`Unresolvable $ref "${ref}"`);
+        }
+        return target;
+    }
+
+    /**
+     * Validate a value. Returns a list of { pointer, keyword, message };
+     * empty when the value matches.
+     */
+    validate(value, schema = this.schema, pointer = '') {
+        const errors = [];
+        const fail = (keyword, message, at = pointer) => errors.push({ pointer: at, keyword, message });
+
+        if (schema.$ref) {
+            errors.push(...this.validate(value, this.resolveRef(schema.$ref), pointer));
+        }
+
+        const type = typeOf(value);
+        if (schema.type) {
+            const allowed = [].concat(schema.type);
+            const matches = allowed.includes(type) || (type === 'integer' && allowed.includes('number'));
+            if (!matches) {
+                fail('type', `must be ${allowed.join(' or ')}, got ${type}`);
+                return errors;
+            }
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            fail('enum', `must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}, got ${JSON.stringify(value)}`);
+        }
+
+        if (type === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                fail('minLength', value.length === 0 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+            }
+            if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+                fail('pattern', `must match ${schema.pattern}, got ${JSON.stringify(value)}`);
+            }
+            if (schema.format === 'date' && !isDate(value)) {
+                fail('format', `must be a YYYY-MM-DD date, got ${JSON.stringify(value)}`);
+            }
+        }
+
+        if ((type === 'integer' || type === 'number') && schema.minimum !== undefined && value < schema.minimum) {
+            fail('minimum', `must be at least ${schema.minimum}, got ${value}`);
+        }
+
+        if (type === 'array') {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                fail('minItems', `must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+            }
+            if (schema.items) {
+                value.forEach((item, index) => {
+                    errors.push(...this.validate(item, schema.items, `${pointer}/${index}`));
+                });
+            }
+        }
+
+        if (type === 'object') {
+            const keys = Object.keys(value);
+            const properties = schema.properties || {};
+
+            if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+                fail('minProperties', `must have at least ${schema.minProperties} propert${schema.minProperties === 1 ? 'y' : 'ies'}`);
+            }
+            for (const name of schema.required || []) {
+                if (!hasOwn(value, name)) {
+                    fail('required', `is missing required property "${name}"`);
+                }
+            }
+            for (const key of keys) {
+                const childPointer = `${pointer}/${escapePointer(key)}`;
+                if (hasOwn(properties, key)) {
+                    errors.push(...this.validate(value[key], properties[key], childPointer));
+                } else if (schema.additionalProperties === false) {
+                    fail('additionalProperties', `is not an allowed property (allowed: ${Object.keys(properties).join(', ')})`, childPointer);
+                } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                    errors.push(...this.validate(value[key], schema.additionalProperties, childPointer));
+                }
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Parse and validate JSON source text. Errors get the line number of the
+     * value they point at; a syntax error is reported as a single error.
+     */
+    validateSource(source, schema = this.schema) {
+        let value;
+        try {
+            value = JSON.parse(source);
+        } catch (error) {
+            return { value: undefined, errors: [{ pointer: '', keyword: 'syntax', message: error.message, line: getSyntaxErrorLine(source, error) }] };
+        }
+
+        const errors = this.validate(value, schema);
+        if (errors.length > 0) {
+            const lines = getPointerLines(source);
+            for (const error of errors) {
+                error.line = lines.get(error.pointer) || null;
+            }
+        }
+        return { value, errors };
+    }
+}
+
+module.exports = { SchemaValidator, SchemaError, getPointerLines, formatError };
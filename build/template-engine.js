@@ -0,0 +1,290 @@
+// Template Engine - minimal Handlebars-style renderer used by the component builder
+//
+// Supported syntax:
+//   {{path.to.value}}            HTML-escaped output
+//   {{{path.to.value}}}          raw (unescaped) output
+//   {{#each items}}...{{else}}...{{/each}}   arrays and objects (@index, @key, @first, @last)
+//   {{@root.path}}               top-level context from inside a loop
+//   {{#if value}}...{{else}}...{{/if}}
+//   {{#unless value}}...{{/unless}}
+//   {{> partial-name}}           renders a component with the current context
+//   {{! comment }}
+//
+// Missing variables, unknown partials and unbalanced blocks throw a TemplateError
+// so that a broken template fails the build instead of shipping half-rendered HTML.
+
+const TAG_PATTERN = /{{{\s*([\s\S]+?)\s*}}}|{{\s*([\s\S]+?)\s*}}/g;
+const PATH_PATTERN = /^(this|@[a-z]+|[\w-]+)(\.[\w-]+)*$/;
+const BLOCK_HELPERS = ['each', 'if', 'unless'];
+const STANDALONE_PATTERN = /^(#|\/|!|else$)/;
+
+class TemplateError extends Error {
+    constructor(message, template, line) {
+        super(template ? `${message} (${template}${line ? `:${line}` : ''})` : message);
+        this.name = 'TemplateError';
+        this.template = template;
+        this.line = line;
+    }
+}
+
+function escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function isTruthy(value) {
+    if (Array.isArray(value)) {
+        return value.length > 0;
+    }
+    return Boolean(value);
+}
+
+class TemplateEngine {
+    /**
+     * @param {Object} options
+     * @param {Function} options.loadPartial - async (name) => template source
+     */
+    constructor(options = {}) {
+        this.loadPartial = options.loadPartial || null;
+        this.compiled = new Map();
+    }
+
+    /**
+     * Parse a template into a node tree
+     */
+    compile(source, templateName = 'inline') {
+        const root = { type: 'root', children: [] };
+        const stack = [root];
+        let lastIndex = 0;
+        let match;
+
+        const lineAt = index => source.slice(0, index).split('\n').length;
+        const current = () => stack[stack.length - 1];
+        const target = () => (current().inElse ? current().inverse : current().children);
+
+        TAG_PATTERN.lastIndex = 0;
+        while ((match = TAG_PATTERN.exec(source)) !== null) {
+            const line = lineAt(match.index);
+            const raw = match[1] !== undefined;
+            const tag = (raw ? match[1] : match[2]).trim();
+
+            // Block, else and comment tags on a line of their own don't leave
+            // an empty line behind in the output
+            let textEnd = match.index;
+            let tagEnd = TAG_PATTERN.lastIndex;
+            if (!raw && STANDALONE_PATTERN.test(tag)) {
+                const lineStart = source.lastIndexOf('\n', match.index - 1) + 1;
+                const after = /^[ \t]*(\r?\n|$)/.exec(source.slice(tagEnd));
+                if (after && /^[ \t]*$/.test(source.slice(lineStart, match.index))) {
+                    textEnd = Math.max(lineStart, lastIndex);
+                    tagEnd += after[0].length;
+                }
+            }
+
+            if (textEnd > lastIndex) {
+                target().push({ type: 'text', value: source.slice(lastIndex, textEnd) });
+            }
+            lastIndex = tagEnd;
+            TAG_PATTERN.lastIndex = tagEnd;
+
+            if (raw) {
+                target().push({ type: 'variable', path: this.parsePath(tag, templateName, line), raw: true, line });
+            } else if (tag.startsWith('!')) {
+                continue;
+            } else if (tag.startsWith('#')) {
+                const [helper, argument] = tag.slice(1).split(/\s+/, 2);
+                if (!BLOCK_HELPERS.includes(helper)) {
+                    throw new TemplateError(`Unknown block helper "#${helper}"`, templateName, line);
+                }
+                if (!argument) {
+                    throw new TemplateError(`Block "#${helper}" requires an argument`, templateName, line);
+                }
+                const node = {
+                    type: helper,
+                    path: this.parsePath(argument, templateName, line),
+                    children: [],
+                    inverse: [],
+                    line
+                };
+                target().push(node);
+                stack.push(node);
+            } else if (tag === 'else') {
+                const block = current();
+                if (block.type === 'root' || block.inElse) {
+                    throw new TemplateError('Unexpected {{else}}', templateName, line);
+                }
+                block.inElse = true;
+            } else if (tag.startsWith('/')) {
+                const helper = tag.slice(1).trim();
+                const block = current();
+                if (block.type !== helper) {
+                    throw new TemplateError(`Unexpected {{/${helper}}}${block.type === 'root' ? '' : `, expected {{/${block.type}}}`}`, templateName, line);
+                }
+                delete block.inElse;
+                stack.pop();
+            } else if (tag.startsWith('>')) {
+                const name = tag.slice(1).trim();
+                if (!/^[\w-]+$/.test(name)) {
+                    throw new TemplateError(`Invalid partial name "${name}"`, templateName, line);
+                }
+                target().push({ type: 'partial', name, line });
+            } else {
+                target().push({ type: 'variable', path: this.parsePath(tag, templateName, line), raw: false, line });
+            }
+        }
+
+        if (lastIndex < source.length) {
+            target().push({ type: 'text', value: source.slice(lastIndex) });
+        }
+
+        if (stack.length > 1) {
+            const unclosed = current();
+            throw new TemplateError(`Unclosed block "#${unclosed.type}"`, templateName, unclosed.line);
+        }
+
+        return root;
+    }
+
+    parsePath(expression, templateName, line) {
+        if (!PATH_PATTERN.test(expression)) {
+            throw new TemplateError(`Invalid expression "${expression}"`, templateName, line);
+        }
+        return expression.split('.');
+    }
+
+    /**
+     * Render a template source string with the given context
+     */
+    async render(source, context = {}, templateName = 'inline') {
+        let tree = this.compiled.get(templateName);
+        if (!tree || tree.source !== source) {
+            tree = { source, root: this.compile(source, templateName) };
+            this.compiled.set(templateName, tree);
+        }
+
+        return this.renderNodes(tree.root.children, [{ data: context, locals: {} }], templateName, []);
+    }
+
+    async renderNodes(nodes, scopes, templateName, partialStack) {
+        let output = '';
+
+        for (const node of nodes) {
+            switch (node.type) {
+            case 'text':
+                output += node.value;
+                break;
+            case 'variable': {
+                const value = this.lookup(node.path, scopes);
+                if (value === undefined) {
+                    throw new TemplateError(`Missing variable "${node.path.join('.')}"`, templateName, node.line);
+                }
+                output += node.raw ? (value === null ? '' : String(value)) : escapeHtml(value);
+                break;
+            }
+            case 'if':
+            case 'unless': {
+                const truthy = isTruthy(this.lookup(node.path, scopes));
+                const branch = (node.type === 'if') === truthy ? node.children : node.inverse;
+                output += await this.renderNodes(branch, scopes, templateName, partialStack);
+                break;
+            }
+            case 'each':
+                output += await this.renderEach(node, scopes, templateName, partialStack);
+                break;
+            case 'partial':
+                output += await this.renderPartial(node, scopes, templateName, partialStack);
+                break;
+            }
+        }
+
+        return output;
+    }
+
+    async renderEach(node, scopes, templateName, partialStack) {
+        const collection = this.lookup(node.path, scopes);
+        if (collection === undefined) {
+            throw new TemplateError(`Missing variable "${node.path.join('.')}"`, templateName, node.line);
+        }
+
+        const entries = Array.isArray(collection)
+            ? collection.map((item, index) => [index, item])
+            : Object.entries(collection || {});
+
+        if (entries.length === 0) {
+            return this.renderNodes(node.inverse, scopes, templateName, partialStack);
+        }
+
+        let output = '';
+        for (const [position, [key, item]] of entries.entries()) {
+            const locals = {
+                index: position,
+                key,
+                first: position === 0,
+                last: position === entries.length - 1
+            };
+            output += await this.renderNodes(node.children, [{ data: item, locals }, ...scopes], templateName, partialStack);
+        }
+        return output;
+    }
+
+    async renderPartial(node, scopes, templateName, partialStack) {
+        if (!this.loadPartial) {
+            throw new TemplateError(`Cannot render partial "${node.name}" without a partial loader`, templateName, node.line);
+        }
+        if (partialStack.includes(node.name)) {
+            throw new TemplateError(`Recursive partial "${node.name}"`, templateName, node.line);
+        }
+
+        let source;
+        try {
+            source = await this.loadPartial(node.name);
+        } catch (error) {
+            throw new TemplateError(`Partial "${node.name}" not found: ${error.message}`, templateName, node.line);
+        }
+
+        let tree = this.compiled.get(`partial:${node.name}`);
+        if (!tree || tree.source !== source) {
+            tree = { source, root: this.compile(source, node.name) };
+            this.compiled.set(`partial:${node.name}`, tree);
+        }
+
+        return this.renderNodes(tree.root.children, scopes, node.name, [...partialStack, node.name]);
+    }
+
+    /**
+     * Resolve a dotted path against the current scope. `this` is the current
+     * item, `@root` the top-level context and `@index`/`@key` the loop locals.
+     */
+    lookup(path, scopes) {
+        const [head, ...rest] = path;
+        let value;
+
+        if (head === 'this') {
+            value = scopes[0].data;
+        } else if (head === '@root') {
+            value = scopes[scopes.length - 1].data;
+        } else if (head.startsWith('@')) {
+            const name = head.slice(1);
+            const scope = scopes.find(candidate => name in candidate.locals);
+            value = scope ? scope.locals[name] : undefined;
+        } else {
+            const data = scopes[0].data;
+            value = data !== null && typeof data === 'object' ? data[head] : undefined;
+        }
+
+        for (const segment of rest) {
+            if (value === null || value === undefined) {
+                return undefined;
+            }
+            value = value[segment];
+        }
+
+        return value;
+    }
+}
+
+module.exports = { TemplateEngine, TemplateError, escapeHtml };
@@ -0,0 +1,320 @@
+// Translation Exchange - export translatable strings to PO/XLIFF and import them back
+//
+// Strings come from the English content (data/{type}.json), the English UI terms
+// of each content type (data/en/{type}.json) and the site-wide catalog
+// (assets/data/translations/en.json). Each gets a stable key:
+//   node-guides/title                                  section field
+//   node-guides/navigation.home, node-guides/common.copied   UI terms
+//   node-guides/installation/title                     phase field
+//   node-guides/installation/configuration/content     subsection field
+//   node-guides/installation/configuration/prerequisites.0
+//   translations/nav.home                              catalog entry
+//
+// Importing writes the data/{lang}/{type}.json overlays and
+// assets/data/translations/{lang}.json, and records a hash of the English each
+// string was translated from in data/{lang}/source-hashes.json. A later export
+// flags strings whose English has changed since as fuzzy.
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const ContentIntegrator = require('../assets/js/content-integrator');
+const { SchemaValidator, SchemaError } = require('./schema-validator');
+
+const CATALOG_KEY = 'translations';
+const SOURCE_HASHES_FILE = 'source-hashes.json';
+const CONTENT_SCHEMA = 'data/schema/content.schema.json';
+
+const PHASE_FIELDS = ['title', 'description', 'estimatedTime', 'difficulty'];
+const SUBSECTION_FIELDS = ['title', 'description', 'content'];
+
+function hashSource(text) {
+    return crypto.createHash('sha256').update(text).digest('hex').slice(0, 12);
+}
+
+function findById(list, id) {
+    return (list || []).find(item => item.id === id);
+}
+
+function ensureById(owner, listName, id) {
+    owner[listName] = owner[listName] || [];
+    let item = findById(owner[listName], id);
+    if (!item) {
+        item = { id };
+        owner[listName].push(item);
+    }
+    return item;
+}
+
+// Keep overlay phases and subsections in the order of the English content
+function sortById(list, order) {
+    const position = id => (order.indexOf(id) === -1 ? order.length : order.indexOf(id));
+    return list.sort((a, b) => position(a.id) - position(b.id));
+}
+
+class TranslationExchange {
+    constructor(rootDir = '.', options = {}) {
+        const integrator = new ContentIntegrator();
+
+        this.rootDir = rootDir;
+        this.dataDir = path.join(rootDir, 'data');
+        this.catalogDir = path.join(rootDir, 'assets', 'data', 'translations');
+        this.contentTypes = options.contentTypes || integrator.getContentTypes();
+        this.sourceLanguage = integrator.defaultLanguage;
+        this.languages = integrator.getSupportedLanguages().filter(language => language !== this.sourceLanguage);
+    }
+
+    relative(file) {
+        return path.relative(this.rootDir, file).split(path.sep).join('/');
+    }
+
+    async readJson(file, fallback) {
+        try {
+            return JSON.parse(await fs.readFile(file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT' && fallback !== undefined) {
+                return fallback;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Write JSON only when it changed, keeping the line endings of the existing file
+     */
+    async writeJson(file, value) {
+        let existing = null;
+        try {
+            existing = await fs.readFile(file, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+
+        const eol = existing && existing.includes('\r\n') ? '\r\n' : '\n';
+        const json = `${JSON.stringify(value, null, 2)}\n`.replace(/\n/g, eol);
+        if (existing !== null && JSON.stringify(JSON.parse(existing)) === JSON.stringify(value)) {
+            return false;
+        }
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(file, json, 'utf8');
+        return true;
+    }
+
+    getOverlayPath(contentType, language) {
+        return path.join(this.dataDir, language, `${contentType}.json`);
+    }
+
+    getCatalogPath(language) {
+        return path.join(this.catalogDir, `${language}.json`);
+    }
+
+    getSourceHashesPath(language) {
+        return path.join(this.dataDir, language, SOURCE_HASHES_FILE);
+    }
+
+    /**
+     * Every translatable string with its English source and accessors for the
+     * translation: get(documents) and set(documents, value), where documents
+     * holds one language's overlays by content type plus its catalog.
+     */
+    async getStrings() {
+        const strings = [];
+        const add = (key, source, note, get, set) => {
+            if (typeof source === 'string' && source !== '') {
+                strings.push({ key, source, note, get, set });
+            }
+        };
+
+        for (const contentType of this.contentTypes) {
+            const content = await this.readJson(path.join(this.dataDir, `${contentType}.json`));
+            const terms = await this.readJson(this.getOverlayPath(contentType, this.sourceLanguage), {});
+            const overlay = documents => documents[contentType];
+
+            for (const field of ['title', 'description']) {
+                add(`${contentType}/${field}`, content[field], `${content.title}: ${field}`,
+                    documents => overlay(documents)[field],
+                    (documents, value) => { overlay(documents)[field] = value; });
+            }
+
+            for (const group of ['navigation', 'common']) {
+                for (const [term, source] of Object.entries(terms[group] || {})) {
+                    add(`${contentType}/${group}.${term}`, source, `${content.title}: ${group} label`,
+                        documents => (overlay(documents)[group] || {})[term],
+                        (documents, value) => {
+                            overlay(documents)[group] = overlay(documents)[group] || {};
+                            overlay(documents)[group][term] = value;
+                        });
+                }
+            }
+
+            for (const phase of content.phases) {
+                const getPhase = documents => findById(overlay(documents).phases, phase.id) || {};
+                const setPhase = documents => ensureById(overlay(documents), 'phases', phase.id);
+
+                for (const field of PHASE_FIELDS) {
+                    const note = field === 'difficulty'
+                        ? `${phase.title}: difficulty label (beginner, intermediate or advanced)`
+                        : `${phase.title}: ${field}`;
+                    add(`${contentType}/${phase.id}/${field}`, phase[field], note,
+                        documents => getPhase(documents)[field],
+                        (documents, value) => { setPhase(documents)[field] = value; });
+                }
+
+                for (const subsection of phase.subsections || []) {
+                    const prefix = `${contentType}/${phase.id}/${subsection.id}`;
+                    const context = `${phase.title} > ${subsection.title}`;
+                    const getSubsection = documents => findById(getPhase(documents).subsections, subsection.id) || {};
+                    const setSubsection = documents => ensureById(setPhase(documents), 'subsections', subsection.id);
+
+                    for (const field of SUBSECTION_FIELDS) {
+                        add(`${prefix}/${field}`, subsection[field], `${context}: ${field}`,
+                            documents => getSubsection(documents)[field],
+                            (documents, value) => { setSubsection(documents)[field] = value; });
+                    }
+
+                    // A translated list replaces the English one, so start from a copy of it
+                    (subsection.prerequisites || []).forEach((source, index) => {
+                        add(`${prefix}/prerequisites.${index}`, source, `${context}: prerequisite`,
+                            documents => (getSubsection(documents).prerequisites || [])[index],
+                            (documents, value) => {
+                                const target = setSubsection(documents);
+                                target.prerequisites = target.prerequisites || [...subsection.prerequisites];
+                                target.prerequisites[index] = value;
+                            });
+                    });
+                }
+            }
+        }
+
+        const catalog = await this.readJson(this.getCatalogPath(this.sourceLanguage), {});
+        for (const [term, source] of Object.entries(catalog)) {
+            add(`${CATALOG_KEY}/${term}`, source, 'Site-wide interface text',
+                documents => documents[CATALOG_KEY][term],
+                (documents, value) => { documents[CATALOG_KEY][term] = value; });
+        }
+
+        return strings;
+    }
+
+    /**
+     * Load one language's overlays, catalog and source hashes
+     */
+    async loadDocuments(language) {
+        const documents = {};
+        for (const contentType of this.contentTypes) {
+            documents[contentType] = await this.readJson(this.getOverlayPath(contentType, language), {});
+        }
+        documents[CATALOG_KEY] = await this.readJson(this.getCatalogPath(language), {});
+        return {
+            documents,
+            hashes: await this.readJson(this.getSourceHashesPath(language), {})
+        };
+    }
+
+    checkLanguage(language) {
+        if (!this.languages.includes(language)) {
+            throw new Error(`Unknown target language "${language}" (supported: ${this.languages.join(', ')})`);
+        }
+    }
+
+    /**
+     * Entries for a PO/XLIFF export. A translation is fuzzy when the English
+     * it was translated from (by source hash) is not the current English.
+     */
+    async exportEntries(language) {
+        this.checkLanguage(language);
+        const { documents, hashes } = await this.loadDocuments(language);
+
+        return (await this.getStrings()).map(string => {
+            const target = string.get(documents) || '';
+            return {
+                key: string.key,
+                source: string.source,
+                target,
+                fuzzy: Boolean(target) && string.key in hashes && hashes[string.key] !== hashSource(string.source),
+                note: string.note
+            };
+        });
+    }
+
+    /**
+     * Write imported entries into the overlays and catalog of `language`.
+     * Empty targets are skipped; fuzzy ones are written but keep their old
+     * source hash so they stay flagged until someone confirms them.
+     */
+    async importEntries(language, entries) {
+        this.checkLanguage(language);
+        const { documents, hashes } = await this.loadDocuments(language);
+        const strings = new Map((await this.getStrings()).map(string => [string.key, string]));
+        const result = { translated: 0, fuzzy: 0, untranslated: 0, warnings: [], written: [] };
+
+        for (const entry of entries) {
+            const string = strings.get(entry.key);
+            if (!string) {
+                result.warnings.push(`${entry.key}: no such string in the English content, skipped`);
+                continue;
+            }
+            if (!entry.target) {
+                result.untranslated++;
+                continue;
+            }
+
+            string.set(documents, entry.target);
+            if (entry.fuzzy) {
+                result.fuzzy++;
+                continue;
+            }
+
+            // Record what was actually translated: if the English changed after
+            // the export, the string shows up as fuzzy in the next one
+            hashes[entry.key] = hashSource(entry.source);
+            result.translated++;
+            if (entry.source !== string.source) {
+                result.warnings.push(`${entry.key}: the English changed since this file was exported, still marked fuzzy`);
+            }
+        }
+
+        const schema = await this.readJson(path.join(this.rootDir, CONTENT_SCHEMA));
+        const validator = new SchemaValidator(schema);
+        const order = [...strings.keys()];
+
+        for (const contentType of this.contentTypes) {
+            const overlay = documents[contentType];
+            const content = await this.readJson(path.join(this.dataDir, `${contentType}.json`));
+            sortById(overlay.phases || [], content.phases.map(phase => phase.id));
+            for (const phase of overlay.phases || []) {
+                const source = findById(content.phases, phase.id);
+                if (phase.subsections && source) {
+                    sortById(phase.subsections, (source.subsections || []).map(subsection => subsection.id));
+                }
+            }
+
+            const file = this.getOverlayPath(contentType, language);
+            const errors = validator.validate(overlay, { $ref: '#/$defs/translation' });
+            if (errors.length > 0) {
+                throw new SchemaError(this.relative(file), errors);
+            }
+            if (await this.writeJson(file, overlay)) {
+                result.written.push(this.relative(file));
+            }
+        }
+
+        if (await this.writeJson(this.getCatalogPath(language), documents[CATALOG_KEY])) {
+            result.written.push(this.relative(this.getCatalogPath(language)));
+        }
+
+        const sortedHashes = {};
+        for (const key of Object.keys(hashes).sort((a, b) => order.indexOf(a) - order.indexOf(b))) {
+            sortedHashes[key] = hashes[key];
+        }
+        if (await this.writeJson(this.getSourceHashesPath(language), sortedHashes)) {
+            result.written.push(this.relative(this.getSourceHashesPath(language)));
+        }
+
+        return result;
+    }
+}
+
+module.exports = { TranslationExchange, hashSource };
@@ -0,0 +1,340 @@
+// Translation Formats - gettext PO and XLIFF 2.0 for the translation workflow
+//
+// Both formats carry the same entries:
+//   { key, source, target, fuzzy, note }
+// `key` is the stable string key (node-guides/installation/configuration/title),
+// `source` the English text, `target` the translation ('' when untranslated) and
+// `fuzzy` marks a translation made against an older English source.
+//
+// PO:    key in msgctxt, fuzzy as the `#, fuzzy` flag
+// XLIFF: key as the unit name, fuzzy as state="initial" on a segment with a target
+
+const XLIFF_NAMESPACE = 'urn:oasis:names:tc:xliff:document:2.0';
+const SOURCE_LANGUAGE = 'en';
+
+class TranslationFormatError extends Error {
+    constructor(message, file, line) {
+        super(file ? `${message} (${file}${line ? `:${line}` : ''})` : message);
+        this.name = 'TranslationFormatError';
+        this.file = file;
+        this.line = line;
+    }
+}
+
+// --- gettext PO ------------------------------------------------------------
+
+const PO_ESCAPES = { n: '\n', t: '\t', r: '\r', '"': '"', '\\': '\\' };
+
+function escapePo(text) {
+    return text
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"')
+        .replace(/\t/g, '\\t')
+        .replace(/\r/g, '\\r')
+        .replace(/\n/g, '\\n');
+}
+
+function unescapePo(text, file, line) {
+    return text.replace(/\\(.)/g, (match, char) => {
+        if (!Object.prototype.hasOwnProperty.call(PO_ESCAPES, char)) {
+            throw new TranslationFormatError(`Unknown escape sequence \\${char}`, file, line);
+        }
+        return PO_ESCAPES[char];
+    });
+}
+
+// Multi-line strings start with "" and continue one line per \n, like msgmerge does
+function poField(keyword, text) {
+    if (!text.includes('\n') || text.indexOf('\n') === text.length - 1) {
+        return `${keyword} "${escapePo(text)}"`;
+    }
+    const lines = text.split(/(?<=\n)/);
+    return [`${keyword} ""`, ...lines.map(line => `"${escapePo(line)}"`)].join('\n');
+}
+
+function writePo({ language, entries, project = 'The Road to Crypto' }) {
+    const header = [
+        `Project-Id-Version: ${project}`,
+        `Language: ${language}`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=UTF-8',
+        'Content-Transfer-Encoding: 8bit',
+        `X-Source-Language: ${SOURCE_LANGUAGE}`
+    ].map(line => `${line}\n`).join('');
+
+    const blocks = [
+        `# ${project}: ${SOURCE_LANGUAGE} -> ${language}\n${poField('msgid', '')}\n${poField('msgstr', header)}`
+    ];
+
+    for (const entry of entries) {
+        const lines = [];
+        if (entry.note) {
+            lines.push(`#. ${entry.note}`);
+        }
+        lines.push(`#: ${entry.key}`);
+        if (entry.fuzzy) {
+            lines.push('#, fuzzy');
+        }
+        lines.push(poField('msgctxt', entry.key));
+        lines.push(poField('msgid', entry.source));
+        lines.push(poField('msgstr', entry.target || ''));
+        blocks.push(lines.join('\n'));
+    }
+
+    return `${blocks.join('\n\n')}\n`;
+}
+
+function parsePo(source, file) {
+    const lines = source.replace(/\r\n/g, '\n').split('\n');
+    const entries = [];
+    let headers = {};
+    let current = null;
+    let field = null;
+
+    const start = () => {
+        current = { flags: [], msgctxt: null, msgid: null, msgstr: null, line: null };
+        field = null;
+    };
+    const flush = () => {
+        if (current && current.msgid !== null) {
+            if (current.msgstr === null) {
+                throw new TranslationFormatError('Entry without msgstr', file, current.line);
+            }
+            if (current.msgid === '' && current.msgctxt === null) {
+                headers = parseHeaders(current.msgstr);
+            } else {
+                if (current.msgctxt === null) {
+                    throw new TranslationFormatError(`Entry "${current.msgid}" has no msgctxt key`, file, current.line);
+                }
+                entries.push({
+                    key: current.msgctxt,
+                    source: current.msgid,
+                    target: current.msgstr,
+                    fuzzy: current.flags.includes('fuzzy')
+                });
+            }
+        }
+        start();
+    };
+
+    start();
+    lines.forEach((rawLine, index) => {
+        const line = rawLine.trim();
+        const lineNumber = index + 1;
+
+        if (!line) {
+            flush();
+            return;
+        }
+        if (line.startsWith('#')) {
+            if (current.msgstr !== null) {
+                flush();
+            }
+            if (line.startsWith('#,')) {
+                current.flags.push(...line.slice(2).split(',').map(flag => flag.trim()).filter(Boolean));
+            }
+            return;
+        }
+
+        const keyword = /^(msgctxt|msgid|msgstr)\s+"(.*)"$/.exec(line);
+        if (keyword) {
+            const [, name, value] = keyword;
+            if (current.msgstr !== null || current[name] !== null) {
+                flush();
+            }
+            current[name] = unescapePo(value, file, lineNumber);
+            current.line = current.line || lineNumber;
+            field = name;
+            return;
+        }
+
+        const continuation = /^"(.*)"$/.exec(line);
+        if (continuation && field) {
+            current[field] += unescapePo(continuation[1], file, lineNumber);
+            return;
+        }
+
+        if (/^msg\w+\[\d+\]/.test(line) || line.startsWith('msgid_plural')) {
+            throw new TranslationFormatError('Plural entries are not supported', file, lineNumber);
+        }
+        throw new TranslationFormatError(`Unexpected line "${line}"`, file, lineNumber);
+    });
+    flush();
+
+    return { language: headers.Language || null, entries };
+}
+
+function parseHeaders(text) {
+    const headers = {};
+    for (const line of text.split('\n')) {
+        const match = /^([\w-]+):\s*(.*)$/.exec(line);
+        if (match) {
+            headers[match[1]] = match[2].trim();
+        }
+    }
+    return headers;
+}
+
+// --- XLIFF 2.0 -------------------------------------------------------------
+
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function unescapeXml(text, file, unit) {
+    if (text.includes('<')) {
+        throw new TranslationFormatError(`Inline markup is not supported in unit "${unit}"`, file);
+    }
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            return String.fromCodePoint(entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10));
+        }
+        if (!Object.prototype.hasOwnProperty.call(XML_ENTITIES, entity)) {
+            throw new TranslationFormatError(`Unknown entity &${entity}; in unit "${unit}"`, file);
+        }
+        return XML_ENTITIES[entity];
+    });
+}
+
+function parseAttributes(text) {
+    const attributes = {};
+    const pattern = /([\w:.-]+)\s*=\s*"([^"]*)"/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        attributes[match[1]] = unescapeXml(match[2]);
+    }
+    return attributes;
+}
+
+// XLIFF unit ids are NMTOKENs, which don't allow "/"; the key goes in name
+function unitId(key) {
+    return key.replace(/\//g, ':');
+}
+
+function xliffText(tag, text) {
+    const space = /\n|^\s|\s$/.test(text) ? ' xml:space="preserve"' : '';
+    return `<${tag}${space}>${escapeXml(text)}</${tag}>`;
+}
+
+function writeXliff({ language, entries }) {
+    const files = new Map();
+    for (const entry of entries) {
+        const fileId = entry.key.split('/')[0];
+        if (!files.has(fileId)) {
+            files.set(fileId, []);
+        }
+        files.get(fileId).push(entry);
+    }
+
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<xliff xmlns="${XLIFF_NAMESPACE}" version="2.0" srcLang="${SOURCE_LANGUAGE}" trgLang="${escapeXml(language)}">`
+    ];
+    for (const [fileId, fileEntries] of files) {
+        lines.push(`  <file id="${escapeXml(fileId)}">`);
+        for (const entry of fileEntries) {
+            const state = entry.target && !entry.fuzzy ? 'translated' : 'initial';
+            lines.push(`    <unit id="${escapeXml(unitId(entry.key))}" name="${escapeXml(entry.key)}">`);
+            if (entry.note || entry.fuzzy) {
+                lines.push('      <notes>');
+                if (entry.note) {
+                    lines.push(`        <note category="context">${escapeXml(entry.note)}</note>`);
+                }
+                if (entry.fuzzy) {
+                    lines.push('        <note category="fuzzy">The English source changed since this was translated</note>');
+                }
+                lines.push('      </notes>');
+            }
+            lines.push(`      <segment state="${state}">`);
+            lines.push(`        ${xliffText('source', entry.source)}`);
+            if (entry.target) {
+                lines.push(`        ${xliffText('target', entry.target)}`);
+            }
+            lines.push('      </segment>');
+            lines.push('    </unit>');
+        }
+        lines.push('  </file>');
+    }
+    lines.push('</xliff>');
+
+    return `${lines.join('\n')}\n`;
+}
+
+function parseXliff(source, file) {
+    const root = /<xliff\b([^>]*)>/.exec(source);
+    if (!root) {
+        throw new TranslationFormatError('Not an XLIFF document', file);
+    }
+    const attributes = parseAttributes(root[1]);
+    if (attributes.version !== '2.0') {
+        throw new TranslationFormatError(`Only XLIFF 2.0 is supported, got version "${attributes.version}"`, file);
+    }
+
+    const entries = [];
+    const unitPattern = /<unit\b([^>]*)>([\s\S]*?)<\/unit>/g;
+    let unit;
+    while ((unit = unitPattern.exec(source)) !== null) {
+        const unitAttributes = parseAttributes(unit[1]);
+        const key = unitAttributes.name || (unitAttributes.id || '').replace(/:/g, '/');
+        const text = { source: '', target: '' };
+        let fuzzy = false;
+        let hasTarget = false;
+
+        // Tools may split a unit into several segments; join them back in order
+        const partPattern = /<(segment|ignorable)\b([^>]*)>([\s\S]*?)<\/\1>/g;
+        let part;
+        while ((part = partPattern.exec(unit[2])) !== null) {
+            const partSource = /<source\b[^>]*>([\s\S]*?)<\/source>/.exec(part[3]);
+            const partTarget = /<target\b[^>]*>([\s\S]*?)<\/target>/.exec(part[3]);
+            text.source += partSource ? unescapeXml(partSource[1], file, key) : '';
+            text.target += partTarget ? unescapeXml(partTarget[1], file, key) : '';
+            if (part[1] === 'segment' && partTarget) {
+                hasTarget = true;
+                fuzzy = fuzzy || (parseAttributes(part[2]).state || 'initial') === 'initial';
+            }
+        }
+
+        entries.push({ key, source: text.source, target: hasTarget ? text.target : '', fuzzy });
+    }
+
+    return { language: attributes.trgLang || null, entries };
+}
+
+// --- Format selection --------------------------------------------------------
+
+const FORMATS = {
+    po: { extension: 'po', write: writePo, parse: parsePo },
+    xliff: { extension: 'xlf', write: writeXliff, parse: parseXliff }
+};
+
+function getFormat(name) {
+    if (!FORMATS[name]) {
+        throw new TranslationFormatError(`Unknown format "${name}" (supported: ${Object.keys(FORMATS).join(', ')})`);
+    }
+    return FORMATS[name];
+}
+
+function getFormatForFile(file) {
+    const extension = file.split('.').pop().toLowerCase();
+    const name = Object.keys(FORMATS).find(format => FORMATS[format].extension === extension || format === extension);
+    if (!name) {
+        throw new TranslationFormatError(`Can't tell the format of ${file}: use .po, .xlf or .xliff`);
+    }
+    return FORMATS[name];
+}
+
+module.exports = {
+    TranslationFormatError,
+    writePo,
+    parsePo,
+    writeXliff,
+    parseXliff,
+    getFormat,
+    getFormatForFile
+};
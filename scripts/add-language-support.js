@@ -78,13 +78,13 @@ function addLanguageSupport(content) {
     });
   }
   
-  // Ensure language switcher JavaScript is included
+  // Ensure language switcher JavaScript is included, after the i18n runtime it uses
   if (updatedContent.includes('language-switcher') && !updatedContent.includes('language-switcher.js')) {
     const scriptPattern = /<script src="[^"]*utils\.js"><\/script>/;
     if (scriptPattern.test(updatedContent)) {
       updatedContent = updatedContent.replace(
         scriptPattern,
-        '$&\n    <script src="/assets/js/language-switcher.js"></script>'
+        '$&\n    <script src="/assets/js/i18n.js"></script>\n    <script src="/assets/js/language-switcher.js"></script>'
       );
       hasChanges = true;
     }
@@ -0,0 +1,244 @@
+#!/usr/bin/env node
+
+/**
+ * Reference server for progress sync (assets/js/progress-sync.js), for
+ * local testing and small teams. Stores one progress document per user in
+ * a JSON file.
+ *
+ *   node scripts/progress-sync-server.js [--port 8787] [--store .progress-sync/store.json] [--token secret]
+ *
+ * REST contract:
+ *   GET /api/progress/:userId   200 document + ETag, 304 if If-None-Match
+ *                               matches, 404 if nothing is stored yet
+ *   PUT /api/progress/:userId   stores the document; needs If-Match with the
+ *                               current ETag (or If-None-Match: * for the first
+ *                               write), else 412 with the current ETag
+ * With --token (or SYNC_TOKEN), requests need `Authorization: Bearer <token>`.
+ * Documents are stored as sent: clients merge before they write.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+const DEFAULT_PORT = 8787;
+const DEFAULT_STORE = '.progress-sync/store.json';
+const ROUTE = /^\/api\/progress\/([A-Za-z0-9_-]{1,64})$/;
+
+// Progress documents are a few KB; refuse anything far larger
+const MAX_BODY_SIZE = 1024 * 1024;
+
+const PROGRESS_DOCUMENT_FORMAT = 'crypto-guide-progress';
+
+class HttpError extends Error {
+    constructor(status, message, headers = {}) {
+        super(message);
+        this.status = status;
+        this.headers = headers;
+    }
+}
+
+class JsonFileStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        // Read once: requests arriving before it is read share the same data
+        this.loading = null;
+        // Writes are chained so two PUTs never write the file at once
+        this.writing = Promise.resolve();
+    }
+
+    load() {
+        if (!this.loading) {
+            this.loading = fs.readFile(this.filePath, 'utf8')
+                .then(text => JSON.parse(text))
+                .catch(error => {
+                    if (error.code !== 'ENOENT') {
+                        this.loading = null;
+                        throw error;
+                    }
+                    return { users: {} };
+                });
+        }
+        return this.loading;
+    }
+
+    async get(userId) {
+        const data = await this.load();
+        return data.users[userId] || null;
+    }
+
+    /**
+     * Store an entry, unless check() refuses the one stored now. check runs
+     * right before the entry is replaced, with nothing awaited in between,
+     * so of two writes based on the same entry only the first gets through.
+     * @param {function(?Object)} check - Throws to refuse the write
+     * @returns {Promise<?Object>} the entry replaced, once written
+     */
+    async set(userId, entry, check = () => {}) {
+        const data = await this.load();
+        const previous = data.users[userId] || null;
+        check(previous);
+        data.users[userId] = entry;
+
+        this.writing = this.writing.then(async () => {
+            await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+            const tempPath = `${this.filePath}.tmp`;
+            await fs.writeFile(tempPath, JSON.stringify(data, null, 2), 'utf8');
+            await fs.rename(tempPath, this.filePath);
+        });
+        await this.writing;
+        return previous;
+    }
+}
+
+// Compared as digests, so neither the content nor the length of the
+// expected header shows in how long the comparison takes
+function isAuthorized(request, token) {
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(request.headers.authorization || ''), digest(`Bearer ${token}`));
+}
+
+function getEtag(body) {
+    return `"${crypto.createHash('sha1').update(body).digest('hex')}"`;
+}
+
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        request.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_SIZE) {
+                reject(new HttpError(413, 'Progress document too large'));
+                request.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        request.on('error', reject);
+    });
+}
+
+function send(response, status, body = null, headers = {}) {
+    response.writeHead(status, {
+        ...(body !== null ? { 'Content-Type': 'application/json' } : {}),
+        ...headers
+    });
+    response.end(body !== null ? body : undefined);
+}
+
+async function handleGet(store, userId, request, response) {
+    const entry = await store.get(userId);
+    if (!entry) {
+        throw new HttpError(404, 'No progress stored');
+    }
+
+    if (request.headers['if-none-match'] === entry.etag) {
+        send(response, 304, null, { ETag: entry.etag });
+        return;
+    }
+    send(response, 200, entry.body, { ETag: entry.etag });
+}
+
+async function handlePut(store, userId, request, response) {
+    const body = await readBody(request);
+    let document;
+    try {
+        document = JSON.parse(body);
+    } catch (error) {
+        throw new HttpError(400, 'Invalid JSON');
+    }
+    if (!document || document.format !== PROGRESS_DOCUMENT_FORMAT) {
+        throw new HttpError(400, 'Not a progress document');
+    }
+
+    const ifMatch = request.headers['if-match'];
+    const ifNoneMatch = request.headers['if-none-match'];
+    const checkPreconditions = (entry) => {
+        const current = entry ? { ETag: entry.etag } : {};
+        if (entry ? ifMatch !== entry.etag : (ifMatch && ifMatch !== '*')) {
+            throw new HttpError(412, 'Progress changed since it was read', current);
+        }
+        if (entry && ifNoneMatch === '*') {
+            throw new HttpError(412, 'Progress already stored', current);
+        }
+        if (!entry && !ifMatch && ifNoneMatch !== '*') {
+            throw new HttpError(428, 'Send If-Match or If-None-Match: *');
+        }
+    };
+
+    const stored = JSON.stringify(document);
+    const etag = getEtag(stored);
+    const previous = await store.set(userId, { etag, body: stored, updatedAt: new Date().toISOString() }, checkPreconditions);
+    send(response, previous ? 200 : 201, stored, { ETag: etag });
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.storePath - JSON file the documents are kept in
+ * @param {string} [options.token] - Bearer token clients must send
+ * @returns {http.Server}
+ */
+function createServer({ storePath, token = null }) {
+    const store = new JsonFileStore(storePath);
+
+    return http.createServer(async (request, response) => {
+        // The site is served from another origin (serve.py, Netlify)
+        const cors = {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, PUT, OPTIONS',
+            'Access-Control-Allow-Headers': 'Authorization, Content-Type, If-Match, If-None-Match',
+            'Access-Control-Expose-Headers': 'ETag'
+        };
+        Object.entries(cors).forEach(([name, value]) => response.setHeader(name, value));
+
+        try {
+            if (request.method === 'OPTIONS') {
+                send(response, 204);
+                return;
+            }
+
+            const match = new URL(request.url, 'http://localhost').pathname.match(ROUTE);
+            if (!match) {
+                throw new HttpError(404, 'Not found');
+            }
+            if (token && !isAuthorized(request, token)) {
+                throw new HttpError(401, 'Unauthorized');
+            }
+
+            if (request.method === 'GET') {
+                await handleGet(store, match[1], request, response);
+            } else if (request.method === 'PUT') {
+                await handlePut(store, match[1], request, response);
+            } else {
+                throw new HttpError(405, 'Method not allowed', { Allow: 'GET, PUT, OPTIONS' });
+            }
+        } catch (error) {
+            const status = error instanceof HttpError ? error.status : 500;
+            if (status === 500) {
+                console.error('Progress sync error:', error);
+            }
+            send(response, status, JSON.stringify({ error: status === 500 ? 'Internal server error' : error.message }), error.headers || {});
+        }
+    });
+}
+
+function getOption(args, name, fallback) {
+    const index = args.indexOf(`--${name}`);
+    return index === -1 ? fallback : args[index + 1];
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const port = Number(getOption(args, 'port', process.env.PORT || DEFAULT_PORT));
+    const storePath = path.resolve(getOption(args, 'store', DEFAULT_STORE));
+    const token = getOption(args, 'token', process.env.SYNC_TOKEN || null);
+
+    createServer({ storePath, token }).listen(port, () => {
+        console.log(`Progress sync server on http://localhost:${port}/api/progress/:userId (store: ${path.relative(process.cwd(), storePath)})`);
+    });
+}
+
+module.exports = { createServer, JsonFileStore };
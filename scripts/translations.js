@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+
+/**
+ * Translation workflow for the data/{lang}/ overlays and the
+ * assets/data/translations/ catalogs.
+ *
+ *   node scripts/translations.js export nl [--format po|xliff] [--out file]
+ *   node scripts/translations.js import translations/nl.po [--lang nl]
+ *
+ * Export writes every translatable English string with its current
+ * translation to translations/{lang}.po (or .xlf); strings whose English
+ * changed since they were translated are marked fuzzy. Import writes the
+ * translations back and records which English they were made from.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { TranslationExchange } = require('../build/translation-exchange');
+const { getFormat, getFormatForFile } = require('../build/translation-formats');
+
+const rootDir = path.resolve(__dirname, '..');
+const EXPORT_DIR = 'translations';
+
+function getOption(args, name, fallback) {
+    const index = args.indexOf(`--${name}`);
+    return index === -1 ? fallback : args[index + 1];
+}
+
+async function exportLanguage(exchange, language, args) {
+    const formatName = getOption(args, 'format', 'po');
+    const format = getFormat(formatName);
+    const outputPath = path.resolve(getOption(args, 'out', path.join(rootDir, EXPORT_DIR, `${language}.${format.extension}`)));
+
+    const entries = await exchange.exportEntries(language);
+    await fs.mkdir(path.dirname(outputPath), { recursive: true });
+    await fs.writeFile(outputPath, format.write({ language, entries }), 'utf8');
+
+    const missing = entries.filter(entry => !entry.target).length;
+    const fuzzy = entries.filter(entry => entry.fuzzy).length;
+    console.log(`Exported ${entries.length} strings to ${path.relative(process.cwd(), outputPath)} (${missing} untranslated, ${fuzzy} fuzzy)`);
+}
+
+async function importFile(exchange, file, args) {
+    const source = await fs.readFile(file, 'utf8');
+    const parsed = getFormatForFile(file).parse(source, path.relative(process.cwd(), file));
+    const language = getOption(args, 'lang', parsed.language);
+    if (!language) {
+        throw new Error(`${file} doesn't name its language; pass --lang`);
+    }
+
+    const result = await exchange.importEntries(language, parsed.entries);
+    for (const warning of result.warnings) {
+        console.warn(`Warning: ${warning}`);
+    }
+    for (const written of result.written) {
+        console.log(`Updated ${written}`);
+    }
+    console.log(`Imported ${result.translated} translated, ${result.fuzzy} fuzzy, ${result.untranslated} untranslated strings for ${language}`);
+}
+
+async function main() {
+    const [command, target, ...args] = process.argv.slice(2);
+    const exchange = new TranslationExchange(rootDir);
+
+    if (command === 'export' && target) {
+        await exportLanguage(exchange, target, args);
+    } else if (command === 'import' && target) {
+        await importFile(exchange, path.resolve(target), args);
+    } else {
+        console.error('Usage: translations.js export <lang> [--format po|xliff] [--out file]');
+        console.error('       translations.js import <file.po|file.xlf> [--lang <lang>]');
+        process.exit(2);
+    }
+}
+
+main().catch(error => {
+    console.error(`Translation ${process.argv[2] || ''} failed:`, error.message);
+    process.exit(1);
+});
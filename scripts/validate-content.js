@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+
+/**
+ * Compile content/ Markdown, then validate data/*.json and the data/{lang}/
+ * translations against data/schema/content.schema.json.
+ *
+ * Prints one line per problem (file:line pointer message) and exits with
+ * status 1 if any file is invalid, so CI and pre-commit hooks can stop
+ * broken content before it is built or deployed.
+ *
+ * Then lists translations that are missing or outdated (made from English
+ * that has changed since, see scripts/translations.js). Those don't fail
+ * validation: missing text falls back to English and outdated pages show a
+ * notice.
+ */
+
+const path = require('path');
+const ComponentBuilder = require('../build/component-builder');
+const { formatError } = require('../build/schema-validator');
+
+async function main() {
+    const builder = new ComponentBuilder(path.resolve(__dirname, '..'));
+    await builder.compileContent();
+    const failures = await builder.validateContent();
+
+    for (const failure of failures) {
+        for (const error of failure.errors) {
+            console.error(formatError(error, failure.file));
+        }
+    }
+
+    if (failures.length > 0) {
+        const count = failures.reduce((total, failure) => total + failure.errors.length, 0);
+        console.error(`\n${count} problem${count === 1 ? '' : 's'} in ${failures.length} file${failures.length === 1 ? '' : 's'}`);
+        process.exit(1);
+    }
+
+    console.log('All content files match the schema');
+
+    for (const contentType of builder.contentTypes) {
+        for (const language of builder.languages) {
+            const { missing, outdated } = (await builder.loadContent(contentType, language)).translationStatus;
+            for (const key of outdated) {
+                console.warn(`Outdated ${language} translation: ${key}`);
+            }
+            if (missing.length > 0 || outdated.length > 0) {
+                console.warn(`${language} ${contentType}: ${outdated.length} outdated, ${missing.length} missing translation${missing.length === 1 ? '' : 's'}`);
+            }
+        }
+    }
+}
+
+main().catch(error => {
+    console.error('Validation failed:', error);
+    process.exit(1);
+});
@@ -1,14 +1,23 @@
 #!/usr/bin/env python3
 """
-Simple HTTP server for testing the modular architecture
-Handles CORS for component loading
+Simple HTTP server for local development
+Handles CORS for component loading and pushes live reload events
+
+Usage: python3 serve.py [directory]
+Serves the given directory (default: dist/ if it has been built, else the
+repository root). `npm run dev` runs this on dist/ next to the builder's
+--watch mode.
 """
 
 import http.server
-import socketserver
 import os
+import sys
+import time
 from urllib.parse import urlparse
 
+LIVE_RELOAD_PATH = '/__livereload'
+LIVE_RELOAD_STAMP = '.livereload'
+
 class CORSHTTPRequestHandler(http.server.SimpleHTTPRequestHandler):
     def end_headers(self):
         self.send_header('Access-Control-Allow-Origin', '*')
@@ -20,13 +29,47 @@ class CORSHTTPRequestHandler(http.server.SimpleHTTPRequestHandler):
         self.send_response(200)
         self.end_headers()
 
+    def do_GET(self):
+        if urlparse(self.path).path == LIVE_RELOAD_PATH:
+            self.stream_reload_events()
+        else:
+            super().do_GET()
+
+    def stream_reload_events(self):
+        """Server-sent events: emit `reload` whenever the builder touches the stamp file"""
+        self.send_response(200)
+        self.send_header('Content-Type', 'text/event-stream')
+        self.send_header('Cache-Control', 'no-cache')
+        self.end_headers()
+
+        stamp = os.path.join(self.directory, LIVE_RELOAD_STAMP)
+        last_seen = os.path.getmtime(stamp) if os.path.exists(stamp) else 0
+        try:
+            while True:
+                time.sleep(0.5)
+                mtime = os.path.getmtime(stamp) if os.path.exists(stamp) else 0
+                if mtime != last_seen:
+                    last_seen = mtime
+                    self.wfile.write(b'event: reload\ndata: {}\n\n')
+                else:
+                    # Comment line keeps the connection open and detects closed tabs
+                    self.wfile.write(b': ping\n\n')
+                self.wfile.flush()
+        except (BrokenPipeError, ConnectionResetError):
+            pass
+
 if __name__ == "__main__":
     PORT = 8000
-    
+
     # Change to the directory containing this script
     os.chdir(os.path.dirname(os.path.abspath(__file__)))
-    
-    with socketserver.TCPServer(("", PORT), CORSHTTPRequestHandler) as httpd:
-        print(f"Server running at http://localhost:{PORT}/")
-        print(f"Test the modular page at: http://localhost:{PORT}/node-guides/procurement-provisioning/index-modular.html")
-        httpd.serve_forever()
\ No newline at end of file
+
+    directory = sys.argv[1] if len(sys.argv) > 1 else ('dist' if os.path.isdir('dist') else '.')
+    handler = lambda *args, **kwargs: CORSHTTPRequestHandler(*args, directory=directory, **kwargs)
+
+    # Threaded so open live reload streams don't block page requests
+    http.server.ThreadingHTTPServer.daemon_threads = True
+    with http.server.ThreadingHTTPServer(("", PORT), handler) as httpd:
+        print(f"Serving {os.path.abspath(directory)} at http://localhost:{PORT}/")
+        print(f"Node guides: http://localhost:{PORT}/node-guides/")
+        httpd.serve_forever()
@@ -3,28 +3,51 @@
  * Handles caching, offline functionality, and background sync
  */
 
-const CACHE_NAME = 'crypto-guide-cache-v1';
+const CACHE_NAME = 'crypto-guide-cache-v3';
 const OFFLINE_URL = '/offline.html';
 
+// Languages the build writes content and search indexes for
+const LANGUAGES = ['en', 'nl', 'fr'];
+
 // Resources to cache immediately
 const PRECACHE_RESOURCES = [
   '/',
   '/index.html',
   '/offline.html',
+  '/search.html',
   '/assets/css/layout.css',
   '/assets/css/components.css',
   '/assets/css/header.css',
   '/assets/css/sidebar.css',
+  '/assets/css/search.css',
+  '/assets/js/navigation-model.js',
   '/assets/js/navigation.js',
+  '/assets/js/i18n.js',
   '/assets/js/language-switcher.js',
-  '/assets/js/utils.js'
+  '/assets/js/utils.js',
+  '/assets/js/cache-manager.js',
+  '/assets/js/search-index.js',
+  '/assets/js/syntax-highlighter.js',
+  '/assets/js/search.js'
+];
+
+// Search indexes, navigation models and content, so search.html and the
+// navigation work offline in every language
+const OFFLINE_DATA_RESOURCES = [
+  '/data/development-roadmap.json',
+  '/data/node-guides.json',
+  ...LANGUAGES.flatMap(language => [
+    `/data/search/${language}.json`,
+    `/data/navigation/${language}.json`,
+    `/data/${language}/development-roadmap.json`,
+    `/data/${language}/node-guides.json`
+  ])
 ];
 
 // Resources to cache on first request
 const RUNTIME_CACHE_RESOURCES = [
   '/development-roadmap/',
   '/node-guides/',
-  '/search.html',
   '/user-progress.html'
 ];
 
@@ -46,7 +69,7 @@ self.addEventListener('install', (event) => {
     caches.open(CACHE_NAME)
       .then((cache) => {
         console.log('Precaching resources');
-        return cache.addAll(PRECACHE_RESOURCES);
+        return cache.addAll([...PRECACHE_RESOURCES, ...OFFLINE_DATA_RESOURCES]);
       })
       .then(() => {
         // Skip waiting to activate immediately
@@ -190,7 +213,8 @@ async function networkFirst(request) {
   } catch (error) {
     console.log('Network failed, trying cache:', error.message);
     
-    const cachedResponse = await caches.match(request);
+    // Pages are cached without their query (search.html?q=...)
+    const cachedResponse = await caches.match(request, { ignoreSearch: request.mode === 'navigate' });
     if (cachedResponse) {
       return cachedResponse;
     }
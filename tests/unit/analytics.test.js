@@ -0,0 +1,80 @@
+/**
+ * Analytics Unit Tests
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+// Import the analytics class (the module also starts an instance)
+import Analytics from '../../assets/js/analytics.js';
+
+describe('Analytics', () => {
+  describe('Search Analytics', () => {
+    let analytics;
+    let stored;
+
+    beforeEach(() => {
+      vi.useFakeTimers();
+      stored = {};
+      localStorage.getItem.mockImplementation(key => stored[key] ?? null);
+      localStorage.setItem.mockImplementation((key, value) => {
+        stored[key] = value;
+      });
+      analytics = new Analytics();
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+      localStorage.getItem.mockReset();
+      localStorage.setItem.mockReset();
+    });
+
+    it('should count a query once the user stops typing', () => {
+      for (const query of ['f', 'fire', 'firewall']) {
+        analytics.handleSearchQuery({ query, resultCount: 3, language: 'en' });
+        vi.advanceTimersByTime(300);
+      }
+      expect(analytics.getSearchReport().searches).toBe(0);
+
+      vi.advanceTimersByTime(2000);
+
+      expect(analytics.getSearchReport().topQueries).toEqual([
+        { query: 'firewall', searches: 1, resultCount: 3, averageClickRank: null }
+      ]);
+      expect(analytics.getEventsByType('search_query')).toHaveLength(1);
+    });
+
+    it('should record clicks with their rank and time to click', () => {
+      analytics.handleSearchQuery({ query: 'Firewall  Setup', resultCount: 4, language: 'en' });
+      vi.advanceTimersByTime(1500);
+      analytics.handleSearchResultClick({ query: 'firewall setup', rank: 2, url: '/node-guides/server-security/firewall-config.html' });
+
+      const report = analytics.getSearchReport();
+      expect(report).toMatchObject({ searches: 1, clicks: 1, clickThroughRate: 1, averageClickRank: 2, averageTimeToClick: 1500 });
+      expect(analytics.getEventsByType('search_result_click')[0].data).toMatchObject({ query: 'firewall setup', rank: 2, timeToClick: 1500 });
+    });
+
+    it('should list the queries nothing was found for', () => {
+      for (const [query, resultCount] of [['lightning', 0], ['taproot', 0], ['lightning', 0], ['node', 5]]) {
+        analytics.handleSearchQuery({ query, resultCount, language: 'en' });
+        analytics.flushSearchQuery();
+      }
+
+      const report = analytics.getSearchReport();
+      expect(report.zeroResultSearches).toBe(3);
+      expect(report.zeroResultQueries).toEqual([{ query: 'lightning', searches: 2 }, { query: 'taproot', searches: 1 }]);
+      expect(report.topQueries.map(query => query.query)).toEqual(['lightning', 'node', 'taproot']);
+      expect(report.averageClickRank).toBeNull();
+    });
+
+    it('should keep the totals in localStorage only', () => {
+      analytics.handleSearchQuery({ query: 'monero', resultCount: 7, language: 'en' });
+      analytics.flushSearchQuery();
+
+      expect(JSON.parse(stored.searchAnalytics).monero).toMatchObject({ searches: 1, resultCount: 7 });
+      expect(new Analytics().getSearchReport().searches).toBe(1);
+
+      analytics.clearSearchStats();
+      expect(localStorage.removeItem).toHaveBeenCalledWith('searchAnalytics');
+    });
+  });
+});
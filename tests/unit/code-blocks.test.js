@@ -5,6 +5,9 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { createMockElement, simulateUserInteraction } from '../setup.js';
 
+// The real manager, for blocks rendered by the build
+import CodeBlockManager from '../../assets/js/code-blocks.js';
+
 describe('CodeBlockManager', () => {
   let codeBlockManager;
   let mockClipboard;
@@ -120,4 +123,43 @@ describe('CodeBlockManager', () => {
       expect(codeBlockManager.codeBlocks).toHaveLength(1);
     });
   });
+
+  describe('Rendered code blocks', () => {
+    const code = Array.from({ length: 30 }, (_, index) => `echo "step ${index + 1}"`).join('\n');
+
+    beforeEach(() => {
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      Element.prototype.scrollIntoView = vi.fn();
+      document.body.innerHTML = `
+        <div class="code-block-container">
+          <div class="code-block-header"><span class="code-block-title">Long Script</span></div>
+          <pre class="code-block" id="setup-code-1"><code class="language-bash">${code}</code></pre>
+        </div>
+      `;
+    });
+
+    it('should keep rendered blocks and collapse large ones', () => {
+      const manager = new CodeBlockManager();
+      const container = document.querySelector('.code-block-container');
+
+      expect(manager.getBlocks()).toHaveLength(1);
+      expect(manager.getBlocks()[0]).toMatchObject({ id: 'setup-code-1', info: { title: 'Long Script', language: 'bash', lineCount: 30 } });
+      expect(container.querySelector('pre').id).toBe('setup-code-1');
+      expect(container.classList.contains('collapsed')).toBe(true);
+      expect(container.querySelector('.expand-btn')).not.toBeNull();
+    });
+
+    it('should expand the block and mark the line a link points to', () => {
+      window.location.hash = '#setup-code-1:L25';
+      const manager = new CodeBlockManager();
+      const container = document.querySelector('.code-block-container');
+      const line = container.querySelector('.code-line-highlighted');
+
+      expect(container.classList.contains('collapsed')).toBe(false);
+      expect(manager.expandedBlocks.has('setup-code-1')).toBe(true);
+      expect(line.textContent).toBe('echo "step 25"');
+      expect(line.scrollIntoView).toHaveBeenCalled();
+      expect(container.querySelector('code').textContent).toBe(code);
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,150 @@
+/**
+ * Command Palette Unit Tests
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { waitFor } from '../setup.js';
+
+// Import the palette and the accessibility manager that traps focus in it
+import CommandPalette from '../../assets/js/command-palette.js';
+import AccessibilityManager from '../../assets/js/accessibility.js';
+
+const pressKey = (target, key, options = {}) => {
+  const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options });
+  target.dispatchEvent(event);
+  return event;
+};
+
+describe('CommandPalette', () => {
+  let palette;
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <button id="menu">Menu</button>
+      <div class="content-area">
+        <h2 id="prerequisites">Prerequisites</h2>
+        <h2 id="open-the-port">Open the port</h2>
+      </div>
+    `;
+    global.fetch.mockResolvedValue({
+      ok: true,
+      json: async () => ({
+        documents: [
+          { type: 'phase', title: 'Server Security', url: '/node-guides/server-security/' },
+          { type: 'subsection', title: 'Firewall Configuration', phase: 'Server Security', url: '/node-guides/server-security/firewall-config.html' },
+          { type: 'code', title: 'UFW Firewall Setup', url: '/node-guides/server-security/firewall-config.html' }
+        ]
+      })
+    });
+    window.progressTracker = {
+      currentSection: 'node-guides',
+      currentPhase: 'installation',
+      currentSubsection: 'configuration',
+      markSubsectionCompleted: vi.fn(),
+      downloadProgress: vi.fn()
+    };
+    window.bookmarkManager = { bookmarks: [{ title: 'VPS Selection', url: '/node-guides/procurement-provisioning/vps-selection.html' }] };
+    palette = new CommandPalette();
+  });
+
+  afterEach(() => {
+    palette.close();
+    delete window.progressTracker;
+    delete window.bookmarkManager;
+  });
+
+  // Palettes of earlier tests still listen for Ctrl+K; look in this one
+  const type = query => {
+    const input = palette.element.querySelector('.command-palette-input');
+    input.value = query;
+    input.dispatchEvent(new Event('input'));
+    return input;
+  };
+  const labels = () => Array.from(palette.element.querySelectorAll('.command-palette-label')).map(label => label.textContent);
+
+  it('should fuzzy match at word starts and in runs', () => {
+    expect(CommandPalette.fuzzyMatch('fwc', 'Firewall Configuration').positions).toEqual([0, 4, 9]);
+    expect(CommandPalette.fuzzyMatch('secu', 'Sécurité du serveur').positions).toEqual([0, 1, 2, 3]);
+    expect(CommandPalette.fuzzyMatch('xyz', 'Firewall Configuration')).toBeNull();
+    expect(CommandPalette.fuzzyMatch('conf', 'Configuration').score)
+      .toBeGreaterThan(CommandPalette.fuzzyMatch('conf', 'Bitcoin node full').score);
+  });
+
+  it('should open on Ctrl+K with headings, bookmarks and actions, and pages once loaded', async () => {
+    pressKey(document, 'k', { ctrlKey: true });
+    const input = palette.element.querySelector('.command-palette-input');
+
+    expect(palette.isOpen).toBe(true);
+    expect(document.activeElement).toBe(input);
+    expect(labels()).toEqual(expect.arrayContaining(['Mark this page complete', 'Export progress', 'Open the port', 'VPS Selection']));
+
+    await waitFor(() => labels().includes('Firewall Configuration'));
+    expect(global.fetch).toHaveBeenCalledWith('/data/search/en.json');
+    expect(labels()).not.toContain('UFW Firewall Setup');
+  });
+
+  it('should run the best match on Enter', async () => {
+    palette.open();
+    type('mark');
+    expect(labels()[0]).toBe('Mark this page complete');
+    expect(palette.element.querySelector('.command-palette-label mark').textContent).toBe('Mark');
+
+    pressKey(palette.element.querySelector('.command-palette-input'), 'Enter');
+
+    expect(window.progressTracker.markSubsectionCompleted).toHaveBeenCalledWith('node-guides', 'installation', 'configuration');
+    expect(palette.isOpen).toBe(false);
+  });
+
+  it('should go to pages and offer a full search', async () => {
+    palette.open();
+    await waitFor(() => palette.pages.has('en'));
+    const input = type('firewal');
+
+    expect(labels()[0]).toBe('Firewall Configuration');
+    expect(labels()[labels().length - 1]).toBe('Search the guides for "firewal"');
+
+    pressKey(input, 'Enter');
+    expect(window.location.href).toBe('/node-guides/server-security/firewall-config.html');
+  });
+
+  it('should choose with the arrow keys and close on Escape', () => {
+    const menu = document.getElementById('menu');
+    menu.focus();
+    palette.open();
+    const input = type('o');
+
+    pressKey(input, 'ArrowDown');
+    expect(input.getAttribute('aria-activedescendant')).toBe('command-palette-option-1');
+    expect(palette.element.querySelector('#command-palette-option-1').getAttribute('aria-selected')).toBe('true');
+    pressKey(input, 'ArrowUp');
+    pressKey(input, 'ArrowUp');
+    expect(palette.activeIndex).toBe(palette.results.length - 1);
+
+    pressKey(input, 'Escape');
+    expect(palette.isOpen).toBe(false);
+    expect(palette.element.hidden).toBe(true);
+    expect(document.activeElement).toBe(menu);
+  });
+
+  it('should keep focus inside while open and toggle high contrast', () => {
+    const accessibilityManager = new AccessibilityManager();
+    window.accessibilityManager = accessibilityManager;
+    window.commandPalette = palette;
+    try {
+      palette.open();
+      expect(pressKey(document.activeElement, 'Tab').defaultPrevented).toBe(true);
+      expect(document.activeElement).toBe(palette.element.querySelector('.command-palette-input'));
+
+      type('contrast');
+      pressKey(document.activeElement, 'Enter');
+    } finally {
+      delete window.accessibilityManager;
+      delete window.commandPalette;
+    }
+
+    expect(document.documentElement.dataset.theme).toBe('high-contrast');
+    expect(localStorage.setItem).toHaveBeenCalledWith('crypto-guide-high-contrast', 'on');
+    accessibilityManager.toggleHighContrast();
+    expect(document.documentElement.dataset.theme).toBeUndefined();
+  });
+});
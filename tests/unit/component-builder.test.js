@@ -0,0 +1,287 @@
+/**
+ * Component Builder Unit Tests
+ */
+
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { mkdtempSync, rmSync, existsSync, readFileSync, readdirSync, cpSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { createHash } from 'crypto';
+import path from 'path';
+
+// Import the build script
+import ComponentBuilder from '../../build/component-builder.js';
+
+const rootDir = path.resolve(__dirname, '../..');
+
+describe('ComponentBuilder', () => {
+  let builder;
+  let outDir;
+  let allPages;
+
+  beforeAll(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    outDir = mkdtempSync(path.join(tmpdir(), 'component-builder-'));
+    builder = new ComponentBuilder(rootDir, { outDir });
+    allPages = await builder.buildSite();
+  });
+
+  afterAll(() => {
+    rmSync(outDir, { recursive: true, force: true });
+    vi.restoreAllMocks();
+  });
+
+  describe('Full build', () => {
+    it('should build every page in every language', () => {
+      expect(allPages).toContain('/node-guides/');
+      expect(allPages).toContain('/nl/node-guides/server-security/firewall-config.html');
+      expect(allPages).toContain('/fr/development-roadmap/phase-1/');
+      expect(existsSync(path.join(outDir, 'nl', 'node-guides', 'index.html'))).toBe(true);
+    });
+
+    it('should only publish the data files the browser fetches', () => {
+      const files = readdirSync(path.join(outDir, 'data'), { recursive: true })
+        .map(file => file.split(path.sep).join('/'))
+        .filter(file => file.endsWith('.json'))
+        .sort();
+      const perLanguage = language => [
+        `${language}/development-roadmap.json`,
+        `${language}/node-guides.json`,
+        ...(language === 'en' ? [] : [`${language}/source-hashes.json`]),
+        `navigation/${language}.json`,
+        `search/${language}.json`
+      ];
+
+      expect(files).toEqual([
+        'development-roadmap.json',
+        ...['en', 'fr', 'nl'].flatMap(perLanguage),
+        'node-guides.json'
+      ].sort());
+    });
+
+    it('should write the content area of each page next to it for page transitions', () => {
+      const fragment = JSON.parse(readFileSync(path.join(outDir, 'nl', 'node-guides', 'server-security', 'firewall-config.fragment.json'), 'utf8'));
+      const html = readFileSync(path.join(outDir, 'nl', 'node-guides', 'server-security', 'firewall-config.html'), 'utf8');
+
+      expect(html).toContain(fragment.content);
+      expect(fragment.meta).toMatchObject({ title: 'Firewall Configuration - Server Fundament & Beveiliging', page: 'firewall-config' });
+      expect(fragment.meta.alternates.map(alternate => alternate.hreflang)).toEqual(['en', 'nl', 'fr', 'x-default']);
+      expect(existsSync(path.join(outDir, 'node-guides', 'index.fragment.json'))).toBe(true);
+    });
+
+    it('should render the Markdown of subsections', () => {
+      const html = readFileSync(path.join(outDir, 'node-guides', 'installation', 'download-verification.html'), 'utf8');
+      const overview = html.slice(html.indexOf('id="overview"'), html.indexOf('</section>', html.indexOf('id="overview"')));
+
+      expect(overview).toContain('<p>');
+      expect(overview).not.toContain('&lt;p&gt;');
+    });
+
+    it('should render the Markdown of section and phase pages', () => {
+      const landing = readFileSync(path.join(outDir, 'node-guides', 'index.html'), 'utf8');
+      const phase = readFileSync(path.join(outDir, 'node-guides', 'procurement-provisioning', 'index.html'), 'utf8');
+      const subsection = readFileSync(path.join(outDir, 'node-guides', 'procurement-provisioning', 'vps-selection.html'), 'utf8');
+
+      expect(landing).toContain('<h2 id="supported-node-types">Supported Node Types</h2>');
+      expect(phase).toContain('<section class="content-section" id="phase-details">');
+      expect(phase).toContain('<h2 id="what-youll-accomplish">');
+      expect(subsection).not.toContain('id="phase-details"');
+    });
+
+    it('should show code blocks and tables where the Markdown placed them', () => {
+      const model = builder.getSubsectionModel({ language: 'en' }, {
+        id: 'firewall-config',
+        content: 'Enable the firewall.\n\n<!-- codeBlocks/1 -->\n\nThen check it.',
+        codeBlocks: [{ language: 'bash', code: 'sudo ufw status' }, { language: 'bash', code: 'sudo ufw enable' }],
+        tables: [{ headers: ['Port'], rows: [['8333']] }]
+      });
+
+      expect(model.sections.map(section => section.html || section.id || 'table')).toEqual([
+        '<p>Enable the firewall.</p>',
+        'firewall-config-code-2',
+        '<p>Then check it.</p>',
+        // Not placed: after the prose, in order
+        'firewall-config-code-1',
+        'table'
+      ]);
+      expect(model.sections[0].id).toBe('overview');
+      expect(model.sections[2].id).toBe('');
+    });
+
+    it('should point schema errors in compiled data at the Markdown', async () => {
+      const tempDir = mkdtempSync(path.join(tmpdir(), 'component-builder-'));
+      const file = 'content/node-guides/03-installation/02-configuration.md';
+      ['content/node-guides', 'data/schema', 'assets/data/translations'].forEach(dir => {
+        cpSync(path.join(rootDir, dir), path.join(tempDir, dir), { recursive: true });
+      });
+      const source = readFileSync(path.join(tempDir, file), 'utf8');
+      writeFileSync(path.join(tempDir, file), source.replace(/^title: /m, 'difficulty: expert\ntitle: '));
+      const line = source.split(/\r?\n/).findIndex(text => text.startsWith('title: ')) + 1;
+
+      try {
+        const tempBuilder = new ComponentBuilder(tempDir, { contentTypes: ['node-guides'], languages: ['en'] });
+        await tempBuilder.compileContent();
+        await expect(tempBuilder.loadContent('node-guides'))
+          .rejects.toThrow(`${file}:${line} /phases/2/subsections/1/difficulty`);
+      } finally {
+        rmSync(tempDir, { recursive: true, force: true });
+      }
+    });
+
+    it('should render checklists and quizzes of subsections', () => {
+      const html = readFileSync(path.join(outDir, 'node-guides', 'installation', 'download-verification.html'), 'utf8');
+
+      expect(html).toContain('<section class="content-section subsection-checklist" id="checklist" data-checklist>');
+      expect(html).toContain('id="download-verification-check-3" data-index="2"');
+      // Answers only as digests, in the pages and the data the browser fetches
+      const digest = createHash('sha256').update('download-verification-quiz-2:1').digest('hex');
+      expect(html).toContain(`id="download-verification-quiz-2" data-index="1" data-answer-digest="${digest}"`);
+      expect(html).not.toContain('data-answer="');
+      const published = JSON.parse(readFileSync(path.join(outDir, 'data', 'node-guides.json'), 'utf8'));
+      const quiz = published.phases.flatMap(phase => phase.subsections).find(subsection => subsection.id === 'download-verification').quiz;
+      expect(quiz.map(question => 'answer' in question)).toEqual([false, false]);
+      expect(html).toContain('name="download-verification-quiz-2" value="1"');
+      expect(html).toContain('Check answers');
+
+      const french = readFileSync(path.join(outDir, 'fr', 'node-guides', 'server-security', 'firewall-config.html'), 'utf8');
+      expect(french).toContain('Liste de contrôle');
+      expect(french).not.toContain('data-quiz');
+    });
+
+    it('should give section landing pages a dependency graph', () => {
+      const html = readFileSync(path.join(outDir, 'fr', 'node-guides', 'index.html'), 'utf8');
+
+      expect(html).toContain('id="dependency-graph"');
+      expect(html).toContain('/assets/js/phase-gating.js"></script>');
+    });
+
+    it('should record template, component and data dependencies per page', () => {
+      const files = builder.dependencies.get('/nl/node-guides/server-security/firewall-config.html').files;
+
+      expect(files).toContain('templates/base.html');
+      expect(files).toContain('templates/content-page.html');
+      expect(files).toContain('components/sidebar.html');
+      expect(files).toContain('components/code-block.html');
+      expect(files).toContain('data/node-guides.json');
+      expect(files).toContain('data/nl/node-guides.json');
+      expect(files).not.toContain('templates/section-landing.html');
+    });
+  });
+
+  describe('Translation status', () => {
+    it('should only flag outdated translations on their subsections', async () => {
+      const content = await builder.loadContent('node-guides', 'fr');
+      expect(content.translationStatus.outdated).toEqual([]);
+
+      content.translationStatus.outdated.push('node-guides/server-security/firewall-config/title');
+      await builder.buildContentType('node-guides', content, url => url.startsWith('/fr/node-guides/server-security/'));
+
+      const read = file => readFileSync(path.join(outDir, 'fr', 'node-guides', 'server-security', file), 'utf8');
+      expect(read('firewall-config.html')).toContain('<a href="/node-guides/server-security/firewall-config.html" hreflang="en" lang="en">Lire la version anglaise</a>');
+      expect(read('system-hardening.html')).not.toContain('translation-outdated');
+      expect(read('index.html')).not.toContain('translation-outdated');
+    });
+  });
+
+  describe('Sitemap, feeds and search index', () => {
+    it('should list every page with hreflang alternates', () => {
+      const sitemap = readFileSync(path.join(outDir, 'sitemap.xml'), 'utf8');
+
+      expect(sitemap).toContain('<loc>/nl/node-guides/server-security/</loc>');
+      expect(sitemap).toContain('<xhtml:link rel="alternate" hreflang="fr" href="/fr/node-guides/server-security/"/>');
+      expect(sitemap).toContain('<xhtml:link rel="alternate" hreflang="x-default" href="/node-guides/server-security/"/>');
+    });
+
+    it('should write one feed per language', () => {
+      const feed = readFileSync(path.join(outDir, 'fr', 'feed.xml'), 'utf8');
+
+      expect(feed).toContain('xml:lang="fr"');
+      expect(feed).toContain('<id>/fr/node-guides/installation/configuration.html</id>');
+      expect(existsSync(path.join(outDir, 'feed.xml'))).toBe(true);
+    });
+
+    it('should write one search index per language', () => {
+      const index = JSON.parse(readFileSync(path.join(outDir, 'data', 'search', 'nl.json'), 'utf8'));
+      const firewall = index.documents.find(document => document.id === 'firewall-config');
+
+      expect(index).toMatchObject({ version: 2, language: 'nl' });
+      expect(firewall).toMatchObject({ type: 'subsection', section: 'node-guides', url: '/nl/node-guides/server-security/firewall-config.html' });
+      expect(index.documents.filter(document => document.type === 'overview')).toHaveLength(2);
+    });
+
+    it('should write one navigation model per language', () => {
+      const model = JSON.parse(readFileSync(path.join(outDir, 'data', 'navigation', 'nl.json'), 'utf8'));
+      const nodeGuides = model.sections.find(section => section.id === 'node-guides');
+
+      expect(model.language).toBe('nl');
+      expect(model.sections.map(section => section.id)).toEqual(['development-roadmap', 'node-guides']);
+      expect(nodeGuides.phases[1]).toMatchObject({ id: 'server-security', label: expect.stringMatching(/^Fase 2: /) });
+      expect(nodeGuides.phases[1].subsections.map(subsection => subsection.id)).toEqual(['secure-connections', 'firewall-config', 'system-hardening']);
+    });
+
+    it('should index code blocks as documents of their own', () => {
+      const index = JSON.parse(readFileSync(path.join(outDir, 'data', 'search', 'en.json'), 'utf8'));
+      const code = index.documents.find(document => document.blockId === 'firewall-config-code-1');
+
+      expect(code).toMatchObject({
+        type: 'code',
+        id: 'firewall-config',
+        title: 'UFW Firewall Setup',
+        language: 'bash',
+        url: '/node-guides/server-security/firewall-config.html'
+      });
+      expect(code.code).toContain('sudo ufw allow 18080/tcp');
+      expect(readFileSync(path.join(outDir, 'node-guides', 'server-security', 'firewall-config.html'), 'utf8'))
+        .toContain('id="firewall-config-code-1"');
+    });
+
+    it('should inherit lastUpdated from the phase and content file', () => {
+      const content = { lastUpdated: '2025-01-01', phases: [] };
+      const phase = { lastUpdated: '2025-03-01' };
+
+      expect(builder.getLastUpdated(content, phase, { lastUpdated: '2025-04-01' })).toBe('2025-04-01');
+      expect(builder.getLastUpdated(content, phase, {})).toBe('2025-03-01');
+      expect(builder.getLastUpdated(content, {}, {})).toBe('2025-01-01');
+    });
+
+    it('should date overview pages by their latest change', () => {
+      const content = {
+        lastUpdated: '2025-01-01',
+        phases: [{ subsections: [{ lastUpdated: '2025-06-01' }] }, { lastUpdated: '2025-02-01' }]
+      };
+      expect(builder.getLastUpdated(content)).toBe('2025-06-01');
+    });
+
+    it('should reject invalid dates', () => {
+      expect(() => builder.parseDate('last tuesday')).toThrow('Invalid lastUpdated');
+    });
+  });
+
+  describe('Incremental rebuild', () => {
+    it('should only rebuild pages that use a changed template', async () => {
+      const pages = await builder.rebuild(['templates/section-landing.html']);
+      expect(pages.sort()).toEqual([
+        '/development-roadmap/',
+        '/fr/development-roadmap/',
+        '/fr/node-guides/',
+        '/nl/development-roadmap/',
+        '/nl/node-guides/',
+        '/node-guides/'
+      ]);
+    });
+
+    it('should only rebuild one language for a translation change', async () => {
+      const pages = await builder.rebuild([path.join(rootDir, 'data', 'fr', 'development-roadmap.json')]);
+      expect(pages.length).toBeGreaterThan(0);
+      expect(pages.every(url => url.startsWith('/fr/development-roadmap/'))).toBe(true);
+    });
+
+    it('should rebuild everything for a shared component', async () => {
+      const pages = await builder.rebuild(['components/header.html']);
+      expect(pages).toHaveLength(allPages.length);
+    });
+
+    it('should ignore files no page depends on', async () => {
+      expect(await builder.rebuild(['README.md'])).toEqual([]);
+    });
+  });
+});
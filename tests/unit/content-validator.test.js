@@ -0,0 +1,118 @@
+/**
+ * Content Validator Unit Tests
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { readFileSync } from 'fs';
+import path from 'path';
+
+// Import the validator and the build-time hash it has to agree with
+import ContentValidator from '../../assets/js/content-validator.js';
+import { hashSource } from '../../build/translation-exchange.js';
+
+const rootDir = path.resolve(__dirname, '../..');
+const readJson = file => JSON.parse(readFileSync(path.join(rootDir, file), 'utf8'));
+
+const content = {
+  title: 'Node Guides',
+  description: 'Run your own nodes',
+  phases: [{
+    id: 'installation',
+    title: 'Installation',
+    description: 'Install the software',
+    estimatedTime: '1 hour',
+    difficulty: 'beginner',
+    subsections: [{
+      id: 'configuration',
+      title: 'Configuration Files',
+      description: 'Edit the config',
+      content: 'Open bitcoin.conf',
+      prerequisites: ['SSH access']
+    }]
+  }]
+};
+const terms = { navigation: { home: 'Home' }, common: {} };
+
+describe('ContentValidator', () => {
+  let validator;
+
+  beforeEach(() => {
+    validator = new ContentValidator();
+  });
+
+  it('should hash sources like the translation import does', async () => {
+    for (const text of ['Configuration Files', 'Nœud & “quotes”\nsecond line', '']) {
+      expect(await validator.hashSource(text)).toBe(hashSource(text));
+    }
+  });
+
+  it('should report missing and outdated translations separately', async () => {
+    const translation = {
+      title: 'Guides des nœuds',
+      navigation: { home: 'Accueil' },
+      phases: [{
+        id: 'installation',
+        title: 'Installation',
+        subsections: [{ id: 'configuration', title: 'Fichiers de configuration', content: 'Ouvrez bitcoin.conf', prerequisites: ['SSH access'] }]
+      }]
+    };
+    const sourceHashes = {
+      'node-guides/title': hashSource('Node Guides'),
+      'node-guides/navigation.home': hashSource('Home'),
+      'node-guides/installation/title': hashSource('Installation'),
+      'node-guides/installation/configuration/title': hashSource('Configuration')
+    };
+
+    const result = await validator.checkTranslationSources('node-guides', content, terms, translation, sourceHashes);
+
+    expect(result.outdated).toEqual([
+      'node-guides/installation/configuration/title',
+      'node-guides/installation/configuration/content'
+    ]);
+    expect(result.missing).toEqual([
+      'node-guides/description',
+      'node-guides/installation/description',
+      'node-guides/installation/estimatedTime',
+      'node-guides/installation/difficulty',
+      'node-guides/installation/configuration/description',
+      'node-guides/installation/configuration/prerequisites.0'
+    ]);
+  });
+
+  it('should find the checked-in translations up to date', async () => {
+    for (const language of ['nl', 'fr']) {
+      for (const contentType of ['development-roadmap', 'node-guides']) {
+        const result = await validator.checkTranslationSources(
+          contentType,
+          readJson(`data/${contentType}.json`),
+          readJson(`data/en/${contentType}.json`),
+          readJson(`data/${language}/${contentType}.json`),
+          readJson(`data/${language}/source-hashes.json`)
+        );
+        expect(result.outdated).toEqual([]);
+      }
+    }
+  });
+
+  it('should include missing and outdated counts in validation results', async () => {
+    const files = {
+      '/data/node-guides.json': content,
+      '/data/en/node-guides.json': terms,
+      '/data/fr/node-guides.json': { title: 'Guides des nœuds', navigation: { home: 'Accueil' }, common: {} },
+      '/data/fr/source-hashes.json': { 'node-guides/title': 'stale', 'node-guides/navigation.home': hashSource('Home') }
+    };
+    fetch.mockImplementation(async url => (files[url]
+      ? { ok: true, status: 200, json: async () => files[url] }
+      : { ok: false, status: 404, statusText: 'Not Found' }));
+    validator.supportedLanguages = ['fr'];
+
+    const results = await validator.validateTranslations('node-guides');
+
+    expect(results.fr.outdated).toEqual(['node-guides/title']);
+    expect(results.fr.missing).toContain('node-guides/installation/configuration/content');
+    expect(validator.generateReport({ 'node-guides': { translations: results } }).summary).toMatchObject({
+      totalOutdated: 1,
+      totalMissing: results.fr.missing.length
+    });
+  });
+});
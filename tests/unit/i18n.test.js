@@ -0,0 +1,114 @@
+/**
+ * I18n Unit Tests
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { readFileSync } from 'fs';
+import path from 'path';
+
+// Import the shared i18n runtime
+import I18n from '../../assets/js/i18n.js';
+
+const rootDir = path.resolve(__dirname, '../..');
+const readCatalog = language => JSON.parse(readFileSync(path.join(rootDir, 'assets/data/translations', `${language}.json`), 'utf8'));
+
+describe('I18n', () => {
+  let i18n;
+
+  beforeEach(() => {
+    i18n = new I18n();
+    i18n.addCatalog('en', {
+      greeting: 'Hello {name}',
+      results: '{count, plural, =0 {No results} one {# result} other {# results}}',
+      guests: '{count, plural, offset:1 =0 {Nobody} =1 {{host} alone} one {{host} and # other} other {{host} and # others}}',
+      role: '{role, select, admin {Administrator} other {Member}}',
+      size: '{bytes, number} bytes',
+      quoted: "Use '{name}' literally, it''s fine",
+      'only-en': 'English only'
+    });
+    i18n.addCatalog('fr', {
+      greeting: 'Bonjour {name}',
+      results: '{count, plural, one {# résultat} other {# résultats}}'
+    });
+    i18n.addCatalog('fr-CA', { greeting: 'Allô {name}' });
+  });
+
+  it('should fill in arguments and numbers', () => {
+    expect(i18n.t('greeting', { name: 'Ada' })).toBe('Hello Ada');
+    expect(i18n.t('greeting')).toBe('Hello {name}');
+    expect(i18n.t('size', { bytes: 1234567 })).toBe('1,234,567 bytes');
+  });
+
+  it('should choose plural forms per language', () => {
+    expect(i18n.t('results', { count: 0 })).toBe('No results');
+    expect(i18n.t('results', { count: 1 })).toBe('1 result');
+    expect(i18n.t('results', { count: 1500 })).toBe('1,500 results');
+    expect(i18n.t('results', { count: 0 }, 'fr')).toBe('0 résultat');
+    expect(i18n.t('results', { count: 2 }, 'fr')).toBe('2 résultats');
+  });
+
+  it('should support plural offsets, select and quoting', () => {
+    expect(i18n.t('guests', { count: 1, host: 'Ada' })).toBe('Ada alone');
+    expect(i18n.t('guests', { count: 2, host: 'Ada' })).toBe('Ada and 1 other');
+    expect(i18n.t('guests', { count: 4, host: 'Ada' })).toBe('Ada and 3 others');
+    expect(i18n.t('role', { role: 'admin' })).toBe('Administrator');
+    expect(i18n.t('role', { role: 'guest' })).toBe('Member');
+    expect(i18n.t('quoted')).toBe('Use {name} literally, it\'s fine');
+  });
+
+  it('should fall back along the language tag', () => {
+    expect(i18n.getFallbackChain('fr-CA')).toEqual(['fr-CA', 'fr', 'en']);
+    expect(i18n.t('greeting', { name: 'Ada' }, 'fr-CA')).toBe('Allô Ada');
+    expect(i18n.t('results', { count: 3 }, 'fr-CA')).toBe('3 résultats');
+    expect(i18n.t('only-en', {}, 'fr-CA')).toBe('English only');
+    expect(i18n.t('missing-key', {}, 'fr-CA')).toBe('missing-key');
+    expect(i18n.isLanguageSupported('fr-CA')).toBe(true);
+    expect(i18n.isLanguageSupported('de')).toBe(false);
+  });
+
+  it('should keep invalid messages visible instead of throwing', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    i18n.addCatalog('en', { broken: '{count, plural, one {# item}}' });
+
+    expect(i18n.t('broken', { count: 1 })).toBe('{count, plural, one {# item}}');
+    expect(warn).toHaveBeenCalled();
+    warn.mockRestore();
+  });
+
+  it('should load catalogs, translate the page and fire one languagechange', async () => {
+    fetch.mockImplementation(async url => (url.endsWith('/nl.json')
+      ? { ok: true, status: 200, json: async () => ({ 'nav-home': 'Start', 'phase-progress': '{percent}% voltooid' }) }
+      : { ok: false, status: 404, statusText: 'Not Found' }));
+    document.body.innerHTML = `
+      <a data-i18n="nav-home">Home</a>
+      <span data-i18n="phase-progress" data-i18n-params='{"percent": 40}'>40% Complete</span>
+      <span data-i18n="not-in-any-catalog">Kept</span>
+    `;
+    const listener = vi.fn();
+    document.addEventListener('languagechange', listener);
+
+    await i18n.setLanguage('nl');
+    await i18n.setLanguage('nl');
+    document.removeEventListener('languagechange', listener);
+
+    expect(document.querySelector('a').textContent).toBe('Start');
+    expect(document.querySelectorAll('span')[0].textContent).toBe('40% voltooid');
+    expect(document.querySelectorAll('span')[1].textContent).toBe('Kept');
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener.mock.calls[0][0].detail).toEqual({ language: 'nl', previousLanguage: 'en' });
+    expect(await i18n.setLanguage('de')).toBe(false);
+  });
+
+  it('should parse every message in the shipped catalogs', () => {
+    for (const language of ['en', 'nl', 'fr']) {
+      const catalog = readCatalog(language);
+      for (const message of Object.values(catalog)) {
+        expect(() => i18n.parseMessage(message)).not.toThrow();
+      }
+      if (language !== 'en') {
+        const english = readCatalog('en');
+        expect(Object.keys(catalog).filter(key => !(key in english))).toEqual([]);
+      }
+    }
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * Language Router Unit Tests
+ */
+
+import { describe, it, expect, beforeAll } from 'vitest';
+import { readFileSync } from 'fs';
+import path from 'path';
+
+// Import the classic scripts the router reads from window
+import '../../assets/js/i18n.js';
+import ContentIntegrator from '../../assets/js/content-integrator.js';
+import NavigationModel from '../../assets/js/navigation-model.js';
+
+const rootDir = path.resolve(__dirname, '../..');
+
+describe('LanguageRouter', () => {
+  let LanguageRouter;
+
+  beforeAll(async () => {
+    NavigationModel.add(new NavigationModel(NavigationModel.build(['development-roadmap', 'node-guides'].map(id => ({
+      id,
+      content: JSON.parse(readFileSync(path.join(rootDir, 'data', `${id}.json`), 'utf8'))
+    })), 'en')));
+    window.NavigationModel = NavigationModel;
+    window.ContentIntegrator = ContentIntegrator;
+
+    // Import the module once the scripts it reads are in place
+    ({ LanguageRouter } = await import('../../assets/js/language-router.js'));
+  });
+
+  it('should build URLs like the build does', () => {
+    const router = new LanguageRouter();
+
+    expect(router.generateUrl('node-guides', null, null, 'en')).toBe('http://localhost/node-guides/');
+    expect(router.generateUrl('node-guides', 'installation', null, 'nl')).toBe('http://localhost/nl/node-guides/installation/');
+    expect(router.generateUrl('node-guides', 'installation', 'configuration', 'fr')).toBe('http://localhost/fr/node-guides/installation/configuration.html');
+    expect(router.generateUrl(null, null, null, 'fr')).toBe('http://localhost/?lang=fr');
+  });
+
+  it('should go to the page built for the new language', async () => {
+    window.location.pathname = '/nl/node-guides/installation/configuration.html';
+    window.location.hash = '#configuration';
+    const router = new LanguageRouter();
+
+    await router.handleLanguageChange({ language: 'fr' });
+
+    expect(window.location.assign).toHaveBeenCalledWith('http://localhost/fr/node-guides/installation/configuration.html#configuration');
+  });
+});
@@ -0,0 +1,330 @@
+/**
+ * Markdown Compiler Unit Tests
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { readFileSync, writeFileSync, mkdtempSync, cpSync, rmSync, utimesSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+
+// Import the build-time Markdown compiler
+import { MarkdownCompiler, MarkdownError, compileSubsection, renderMarkdown, markdownToText, splitContent } from '../../build/markdown-compiler.js';
+
+const rootDir = path.resolve(__dirname, '../..');
+
+const subsection = body => [
+  '---',
+  'id: firewall-config',
+  'title: "Firewall: UFW"',
+  'description: Set up the firewall # inline comment',
+  'prerequisites:',
+  '  - Basic Linux knowledge',
+  "  - 'SSH access'",
+  '---',
+  '',
+  ...body
+].join('\n');
+
+describe('MarkdownCompiler', () => {
+  describe('Front matter', () => {
+    it('should read scalars, quoted strings and lists', () => {
+      const result = compileSubsection(subsection(['Text']), 'test.md');
+
+      expect(result).toEqual({
+        id: 'firewall-config',
+        title: 'Firewall: UFW',
+        description: 'Set up the firewall',
+        content: 'Text',
+        prerequisites: ['Basic Linux knowledge', 'SSH access']
+      });
+    });
+
+    it('should read flow lists and CRLF files', () => {
+      const source = '---\r\nid: a\r\ntitle: A\r\ndescription: B\r\nprerequisites: [One, "Two, Three"]\r\n---\r\nText\r\n';
+      expect(compileSubsection(source, 'test.md').prerequisites).toEqual(['One', 'Two, Three']);
+    });
+
+    it('should reject unknown and missing keys', () => {
+      expect(() => compileSubsection('---\nid: a\ntitle: A\ndescription: B\nauthor: me\n---\nText', 'a.md'))
+        .toThrow('Unknown front matter key "author"');
+      expect(() => compileSubsection('---\nid: a\ntitle: A\n---\nText', 'a.md'))
+        .toThrow('Missing front matter key "description" (a.md:1)');
+      expect(() => compileSubsection('Text', 'a.md')).toThrow(MarkdownError);
+    });
+  });
+
+  describe('Body', () => {
+    it('should turn titled code fences into codeBlocks', () => {
+      const result = compileSubsection(subsection([
+        'Configure the firewall.',
+        '',
+        '```bash title="UFW Setup"',
+        'sudo ufw enable',
+        '',
+        'sudo ufw allow 8333',
+        '```',
+        '',
+        'Then check the status.'
+      ]), 'test.md');
+
+      // Marked where it goes, as text follows it
+      expect(result.content).toBe('Configure the firewall.\n\n<!-- codeBlocks/0 -->\n\nThen check the status.');
+      expect(result.codeBlocks).toEqual([
+        { language: 'bash', title: 'UFW Setup', code: 'sudo ufw enable\n\nsudo ufw allow 8333' }
+      ]);
+    });
+
+    it('should place blocks between the text they were written in', () => {
+      const result = compileSubsection(subsection([
+        '## Ports',
+        '',
+        '| Port | Use |',
+        '|------|-----|',
+        '| 8333 | P2P |',
+        '',
+        '```bash os=linux',
+        'sudo ufw allow 8333',
+        '```',
+        '```powershell os=windows',
+        'New-NetFirewallRule -LocalPort 8333',
+        '```',
+        '',
+        'Check the rules.',
+        '',
+        '```bash title="Status"',
+        'sudo ufw status',
+        '```'
+      ]), 'test.md');
+
+      expect(result.content).toBe('## Ports\n\n<!-- tables/0 -->\n\n<!-- osSpecific -->\n\nCheck the rules.');
+      expect(splitContent(result.content)).toEqual([
+        { markdown: '## Ports' },
+        { block: 'tables/0' },
+        { block: 'osSpecific' },
+        { markdown: 'Check the rules.' }
+      ]);
+      expect(renderMarkdown(result.content)).toBe('<h2 id="ports">Ports</h2>\n<p>Check the rules.</p>');
+      expect(markdownToText(result.content)).toBe('Ports\nCheck the rules.');
+    });
+
+    it('should keep fences inside longer fences as code', () => {
+      const result = compileSubsection(subsection(['Text', '````markdown title="Example"', '```bash', 'ls', '```', '````']), 'test.md');
+      expect(result.codeBlocks[0].code).toBe('```bash\nls\n```');
+    });
+
+    it('should turn os= fences into osSpecific', () => {
+      const result = compileSubsection(subsection([
+        'Text',
+        '```bash os=linux title="Linux"',
+        'sudo apt update',
+        '```',
+        '```powershell os=windows',
+        'winget upgrade',
+        '```'
+      ]), 'test.md');
+
+      expect(result.codeBlocks).toBeUndefined();
+      expect(result.osSpecific).toEqual({
+        linux: { title: 'Linux', code: 'sudo apt update' },
+        windows: { code: 'winget upgrade' }
+      });
+    });
+
+    it('should turn pipe tables into tables', () => {
+      const result = compileSubsection(subsection([
+        'Text',
+        '',
+        'Table: Ports',
+        '| Port | Use |',
+        '|------|:---:|',
+        '| 8333 | P2P \\| Bitcoin |',
+        '| 18080 | P2P |'
+      ]), 'test.md');
+
+      expect(result.content).toBe('Text');
+      expect(result.tables).toEqual([
+        { title: 'Ports', headers: ['Port', 'Use'], rows: [['8333', 'P2P | Bitcoin'], ['18080', 'P2P']] }
+      ]);
+    });
+
+    it('should turn checklist front matter and quiz fences into checklist and quiz', () => {
+      const result = compileSubsection([
+        '---',
+        'id: download-verification',
+        'title: Download',
+        'description: Verify the download',
+        'checklist:',
+        '  - Checked the hash',
+        '---',
+        'Text',
+        '```quiz',
+        'What does a matching hash prove?',
+        '- [ ] The release is signed',
+        '- [x] The file is the one published',
+        '> Only the signature ties it to the developers.',
+        '',
+        'Which key signs Bitcoin Core releases?',
+        '- [x] The builders\' keys',
+        '- [ ] Your SSH key',
+        '```'
+      ].join('\n'), 'test.md');
+
+      expect(result.content).toBe('Text');
+      expect(result.checklist).toEqual(['Checked the hash']);
+      expect(result.quiz).toEqual([
+        {
+          question: 'What does a matching hash prove?',
+          options: ['The release is signed', 'The file is the one published'],
+          answer: 1,
+          explanation: 'Only the signature ties it to the developers.'
+        },
+        { question: 'Which key signs Bitcoin Core releases?', options: ['The builders\' keys', 'Your SSH key'], answer: 0 }
+      ]);
+
+      expect(() => compileSubsection(subsection(['Text', '```quiz', 'Why?', '- [ ] A', '- [ ] B', '```']), 'test.md'))
+        .toThrow('Quiz question needs exactly one "- [x]" answer (test.md:12)');
+      expect(() => compileSubsection(subsection(['Text', '```quiz', 'Why?', '- [x] A', 'Because', '```']), 'test.md'))
+        .toThrow('Unexpected line in quiz "Because"');
+    });
+
+    it('should record the line of each value', () => {
+      const locations = new Map();
+      compileSubsection(subsection(['', 'Text', '```bash title="A"', 'ls', '```', '```quiz', 'Why?', '- [x] A', '- [ ] B', '```']), 'test.md', locations);
+
+      expect(Object.fromEntries(locations)).toEqual({
+        '/id': 2,
+        '/title': 3,
+        '/description': 4,
+        '/prerequisites': 5,
+        '/content': 11,
+        '/codeBlocks/0': 12,
+        '/quiz/0': 16
+      });
+    });
+
+    it('should report body errors with the Markdown line', () => {
+      expect(() => compileSubsection(subsection(['Text', '```bash', 'ls']), 'test.md'))
+        .toThrow('Unclosed code block');
+      expect(() => compileSubsection(subsection(['Text', '```bash os=solaris', 'ls', '```']), 'test.md'))
+        .toThrow('Unknown os "solaris" (allowed: linux, macos, windows) (test.md:11)');
+      expect(() => compileSubsection(subsection(['Text', '| a | b |', '|---|---|', '| 1 |']), 'test.md'))
+        .toThrow('Table row has 1 cells, expected 2 (test.md:13)');
+    });
+  });
+
+  describe('Prose', () => {
+    it('should render paragraphs, headings, lists and inline markup', () => {
+      expect(renderMarkdown([
+        'Run **bitcoind** with *care* and `-txindex`.',
+        'See [the docs](https://bitcoin.org/en/full-node).',
+        '',
+        '## Before you start',
+        '',
+        '1. Stop the node',
+        '2. Back up `wallet.dat`',
+        '   - to an external disk',
+        '',
+        '> Never share your seed.'
+      ].join('\n'))).toBe([
+        '<p>Run <strong>bitcoind</strong> with <em>care</em> and <code>-txindex</code>.',
+        'See <a href="https://bitcoin.org/en/full-node">the docs</a>.</p>',
+        '<h2 id="before-you-start">Before you start</h2>',
+        '<ol>',
+        '<li>Stop the node</li>',
+        '<li>Back up <code>wallet.dat</code><ul>',
+        '<li>to an external disk</li>',
+        '</ul></li>',
+        '</ol>',
+        '<blockquote>',
+        '<p>Never share your seed.</p>',
+        '</blockquote>'
+      ].join('\n'));
+    });
+
+    it('should escape HTML and leave unsafe links as text', () => {
+      expect(renderMarkdown('<script>alert(1)</script> `<b>` [x](javascript:void) [y](/node-guides/#setup "t")'))
+        .toBe('<p>&lt;script&gt;alert(1)&lt;/script&gt; <code>&lt;b&gt;</code> x [y](/node-guides/#setup &quot;t&quot;)</p>');
+      expect(renderMarkdown('[Config](configuration.html#rpc)')).toBe('<p><a href="configuration.html#rpc">Config</a></p>');
+    });
+
+    it('should give the text without markup for search', () => {
+      expect(markdownToText('## Ports\n\nOpen **8333** & [18080](https://getmonero.org/).\n\n- P2P')).toBe('Ports\nOpen 8333 & 18080.\nP2P');
+    });
+  });
+
+  describe('Content types', () => {
+    it('should compile content/ into the checked-in data files', async () => {
+      const compiler = new MarkdownCompiler(rootDir);
+
+      for (const contentType of ['development-roadmap', 'node-guides']) {
+        const data = JSON.parse(readFileSync(path.join(rootDir, 'data', `${contentType}.json`), 'utf8'));
+        expect(await compiler.compileContentType(contentType)).toEqual(data);
+      }
+    });
+
+    it('should reject unknown and circular requirements', async () => {
+      const tempDir = mkdtempSync(path.join(tmpdir(), 'markdown-compiler-'));
+      const phaseFile = path.join(tempDir, 'content', 'node-guides', '01-procurement-provisioning', 'index.md');
+      const phase = readFileSync(path.join(rootDir, 'content', 'node-guides', '01-procurement-provisioning', 'index.md'), 'utf8');
+      cpSync(path.join(rootDir, 'content', 'node-guides'), path.join(tempDir, 'content', 'node-guides'), { recursive: true });
+      const compiler = new MarkdownCompiler(tempDir);
+
+      try {
+        writeFileSync(phaseFile, phase.replace('difficulty: beginner', 'difficulty: beginner\nrequires: [server-security/vpn]'));
+        await expect(compiler.compileContentType('node-guides'))
+          .rejects.toThrow('Unknown requirement "server-security/vpn" (content/node-guides/01-procurement-provisioning/index.md:1)');
+
+        writeFileSync(phaseFile, phase.replace('difficulty: beginner', 'difficulty: beginner\nrequires: [installation]'));
+        await expect(compiler.compileContentType('node-guides'))
+          .rejects.toThrow('Circular requirements: procurement-provisioning -> installation -> server-security -> procurement-provisioning/vps-selection -> procurement-provisioning');
+      } finally {
+        rmSync(tempDir, { recursive: true, force: true });
+      }
+    });
+
+    it('should keep the text of index.md and reject blocks in it', async () => {
+      const tempDir = mkdtempSync(path.join(tmpdir(), 'markdown-compiler-'));
+      const phaseFile = path.join(tempDir, 'content', 'node-guides', '01-procurement-provisioning', 'index.md');
+      const phase = readFileSync(path.join(rootDir, 'content', 'node-guides', '01-procurement-provisioning', 'index.md'), 'utf8');
+      cpSync(path.join(rootDir, 'content', 'node-guides'), path.join(tempDir, 'content', 'node-guides'), { recursive: true });
+      const compiler = new MarkdownCompiler(tempDir);
+
+      try {
+        const data = await compiler.compileContentType('node-guides');
+        expect(data.content).toMatch(/^Complete step-by-step guides/);
+        expect(data.phases[0].content).toMatch(/^Before you can run a Bitcoin or Monero node/);
+        expect(compiler.locate('data/node-guides.json', '/phases/0/content'))
+          .toEqual({ file: 'content/node-guides/01-procurement-provisioning/index.md', line: 9 });
+
+        writeFileSync(phaseFile, phase.replace('## What You\'ll Accomplish', '```bash title="Check"\nnproc\n```\n\n## What You\'ll Accomplish'));
+        await expect(compiler.compileContentType('node-guides'))
+          .rejects.toThrow('Only text is allowed in index.md; code blocks, tables and quizzes go in subsections (content/node-guides/01-procurement-provisioning/index.md:11)');
+      } finally {
+        rmSync(tempDir, { recursive: true, force: true });
+      }
+    });
+
+    it('should refuse to overwrite data files changed by hand', async () => {
+      const tempDir = mkdtempSync(path.join(tmpdir(), 'markdown-compiler-'));
+      const dataFile = path.join(tempDir, 'data', 'node-guides.json');
+      cpSync(path.join(rootDir, 'content', 'node-guides'), path.join(tempDir, 'content', 'node-guides'), { recursive: true });
+      cpSync(path.join(rootDir, 'data', 'node-guides.json'), dataFile);
+      const compiler = new MarkdownCompiler(tempDir);
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+
+      try {
+        writeFileSync(dataFile, readFileSync(dataFile, 'utf8').replace('"title": "VPS Selection"', '"title": "VPS Choice"'));
+        await expect(compiler.compile('node-guides'))
+          .rejects.toThrow('Changed by hand since it was compiled from content/node-guides/; make the change in the Markdown, or delete the file to compile it again (data/node-guides.json)');
+
+        // Older than the Markdown: out of date, not edited
+        utimesSync(dataFile, new Date(2000, 0, 1), new Date(2000, 0, 1));
+        expect(await compiler.compile('node-guides')).toBe(true);
+        expect(compiler.locate('data/node-guides.json', '/phases/0/subsections/0/title'))
+          .toEqual({ file: 'content/node-guides/01-procurement-provisioning/01-vps-selection.md', line: 3 });
+      } finally {
+        rmSync(tempDir, { recursive: true, force: true });
+      }
+    });
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Navigation Model Unit Tests
+ */
+
+import { describe, it, expect, beforeAll, afterEach } from 'vitest';
+import { readFileSync } from 'fs';
+import path from 'path';
+
+// Import the shared model
+import NavigationModel from '../../assets/js/navigation-model.js';
+
+const rootDir = path.resolve(__dirname, '../..');
+
+const readSections = () => ['development-roadmap', 'node-guides'].map(id => ({
+  id,
+  content: JSON.parse(readFileSync(path.join(rootDir, 'data', `${id}.json`), 'utf8'))
+}));
+
+describe('NavigationModel', () => {
+  let model;
+
+  beforeAll(() => {
+    model = new NavigationModel(JSON.parse(JSON.stringify(NavigationModel.build(readSections(), 'en'))));
+  });
+
+  afterEach(() => {
+    NavigationModel.models.clear();
+    NavigationModel.requests.clear();
+  });
+
+  describe('Structure', () => {
+    it('should list sections, phases and subsections from the content files', () => {
+      expect(model.sections.map(section => section.id)).toEqual(['development-roadmap', 'node-guides']);
+      expect(model.getPhase('development-roadmap', 'phase-1')).toMatchObject({ label: 'Phase 1: Foundational Infrastructure' });
+      expect(model.getSubsectionIds('node-guides', 'server-security')).toEqual(['secure-connections', 'firewall-config', 'system-hardening']);
+      expect(model.getSubsectionIds('node-guides', 'unknown')).toEqual([]);
+      expect(model.getPhase('node-guides', 'server-security').requires).toEqual(['procurement-provisioning/vps-selection']);
+      expect(model.getPhase('node-guides', 'installation')).not.toHaveProperty('requires');
+    });
+
+    it('should pick up subsections added to the content files', () => {
+      const sections = readSections();
+      sections[0].content.phases[1].subsections.push({ id: 'rate-limiting', title: 'Rate Limiting' });
+      const extended = new NavigationModel(NavigationModel.build(sections, 'en'));
+
+      expect(extended.getSubsectionIds('development-roadmap', 'phase-2')).toEqual(['api-development', 'security-implementation', 'rate-limiting']);
+      expect(extended.findPage('/development-roadmap/phase-2/rate-limiting.html')).toMatchObject({ type: 'subsection', title: 'Rate Limiting' });
+    });
+
+    it('should label phases in the language of the model', () => {
+      const data = NavigationModel.build(readSections(), 'nl', { phaseLabel: 'Fase' });
+
+      expect(data.sections[1].phases[0].label).toBe('Fase 1: Procurement & Provisioning');
+    });
+
+    it('should reject data in another format', () => {
+      expect(() => new NavigationModel({ phases: [] })).toThrow('Unsupported navigation model format');
+    });
+  });
+
+  describe('URLs and sequence', () => {
+    it('should build URLs like the build does', () => {
+      const dutch = new NavigationModel({ language: 'nl', sections: model.sections });
+
+      expect(model.getUrl('node-guides')).toBe('/node-guides/');
+      expect(model.getUrl('node-guides', 'installation')).toBe('/node-guides/installation/');
+      expect(dutch.getUrl('node-guides', 'installation', 'configuration')).toBe('/nl/node-guides/installation/configuration.html');
+    });
+
+    it('should order each phase before its subsections', () => {
+      const sequence = model.getSequence('development-roadmap');
+
+      expect(sequence.map(page => page.url).slice(0, 4)).toEqual([
+        '/development-roadmap/',
+        '/development-roadmap/phase-1/',
+        '/development-roadmap/phase-1/database-schemas.html',
+        '/development-roadmap/phase-1/payment-gateways.html'
+      ]);
+      expect(sequence).toHaveLength(1 + 3 + 7);
+      expect(model.getSequence('unknown')).toEqual([]);
+    });
+
+    it('should find the page of a path', () => {
+      expect(model.findPage('/')).toMatchObject({ type: 'home', section: null });
+      expect(model.findPage('/node-guides/index.html')).toMatchObject({ type: 'section', section: 'node-guides', phase: null });
+      expect(model.findPage('/nl/node-guides/installation/')).toMatchObject({ type: 'phase', phase: 'installation' });
+      expect(model.findPage('/node-guides/server-security/firewall-config.html?lang=fr#rules')).toEqual({
+        type: 'subsection',
+        section: 'node-guides',
+        phase: 'server-security',
+        subsection: 'firewall-config',
+        title: 'Firewall Configuration'
+      });
+      expect(model.findPage('/development-roadmap/phase-2/api-endpoints.html')).toBeNull();
+      expect(model.findPage('/search.html')).toBeNull();
+    });
+  });
+
+  describe('Loading', () => {
+    it('should fetch the model of a language once', async () => {
+      global.fetch.mockResolvedValue({ ok: true, json: async () => ({ language: 'fr', sections: model.sections }) });
+
+      const [first, second] = await Promise.all([NavigationModel.load('fr-CA'), NavigationModel.load('fr')]);
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(global.fetch).toHaveBeenCalledWith('/data/navigation/fr.json');
+      expect(first).toBe(second);
+      expect(NavigationModel.get('fr')).toBe(first);
+    });
+
+    it('should try again after a failed request', async () => {
+      global.fetch.mockResolvedValueOnce({ ok: false, status: 404 });
+      await expect(NavigationModel.load('en')).rejects.toThrow('HTTP error! status: 404');
+      expect(NavigationModel.get('en')).toBeNull();
+
+      global.fetch.mockResolvedValueOnce({ ok: true, json: async () => ({ language: 'en', sections: model.sections }) });
+      expect((await NavigationModel.load('en')).sections).toBe(model.sections);
+    });
+  });
+});
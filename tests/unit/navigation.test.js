@@ -2,17 +2,30 @@
  * Navigation Manager Unit Tests
  */
 
-import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { describe, it, expect, beforeAll, beforeEach, vi } from 'vitest';
+import { readFileSync } from 'fs';
+import path from 'path';
 import { createMockElement, simulateUserInteraction } from '../setup.js';
 
-// Import the NavigationManager class
+// Import the NavigationManager class and the model it renders
 import NavigationManager from '../../assets/js/navigation.js';
+import NavigationModel from '../../assets/js/navigation-model.js';
+
+const rootDir = path.resolve(__dirname, '../..');
 
 describe('NavigationManager', () => {
   let navigationManager;
   let mockSidebar;
   let mockMobileToggle;
 
+  beforeAll(() => {
+    const sections = ['development-roadmap', 'node-guides'].map(id => ({
+      id,
+      content: JSON.parse(readFileSync(path.join(rootDir, 'data', `${id}.json`), 'utf8'))
+    }));
+    NavigationModel.add(new NavigationModel(NavigationModel.build(sections, 'en')));
+  });
+
   beforeEach(() => {
     // Create mock DOM elements
     mockSidebar = createMockElement('nav', { className: 'sidebar-nav' });
@@ -81,9 +94,38 @@ describe('NavigationManager', () => {
       const sidebarContent = navigationManager.generateSidebarContent();
       
       expect(sidebarContent).toContain('Development Roadmap');
-      expect(sidebarContent).toContain('Phase 1: Infrastructure');
+      expect(sidebarContent).toContain('Phase 1: Foundational Infrastructure');
       expect(sidebarContent).toContain('Phase 2: Backend & APIs');
       expect(sidebarContent).toContain('Phase 3: Frontend & UI');
+      expect(sidebarContent).toContain('href="/development-roadmap/phase-2/api-development.html"');
+    });
+
+    it('should leave a sidebar rendered by the build alone', () => {
+      mockSidebar.dataset.section = 'development-roadmap';
+      mockSidebar.innerHTML = '<ul class="sidebar-nav-list"><li>Built</li></ul>';
+
+      navigationManager.initializeSidebar();
+
+      expect(mockSidebar.innerHTML).toBe('<ul class="sidebar-nav-list"><li>Built</li></ul>');
+    });
+
+    it('should expand the phase of the active link after a page transition', () => {
+      mockSidebar.dataset.section = 'node-guides';
+      mockSidebar.innerHTML = `
+        <button class="sidebar-toggle" data-target="server-security-content" aria-expanded="false">Server Security</button>
+        <div class="sidebar-collapsible-content" id="server-security-content">
+          <a href="/node-guides/server-security/firewall-config.html" class="sidebar-nav-link">Firewall Configuration</a>
+        </div>
+      `;
+      window.location.pathname = '/node-guides/server-security/firewall-config.html';
+
+      navigationManager.updateActiveStates();
+      navigationManager.revealActiveItem();
+
+      expect(mockSidebar.querySelector('.sidebar-nav-link').getAttribute('aria-current')).toBe('page');
+      expect(document.getElementById('server-security-content').classList.contains('expanded')).toBe(true);
+      expect(mockSidebar.querySelector('.sidebar-toggle').getAttribute('aria-expanded')).toBe('true');
+      expect(navigationManager.sidebarState.expandedItems.has('server-security-content')).toBe(true);
     });
 
     it('should render sidebar sections with proper structure', () => {
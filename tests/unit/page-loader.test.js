@@ -0,0 +1,248 @@
+/**
+ * Page Loader Unit Tests
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, afterAll, vi } from 'vitest';
+import { readFileSync } from 'fs';
+import path from 'path';
+import { createMockEvent, waitFor } from '../setup.js';
+
+// Import the PageLoader class and the model it checks links against
+import PageLoader from '../../assets/js/page-loader.js';
+import NavigationModel from '../../assets/js/navigation-model.js';
+
+const rootDir = path.resolve(__dirname, '../..');
+
+const renderPage = () => {
+  document.head.innerHTML = `
+    <title>Configuration - Node Guides</title>
+    <link rel="alternate" hreflang="en" href="https://example.com/node-guides/installation/configuration.html">
+    <link rel="alternate" hreflang="nl" href="https://example.com/nl/node-guides/installation/configuration.html">
+  `;
+  document.body.innerHTML = `
+    <main class="main-content">
+      <aside class="sidebar sidebar-nav" data-section="node-guides">
+        <button class="sidebar-toggle expanded" data-target="installation-content" aria-expanded="true">Installation</button>
+        <div class="sidebar-collapsible-content expanded" id="installation-content">
+          <a href="/node-guides/installation/configuration.html" class="sidebar-nav-link active">Configuration</a>
+        </div>
+      </aside>
+      <div class="content-area" id="content-area">
+        <h1>Configuration</h1>
+        <a href="../server-security/firewall-config.html#rules" id="relative">Relative</a>
+        <a href="/node-guides/server-security/firewall-config.html" id="next">Firewall Configuration</a>
+        <a href="/development-roadmap/phase-1/" id="other-section">Roadmap</a>
+        <a href="/nl/node-guides/server-security/firewall-config.html" id="other-language">Nederlands</a>
+        <a href="#settings" id="anchor">Settings</a>
+        <a href="https://getmonero.org/" id="external">Monero</a>
+        <a href="/node-guides/server-security/firewall-config.html" target="_blank" id="new-tab">New tab</a>
+      </div>
+    </main>
+  `;
+};
+
+const fragment = {
+  content: '<h1>Firewall Configuration</h1><h2 id="rules">Rules</h2><a href="/node-guides/installation/configuration.html" id="back">Back</a>',
+  meta: {
+    title: 'Firewall Configuration - Node Guides',
+    description: 'Allow only the node ports',
+    page: 'firewall-config',
+    alternates: [
+      { hreflang: 'en', url: 'https://example.com/node-guides/server-security/firewall-config.html' },
+      { hreflang: 'nl', url: 'https://example.com/nl/node-guides/server-security/firewall-config.html' }
+    ]
+  }
+};
+
+const click = (element, options = {}) => {
+  const event = new MouseEvent('click', { bubbles: true, cancelable: true, button: 0, ...options });
+  element.dispatchEvent(event);
+  return event;
+};
+
+describe('PageLoader', () => {
+  let pageLoader;
+
+  beforeAll(() => {
+    const sections = ['development-roadmap', 'node-guides'].map(id => ({
+      id,
+      content: JSON.parse(readFileSync(path.join(rootDir, 'data', `${id}.json`), 'utf8'))
+    }));
+    NavigationModel.add(new NavigationModel(NavigationModel.build(sections, 'en')));
+
+    // One loader: its listeners stay on the document between tests
+    window.location.pathname = '/node-guides/installation/configuration.html';
+    renderPage();
+    pageLoader = new PageLoader();
+  });
+
+  afterAll(() => {
+    NavigationModel.models.clear();
+    NavigationModel.requests.clear();
+  });
+
+  beforeEach(() => {
+    window.location.pathname = '/node-guides/installation/configuration.html';
+    renderPage();
+    pageLoader.clearCache();
+    pageLoader.currentPage = window.location.pathname;
+    window.history.state = { page: window.location.pathname, target: '#content-area', scrollY: 0 };
+    window.history.replaceState.mockImplementation(state => { window.history.state = state; });
+    window.scrollTo = vi.fn();
+    global.fetch.mockImplementation(async url => (url.endsWith('.fragment.json')
+      ? { ok: true, json: async () => fragment }
+      : { ok: false, status: 404, statusText: 'Not Found' }));
+  });
+
+  describe('Link selection', () => {
+    const transitionUrl = (id, event) => pageLoader.getTransitionUrl(document.getElementById(id), event);
+
+    it('should take over links to pages of the same section and language', () => {
+      expect(transitionUrl('next')).toBe('/node-guides/server-security/firewall-config.html');
+      expect(transitionUrl('relative')).toBe('/node-guides/server-security/firewall-config.html#rules');
+    });
+
+    it('should leave other links to the browser', () => {
+      ['other-section', 'other-language', 'anchor', 'external', 'new-tab'].forEach(id => {
+        expect(transitionUrl(id)).toBeNull();
+      });
+      expect(transitionUrl('next', new MouseEvent('click', { ctrlKey: true }))).toBeNull();
+      expect(click(document.getElementById('other-section')).defaultPrevented).toBe(false);
+    });
+  });
+
+  describe('Fetching', () => {
+    it('should fetch the fragment the build writes next to a page once', async () => {
+      const [first, second] = await Promise.all([
+        pageLoader.fetchPageContent('/node-guides/server-security/firewall-config.html'),
+        pageLoader.fetchPageContent('/node-guides/server-security/firewall-config.html#rules')
+      ]);
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(global.fetch).toHaveBeenCalledWith('/node-guides/server-security/firewall-config.fragment.json');
+      expect(first).toBe(second);
+      expect(pageLoader.getFragmentUrl('/node-guides/')).toBe('/node-guides/index.fragment.json');
+    });
+
+    it('should fall back to the content area of the full page', async () => {
+      global.fetch.mockImplementation(async url => (url.endsWith('.fragment.json')
+        ? { ok: false, status: 404 }
+        : {
+          ok: true,
+          text: async () => `<html data-current-page="overview"><head><title>Node Guides</title></head>
+            <body><aside>Sidebar</aside><div id="content-area"><h1>Overview</h1></div></body></html>`
+        }));
+
+      const content = await pageLoader.fetchPageContent('/node-guides/');
+
+      expect(global.fetch).toHaveBeenLastCalledWith('/node-guides/');
+      expect(content.content).toBe('<h1>Overview</h1>');
+      expect(content.meta).toMatchObject({ title: 'Node Guides', page: 'overview' });
+    });
+
+    it('should prefetch hovered links with the resources of the page', async () => {
+      window.resourceOptimizer = { prefetchNextPageResources: vi.fn() };
+      try {
+        const link = document.getElementById('next');
+        link.dispatchEvent(new MouseEvent('mouseover', { bubbles: true }));
+        link.dispatchEvent(new MouseEvent('mouseover', { bubbles: true }));
+
+        expect(window.resourceOptimizer.prefetchNextPageResources).toHaveBeenCalledTimes(1);
+        expect(window.resourceOptimizer.prefetchNextPageResources).toHaveBeenCalledWith('/node-guides/server-security/firewall-config.html');
+      } finally {
+        delete window.resourceOptimizer;
+      }
+
+      await waitFor(() => pageLoader.cache.has('/node-guides/server-security/firewall-config.html'));
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Page transitions', () => {
+    it('should swap the content area and keep the sidebar', async () => {
+      const sidebar = document.querySelector('.sidebar');
+      const next = document.getElementById('next');
+
+      expect(click(next).defaultPrevented).toBe(true);
+      await waitFor(() => document.title === 'Firewall Configuration - Node Guides');
+
+      expect(document.querySelector('.sidebar')).toBe(sidebar);
+      expect(document.querySelector('#content-area h1').textContent).toBe('Firewall Configuration');
+      expect(document.documentElement.dataset.currentPage).toBe('firewall-config');
+      expect(document.querySelector('link[hreflang="nl"]').getAttribute('href')).toBe(fragment.meta.alternates[1].url);
+      expect(window.history.pushState).toHaveBeenCalledWith(
+        { page: '/node-guides/server-security/firewall-config.html', target: '#content-area' },
+        '',
+        '/node-guides/server-security/firewall-config.html'
+      );
+      expect(document.activeElement).toBe(document.querySelector('#content-area h1'));
+      expect(window.scrollTo).toHaveBeenCalledWith(0, 0);
+    });
+
+    it('should remember the scroll position and link of the page left', async () => {
+      window.scrollY = 640;
+      try {
+        click(document.getElementById('next'));
+        await waitFor(() => window.history.pushState.mock.calls.length > 0 && !pageLoader.isLoading());
+      } finally {
+        window.scrollY = 0;
+      }
+
+      expect(window.history.replaceState).toHaveBeenCalledWith(expect.objectContaining({
+        page: '/node-guides/installation/configuration.html',
+        scrollY: 640,
+        focus: '/node-guides/server-security/firewall-config.html'
+      }), '');
+    });
+
+    it('should restore scroll position and focus on back and forward', async () => {
+      pageLoader.currentPage = '/node-guides/server-security/firewall-config.html';
+      window.location.pathname = pageLoader.currentPage;
+
+      window.dispatchEvent(createMockEvent('popstate', {
+        state: { page: '/node-guides/installation/configuration.html', target: '#content-area', scrollY: 640, focus: '/node-guides/installation/configuration.html' }
+      }));
+      await waitFor(() => document.getElementById('back'));
+
+      expect(window.history.pushState).not.toHaveBeenCalled();
+      expect(window.scrollTo).toHaveBeenCalledWith(0, 640);
+      expect(document.activeElement).toBe(document.getElementById('back'));
+    });
+
+    it('should load the page normally when its content cannot be fetched', async () => {
+      global.fetch.mockRejectedValue(new Error('offline'));
+
+      click(document.getElementById('next'));
+      await waitFor(() => window.location.href === '/node-guides/server-security/firewall-config.html');
+
+      expect(document.querySelector('#content-area h1').textContent).toBe('Configuration');
+      expect(document.getElementById('content-area').hasAttribute('aria-busy')).toBe(false);
+    });
+  });
+
+  describe('Language changes', () => {
+    afterAll(() => {
+      document.documentElement.removeAttribute('lang');
+    });
+
+    it('should not reload a page for the language it was built in', async () => {
+      window.location.pathname = '/nl/node-guides/installation/configuration.html';
+      pageLoader.currentPage = window.location.pathname;
+      document.documentElement.lang = 'nl';
+
+      document.dispatchEvent(new CustomEvent('languagechange', { detail: { language: 'nl', previousLanguage: 'en' } }));
+      await Promise.resolve();
+
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('should reload the page for another language', async () => {
+      document.documentElement.lang = 'en';
+
+      document.dispatchEvent(new CustomEvent('languagechange', { detail: { language: 'nl', previousLanguage: 'en' } }));
+
+      await waitFor(() => global.fetch.mock.calls.length > 0);
+      expect(global.fetch.mock.calls[0][0]).toContain('configuration.fragment.json');
+    });
+  });
+});
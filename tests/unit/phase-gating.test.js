@@ -0,0 +1,90 @@
+/**
+ * Phase Gating Unit Tests
+ */
+
+import { describe, it, expect, beforeAll } from 'vitest';
+import { readFileSync } from 'fs';
+import path from 'path';
+
+// Import the navigation model requirements are read from
+import NavigationModel from '../../assets/js/navigation-model.js';
+
+// Import the module
+import PhaseGating from '../../assets/js/phase-gating.js';
+
+const rootDir = path.resolve(__dirname, '../..');
+
+const completed = ids => ({
+  completed: false,
+  subsections: Object.fromEntries(ids.map(id => [id, { completed: true, completedAt: '2025-01-02T10:00:00.000Z' }]))
+});
+
+describe('PhaseGating', () => {
+  let model;
+
+  beforeAll(() => {
+    model = new NavigationModel(NavigationModel.build([{
+      id: 'node-guides',
+      content: JSON.parse(readFileSync(path.join(rootDir, 'data', 'node-guides.json'), 'utf8'))
+    }], 'en'));
+  });
+
+  it('should open phases by their declared requirements, or the phase before', () => {
+    const fresh = new PhaseGating(model, {}, {});
+
+    expect(fresh.check('node-guides', 'procurement-provisioning').open).toBe(true);
+    expect(fresh.check('node-guides', 'server-security')).toEqual({
+      open: false,
+      missing: [{
+        phase: 'procurement-provisioning',
+        subsection: 'vps-selection',
+        title: 'VPS Selection',
+        url: '/node-guides/procurement-provisioning/vps-selection.html'
+      }]
+    });
+
+    const gating = new PhaseGating(model, { 'node-guides': { 'procurement-provisioning': completed(['vps-selection']) } }, {});
+    expect(gating.check('node-guides', 'server-security').open).toBe(true);
+    // No requires: the previous phase, all of it
+    expect(gating.check('node-guides', 'installation').missing.map(requirement => requirement.phase)).toEqual(['server-security']);
+  });
+
+  it('should check subsections on top of their phase', () => {
+    const gating = new PhaseGating(model, { 'node-guides': { 'server-security': completed(['secure-connections', 'firewall-config', 'system-hardening']) } }, {});
+
+    expect(gating.check('node-guides', 'installation', 'configuration').open).toBe(true);
+    expect(gating.check('node-guides', 'installation', 'setup-wizard').missing.map(requirement => requirement.title))
+      .toEqual(['Configuration Files']);
+  });
+
+  it('should count self-assessed requirements as met', () => {
+    let stored = null;
+    window.localStorage.setItem.mockImplementation((key, value) => { stored = value; });
+    const gating = new PhaseGating(model, {}, {});
+
+    gating.assess('node-guides', gating.check('node-guides', 'server-security').missing);
+
+    expect(gating.check('node-guides', 'server-security').open).toBe(true);
+    expect(Object.keys(JSON.parse(stored))).toEqual(['node-guides/procurement-provisioning/vps-selection']);
+
+    const graph = gating.getGraph('node-guides');
+    expect(graph.nodes.find(node => node.key === 'procurement-provisioning/vps-selection').status).toBe('assessed');
+    expect(graph.nodes.find(node => node.key === 'server-security').status).toBe('open');
+    expect(graph.nodes.find(node => node.key === 'installation').status).toBe('locked');
+    expect(graph.edges).toContainEqual({ from: 'procurement-provisioning/vps-selection', to: 'server-security' });
+    expect(graph.edges).toContainEqual({ from: 'installation/configuration', to: 'installation/setup-wizard' });
+  });
+
+  it('should find unknown and circular requirements', () => {
+    const phases = [
+      { id: 'one', subsections: [{ id: 'a', requires: ['two/b'] }] },
+      { id: 'two', requires: ['one/a', 'three'], subsections: [{ id: 'b' }] }
+    ];
+
+    expect(PhaseGating.findProblems(phases)).toEqual([
+      { phase: 'two', subsection: null, message: 'Unknown requirement "three"' },
+      { phase: 'one', subsection: 'a', message: 'Circular requirements: one/a -> two/b -> two -> one/a' }
+    ]);
+    expect(PhaseGating.findProblems(model.getSection('node-guides').phases)).toEqual([]);
+  });
+});
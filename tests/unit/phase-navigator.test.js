@@ -0,0 +1,137 @@
+/**
+ * Phase Navigator Unit Tests
+ */
+
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+import { readFileSync } from 'fs';
+import path from 'path';
+
+// Import the navigation model and gating the navigator checks phases with
+import NavigationModel from '../../assets/js/navigation-model.js';
+import PhaseGating from '../../assets/js/phase-gating.js';
+
+// Import the module
+import PhaseNavigator from '../../assets/js/phase-navigator.js';
+
+const rootDir = path.resolve(__dirname, '../..');
+
+const topicsHtml = {
+  2: '<li><a href="/node-guides/server-security/secure-connections.html">Secure Connections</a></li>',
+  3: '<li><a href="/node-guides/installation/configuration.html">Configuration Files</a></li>'
+    + '<li><a href="/node-guides/installation/setup-wizard.html">Setup Wizard</a></li>'
+};
+
+// As rendered by templates/section-landing.html
+const landingHtml = [1, 2, 3, 4].map(number => `
+  <div class="phase-card" data-phase="${number}">
+    <div class="phase-content"><ul class="topics-list">${topicsHtml[number] || ''}</ul></div>
+    <div class="phase-actions"><a href="/phase-${number}" class="phase-button primary">Start</a></div>
+  </div>
+`).join('') + '<section id="dependency-graph" hidden><div class="dependency-graph-canvas"></div></section>';
+
+// As rendered by templates/content-page.html
+const pageHtml = `
+  <div class="content-page">
+    <h1 class="page-title" id="page-title">Setup Wizard</h1>
+    <main class="page-content" id="page-content"><p>Run the wizard.</p></main>
+  </div>
+`;
+
+const completed = ids => ({
+  completed: false,
+  subsections: Object.fromEntries(ids.map(id => [id, { completed: true, completedAt: '2025-01-02T10:00:00.000Z' }]))
+});
+
+describe('PhaseNavigator', () => {
+  let stored;
+
+  beforeAll(() => {
+    NavigationModel.add(new NavigationModel(NavigationModel.build([{
+      id: 'node-guides',
+      content: JSON.parse(readFileSync(path.join(rootDir, 'data', 'node-guides.json'), 'utf8'))
+    }], 'en')));
+    window.NavigationModel = NavigationModel;
+    window.PhaseGating = PhaseGating;
+  });
+
+  beforeEach(() => {
+    stored = {};
+    window.localStorage.getItem.mockImplementation(key => stored[key] ?? null);
+    window.localStorage.setItem.mockImplementation((key, value) => { stored[key] = value; });
+    document.documentElement.setAttribute('data-current-section', 'node-guides');
+    window.progressTracker = { progress: {} };
+  });
+
+  const assessAll = (container) => {
+    container.querySelector('.phase-skip-button').click();
+    const form = container.querySelector('.phase-assessment');
+    form.querySelectorAll('input[type="checkbox"]').forEach(checkbox => { checkbox.checked = true; });
+    form.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+  };
+
+  it('should lock phases until their requirements are met or self-assessed', () => {
+    document.body.innerHTML = landingHtml;
+    new PhaseNavigator();
+
+    const card = document.querySelector('.phase-card[data-phase="2"]');
+    expect(document.querySelector('.phase-card[data-phase="1"] .phase-gate')).toBeNull();
+    expect(card.querySelector('.phase-button').getAttribute('aria-disabled')).toBe('true');
+    expect(card.querySelector('.phase-gate-list').textContent).toBe('VPS Selection');
+
+    assessAll(card);
+
+    expect(card.querySelector('.phase-gate')).toBeNull();
+    expect(card.querySelector('.phase-button').classList.contains('disabled')).toBe(false);
+    expect(document.querySelector('.graph-node[data-node="procurement-provisioning/vps-selection"]').getAttribute('class'))
+      .toContain('graph-node-assessed');
+  });
+
+  it('should disable links to subsections that are not open', () => {
+    window.progressTracker.progress = { 'node-guides': { 'server-security': completed(['secure-connections', 'firewall-config', 'system-hardening']) } };
+    document.body.innerHTML = landingHtml;
+    new PhaseNavigator();
+
+    const [configuration, setupWizard] = document.querySelectorAll('.phase-card[data-phase="3"] .topics-list a');
+    expect(configuration.getAttribute('aria-disabled')).toBeNull();
+    expect(setupWizard.getAttribute('aria-disabled')).toBe('true');
+    expect(setupWizard.title).toBe('Finish first: Configuration Files');
+
+    const click = new MouseEvent('click', { bubbles: true, cancelable: true });
+    setupWizard.dispatchEvent(click);
+    expect(click.defaultPrevented).toBe(true);
+
+    window.progressTracker.progress = {};
+    new PhaseNavigator();
+    const secureConnections = document.querySelector('.phase-card[data-phase="2"] .topics-list a');
+    expect(secureConnections.classList.contains('disabled')).toBe(true);
+
+    assessAll(document.querySelector('.phase-card[data-phase="2"]'));
+    expect(secureConnections.classList.contains('disabled')).toBe(false);
+  });
+
+  it('should show what a subsection page needs in place of its content', () => {
+    window.location.pathname = '/node-guides/installation/setup-wizard.html';
+    window.progressTracker.progress = { 'node-guides': { 'server-security': completed(['secure-connections', 'firewall-config', 'system-hardening']) } };
+    document.body.innerHTML = pageHtml;
+    new PhaseNavigator();
+
+    const gate = document.getElementById('page-gate');
+    expect(document.getElementById('page-content').hidden).toBe(true);
+    expect(gate.querySelector('.phase-gate-list').textContent).toBe('Configuration Files');
+
+    assessAll(gate);
+
+    expect(document.getElementById('page-gate')).toBeNull();
+    expect(document.getElementById('page-content').hidden).toBe(false);
+    expect(Object.keys(JSON.parse(stored['crypto-guide-self-assessments']))).toEqual(['node-guides/installation/configuration']);
+  });
+
+  it('should leave pages without requirements alone', () => {
+    window.location.pathname = '/node-guides/procurement-provisioning/vps-selection.html';
+    document.body.innerHTML = pageHtml;
+    new PhaseNavigator();
+
+    expect(document.getElementById('page-gate')).toBeNull();
+    expect(document.getElementById('page-content').hidden).toBe(false);
+  });
+});
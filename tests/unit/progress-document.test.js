@@ -0,0 +1,180 @@
+/**
+ * Progress Document Unit Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+
+// Import the document format
+import ProgressDocument from '../../assets/js/progress-document.js';
+import BookmarkManager from '../../assets/js/bookmark.js';
+
+const storedProgress = (deviceId, subsections, totalTimeSpent = 0) => ({
+  'node-guides': {
+    installation: { completed: false, subsections, startedAt: '2025-01-01T09:00:00.000Z', completedAt: null }
+  },
+  metadata: { deviceId, totalTimeSpent, timeSpentByDevice: {}, startedAt: '2025-01-01T09:00:00.000Z', lastActive: '2025-01-05T09:00:00.000Z' }
+});
+
+describe('ProgressDocument', () => {
+  describe('Format', () => {
+    it('should export versioned progress with a date per subsection', () => {
+      const document = ProgressDocument.fromProgress(storedProgress('laptop', {
+        'bitcoin-core': { completed: true, completedAt: '2025-01-02T10:00:00.000Z' }
+      }, 60000), []);
+
+      expect(document).toMatchObject({ format: 'crypto-guide-progress', version: 3, device: 'laptop' });
+      expect(document.progress.timeSpent).toEqual({ laptop: 60000 });
+      expect(document.progress.sections['node-guides'].installation.subsections).toEqual({
+        'bitcoin-core': '2025-01-02T10:00:00.000Z'
+      });
+    });
+
+    it('should read version 1 exports and reject other data', () => {
+      const document = ProgressDocument.parse({
+        progress: storedProgress(undefined, { 'bitcoin-core': { completed: true, completedAt: null } }, 5000),
+        bookmarks: [{ url: '/node-guides/', addedAt: '2025-01-01T09:00:00.000Z' }],
+        exportedAt: '2025-01-05T09:00:00.000Z'
+      });
+
+      expect(document.progress.timeSpent).toEqual({ imported: 5000 });
+      expect(document.progress.sections['node-guides'].installation.subsections).toEqual({ 'bitcoin-core': null });
+      expect(document.bookmarks).toHaveLength(1);
+
+      expect(() => ProgressDocument.parse({ bookmarks: [] })).toThrow('Unsupported progress document format');
+      expect(() => ProgressDocument.parse({ format: 'crypto-guide-progress', version: 4, progress: { sections: {} } }))
+        .toThrow('Unsupported progress document version: 4');
+    });
+
+    it('should keep only safe bookmarks of imported documents', () => {
+      const document = ProgressDocument.parse({
+        format: 'crypto-guide-progress',
+        version: 3,
+        progress: { sections: {} },
+        bookmarks: [
+          { url: '/node-guides/', title: '<img src=x onerror="alert(1)">', tags: ['<script>alert(1)</script>', { html: true }] },
+          { url: 'javascript:alert(1)', title: 'Run me' },
+          { url: 'https://getmonero.org/', title: 'Monero', description: { toString: 'alert' }, onclick: 'alert(1)' },
+          'not a bookmark'
+        ]
+      });
+
+      expect(document.bookmarks).toEqual([
+        { url: '/node-guides/', title: '<img src=x onerror="alert(1)">', tags: ['<script>alert(1)</script>'] },
+        { url: 'https://getmonero.org/', title: 'Monero', tags: [] }
+      ]);
+
+      // Shown as text in bookmark lists
+      const list = window.document.createElement('div');
+      list.innerHTML = Object.create(BookmarkManager.prototype).renderBookmarks(document.bookmarks);
+      expect(list.querySelector('img, script')).toBeNull();
+      expect(list.querySelector('.bookmark-title a').textContent).toBe('<img src=x onerror="alert(1)">');
+      expect(list.querySelector('.bookmark-tag').textContent).toBe('<script>alert(1)</script>');
+    });
+  });
+
+  describe('Merging', () => {
+    const laptop = ProgressDocument.fromProgress(storedProgress('laptop', {
+      'bitcoin-core': { completed: true, completedAt: '2025-01-03T10:00:00.000Z' }
+    }, 60000), [
+      { url: '/node-guides/installation/', title: 'Installation', addedAt: '2025-01-02T10:00:00.000Z' },
+      { url: '/node-guides/server-security/', title: 'Security', addedAt: '2025-01-01T10:00:00.000Z' }
+    ]);
+    const work = ProgressDocument.fromProgress(storedProgress('work', {
+      'bitcoin-core': { completed: true, completedAt: '2025-01-02T10:00:00.000Z' },
+      configuration: { completed: true, completedAt: '2025-01-04T10:00:00.000Z' }
+    }, 30000), [
+      { url: '/node-guides/installation/', title: 'Installation (renamed)', addedAt: '2025-01-04T10:00:00.000Z' }
+    ], { '/node-guides/server-security/': '2025-01-03T10:00:00.000Z' });
+
+    it('should union completions and keep the earliest dates', () => {
+      const merged = ProgressDocument.merge(laptop, work);
+
+      expect(merged.device).toBe('laptop');
+      expect(merged.progress.sections['node-guides'].installation.subsections).toEqual({
+        'bitcoin-core': '2025-01-02T10:00:00.000Z',
+        configuration: '2025-01-04T10:00:00.000Z'
+      });
+      expect(ProgressDocument.merge(work, laptop).progress.sections).toEqual(merged.progress.sections);
+    });
+
+    it('should keep the latest checklist changes and the best quiz result', () => {
+      const checked = (deviceId, checklist, quiz) => ProgressDocument.fromProgress(storedProgress(deviceId, {
+        'download-verification': { completed: false, completedAt: null, checklist, quiz }
+      }));
+      const merged = ProgressDocument.merge(
+        checked('laptop', {
+          0: { checked: true, changedAt: '2025-01-02T10:00:00.000Z' },
+          1: { checked: true, changedAt: '2025-01-02T10:00:00.000Z' }
+        }, { score: 1, total: 2, passed: false, takenAt: '2025-01-02T10:00:00.000Z' }),
+        checked('work', {
+          1: { checked: false, changedAt: '2025-01-03T10:00:00.000Z' }
+        }, { score: 2, total: 2, passed: true, takenAt: '2025-01-03T10:00:00.000Z' })
+      );
+      const { installation } = merged.progress.sections['node-guides'];
+
+      expect(installation.checklists['download-verification']).toEqual({
+        0: { checked: true, changedAt: '2025-01-02T10:00:00.000Z' },
+        1: { checked: false, changedAt: '2025-01-03T10:00:00.000Z' }
+      });
+      expect(installation.quizzes['download-verification']).toMatchObject({ score: 2, passed: true });
+      expect(installation.subsections).toEqual({});
+
+      expect(ProgressDocument.toProgress(merged, 'laptop')['node-guides'].installation.subsections['download-verification'])
+        .toMatchObject({ completed: false, quiz: { passed: true } });
+
+      // Version 2 documents have neither
+      const version2 = { ...JSON.parse(JSON.stringify(merged)), version: 2 };
+      delete version2.progress.sections['node-guides'].installation.quizzes;
+      expect(ProgressDocument.parse(version2).progress.sections['node-guides'].installation.quizzes).toEqual({});
+    });
+
+    it('should add up time spent per device without counting a device twice', () => {
+      const once = ProgressDocument.merge(laptop, work);
+      const twice = ProgressDocument.merge(once, work);
+
+      expect(twice.progress.timeSpent).toEqual({ laptop: 60000, work: 30000 });
+
+      const progress = ProgressDocument.toProgress(twice, 'laptop');
+      expect(progress.metadata).toMatchObject({ deviceId: 'laptop', totalTimeSpent: 60000, timeSpentByDevice: { work: 30000 } });
+    });
+
+    it('should keep the latest bookmark edits and removals', () => {
+      const merged = ProgressDocument.merge(laptop, work);
+
+      expect(merged.bookmarks).toEqual([
+        { url: '/node-guides/installation/', title: 'Installation (renamed)', addedAt: '2025-01-04T10:00:00.000Z', tags: [] }
+      ]);
+
+      // Added again after it was removed
+      const readded = { ...laptop, bookmarks: [{ url: '/node-guides/server-security/', addedAt: '2025-01-06T10:00:00.000Z' }] };
+      expect(ProgressDocument.merge(readded, work).bookmarks.map(bookmark => bookmark.url))
+        .toContain('/node-guides/server-security/');
+    });
+  });
+
+  describe('Text codes', () => {
+    it('should round-trip a document through a text code and a transfer link', async () => {
+      const document = ProgressDocument.fromProgress(storedProgress('laptop', {
+        'bitcoin-core': { completed: true, completedAt: '2025-01-03T10:00:00.000Z' }
+      }), [{ url: '/node-guides/', title: 'Node Guides – Überblick', addedAt: '2025-01-02T10:00:00.000Z', tags: [] }]);
+
+      const code = await ProgressDocument.encode(document);
+
+      expect(code).toMatch(/^cgp3z?\.[A-Za-z0-9_-]+$/);
+      expect(await ProgressDocument.decode(code)).toEqual(document);
+      expect(await ProgressDocument.decode(`https://example.com/user-progress.html#progress=${code}\n`)).toEqual(document);
+    });
+
+    it('should reject damaged codes', async () => {
+      await expect(ProgressDocument.decode('hello')).rejects.toThrow('Invalid progress code');
+      await expect(ProgressDocument.decode('cgp2z.AAAA')).rejects.toThrow('Invalid progress code');
+    });
+
+    it('should decode codes of version 2 documents', async () => {
+      const document = { ...ProgressDocument.fromProgress(storedProgress('laptop', {}), []), version: 2 };
+      const code = `cgp2.${ProgressDocument.toBase64Url(new TextEncoder().encode(JSON.stringify(document)))}`;
+
+      expect((await ProgressDocument.decode(code)).device).toBe('laptop');
+    });
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Progress Sync Server Unit Tests
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { mkdtempSync, rmSync, readFileSync } from 'fs';
+import { tmpdir } from 'os';
+import http from 'http';
+import path from 'path';
+
+// Import the reference server
+import { createServer } from '../../scripts/progress-sync-server.js';
+
+const progressDocument = (subsections) => ({
+  format: 'crypto-guide-progress',
+  version: 2,
+  device: 'laptop',
+  progress: { timeSpent: { laptop: 1000 }, sections: { 'node-guides': { installation: { completed: false, subsections } } } },
+  bookmarks: [],
+  removedBookmarks: {}
+});
+
+describe('Progress sync server', () => {
+  let storeDir;
+  let server;
+  let port;
+
+  // global.fetch is mocked, so talk to the server with http
+  const request = (method, url, { headers = {}, body, serverPort = port } = {}) => new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port: serverPort, method, path: url, headers }, (res) => {
+      let data = '';
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: data ? JSON.parse(data) : null }));
+    });
+    req.on('error', reject);
+    req.end(body === undefined ? undefined : JSON.stringify(body));
+  });
+
+  beforeAll(async () => {
+    storeDir = mkdtempSync(path.join(tmpdir(), 'progress-sync-'));
+    server = createServer({ storePath: path.join(storeDir, 'store.json'), token: 'secret' });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    rmSync(storeDir, { recursive: true, force: true });
+  });
+
+  const auth = { Authorization: 'Bearer secret' };
+
+  it('should store a document and serve it with its ETag', async () => {
+    expect((await request('GET', '/api/progress/alice', { headers: auth })).status).toBe(404);
+
+    const created = await request('PUT', '/api/progress/alice', {
+      headers: { ...auth, 'If-None-Match': '*' },
+      body: progressDocument({ 'bitcoin-core': '2025-01-02T10:00:00.000Z' })
+    });
+    expect(created.status).toBe(201);
+    expect(created.headers.etag).toMatch(/^"[0-9a-f]{40}"$/);
+
+    const read = await request('GET', '/api/progress/alice', { headers: auth });
+    expect(read.status).toBe(200);
+    expect(read.headers.etag).toBe(created.headers.etag);
+    expect(read.body.progress.sections['node-guides'].installation.subsections).toEqual({ 'bitcoin-core': '2025-01-02T10:00:00.000Z' });
+
+    const unchanged = await request('GET', '/api/progress/alice', { headers: { ...auth, 'If-None-Match': created.headers.etag } });
+    expect(unchanged.status).toBe(304);
+
+    const stored = JSON.parse(readFileSync(path.join(storeDir, 'store.json'), 'utf8'));
+    expect(stored.users.alice.etag).toBe(created.headers.etag);
+  });
+
+  it('should refuse writes based on an outdated ETag', async () => {
+    const { headers } = await request('GET', '/api/progress/alice', { headers: auth });
+    const document = progressDocument({ configuration: '2025-01-04T10:00:00.000Z' });
+
+    const updated = await request('PUT', '/api/progress/alice', { headers: { ...auth, 'If-Match': headers.etag }, body: document });
+    expect(updated.status).toBe(200);
+
+    const stale = await request('PUT', '/api/progress/alice', { headers: { ...auth, 'If-Match': headers.etag }, body: document });
+    expect(stale.status).toBe(412);
+    expect(stale.headers.etag).toBe(updated.headers.etag);
+
+    expect((await request('PUT', '/api/progress/alice', { headers: { ...auth, 'If-None-Match': '*' }, body: document })).status).toBe(412);
+    expect((await request('PUT', '/api/progress/bob', { headers: auth, body: document })).status).toBe(428);
+  });
+
+  it('should let only one of two writes based on the same ETag through', async () => {
+    const { headers } = await request('GET', '/api/progress/alice', { headers: auth });
+
+    // A server that did not read its store yet, as after a restart
+    const restarted = createServer({ storePath: path.join(storeDir, 'store.json'), token: 'secret' });
+    await new Promise(resolve => restarted.listen(0, '127.0.0.1', resolve));
+    const serverPort = restarted.address().port;
+
+    try {
+      const responses = await Promise.all(['2025-01-05T10:00:00.000Z', '2025-01-06T10:00:00.000Z'].map(completedAt => request('PUT', '/api/progress/alice', {
+        headers: { ...auth, 'If-Match': headers.etag },
+        body: progressDocument({ 'setup-wizard': completedAt }),
+        serverPort
+      })));
+
+      expect(responses.map(response => response.status).sort()).toEqual([200, 412]);
+      const written = responses.find(response => response.status === 200);
+      expect(responses.find(response => response.status === 412).headers.etag).toBe(written.headers.etag);
+      expect((await request('GET', '/api/progress/alice', { headers: auth, serverPort })).headers.etag).toBe(written.headers.etag);
+    } finally {
+      await new Promise(resolve => restarted.close(resolve));
+    }
+  });
+
+  it('should reject bad requests', async () => {
+    const put = { ...auth, 'If-None-Match': '*' };
+
+    expect((await request('GET', '/api/progress/alice')).status).toBe(401);
+    expect((await request('GET', '/api/progress/../store', { headers: auth })).status).toBe(404);
+    expect((await request('PUT', '/api/progress/bob', { headers: put, body: { progress: {} } })).status).toBe(400);
+    expect((await request('DELETE', '/api/progress/alice', { headers: auth })).status).toBe(405);
+
+    const preflight = await request('OPTIONS', '/api/progress/alice');
+    expect(preflight.status).toBe(204);
+    expect(preflight.headers['access-control-allow-headers']).toContain('If-Match');
+    expect(preflight.headers['access-control-expose-headers']).toBe('ETag');
+  });
+});
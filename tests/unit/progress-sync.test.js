@@ -0,0 +1,111 @@
+/**
+ * Progress Sync Unit Tests
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+// Import the document format pulled documents are parsed with
+import '../../assets/js/progress-document.js';
+
+// Import the sync adapter
+import RestProgressSync from '../../assets/js/progress-sync.js';
+
+const storedDocument = {
+  format: 'crypto-guide-progress',
+  version: 2,
+  device: 'work',
+  progress: { timeSpent: { work: 1000 }, sections: {} },
+  bookmarks: [],
+  removedBookmarks: {}
+};
+
+const response = (status, body = null, etag = null) => ({
+  status,
+  ok: status >= 200 && status < 300,
+  headers: { get: name => (name === 'ETag' ? etag : null) },
+  json: async () => body
+});
+
+describe('RestProgressSync', () => {
+  let adapter;
+  let cacheManager;
+
+  beforeEach(() => {
+    Object.defineProperty(navigator, 'onLine', { value: true, configurable: true });
+    cacheManager = { addToPendingSync: vi.fn() };
+    adapter = new RestProgressSync({ endpoint: 'http://localhost:8787/', userId: 'alice', token: 'secret', cacheManager });
+  });
+
+  it('should pull the stored document and only ask again when it changed', async () => {
+    global.fetch.mockResolvedValueOnce(response(200, storedDocument, '"v1"'));
+
+    const document = await adapter.pull();
+
+    expect(global.fetch).toHaveBeenCalledWith('http://localhost:8787/api/progress/alice', {
+      headers: { Authorization: 'Bearer secret' }
+    });
+    expect(document).toMatchObject({ device: 'work', progress: { timeSpent: { work: 1000 } } });
+
+    global.fetch.mockResolvedValueOnce(response(304));
+    expect(await adapter.pull()).toBeNull();
+    expect(global.fetch.mock.calls[1][1].headers['If-None-Match']).toBe('"v1"');
+  });
+
+  it('should push with the ETag it last saw and report conflicts', async () => {
+    global.fetch.mockResolvedValueOnce(response(201, storedDocument, '"v1"'));
+    expect(await adapter.push(storedDocument)).toBe('saved');
+    expect(global.fetch.mock.calls[0][1]).toMatchObject({
+      method: 'PUT',
+      headers: { 'If-None-Match': '*', 'Content-Type': 'application/json' },
+      body: JSON.stringify(storedDocument)
+    });
+
+    global.fetch.mockResolvedValueOnce(response(412, null, '"v2"'));
+    expect(await adapter.push(storedDocument)).toBe('conflict');
+    expect(global.fetch.mock.calls[1][1].headers['If-Match']).toBe('"v1"');
+
+    global.fetch.mockResolvedValueOnce(response(500));
+    await expect(adapter.push(storedDocument)).rejects.toThrow('Progress sync failed: 500');
+  });
+
+  it('should queue pushes while offline and pick up the ETag once they are sent', async () => {
+    Object.defineProperty(navigator, 'onLine', { value: false, configurable: true });
+
+    expect(await adapter.pull()).toBeNull();
+    expect(await adapter.push(storedDocument)).toBe('queued');
+    expect(global.fetch).not.toHaveBeenCalled();
+    expect(cacheManager.addToPendingSync).toHaveBeenCalledWith(adapter.url, expect.objectContaining({ method: 'PUT' }));
+
+    window.dispatchEvent(new CustomEvent('pendingsync', {
+      detail: { url: adapter.url, status: 201, ok: true, etag: '"v3"' }
+    }));
+    expect(adapter.etag).toBe('"v3"');
+  });
+
+  it('should sync again when a queued push meets changes from another device', () => {
+    window.progressTracker = { syncAdapter: adapter, syncing: false, syncProgress: vi.fn(async () => true) };
+    try {
+      window.dispatchEvent(new CustomEvent('pendingsync', {
+        detail: { url: adapter.url, status: 412, ok: false, etag: null }
+      }));
+
+      expect(window.progressTracker.syncProgress).toHaveBeenCalledTimes(1);
+      expect(adapter.etag).toBeNull();
+    } finally {
+      delete window.progressTracker;
+    }
+  });
+
+  it('should only sync once the reader chose a server', () => {
+    expect(RestProgressSync.fromSettings(cacheManager)).toBeNull();
+
+    window.localStorage.getItem.mockImplementation(key => (key === 'crypto-guide-sync'
+      ? JSON.stringify({ endpoint: 'https://sync.example.com', userId: 'alice' })
+      : null));
+    try {
+      expect(RestProgressSync.fromSettings(cacheManager).url).toBe('https://sync.example.com/api/progress/alice');
+    } finally {
+      window.localStorage.getItem.mockReset();
+    }
+  });
+});
@@ -2,22 +2,43 @@
  * Progress Tracker Unit Tests
  */
 
-import { describe, it, expect, beforeEach, vi } from "vitest";
+import { describe, it, expect, beforeAll, beforeEach, vi } from "vitest";
+import { readFileSync } from "fs";
+import path from "path";
 import {
   createMockElement,
   simulateUserInteraction,
   waitFor,
 } from "../setup.js";
 
+// Import the navigation model the tracker counts progress with
+import NavigationModel from "../../assets/js/navigation-model.js";
+// Import the document format progress is exported and merged in
+import "../../assets/js/progress-document.js";
+
 // Import the module
 const ProgressTracker = await import(
   "../../assets/js/progress-tracker.js"
 ).then((m) => m.default || m.ProgressTracker);
 
+const rootDir = path.resolve(__dirname, "../..");
+
 describe("ProgressTracker", () => {
   let progressTracker;
   let mockLocalStorage;
 
+  beforeAll(() => {
+    const sections = ["development-roadmap", "node-guides"].map((id) => ({
+      id,
+      content: JSON.parse(
+        readFileSync(path.join(rootDir, "data", `${id}.json`), "utf8")
+      ),
+    }));
+    NavigationModel.add(
+      new NavigationModel(NavigationModel.build(sections, "en"))
+    );
+  });
+
   beforeEach(() => {
     // Reset DOM
     document.body.innerHTML = "";
@@ -75,8 +96,8 @@ describe("ProgressTracker", () => {
         },
       };
 
-      mockLocalStorage.getItem.mockReturnValue(
-        JSON.stringify(existingProgress)
+      mockLocalStorage.getItem.mockImplementation((key) =>
+        key === "crypto-guide-progress" ? JSON.stringify(existingProgress) : null
       );
 
       const tracker = new ProgressTracker();
@@ -108,6 +129,33 @@ describe("ProgressTracker", () => {
       expect(subsection.completedAt).toBeTruthy();
     });
 
+    it("should keep checklist items and the best quiz result of a subsection", () => {
+      const args = ["development-roadmap", "phase-1", "database-schemas"];
+
+      progressTracker.setChecklistItem(...args, 1, true);
+      progressTracker.recordQuizResult(...args, 2, 2);
+      progressTracker.recordQuizResult(...args, 1, 2);
+
+      const checks = progressTracker.getSubsectionChecks(...args);
+      expect(checks.checklist[1]).toMatchObject({ checked: true });
+      expect(checks.quiz).toMatchObject({ score: 2, total: 2, passed: true });
+      expect(
+        progressTracker.progress["development-roadmap"]["phase-1"].subsections[
+          "database-schemas"
+        ].completed
+      ).toBe(false);
+
+      // Completing keeps the checks
+      progressTracker.markSubsectionCompleted(...args);
+      expect(progressTracker.getSubsectionChecks(...args).quiz.passed).toBe(true);
+      expect(
+        progressTracker.exportProgress().progress.sections["development-roadmap"]["phase-1"]
+      ).toMatchObject({
+        subsections: { "database-schemas": expect.any(String) },
+        quizzes: { "database-schemas": { passed: true } },
+      });
+    });
+
     it("should mark phase as completed when all subsections are done", () => {
       // Mark all subsections as completed
       const expectedSubsections = [
@@ -129,6 +177,47 @@ describe("ProgressTracker", () => {
       expect(phaseData.completedAt).toBeTruthy();
     });
 
+    it("should follow subsections and phases added to the navigation model", () => {
+      const model = NavigationModel.get("en");
+      const data = JSON.parse(JSON.stringify(model));
+      data.sections[0].phases[0].subsections.push({
+        id: "key-management",
+        title: "Key Management",
+        description: "",
+      });
+      data.sections[0].phases.push({
+        id: "phase-4",
+        title: "Launch",
+        label: "Phase 4: Launch",
+        description: "",
+        subsections: [],
+      });
+      NavigationModel.add(new NavigationModel(data));
+
+      try {
+        const tracker = new ProgressTracker();
+        ["database-schemas", "payment-gateways", "self-hosted-nodes"].forEach(
+          (subsection) => {
+            tracker.markSubsectionCompleted(
+              "development-roadmap",
+              "phase-1",
+              subsection
+            );
+          }
+        );
+
+        expect(tracker.progress["development-roadmap"]["phase-4"]).toBeDefined();
+        expect(
+          tracker.progress["development-roadmap"]["phase-1"].completed
+        ).toBe(false);
+        expect(
+          tracker.getPhaseProgress("development-roadmap", "phase-1")
+        ).toBe(75);
+      } finally {
+        NavigationModel.add(model);
+      }
+    });
+
     it("should save progress to localStorage when updated", () => {
       progressTracker.markSubsectionCompleted(
         "development-roadmap",
@@ -238,6 +327,25 @@ describe("ProgressTracker", () => {
       );
     });
 
+    it("should leave completion of pages with a checklist or quiz to them", () => {
+      Object.defineProperty(window, "scrollY", { value: 800, writable: true });
+      Object.defineProperty(window, "innerHeight", {
+        value: 600,
+        writable: true,
+      });
+      Object.defineProperty(document.documentElement, "scrollHeight", {
+        value: 1000,
+        writable: true,
+      });
+      document.body.innerHTML = "<section data-quiz></section>";
+
+      const spy = vi.spyOn(progressTracker, "markSubsectionCompleted");
+
+      progressTracker.checkScrollCompletion();
+
+      expect(spy).not.toHaveBeenCalled();
+    });
+
     it("should handle mark complete button clicks", async () => {
       // Create mock button
       const button = createMockElement("button", {
@@ -405,6 +513,73 @@ describe("ProgressTracker", () => {
       expect(progressTracker.bookmarks.length).toBe(1);
     });
 
+    it("should merge progress from another device", () => {
+      progressTracker.markSubsectionCompleted("development-roadmap", "phase-1", "database-schemas");
+      progressTracker.progress.metadata.totalTimeSpent = 60000;
+      const other = progressTracker.exportProgress();
+      other.device = "laptop";
+      other.progress.timeSpent = { laptop: 120000 };
+      other.progress.sections["development-roadmap"]["phase-1"].subsections = {
+        "payment-gateways": "2025-01-02T10:00:00.000Z",
+        "self-hosted-nodes": "2025-01-03T10:00:00.000Z",
+      };
+
+      expect(progressTracker.importProgress(other)).toBe(true);
+      // Importing the same document again changes nothing
+      progressTracker.importProgress(other);
+
+      const phase = progressTracker.progress["development-roadmap"]["phase-1"];
+      expect(Object.keys(phase.subsections).sort()).toEqual(["database-schemas", "payment-gateways", "self-hosted-nodes"]);
+      expect(phase).toMatchObject({ completed: true, completedAt: phase.subsections["database-schemas"].completedAt });
+      expect(progressTracker.getTotalTimeSpent()).toBe(180000);
+      expect(progressTracker.progress.metadata.totalTimeSpent).toBe(60000);
+    });
+
+    it("should move progress with a transfer code", async () => {
+      progressTracker.markSubsectionCompleted("development-roadmap", "phase-2", "api-development");
+      const code = await progressTracker.createTransferCode();
+
+      expect(code).toMatch(/^cgp3z?\.[A-Za-z0-9_-]+$/);
+
+      progressTracker.progress = progressTracker.loadProgress();
+      expect(await progressTracker.importTransferCode(`https://example.com/user-progress.html#progress=${code}`)).toBe(true);
+      expect(progressTracker.progress["development-roadmap"]["phase-2"].subsections["api-development"].completed).toBe(true);
+      expect(await progressTracker.importTransferCode("not a code")).toBe(false);
+    });
+
+    it("should sync progress through a sync adapter", async () => {
+      const remote = progressTracker.exportProgress();
+      remote.device = "laptop";
+      remote.progress.sections["development-roadmap"]["phase-1"].subsections = {
+        "payment-gateways": "2025-01-02T10:00:00.000Z",
+      };
+      // Another device writes between the first pull and push
+      const adapter = {
+        pull: vi.fn().mockResolvedValueOnce(null).mockResolvedValueOnce(remote),
+        push: vi.fn().mockResolvedValueOnce("conflict").mockResolvedValueOnce("saved"),
+      };
+
+      expect(await progressTracker.setSyncAdapter(adapter)).toBe(true);
+      expect(adapter.push).toHaveBeenCalledTimes(2);
+      expect(progressTracker.progress["development-roadmap"]["phase-1"].subsections["payment-gateways"].completed).toBe(true);
+      expect(adapter.push.mock.calls[1][0].progress.sections["development-roadmap"]["phase-1"].subsections)
+        .toHaveProperty("payment-gateways");
+
+      // Later changes are pushed together once they settle
+      adapter.pull.mockResolvedValue(null);
+      adapter.push.mockResolvedValue("saved");
+      vi.useFakeTimers();
+      try {
+        progressTracker.markSubsectionCompleted("development-roadmap", "phase-1", "database-schemas");
+        progressTracker.toggleBookmark();
+        await vi.advanceTimersByTimeAsync(2000);
+      } finally {
+        vi.useRealTimers();
+      }
+      expect(adapter.push).toHaveBeenCalledTimes(3);
+      progressTracker.setSyncAdapter(null);
+    });
+
     it("should reset progress correctly", () => {
       // Add some progress
       progressTracker.markSubsectionCompleted(
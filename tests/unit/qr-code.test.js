@@ -0,0 +1,73 @@
+/**
+ * QR Code Unit Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+
+// Import the encoder
+import QRCode from '../../assets/js/qr-code.js';
+
+// Format bits as drawn next to the top right finder (bits 0-7) and under the
+// bottom left one (bits 8-14)
+const readFormatBits = qr => {
+  let bits = 0;
+  for (let i = 0; i < 8; i++) {
+    bits |= (qr.modules[8][qr.size - 1 - i] ? 1 : 0) << i;
+  }
+  for (let i = 8; i < 15; i++) {
+    bits |= (qr.modules[qr.size - 15 + i][8] ? 1 : 0) << i;
+  }
+  return bits;
+};
+
+describe('QRCode', () => {
+  it('should compute Reed-Solomon error correction codewords', () => {
+    // HELLO WORLD, version 1-M (ISO/IEC 18004 annex I)
+    const data = [32, 91, 11, 120, 209, 114, 220, 77, 67, 64, 236, 17, 236, 17, 236, 17];
+
+    expect(QRCode.getReedSolomonRemainder(data, QRCode.getReedSolomonDivisor(10)))
+      .toEqual([196, 35, 39, 119, 235, 215, 231, 226, 93, 23]);
+  });
+
+  it('should pick the smallest version that holds the text', () => {
+    expect(QRCode.create('https://example.com/').version).toBe(2);
+    expect(QRCode.create('a'.repeat(2953), { errorCorrection: 'L' })).toMatchObject({ version: 40, size: 177 });
+    expect(() => QRCode.create('a'.repeat(2954), { errorCorrection: 'L' })).toThrow('Data too long for a QR code');
+    expect(() => QRCode.create('a', { errorCorrection: 'X' })).toThrow('Unknown error correction level: X');
+  });
+
+  it('should draw format and version information', () => {
+    const data = QRCode.encodeData([104, 105], 8, QRCode.getDataCodewordCount(1, 'L') * 8);
+    const qr = new QRCode(1, 'L', QRCode.addErrorCorrection(data, 1, 'L'), 0);
+
+    expect(readFormatBits(qr)).toBe(0b111011111000100);
+    expect(qr.modules[qr.size - 8][8]).toBe(true);
+
+    const version7 = QRCode.create('a'.repeat(110), { errorCorrection: 'M' });
+    let versionBits = 0;
+    for (let i = 0; i < 18; i++) {
+      versionBits |= (version7.modules[Math.floor(i / 3)][version7.size - 11 + i % 3] ? 1 : 0) << i;
+    }
+    expect(version7.version).toBe(7);
+    expect(versionBits).toBe(0b000111110010010100);
+  });
+
+  it('should draw finder patterns in three corners', () => {
+    const qr = QRCode.create('progress');
+    const finderRow = [true, true, true, true, true, true, true, false];
+
+    expect(qr.modules[0].slice(0, 8)).toEqual(finderRow);
+    expect(qr.modules[0].slice(qr.size - 8).reverse()).toEqual(finderRow);
+    expect(qr.modules[qr.size - 1].slice(0, 8)).toEqual(finderRow);
+    expect(qr.modules[2].slice(0, 7)).toEqual([true, false, true, true, true, false, true]);
+  });
+
+  it('should render as SVG with a quiet zone', () => {
+    const qr = QRCode.create('progress');
+    const svg = qr.toSvg({ title: 'Progress "code"' });
+
+    expect(svg).toContain(`viewBox="0 0 ${qr.size + 8} ${qr.size + 8}"`);
+    expect(svg).toContain('aria-label="Progress &quot;code&quot;"');
+    expect(svg).toContain('M4,4h1v1h-1z');
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Content Schema Validator Unit Tests
+ */
+
+import { describe, it, expect, beforeAll } from 'vitest';
+import { readFileSync } from 'fs';
+import path from 'path';
+
+// Import the build-time validator and the published schema
+import { SchemaValidator, getPointerLines } from '../../build/schema-validator.js';
+import ComponentBuilder from '../../build/component-builder.js';
+
+const rootDir = path.resolve(__dirname, '../..');
+const schema = JSON.parse(readFileSync(path.join(rootDir, 'data/schema/content.schema.json'), 'utf8'));
+
+const validContent = () => ({
+  title: 'Guide',
+  description: 'A guide',
+  phases: [{
+    id: 'phase-1',
+    title: 'Phase 1',
+    description: 'First phase',
+    difficulty: 'beginner',
+    subsections: [{
+      id: 'setup',
+      title: 'Setup',
+      description: 'Set things up',
+      content: 'Install the tools',
+      codeBlocks: [{ language: 'bash', title: 'Install', code: 'apt install nodejs' }],
+      osSpecific: { linux: { title: 'Linux', code: 'sudo apt update' } }
+    }]
+  }]
+});
+
+describe('SchemaValidator', () => {
+  let validator;
+
+  beforeAll(() => {
+    validator = new SchemaValidator(schema);
+  });
+
+  describe('Content files', () => {
+    it('should accept the content files in data/', async () => {
+      const builder = new ComponentBuilder(rootDir);
+      expect(await builder.validateContent()).toEqual([]);
+    });
+
+    it('should accept a minimal valid file', () => {
+      expect(validator.validate(validContent())).toEqual([]);
+    });
+
+    it('should report errors with a JSON pointer', () => {
+      const content = validContent();
+      content.phases[0].difficulty = 'expert';
+      delete content.phases[0].subsections[0].content;
+
+      expect(validator.validate(content)).toEqual([
+        expect.objectContaining({ pointer: '/phases/0/difficulty', keyword: 'enum' }),
+        expect.objectContaining({ pointer: '/phases/0/subsections/0', keyword: 'required', message: 'is missing required property "content"' })
+      ]);
+    });
+
+    it('should reject unknown keys, bad ids and invalid dates', () => {
+      const content = validContent();
+      content.lastUpdated = '2025-02-30';
+      content.phases[0].id = 'Phase 1';
+      content.phases[0].subsections[0].codeBlock = [];
+      content.phases[0].subsections[0].osSpecific = { freebsd: { code: 'pkg install node' } };
+
+      expect(validator.validate(content).map(error => `${error.pointer} ${error.keyword}`).sort()).toEqual([
+        '/lastUpdated format',
+        '/phases/0/id pattern',
+        '/phases/0/subsections/0/codeBlock additionalProperties',
+        '/phases/0/subsections/0/osSpecific/freebsd additionalProperties'
+      ]);
+    });
+
+    it('should validate table rows as arrays of strings', () => {
+      const content = validContent();
+      content.phases[0].subsections[0].tables = [{ headers: ['Port'], rows: [['8333'], '8333'] }];
+
+      expect(validator.validate(content)).toEqual([
+        expect.objectContaining({ pointer: '/phases/0/subsections/0/tables/0/rows/1', message: 'must be array, got string' })
+      ]);
+    });
+
+    it('should validate checklists and quiz questions', () => {
+      const content = validContent();
+      Object.assign(content.phases[0].subsections[0], {
+        checklist: ['Installed Node.js', ''],
+        quiz: [
+          { question: 'Which command installs Node.js?', options: ['apt install nodejs', 'npm install'], answer: 0 },
+          { question: 'Pick one', options: ['Only option'], answer: -1, hint: 'none' }
+        ]
+      });
+
+      expect(validator.validate(content).map(error => `${error.pointer} ${error.keyword}`)).toEqual([
+        '/phases/0/subsections/0/checklist/1 minLength',
+        '/phases/0/subsections/0/quiz/1/options minItems',
+        '/phases/0/subsections/0/quiz/1/answer minimum',
+        '/phases/0/subsections/0/quiz/1/hint additionalProperties'
+      ]);
+    });
+  });
+
+  describe('Translations', () => {
+    it('should require navigation and common strings', () => {
+      const translation = {
+        title: 'Gids',
+        description: 'Een gids',
+        navigation: { home: 'Home' },
+        common: {}
+      };
+
+      const pointers = validator.validate(translation, { $ref: '#/$defs/translation' }).map(error => error.pointer);
+      expect(pointers).toContain('/navigation');
+      expect(pointers).toContain('/common');
+    });
+  });
+
+  describe('Source locations', () => {
+    it('should map pointers to line numbers', () => {
+      const lines = getPointerLines('{\n  "a": [\n    1,\n    {"b/c": true}\n  ]\n}');
+
+      expect(lines.get('')).toBe(1);
+      expect(lines.get('/a')).toBe(2);
+      expect(lines.get('/a/0')).toBe(3);
+      expect(lines.get('/a/1/b~1c')).toBe(4);
+    });
+
+    it('should add line numbers when validating source text', () => {
+      const source = JSON.stringify({ ...validContent(), extra: true }, null, 2);
+      const { errors } = validator.validateSource(source);
+
+      expect(errors).toEqual([expect.objectContaining({ pointer: '/extra', line: source.split('\n').length - 1 })]);
+    });
+
+    it('should report syntax errors with a line', () => {
+      const { value, errors } = validator.validateSource('{\n  "title": "x",\n}');
+
+      expect(value).toBeUndefined();
+      expect(errors).toEqual([expect.objectContaining({ keyword: 'syntax', line: 3 })]);
+    });
+  });
+});
@@ -0,0 +1,172 @@
+/**
+ * Search Index Unit Tests
+ */
+
+import { describe, it, expect, beforeAll, vi } from 'vitest';
+import path from 'path';
+
+// Import the shared index and the build that feeds it
+import SearchIndex from '../../assets/js/search-index.js';
+import ComponentBuilder from '../../build/component-builder.js';
+
+const rootDir = path.resolve(__dirname, '../..');
+
+describe('SearchIndex', () => {
+  describe('Text analysis', () => {
+    it('should stem English with Porter', () => {
+      expect(SearchIndex.tokenize('Configuring configurations', 'en')).toEqual(['configur', 'configur']);
+      expect(SearchIndex.tokenize('caresses ponies hopping generalization', 'en')).toEqual(['caress', 'poni', 'hop', 'gener']);
+    });
+
+    it('should stem Dutch and French and fold accents', () => {
+      expect(SearchIndex.tokenize('knooppunten bestanden beveiliging', 'nl')).toEqual(['knooppunt', 'bestand', 'beveil']);
+      expect(SearchIndex.tokenize('Les serveurs sécurisés', 'fr')).toEqual(['serveur', 'securis']);
+      expect(SearchIndex.tokenize('sécurité', 'fr')).toEqual(SearchIndex.tokenize('securite', 'fr'));
+    });
+
+    it('should drop stopwords and split on punctuation', () => {
+      expect(SearchIndex.tokenize('The node and the wallet', 'en')).toEqual(['node', 'wallet']);
+      expect(SearchIndex.tokenize('De server van het netwerk', 'nl')).toEqual(['server', 'netwerk']);
+      expect(SearchIndex.tokenize("l'installation du nœud, port 18080", 'fr')).toEqual(['instal', 'nœud', 'port', '18080']);
+      expect(SearchIndex.tokenize('ufw allow 18080/tcp', 'en')).toEqual(['ufw', 'allow', '18080', 'tcp']);
+    });
+  });
+
+  describe('Ranking', () => {
+    const documents = [
+      { type: 'subsection', title: 'Wallet Backups', content: 'Keep a copy of the seed. A firewall is mentioned once.', url: '/a' },
+      { type: 'subsection', title: 'Firewall Configuration', content: 'Configure ufw to allow the node port.', url: '/b' },
+      { type: 'phase', title: 'Server Security', description: 'Firewalls, SSH keys and updates', url: '/c' }
+    ];
+    let index;
+
+    beforeAll(() => {
+      index = new SearchIndex(JSON.parse(JSON.stringify(SearchIndex.build(documents, 'en'))));
+    });
+
+    it('should store delta-encoded postings with field-weighted frequencies', () => {
+      const data = SearchIndex.build(documents, 'en');
+
+      expect(data.terms.firewal).toEqual([0, 1, 1, 5, 1, 2]);
+      expect(data.documents[1]).toEqual({ type: 'subsection', title: 'Firewall Configuration', url: '/b' });
+      expect(data.lengths).toHaveLength(3);
+    });
+
+    it('should rank title matches above passing mentions', () => {
+      const results = index.search('firewalls');
+
+      expect(results.map(result => result.document.url)).toEqual(['/b', '/c', '/a']);
+      expect(results[0].score).toBeGreaterThan(results[1].score);
+    });
+
+    it('should score documents matching more query terms higher', () => {
+      const results = index.search('configure firewall');
+
+      expect(results[0].document.url).toBe('/b');
+      expect(results[0]).toMatchObject({ matchedTerms: 2, relevance: 100 });
+    });
+
+    it('should filter and limit results', () => {
+      expect(index.search('firewall', { filter: document => document.type === 'phase' }).map(result => result.document.url)).toEqual(['/c']);
+      expect(index.search('firewall', { limit: 1 })).toHaveLength(1);
+      expect(index.search('the and')).toEqual([]);
+    });
+
+    it('should match terms being typed and terms with typos', () => {
+      expect(index.search('firew').map(result => result.document.url)).toEqual(['/b', '/c', '/a']);
+      expect(index.search('firewal')[0].document.url).toBe('/b');
+      expect(index.search('confgure ufw')[0]).toMatchObject({ matchedTerms: 2 });
+      expect(index.search('fire')[0].score).toBeLessThan(index.search('firewall')[0].score);
+    });
+
+    it('should not match short words against other words', () => {
+      expect(index.search('sed')).toEqual([]);
+      expect(index.search('seeds')[0].document.url).toBe('/a');
+    });
+
+    it('should complete words and suggest corrections', () => {
+      expect(index.complete('fire')).toEqual(['firewall']);
+      expect(index.complete('con')).toEqual(['configuration']);
+      expect(index.suggestQuery('walet backpus')).toBe('wallet backups');
+      expect(index.suggestQuery('sed')).toBe('seed');
+      expect(index.suggestQuery('firewall')).toBeNull();
+      expect(index.suggestQuery('xylophone')).toBeNull();
+    });
+
+    it('should require phrases and leave out excluded words and phrases', () => {
+      const urls = (query, options) => index.search(query, options).map(result => result.document.url);
+
+      expect(SearchIndex.build(documents, 'en').pairs['firewal configur']).toEqual([1]);
+      expect(urls('', { phrases: ['firewall configuration'] })).toEqual(['/b']);
+      expect(urls('', { phrases: ['configuration firewall'] })).toEqual([]);
+      expect(urls('firewall', { exclude: ['seed'] })).toEqual(['/b', '/c']);
+      expect(urls('firewall', { exclude: ['ssh keys', 'ufw'] })).toEqual(['/a']);
+      expect(urls('', { exclude: ['ufw'] })).toEqual([]);
+      expect(urls('', { exclude: ['ufw'], matchAll: true })).toEqual(['/a', '/c']);
+    });
+
+    it('should find the line matching the most terms', () => {
+      const terms = new Set(SearchIndex.tokenize('allow port', 'en'));
+      const code = 'sudo ufw enable\nsudo ufw allow 22\nsudo ufw allow 18080 # node port';
+
+      expect(index.findLine(code, terms)).toBe(3);
+      expect(index.findLine(code, new Set(['seed']))).toBe(0);
+      expect(index.search('ufw')[0].terms).toEqual(['ufw']);
+    });
+
+    it('should reject data in another format', () => {
+      expect(() => new SearchIndex({ searchIndex: [] })).toThrow('Unsupported search index format');
+    });
+  });
+
+  describe('Site index', () => {
+    const indexes = {};
+
+    beforeAll(async () => {
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const builder = new ComponentBuilder(rootDir);
+      for (const language of ['en', 'nl', 'fr']) {
+        const documents = [];
+        for (const contentType of ['development-roadmap', 'node-guides']) {
+          documents.push(...builder.getSearchDocuments(contentType, await builder.loadContent(contentType, language)));
+        }
+        indexes[language] = new SearchIndex(SearchIndex.build(documents, language));
+      }
+      vi.restoreAllMocks();
+    });
+
+    it('should index full text, code block titles and table cells', () => {
+      expect(indexes.en.search('Hetzner')[0].document.url).toBe('/node-guides/procurement-provisioning/vps-selection.html');
+      expect(indexes.en.search('server specifications check')[0].document.id).toBe('vps-selection');
+    });
+
+    it('should link results to the pages of their language', () => {
+      expect(indexes.en.search('firewall')[0].document.url).toBe('/node-guides/server-security/firewall-config.html');
+      expect(indexes.nl.search('firewall')[0].document.url).toBe('/nl/node-guides/server-security/firewall-config.html');
+      expect(indexes.fr.search('sécurité serveur')[0].document.url).toMatch(/^\/fr\/node-guides\/server-security\//);
+    });
+
+    it('should index code blocks with their language and title', () => {
+      const [result] = indexes.en.search('maxconnections');
+
+      expect(result.document).toMatchObject({ type: 'code', title: 'Bitcoin Configuration', id: 'configuration' });
+      expect(result.document.code.split('\n')[indexes.en.findLine(result.document.code, result.terms) - 1]).toMatch(/^maxconnections=/);
+      expect(indexes.en.search('ufw allow 18080', { filter: document => document.type === 'code' })[0].document.blockId).toBe('firewall-config-code-1');
+    });
+
+    it('should find misspelled and unfinished words', () => {
+      expect(indexes.en.search('firewal')[0].document.id).toBe('firewall-config');
+      expect(indexes.en.search('monro').length).toBeGreaterThan(0);
+      expect(indexes.en.suggestQuery('monro')).toBe('monero');
+      expect(indexes.fr.suggestQuery('monro')).toBe('monero');
+    });
+
+    it('should answer queries in under 50 ms', () => {
+      const start = performance.now();
+      for (const query of ['bitcoin node setup', 'database schema', 'security firewall', 'monero synchronization monitoring', 'monro', 'databse schma']) {
+        indexes.en.search(query);
+      }
+      expect((performance.now() - start) / 6).toBeLessThan(50);
+    });
+  });
+});
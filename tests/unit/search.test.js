@@ -2,11 +2,18 @@
  * Search Engine Unit Tests
  */
 
-import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { createMockElement, simulateUserInteraction, waitFor } from '../setup.js';
 
-// Import the SearchEngine class
+// Import the SearchEngine class, the index it ranks with (a global in the
+// browser) and the URL helpers it keeps the query in (window.utils)
 import SearchEngine from '../../assets/js/search.js';
+import SearchIndex from '../../assets/js/search-index.js';
+import utils from '../../assets/js/utils.js';
+import SyntaxHighlighter from '../../assets/js/syntax-highlighter.js';
+import CacheManager from '../../assets/js/cache-manager.js';
+
+globalThis.SearchIndex = SearchIndex;
 
 describe('SearchEngine', () => {
   let searchEngine;
@@ -47,10 +54,14 @@ describe('SearchEngine', () => {
       }
     ];
 
-    // Mock fetch to return search index
+    // The mocked window.location is no URL to edit
+    vi.spyOn(utils.url, 'setParam').mockImplementation(() => {});
+    vi.spyOn(utils.url, 'removeParam').mockImplementation(() => {});
+
+    // Mock fetch to return the index the build writes
     global.fetch.mockResolvedValue({
       ok: true,
-      json: () => Promise.resolve({ searchIndex: mockSearchIndex })
+      json: () => Promise.resolve(SearchIndex.build(mockSearchIndex, 'en'))
     });
 
     // Create mock DOM elements
@@ -78,13 +89,19 @@ describe('SearchEngine', () => {
   });
 
   describe('Initialization', () => {
-    it('should initialize successfully with search index', async () => {
+    it('should initialize successfully and load the index on first search', async () => {
       searchEngine = new SearchEngine();
       
       await waitFor(() => searchEngine.isInitialized);
       
       expect(searchEngine.isInitialized).toBe(true);
-      expect(searchEngine.searchIndex).toEqual(mockSearchIndex);
+      expect(global.fetch).not.toHaveBeenCalled();
+
+      await searchEngine.performSearch('database');
+
+      expect(global.fetch).toHaveBeenCalledWith('/data/search/en.json');
+      expect(searchEngine.searchIndex.map(item => item.title)).toEqual(mockSearchIndex.map(item => item.title));
+      expect(searchEngine.searchResults[0].title).toBe('Database Schemas');
     });
 
     it('should handle fetch errors gracefully', async () => {
@@ -106,6 +123,7 @@ describe('SearchEngine', () => {
     beforeEach(async () => {
       searchEngine = new SearchEngine();
       await waitFor(() => searchEngine.isInitialized);
+      await searchEngine.loadSearchIndex();
     });
 
     it('should perform basic text search', () => {
@@ -155,7 +173,7 @@ describe('SearchEngine', () => {
         url: `/test-${i}.html`
       }));
       
-      searchEngine.searchIndex = [...mockSearchIndex, ...manyResults];
+      searchEngine.index = new SearchIndex(SearchIndex.build([...mockSearchIndex, ...manyResults], 'en'));
       
       const results = searchEngine.searchContent('database');
       
@@ -167,6 +185,7 @@ describe('SearchEngine', () => {
     beforeEach(async () => {
       searchEngine = new SearchEngine();
       await waitFor(() => searchEngine.isInitialized);
+      await searchEngine.loadSearchIndex();
     });
 
     it('should filter by section', () => {
@@ -337,6 +356,7 @@ describe('SearchEngine', () => {
     beforeEach(async () => {
       searchEngine = new SearchEngine();
       await waitFor(() => searchEngine.isInitialized);
+      await searchEngine.loadSearchIndex();
     });
 
     it('should generate suggestions for partial queries', () => {
@@ -356,6 +376,30 @@ describe('SearchEngine', () => {
       
       expect(suggestions.length).toBeLessThanOrEqual(5);
     });
+
+    it('should complete the last word of the query', () => {
+      expect(searchEngine.getSuggestions('crypto ser')).toEqual(['crypto server']);
+      expect(searchEngine.getSuggestions('Payment GATE')).toEqual(['payment gateways']);
+    });
+
+    it('should find results despite typos', () => {
+      expect(searchEngine.searchContent('databse')[0].title).toBe('Database Schemas');
+    });
+
+    it('should offer a correction when nothing is found', async () => {
+      await searchEngine.performSearch('paymnt gatewey setup');
+      expect(document.querySelector('.search-did-you-mean')).toBeNull();
+
+      await searchEngine.performSearch('chosing');
+      const suggestion = document.querySelector('.search-did-you-mean .search-suggestion');
+      expect(document.getElementById('search-results').textContent).toContain('No results found');
+      expect(suggestion.textContent).toBe('choosing');
+
+      suggestion.click();
+      await waitFor(() => searchEngine.searchResults.length > 0);
+      expect(document.getElementById('search-input').value).toBe('choosing');
+      expect(searchEngine.currentQuery).toBe('choosing');
+    });
   });
 
   describe('Utility Functions', () => {
@@ -418,6 +462,330 @@ describe('SearchEngine', () => {
     });
   });
 
+  describe('Query Syntax', () => {
+    beforeEach(async () => {
+      for (const [id, values] of [['section-filter', ['all', 'development-roadmap', 'node-guides']], ['type-filter', ['all', 'overview', 'phase', 'guide']]]) {
+        document.getElementById(id).append(...values.map(value => createMockElement('option', { value }, value)));
+      }
+      searchEngine = new SearchEngine();
+      await waitFor(() => searchEngine.isInitialized);
+    });
+
+    it('should parse phrases, exclusions and field filters', () => {
+      const query = '"cold storage" -lightning section:node-guides type:subsection lang:fr difficulty:advanced';
+      const parsed = searchEngine.parseQuery(query);
+
+      expect(parsed).toEqual({
+        text: '',
+        phrases: ['cold storage'],
+        exclude: ['lightning'],
+        filters: { section: 'node-guides', type: 'subsection', language: 'fr', difficulty: 'advanced' }
+      });
+      expect(searchEngine.formatQuery(parsed)).toBe(query);
+      expect(searchEngine.parseQuery('ufw allow 18080:tcp -"port forwarding" http://localhost')).toEqual({
+        text: 'ufw allow 18080:tcp http://localhost',
+        phrases: [],
+        exclude: ['port forwarding'],
+        filters: {}
+      });
+    });
+
+    it('should require phrases and leave out exclusions', async () => {
+      await searchEngine.performSearch('"crypto transactions"');
+      expect(searchEngine.searchResults.map(result => result.title)).toEqual(['Payment Gateways']);
+
+      await searchEngine.performSearch('"transactions crypto"');
+      expect(searchEngine.searchResults).toHaveLength(0);
+
+      await searchEngine.performSearch('crypto -payment');
+      expect(searchEngine.searchResults.map(result => result.title)).toEqual(['VPS Selection']);
+    });
+
+    it('should list everything a query of only filters allows', async () => {
+      await searchEngine.performSearch('section:development-roadmap -bitcoin');
+
+      expect(searchEngine.searchResults.map(result => result.title)).toEqual(['Database Schemas']);
+      expect(searchEngine.filters).toEqual({ section: 'development-roadmap', type: 'all', language: null, difficulty: 'all' });
+    });
+
+    it('should keep the dropdowns and the query in sync', async () => {
+      const searchInput = document.getElementById('search-input');
+      const sectionFilter = document.getElementById('section-filter');
+      const typeFilter = document.getElementById('type-filter');
+
+      await searchEngine.performSearch('crypto section:node-guides type:guide');
+      expect(sectionFilter.value).toBe('node-guides');
+      expect(typeFilter.value).toBe('guide');
+      expect(searchEngine.searchResults.map(result => result.title)).toEqual(['VPS Selection']);
+
+      searchInput.value = 'crypto section:node-guides type:guide';
+      sectionFilter.value = 'development-roadmap';
+      sectionFilter.dispatchEvent(new Event('change'));
+      await waitFor(() => searchEngine.searchResults[0]?.title === 'Payment Gateways');
+      expect(searchInput.value).toBe('crypto type:guide section:development-roadmap');
+
+      typeFilter.value = 'all';
+      typeFilter.dispatchEvent(new Event('change'));
+      expect(searchInput.value).toBe('crypto section:development-roadmap');
+      expect(searchEngine.filters.type).toBe('all');
+    });
+
+    it('should keep the query in the URL and run shared searches', async () => {
+      await searchEngine.performSearch('"crypto node" -payment');
+      expect(utils.url.setParam).toHaveBeenLastCalledWith('q', '"crypto node" -payment');
+
+      searchEngine.clearSearch();
+      expect(utils.url.removeParam).toHaveBeenCalledWith('q');
+
+      window.location.search = '?q=database+type%3Aguide';
+      searchEngine = new SearchEngine();
+      await waitFor(() => searchEngine.searchResults.length > 0);
+
+      expect(document.getElementById('search-input').value).toBe('database type:guide');
+      expect(searchEngine.searchResults[0].title).toBe('Database Schemas');
+    });
+
+    it('should show a query from the URL as text', async () => {
+      window.location.search = '?q=%3Cimg+src%3Dx+onerror%3Dalert(1)%3E';
+      searchEngine = new SearchEngine();
+      await waitFor(() => document.querySelector('.search-query'));
+
+      expect(document.querySelector('#search-results img')).toBeNull();
+      expect(document.querySelector('.search-query').textContent).toBe('<img src=x onerror=alert(1)>');
+    });
+
+    it('should only highlight and correct the words searched for', async () => {
+      await searchEngine.performSearch('"payment gateways" -vps section:development-roadmap');
+      const title = document.querySelector('.search-result-title').innerHTML;
+      expect(title).toBe('<mark>Payment</mark> <mark>Gateways</mark>');
+
+      await searchEngine.performSearch('chosing -payment type:guide');
+      expect(document.querySelector('.search-suggestion').textContent).toBe('choosing -payment type:guide');
+    });
+  });
+
+  describe('Languages', () => {
+    const documents = {
+      en: [
+        { type: 'phase', section: 'node-guides', id: 'server-security', title: 'Server Security', description: 'Harden the server', url: '/node-guides/server-security/' },
+        { type: 'subsection', section: 'node-guides', phaseId: 'server-security', id: 'firewall-config', title: 'Firewall Configuration', description: 'Set up ufw', phase: 'Server Security', url: '/node-guides/server-security/firewall-config.html' }
+      ],
+      nl: [
+        { type: 'phase', section: 'node-guides', id: 'server-security', title: 'Serverbeveiliging', description: 'Beveilig de server', url: '/nl/node-guides/server-security/' },
+        { type: 'subsection', section: 'node-guides', phaseId: 'server-security', id: 'firewall-config', title: 'Firewall instellen', description: 'Stel ufw in', phase: 'Serverbeveiliging', url: '/nl/node-guides/server-security/firewall-config.html' }
+      ]
+    };
+
+    beforeEach(async () => {
+      global.fetch.mockImplementation(async url => {
+        const language = /\/data\/search\/(\w+)\.json$/.exec(url)[1];
+        return { ok: true, json: async () => SearchIndex.build(documents[language], language) };
+      });
+      searchEngine = new SearchEngine();
+      await waitFor(() => searchEngine.isInitialized);
+    });
+
+    it('should search the new language and link to its pages on languagechange', async () => {
+      await searchEngine.performSearch('firewall');
+      expect(searchEngine.searchResults[0].url).toBe('/node-guides/server-security/firewall-config.html');
+
+      document.dispatchEvent(new CustomEvent('languagechange', { detail: { language: 'nl', previousLanguage: 'en' } }));
+      await waitFor(() => searchEngine.searchResults[0]?.title === 'Firewall instellen');
+
+      expect(global.fetch).toHaveBeenCalledWith('/data/search/nl.json');
+      expect(searchEngine.searchResults).toHaveLength(1);
+      expect(searchEngine.searchResults[0].phase).toBe('Serverbeveiliging');
+      expect(document.querySelector('.search-result-item').dataset.url).toBe('/nl/node-guides/server-security/firewall-config.html');
+    });
+
+    it('should use the base language index for regional variants', async () => {
+      searchEngine.handleLanguageChange('nl-BE');
+      await searchEngine.loadSearchIndex();
+
+      expect(global.fetch).toHaveBeenCalledWith('/data/search/nl.json');
+      expect(searchEngine.searchContent('serverbeveiliging')[0].url).toBe('/nl/node-guides/server-security/');
+    });
+
+    it('should search another language with lang: without switching to it', async () => {
+      await searchEngine.performSearch('beveilig lang:nl');
+
+      expect(global.fetch).toHaveBeenCalledWith('/data/search/nl.json');
+      expect(searchEngine.searchResults[0].url).toBe('/nl/node-guides/server-security/');
+      expect(searchEngine.language).toBe('en');
+
+      window.i18n = { isLanguageSupported: language => ['en', 'nl'].includes(language) };
+      try {
+        await searchEngine.performSearch('firewall lang:de');
+      } finally {
+        delete window.i18n;
+      }
+      expect(searchEngine.filters.language).toBeNull();
+      expect(searchEngine.searchResults[0].url).toBe('/node-guides/server-security/firewall-config.html');
+    });
+
+    it('should start in the language switcher language', async () => {
+      window.languageSwitcher = { getCurrentLanguage: () => 'nl' };
+      try {
+        searchEngine = new SearchEngine();
+        await waitFor(() => searchEngine.isInitialized);
+      } finally {
+        delete window.languageSwitcher;
+      }
+
+      await searchEngine.performSearch('beveilig');
+
+      expect(searchEngine.language).toBe('nl');
+      expect(searchEngine.searchResults[0].url).toBe('/nl/node-guides/server-security/');
+    });
+  });
+
+  describe('Code Results', () => {
+    const code = [
+      '# Install UFW',
+      'sudo apt install ufw',
+      'sudo ufw default deny incoming',
+      'sudo ufw allow 22/tcp',
+      'sudo ufw allow 18080/tcp',
+      'sudo ufw enable'
+    ].join('\n');
+
+    beforeEach(async () => {
+      global.fetch.mockResolvedValue({
+        ok: true,
+        json: () => Promise.resolve(SearchIndex.build([
+          ...mockSearchIndex,
+          { type: 'code', section: 'node-guides', id: 'firewall-config', blockId: 'firewall-config-code-1', title: 'UFW Firewall Setup', subsection: 'Firewall Configuration', language: 'bash', url: '/node-guides/server-security/firewall-config.html', code }
+        ], 'en'))
+      });
+      window.syntaxHighlighter = Object.assign(Object.create(SyntaxHighlighter.prototype), {
+        loadHighlightJS: vi.fn(() => Promise.resolve())
+      });
+      searchEngine = new SearchEngine();
+      await waitFor(() => searchEngine.isInitialized);
+    });
+
+    afterEach(() => {
+      delete window.syntaxHighlighter;
+    });
+
+    it('should link code hits to their line in the block', async () => {
+      await searchEngine.performSearch('allow 18080');
+
+      expect(searchEngine.searchResults[0]).toMatchObject({
+        type: 'code',
+        line: 5,
+        url: '/node-guides/server-security/firewall-config.html#firewall-config-code-1:L5'
+      });
+      expect(document.querySelector('.search-result-line').textContent).toBe('Line 5');
+    });
+
+    it('should show the lines around the match with the match highlighted', async () => {
+      await searchEngine.performSearch('18080 -vps');
+      const snippet = document.querySelector('.search-code-snippet code');
+
+      expect(snippet.classList.contains('language-bash')).toBe(true);
+      expect(snippet.textContent).toBe(code.split('\n').slice(2).join('\n'));
+      expect(snippet.querySelector('.code-line-highlighted').textContent).toBe('sudo ufw allow 18080/tcp');
+      expect(window.syntaxHighlighter.loadHighlightJS).toHaveBeenCalled();
+    });
+  });
+
+  describe('Analytics Events', () => {
+    beforeEach(async () => {
+      searchEngine = new SearchEngine();
+      await waitFor(() => searchEngine.isInitialized);
+    });
+
+    it('should report each search and the rank of the opened result', async () => {
+      const queries = vi.fn();
+      const clicks = vi.fn();
+      document.addEventListener('searchquery', queries);
+      document.addEventListener('searchresultclick', clicks);
+
+      try {
+        await searchEngine.performSearch('database vps');
+        await searchEngine.performSearch('lightning');
+        await searchEngine.performSearch('vps');
+        document.querySelector('.search-result-item').click();
+      } finally {
+        document.removeEventListener('searchquery', queries);
+        document.removeEventListener('searchresultclick', clicks);
+      }
+
+      expect(queries.mock.calls.map(([event]) => event.detail)).toEqual([
+        { query: 'database vps', resultCount: 2, language: 'en' },
+        { query: 'lightning', resultCount: 0, language: 'en' },
+        { query: 'vps', resultCount: 1, language: 'en' }
+      ]);
+      expect(clicks.mock.calls[0][0].detail).toEqual({ query: 'vps', rank: 1, url: mockSearchIndex[2].url });
+    });
+  });
+
+  describe('Offline', () => {
+    beforeEach(async () => {
+      // What sw.js precached, plus one page that was visited
+      const cachedIndex = SearchIndex.build(mockSearchIndex, 'en');
+      const cache = {
+        keys: async () => ['/', '/node-guides/procurement-provisioning/vps-selection.html', '/data/search/en.json']
+          .map(path => new Request(`http://localhost${path}`)),
+        match: async url => (url === '/data/search/en.json' ? new Response(JSON.stringify(cachedIndex)) : undefined)
+      };
+      global.caches = { open: vi.fn(async () => cache) };
+      window.cacheManager = Object.assign(Object.create(CacheManager.prototype), {
+        cacheName: 'crypto-guide-cache-v3',
+        isOnline: false
+      });
+      global.fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+
+      searchEngine = new SearchEngine();
+      await waitFor(() => searchEngine.isInitialized);
+    });
+
+    afterEach(() => {
+      delete window.cacheManager;
+      delete global.caches;
+    });
+
+    it('should search the cached index while offline', async () => {
+      await searchEngine.performSearch('vps');
+
+      expect(global.fetch).not.toHaveBeenCalled();
+      expect(global.caches.open).toHaveBeenCalledWith('crypto-guide-cache-v3');
+      expect(searchEngine.searchResults[0].title).toBe('VPS Selection');
+    });
+
+    it('should mark which results open offline', async () => {
+      await searchEngine.performSearch('database vps');
+      const items = Array.from(document.querySelectorAll('.search-result-item'));
+      const item = title => items.find(element => element.querySelector('.search-result-title').textContent === title);
+
+      expect(item('VPS Selection').querySelector('.search-result-offline').textContent).toBe('Available offline');
+      expect(item('VPS Selection').classList.contains('search-result-unavailable')).toBe(false);
+      expect(item('Database Schemas').querySelector('.search-result-offline').textContent).toBe('Not available offline');
+      expect(item('Database Schemas').classList.contains('search-result-unavailable')).toBe(true);
+      expect(document.querySelector('.search-offline-note')).not.toBeNull();
+    });
+
+    it('should list directory pages under both names', async () => {
+      const pages = await window.cacheManager.getCachedPages();
+
+      expect(window.cacheManager.isPageCached(pages, '/index.html')).toBe(true);
+      expect(window.cacheManager.isPageCached(pages, '/node-guides/procurement-provisioning/vps-selection.html#step-2')).toBe(true);
+      expect(pages.has('/data/search/en.json')).toBe(false);
+    });
+
+    it('should fall back to the cache when the network fails', async () => {
+      window.cacheManager.isOnline = true;
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+
+      await searchEngine.performSearch('vps');
+
+      expect(global.fetch).toHaveBeenCalledWith('/data/search/en.json');
+      expect(searchEngine.searchResults[0].title).toBe('VPS Selection');
+      expect(document.querySelector('.search-result-offline')).toBeNull();
+    });
+  });
+
   describe('Error Handling', () => {
     it('should handle missing DOM elements gracefully', async () => {
       // Remove search input
@@ -436,12 +804,16 @@ describe('SearchEngine', () => {
         ok: true,
         json: () => Promise.resolve({ searchIndex: null })
       });
+      vi.spyOn(console, 'error').mockImplementation(() => {});
       
       searchEngine = new SearchEngine();
+      await waitFor(() => searchEngine.isInitialized);
       
-      await new Promise(resolve => setTimeout(resolve, 100));
-      
+      await expect(searchEngine.loadSearchIndex()).rejects.toThrow('Unsupported search index format');
       expect(searchEngine.searchIndex).toBeNull();
+
+      await searchEngine.performSearch('database');
+      expect(document.getElementById('search-results').innerHTML).toContain('Search is not available');
     });
   });
 });
\ No newline at end of file
@@ -0,0 +1,114 @@
+/**
+ * Subsection Checks Unit Tests
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, vi } from 'vitest';
+import { readFileSync } from 'fs';
+import { createHash } from 'crypto';
+import path from 'path';
+import { waitFor } from '../setup.js';
+
+// Import the navigation model pages are found in
+import NavigationModel from '../../assets/js/navigation-model.js';
+
+// Import the module
+import SubsectionChecks from '../../assets/js/subsection-checks.js';
+
+const rootDir = path.resolve(__dirname, '../..');
+
+const answerDigest = createHash('sha256').update('download-verification-quiz-1:1').digest('hex');
+
+// As rendered by templates/content-page.html
+const checksHtml = `
+  <section data-checklist>
+    <ul class="checklist">
+      <li><input type="checkbox" class="checklist-checkbox" id="c1" data-index="0"></li>
+      <li><input type="checkbox" class="checklist-checkbox" id="c2" data-index="1"></li>
+    </ul>
+  </section>
+  <section data-quiz>
+    <form class="quiz-form">
+      <fieldset class="quiz-question" id="download-verification-quiz-1" data-index="0" data-answer-digest="${answerDigest}">
+        <input type="radio" name="q1" value="0">
+        <input type="radio" name="q1" value="1">
+        <p class="quiz-explanation" hidden>Because.</p>
+      </fieldset>
+      <button type="submit">Check answers</button>
+      <p class="quiz-result" role="status"></p>
+    </form>
+  </section>
+`;
+
+describe('SubsectionChecks', () => {
+  let checks;
+  let tracker;
+
+  beforeAll(() => {
+    NavigationModel.add(new NavigationModel(NavigationModel.build([{
+      id: 'node-guides',
+      content: JSON.parse(readFileSync(path.join(rootDir, 'data', 'node-guides.json'), 'utf8'))
+    }], 'en')));
+    window.NavigationModel = NavigationModel;
+  });
+
+  beforeEach(async () => {
+    document.body.innerHTML = checksHtml;
+    delete window.location;
+    window.location = { pathname: '/node-guides/installation/download-verification.html', search: '', hash: '' };
+
+    tracker = {
+      getSubsectionChecks: vi.fn(() => ({ checklist: { 0: { checked: true, changedAt: '2025-01-02T10:00:00.000Z' } }, quiz: null })),
+      setChecklistItem: vi.fn(),
+      recordQuizResult: vi.fn(),
+      markSubsectionCompleted: vi.fn()
+    };
+    window.progressTracker = tracker;
+
+    checks = new SubsectionChecks();
+    await checks.init();
+  });
+
+  const answer = async (value) => {
+    const attempts = tracker.recordQuizResult.mock.calls.length;
+    document.querySelector(`input[name="q1"][value="${value}"]`).checked = true;
+    document.querySelector('.quiz-form').dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+    await waitFor(() => tracker.recordQuizResult.mock.calls.length > attempts);
+  };
+
+  const tick = (index) => {
+    const checkbox = document.querySelector(`.checklist-checkbox[data-index="${index}"]`);
+    checkbox.checked = true;
+    checkbox.dispatchEvent(new Event('change', { bubbles: true }));
+  };
+
+  it('should restore the checklist of the page', () => {
+    expect(checks.page).toMatchObject({ section: 'node-guides', phase: 'installation', subsection: 'download-verification' });
+    expect(tracker.getSubsectionChecks).toHaveBeenCalledWith('node-guides', 'installation', 'download-verification');
+    expect(document.getElementById('c1').checked).toBe(true);
+    expect(document.getElementById('c2').checked).toBe(false);
+  });
+
+  it('should grade the quiz and record every attempt', async () => {
+    await answer(0);
+
+    expect(tracker.recordQuizResult).toHaveBeenCalledWith('node-guides', 'installation', 'download-verification', 0, 1);
+    expect(document.querySelector('.quiz-question').classList.contains('incorrect')).toBe(true);
+    expect(document.querySelector('.quiz-explanation').hidden).toBe(true);
+    expect(document.querySelector('.quiz-result').textContent).toBe('0 of 1 answers are right. Have another look and try again.');
+
+    await answer(1);
+
+    expect(document.querySelector('.quiz-explanation').hidden).toBe(false);
+    expect(document.querySelector('.quiz-result').classList.contains('passed')).toBe(true);
+  });
+
+  it('should complete the subsection once every item is ticked and the quiz passed', async () => {
+    await answer(1);
+    expect(tracker.markSubsectionCompleted).not.toHaveBeenCalled();
+
+    tick(1);
+
+    expect(tracker.setChecklistItem).toHaveBeenCalledWith('node-guides', 'installation', 'download-verification', 1, true);
+    expect(tracker.markSubsectionCompleted).toHaveBeenCalledWith('node-guides', 'installation', 'download-verification');
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Team Progress Unit Tests
+ */
+
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+import { readFileSync } from 'fs';
+import path from 'path';
+
+// Import the navigation model the matrix has a column per phase of
+import NavigationModel from '../../assets/js/navigation-model.js';
+// Import the document format exports are read with
+import '../../assets/js/progress-document.js';
+
+// Import the module
+import TeamProgress from '../../assets/js/team-progress.js';
+
+const rootDir = path.resolve(__dirname, '../..');
+
+const exportOf = (device, phases, timeSpent = 3600000) => ({
+  format: 'crypto-guide-progress',
+  version: 2,
+  device,
+  progress: {
+    startedAt: '2025-01-01T09:00:00.000Z',
+    lastActive: '2025-01-10T09:00:00.000Z',
+    timeSpent: { [device]: timeSpent },
+    sections: { 'node-guides': phases }
+  },
+  bookmarks: [],
+  removedBookmarks: {}
+});
+
+describe('TeamProgress', () => {
+  let model;
+  let team;
+  let stored;
+
+  beforeAll(() => {
+    model = new NavigationModel(NavigationModel.build([{
+      id: 'node-guides',
+      content: JSON.parse(readFileSync(path.join(rootDir, 'data', 'node-guides.json'), 'utf8'))
+    }], 'en'));
+  });
+
+  beforeEach(() => {
+    stored = null;
+    window.localStorage.getItem.mockImplementation(() => stored);
+    window.localStorage.setItem.mockImplementation((key, value) => { stored = value; });
+
+    team = new TeamProgress();
+    team.addLearner('Alice', exportOf('laptop', {
+      'procurement-provisioning': {
+        completed: true,
+        startedAt: '2025-01-01T09:00:00.000Z',
+        completedAt: '2025-01-03T09:00:00.000Z',
+        subsections: { 'vps-selection': '2025-01-02T09:00:00.000Z', 'hardware-requirements': '2025-01-02T10:00:00.000Z', 'cost-estimation': '2025-01-03T09:00:00.000Z' }
+      },
+      'server-security': {
+        completed: false,
+        startedAt: '2025-01-04T09:00:00.000Z',
+        completedAt: null,
+        subsections: { 'secure-connections': '2025-01-05T09:00:00.000Z' }
+      }
+    }));
+    team.addLearner('Bob', exportOf('desktop', {
+      'server-security': {
+        completed: false,
+        startedAt: '2025-01-19T09:00:00.000Z',
+        completedAt: null,
+        subsections: {}
+      }
+    }, 600000));
+  });
+
+  it('should show every learner by every phase with dates and time spent', () => {
+    const matrix = team.getMatrix(model, { now: new Date('2025-01-20T09:00:00.000Z') });
+
+    expect(matrix.columns.map(column => column.phase)).toEqual(['procurement-provisioning', 'server-security', 'installation', 'synchronization']);
+    expect(matrix.columns[0].title).toBe('Node Setup Guides: Phase 1: Procurement & Provisioning');
+    expect(matrix.rows.map(row => row.name)).toEqual(['Alice', 'Bob']);
+
+    const [alice, bob] = matrix.rows;
+    expect(alice.timeSpent).toBe(3600000);
+    expect(alice.cells[0]).toMatchObject({ status: 'completed', completedAt: '2025-01-03T09:00:00.000Z', completed: 3, total: 3 });
+    expect(alice.cells[2].status).toBe('not-started');
+    expect(bob.cells[1]).toMatchObject({ status: 'in-progress', completed: 0, total: 3 });
+  });
+
+  it('should flag phases started but without progress for too long', () => {
+    const now = new Date('2025-01-20T09:00:00.000Z');
+
+    expect(team.getMatrix(model, { now }).rows[0].cells[1]).toMatchObject({
+      status: 'stalled',
+      lastActivity: '2025-01-05T09:00:00.000Z'
+    });
+    expect(team.getMatrix(model, { now, stalledDays: 30 }).rows[0].cells[1].status).toBe('in-progress');
+  });
+
+  it('should combine exports of one learner and keep learners between visits', () => {
+    team.addLearner('alice', exportOf('work', {
+      'server-security': {
+        completed: false,
+        startedAt: '2025-01-04T09:00:00.000Z',
+        completedAt: null,
+        subsections: { 'firewall-config': '2025-01-18T09:00:00.000Z' }
+      }
+    }, 1800000));
+
+    const reloaded = new TeamProgress();
+    const [alice] = reloaded.getMatrix(model, { now: new Date('2025-01-20T09:00:00.000Z') }).rows;
+
+    expect(reloaded.learners).toHaveLength(2);
+    expect(alice.timeSpent).toBe(5400000);
+    expect(alice.cells[1]).toMatchObject({ status: 'in-progress', completed: 2 });
+
+    expect(() => team.addLearner('Carol', { bookmarks: [] })).toThrow('Unsupported progress document format');
+    expect(() => team.addLearner('  ', exportOf('laptop', {}))).toThrow('A learner needs a name');
+  });
+
+  it('should export the matrix as CSV', () => {
+    team.addLearner('=HYPERLINK("x")', exportOf('phone', {}));
+    const csv = TeamProgress.toCsv(team.getMatrix(model, { subsections: true, now: new Date('2025-01-20T09:00:00.000Z') }));
+    const lines = csv.trim().split('\r\n');
+
+    expect(lines[0]).toBe('Learner,Time spent (minutes),Last active,'
+      + 'Node Setup Guides: Phase 1: Procurement & Provisioning,VPS Selection,Hardware Requirements,Cost Estimation,'
+      + 'Node Setup Guides: Phase 2: Server Foundation & Security,Secure Connections,Firewall Configuration,System Hardening,'
+      + 'Node Setup Guides: Phase 3: Node Software Installation & Configuration,Download & Verification,Configuration Files,Setup Wizard,'
+      + 'Node Setup Guides: Phase 4: Blockchain Synchronization & Operation,Synchronization Monitoring,Testing & Validation,Ongoing Maintenance');
+    expect(lines[1]).toBe(`"'=HYPERLINK(""x"")",60,2025-01-10${',,,,'.repeat(4)}`);
+    expect(lines[2]).toBe('Alice,60,2025-01-10,2025-01-03,2025-01-02,2025-01-02,2025-01-03,'
+      + 'stalled since 2025-01-05 (1/3),2025-01-05,,' + ',,,,'.repeat(2));
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Template Engine Unit Tests
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+
+// Import the build-time template engine
+import { TemplateEngine, TemplateError } from '../../build/template-engine.js';
+
+describe('TemplateEngine', () => {
+  let engine;
+  let partials;
+
+  beforeEach(() => {
+    partials = {
+      item: '<li>{{title}}</li>',
+      loop: '{{> loop}}'
+    };
+    engine = new TemplateEngine({
+      loadPartial: async (name) => {
+        if (!(name in partials)) {
+          throw new Error(`ENOENT: ${name}.html`);
+        }
+        return partials[name];
+      }
+    });
+  });
+
+  describe('Variables', () => {
+    it('should escape HTML by default', async () => {
+      const html = await engine.render('<p>{{text}}</p>', { text: '<script>"x" & \'y\'</script>' });
+      expect(html).toBe('<p>&lt;script&gt;&quot;x&quot; &amp; &#39;y&#39;&lt;/script&gt;</p>');
+    });
+
+    it('should output raw HTML with triple braces', async () => {
+      const html = await engine.render('<div>{{{content}}}</div>', { content: '<p>Hi</p>' });
+      expect(html).toBe('<div><p>Hi</p></div>');
+    });
+
+    it('should resolve dotted paths', async () => {
+      const html = await engine.render('{{phase.meta.difficulty}}', { phase: { meta: { difficulty: 'advanced' } } });
+      expect(html).toBe('advanced');
+    });
+
+    it('should render null as an empty string', async () => {
+      expect(await engine.render('[{{value}}]', { value: null })).toBe('[]');
+    });
+
+    it('should keep replacement patterns in values literal', async () => {
+      expect(await engine.render('{{code}}', { code: 'echo $1 $&' })).toBe('echo $1 $&amp;');
+    });
+
+    it('should fail on missing variables', async () => {
+      await expect(engine.render('line one\n{{missing}}', {}, 'page')).rejects.toThrow(TemplateError);
+      await expect(engine.render('line one\n{{missing}}', {}, 'page')).rejects.toThrow('Missing variable "missing" (page:2)');
+    });
+  });
+
+  describe('Blocks', () => {
+    it('should iterate arrays with loop locals', async () => {
+      const html = await engine.render(
+        '{{#each items}}{{@index}}:{{this}}{{#unless @last}},{{/unless}}{{/each}}',
+        { items: ['a', 'b', 'c'] }
+      );
+      expect(html).toBe('0:a,1:b,2:c');
+    });
+
+    it('should iterate objects by key', async () => {
+      const html = await engine.render('{{#each os}}{{@key}}={{title}};{{/each}}', {
+        os: { linux: { title: 'Linux' }, macos: { title: 'macOS' } }
+      });
+      expect(html).toBe('linux=Linux;macos=macOS;');
+    });
+
+    it('should render the else branch for empty collections', async () => {
+      expect(await engine.render('{{#each items}}x{{else}}none{{/each}}', { items: [] })).toBe('none');
+    });
+
+    it('should not fall back to outer scopes inside loops', async () => {
+      await expect(engine.render('{{#each items}}{{name}}{{/each}}', { name: 'outer', items: [{}] }))
+        .rejects.toThrow('Missing variable "name"');
+    });
+
+    it('should expose the root context inside loops', async () => {
+      const html = await engine.render('{{#each items}}{{@root.section}}/{{id}} {{/each}}', {
+        section: 'node-guides',
+        items: [{ id: 'a' }, { id: 'b' }]
+      });
+      expect(html).toBe('node-guides/a node-guides/b ');
+    });
+
+    it('should treat missing values and empty arrays as falsy in conditionals', async () => {
+      const template = '{{#if value}}yes{{else}}no{{/if}}';
+      expect(await engine.render(template, { value: 'x' })).toBe('yes');
+      expect(await engine.render(template, { value: [] })).toBe('no');
+      expect(await engine.render(template, {})).toBe('no');
+    });
+
+    it('should not leave blank lines for standalone block tags', async () => {
+      const html = await engine.render('<ul>\n    {{#each items}}\n    <li>{{this}}</li>\n    {{/each}}\n</ul>', { items: ['a', 'b'] });
+      expect(html).toBe('<ul>\n    <li>a</li>\n    <li>b</li>\n</ul>');
+    });
+
+    it('should report unclosed and mismatched blocks', async () => {
+      await expect(engine.render('{{#if a}}', {})).rejects.toThrow('Unclosed block "#if"');
+      await expect(engine.render('{{#if a}}{{/each}}', {})).rejects.toThrow('expected {{/if}}');
+      await expect(engine.render('{{/if}}', {})).rejects.toThrow('Unexpected {{/if}}');
+      await expect(engine.render('{{#with a}}{{/with}}', {})).rejects.toThrow('Unknown block helper');
+    });
+  });
+
+  describe('Partials', () => {
+    it('should render partials with the current context', async () => {
+      const html = await engine.render('<ul>{{#each items}}{{> item}}{{/each}}</ul>', {
+        items: [{ title: 'One' }, { title: 'Two & Three' }]
+      });
+      expect(html).toBe('<ul><li>One</li><li>Two &amp; Three</li></ul>');
+    });
+
+    it('should fail on missing partials', async () => {
+      await expect(engine.render('{{> sidebar}}', {}, 'base')).rejects.toThrow('Partial "sidebar" not found');
+    });
+
+    it('should detect recursive partials', async () => {
+      await expect(engine.render('{{> loop}}', {})).rejects.toThrow('Recursive partial "loop"');
+    });
+  });
+});
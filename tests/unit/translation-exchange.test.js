@@ -0,0 +1,135 @@
+/**
+ * Translation Exchange Unit Tests
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync, cpSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+
+// Import the build-time translation workflow
+import { TranslationExchange } from '../../build/translation-exchange.js';
+import { writePo, parsePo, writeXliff, parseXliff, TranslationFormatError } from '../../build/translation-formats.js';
+
+const rootDir = path.resolve(__dirname, '../..');
+
+const entries = [
+  { key: 'node-guides/title', source: 'Node "Setup" Guides', target: 'Node-installatiegidsen', fuzzy: false, note: 'Title' },
+  { key: 'node-guides/installation/configuration/content', source: 'Line one\nLine two <b>&</b>', target: '', fuzzy: false },
+  { key: 'translations/nav.home', source: 'Home', target: 'Start', fuzzy: true }
+];
+
+const strip = list => list.map(({ key, source, target, fuzzy }) => ({ key, source, target, fuzzy }));
+
+describe('Translation formats', () => {
+  it('should round-trip entries through PO', () => {
+    const po = writePo({ language: 'nl', entries });
+
+    expect(po).toContain('msgctxt "node-guides/title"\nmsgid "Node \\"Setup\\" Guides"');
+    expect(po).toContain('#, fuzzy\nmsgctxt "translations/nav.home"');
+    expect(parsePo(po)).toEqual({ language: 'nl', entries: strip(entries) });
+  });
+
+  it('should round-trip entries through XLIFF 2.0', () => {
+    const xliff = writeXliff({ language: 'fr', entries });
+
+    expect(xliff).toContain('<unit id="node-guides:title" name="node-guides/title">');
+    expect(xliff).toContain('<source xml:space="preserve">Line one\nLine two &lt;b&gt;&amp;&lt;/b&gt;</source>');
+    expect(parseXliff(xliff)).toEqual({ language: 'fr', entries: strip(entries) });
+  });
+
+  it('should join XLIFF units split into several segments', () => {
+    const xliff = `<xliff version="2.0" srcLang="en" trgLang="nl"><file id="f"><unit id="a" name="x/title">
+      <segment state="reviewed"><source>One.</source><target>Een.</target></segment>
+      <ignorable><source> </source><target> </target></ignorable>
+      <segment state="final"><source>Two &#x26; three.</source><target>Twee &amp; drie.</target></segment>
+    </unit></file></xliff>`;
+
+    expect(parseXliff(xliff).entries).toEqual([
+      { key: 'x/title', source: 'One. Two & three.', target: 'Een. Twee & drie.', fuzzy: false }
+    ]);
+  });
+
+  it('should report malformed files with a line', () => {
+    expect(() => parsePo('msgctxt "a"\nmsgid "b"\nmsgstr "c"\nbogus', 'nl.po')).toThrow('Unexpected line "bogus" (nl.po:4)');
+    expect(() => parsePo('msgid "b"\nmsgstr "c"', 'nl.po')).toThrow('has no msgctxt key');
+    expect(() => parseXliff('<xliff version="1.2">', 'nl.xlf')).toThrow(TranslationFormatError);
+  });
+});
+
+describe('TranslationExchange', () => {
+  let workDir;
+  let exchange;
+
+  const readJson = file => JSON.parse(readFileSync(path.join(workDir, file), 'utf8'));
+
+  beforeEach(() => {
+    workDir = mkdtempSync(path.join(tmpdir(), 'translation-exchange-'));
+    cpSync(path.join(rootDir, 'data'), path.join(workDir, 'data'), { recursive: true });
+    mkdirSync(path.join(workDir, 'assets', 'data'), { recursive: true });
+    cpSync(path.join(rootDir, 'assets', 'data', 'translations'), path.join(workDir, 'assets', 'data', 'translations'), { recursive: true });
+    exchange = new TranslationExchange(workDir);
+  });
+
+  afterEach(() => {
+    rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it('should export content, UI terms and catalog strings with stable keys', async () => {
+    const exported = await exchange.exportEntries('nl');
+    const byKey = new Map(exported.map(entry => [entry.key, entry]));
+
+    expect(byKey.get('node-guides/server-security/title').target).toBe('Server Fundament & Beveiliging');
+    expect(byKey.get('node-guides/common.copied').source).toBe('Copied!');
+    expect(byKey.get('node-guides/installation/configuration/prerequisites.0').target).toBe('');
+    expect(byKey.get('translations/nav-home').source).toBe('Home');
+    expect(exported.some(entry => entry.fuzzy)).toBe(false);
+  });
+
+  it('should write imported subsection translations into the overlay', async () => {
+    const result = await exchange.importEntries('nl', [
+      { key: 'node-guides/installation/configuration/title', source: 'Configuration Files', target: 'Configuratiebestanden', fuzzy: false },
+      { key: 'node-guides/installation/download-verification/prerequisites.1', source: 'Command line familiarity', target: 'Ervaring met de opdrachtregel', fuzzy: false },
+      { key: 'node-guides/removed/title', source: 'Gone', target: 'Weg', fuzzy: false }
+    ]);
+
+    const phase = readJson('data/nl/node-guides.json').phases.find(item => item.id === 'installation');
+    expect(phase.subsections).toEqual([
+      { id: 'download-verification', prerequisites: ['GPG basics', 'Ervaring met de opdrachtregel'] },
+      { id: 'configuration', title: 'Configuratiebestanden' }
+    ]);
+    expect(result.translated).toBe(2);
+    expect(result.warnings).toEqual(['node-guides/removed/title: no such string in the English content, skipped']);
+    expect(result.written).toContain('data/nl/source-hashes.json');
+  });
+
+  it('should flag translations as fuzzy once the English changes', async () => {
+    await exchange.importEntries('fr', [
+      { key: 'node-guides/installation/configuration/title', source: 'Configuration Files', target: 'Fichiers de configuration', fuzzy: false }
+    ]);
+
+    const contentPath = path.join(workDir, 'data', 'node-guides.json');
+    writeFileSync(contentPath, readFileSync(contentPath, 'utf8').replace('"Configuration Files"', '"Node Configuration Files"'));
+
+    const exported = await exchange.exportEntries('fr');
+    expect(exported.filter(entry => entry.fuzzy).map(entry => entry.key)).toEqual(['node-guides/installation/configuration/title']);
+  });
+
+  it('should keep fuzzy imports flagged', async () => {
+    const key = 'node-guides/installation/title';
+    const hashes = readJson('data/fr/source-hashes.json');
+    hashes[key] = 'outdated';
+    writeFileSync(path.join(workDir, 'data', 'fr', 'source-hashes.json'), JSON.stringify(hashes));
+
+    const result = await exchange.importEntries('fr', [{ key, source: 'x', target: 'Installation du logiciel', fuzzy: true }]);
+
+    expect(result.fuzzy).toBe(1);
+    expect(readJson('data/fr/source-hashes.json')[key]).toBe('outdated');
+    expect(readJson('data/fr/node-guides.json').phases.find(phase => phase.id === 'installation').title).toBe('Installation du logiciel');
+  });
+
+  it('should reject unknown languages', async () => {
+    await expect(exchange.exportEntries('de')).rejects.toThrow('Unknown target language "de"');
+    await expect(exchange.exportEntries('en')).rejects.toThrow('Unknown target language "en"');
+  });
+});